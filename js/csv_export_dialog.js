@@ -0,0 +1,116 @@
+"use strict";
+
+/**
+ * Dialog for saving the frames (and optionally the events) of the current log to CSV files, using
+ * FlightLogCSVExporter.
+ *
+ * onSave is called with the chosen export options so the host can remember them for next time.
+ */
+function CSVExportDialog(dialog, onSave) {
+    var
+        regionDuration = $(".csv-export-region-duration", dialog),
+        logDuration = $(".csv-export-log-duration", dialog),
+
+        that = this;
+
+    function populateConfig(csvConfig) {
+        var
+            hasRegion = that.logParameters.inTime !== false || that.logParameters.outTime !== false;
+
+        $(".csv-export-range[value='region']", dialog).prop('disabled', !hasRegion);
+
+        $(".csv-export-range", dialog).val([hasRegion && csvConfig.range == 'region' ? 'region' : 'log']);
+        $(".csv-export-values", dialog).val(csvConfig.friendly ? 'friendly' : 'raw');
+        $(".csv-export-events", dialog).prop('checked', !!csvConfig.events);
+    }
+
+    function convertUIToCSVConfig() {
+        return {
+            range: $(".csv-export-range:checked", dialog).val(),
+            friendly: $(".csv-export-values", dialog).val() == 'friendly',
+            events: $(".csv-export-events", dialog).is(':checked')
+        };
+    }
+
+    /**
+     * The time of the log's last frame, which is where an export with no end time finishes. That can be later than
+     * getMaxTime(), which is the time of the last I frame.
+     */
+    function getLogEndTime(flightLog) {
+        var
+            chunks = flightLog.getChunksInTimeRange(flightLog.getMaxTime(), flightLog.getMaxTime()),
+            lastChunk = chunks[chunks.length - 1];
+
+        if (lastChunk && lastChunk.frames.length > 0) {
+            return lastChunk.frames[lastChunk.frames.length - 1][FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME];
+        }
+
+        return flightLog.getMaxTime();
+    }
+
+    function saveCSV(parts, filename) {
+        window.saveAs(new Blob(parts, {type: 'text/csv'}), filename);
+    }
+
+    /**
+     * Show the dialog.
+     *
+     * logParameters - Object with these fields:
+     *     inTime, outTime - The export region marked on the log, or false for either end which isn't marked
+     *     filename        - Base name for the saved files (without extension)
+     */
+    this.show = function(flightLog, logParameters, csvConfig) {
+        var
+            logEndTime = getLogEndTime(flightLog);
+
+        this.flightLog = flightLog;
+        this.logParameters = logParameters;
+
+        logDuration.text(formatTimeRange(flightLog.getMinTime(), flightLog.getMinTime(), logEndTime));
+
+        if (logParameters.inTime !== false || logParameters.outTime !== false) {
+            regionDuration.text(formatTimeRange(flightLog.getMinTime(),
+                logParameters.inTime === false ? flightLog.getMinTime() : logParameters.inTime,
+                logParameters.outTime === false ? logEndTime : logParameters.outTime
+            ));
+        } else {
+            regionDuration.text("None marked");
+        }
+
+        populateConfig(csvConfig);
+
+        dialog.modal('show');
+    };
+
+    $(".csv-export-dialog-save", dialog).click(function(e) {
+        var
+            csvConfig = convertUIToCSVConfig(),
+            // False leaves that end open, so the export runs to the start or the last frame of the log
+            exportOptions = {startTime: false, endTime: false, friendly: csvConfig.friendly},
+            exporter;
+
+        // Send our config to our host to be saved for next time:
+        onSave(csvConfig);
+
+        if (csvConfig.range == 'region') {
+            exportOptions.startTime = that.logParameters.inTime;
+            exportOptions.endTime = that.logParameters.outTime;
+        }
+
+        exporter = new FlightLogCSVExporter(that.flightLog, exportOptions);
+
+        saveCSV(exporter.framesToParts(), that.logParameters.filename + ".csv");
+
+        if (csvConfig.events) {
+            saveCSV(exporter.eventsToParts(), that.logParameters.filename + ".events.csv");
+        }
+
+        dialog.modal('hide');
+
+        e.preventDefault();
+    });
+
+    dialog.modal({
+        show: false
+    });
+}
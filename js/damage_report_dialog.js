@@ -0,0 +1,101 @@
+"use strict";
+
+/**
+ * Dialog listing the damaged regions of the current log (see FlightLog.getLogDamage()), with where they are in the file
+ * and how much was lost, so the user can jump to each one.
+ *
+ * onSeek is called with the Blackbox time of a region the user picks.
+ */
+function DamageReportDialog(dialog, onSeek) {
+    var
+        damageList = $(".damage-report-list tbody", dialog),
+        status = $(".damage-report-status", dialog),
+
+        that = this;
+
+    function describeTime(time) {
+        if (time === null) {
+            return "unknown";
+        }
+
+        return formatTime((time - that.flightLog.getMinTime()) / 1000, true);
+    }
+
+    function describeGap(region) {
+        if (region.startTime === null) {
+            return "Start of log";
+        }
+        if (region.endTime === null) {
+            return "To end of log";
+        }
+
+        return ((region.endTime - region.startTime) / 1000).toFixed(1) + "ms";
+    }
+
+    function describeBytes(region) {
+        if (region.endOffset === false) {
+            return region.startOffset + " -";
+        }
+
+        return region.startOffset + " - " + region.endOffset + " (" + (region.endOffset - region.startOffset) + " bytes)";
+    }
+
+    function populateDamage(damage) {
+        damageList.empty();
+
+        $(".damage-report-results", dialog).toggle(damage.length > 0);
+
+        if (damage.length == 0) {
+            status.text("No damage was found in this log.");
+            return;
+        }
+
+        status.text("Found " + damage.length + (damage.length == 1 ? " damaged region" : " damaged regions")
+            + ", which are hatched out on the seek bar. Click one to jump to it.");
+
+        for (var i = 0; i < damage.length; i++) {
+            var
+                region = damage[i],
+                row = $('<tr><td></td><td></td><td></td><td></td><td></td></tr>'),
+                cells = $("td", row);
+
+            cells.eq(0).text(region.startTime === null ? describeTime(region.endTime) : describeTime(region.startTime));
+            cells.eq(1).text(describeGap(region));
+            cells.eq(2).text(describeBytes(region));
+            cells.eq(3).text(region.corruptFrames);
+            cells.eq(4).text(region.droppedFrames);
+
+            row.data('time', region.startTime === null ? that.flightLog.getMinTime() : region.startTime);
+
+            damageList.append(row);
+        }
+    }
+
+    /**
+     * Show the dialog.
+     *
+     * recoveryMode - True if the log was opened with the parser in recovery mode
+     */
+    this.show = function(flightLog, recoveryMode) {
+        this.flightLog = flightLog;
+
+        populateDamage(flightLog.getLogDamage());
+
+        $(".damage-report-recovery-on", dialog).toggle(recoveryMode);
+        $(".damage-report-recovery-off", dialog).toggle(!recoveryMode);
+
+        dialog.modal('show');
+    };
+
+    damageList.on('click', 'tr', function(e) {
+        onSeek($(this).data('time'));
+
+        dialog.modal('hide');
+
+        e.preventDefault();
+    });
+
+    dialog.modal({
+        show: false
+    });
+}
@@ -0,0 +1,161 @@
+"use strict";
+
+/**
+ * Dialog for editing the user's expression fields, which are computed from the log's own fields by expressions like
+ * "motor[0] - motor[2]" (see FlightLogExpression) and can be graphed like any other field.
+ *
+ * onSave is called with the new array of expression fields ({name, expression}).
+ */
+function ExpressionFieldsDialog(dialog, onSave) {
+    var
+        fieldsTable = $(".expression-fields-list", dialog),
+
+        that = this;
+
+    function addFieldRow(field) {
+        var
+            row = $(
+                '<tr class="expression-field">'
+                    + '<td><input type="text" class="form-control expression-field-name" placeholder="motorDiff"></td>'
+                    + '<td><input type="text" class="form-control expression-field-expression" placeholder="motor[0] - motor[2]">'
+                        + '<span class="help-block expression-field-problem"></span></td>'
+                    + '<td><button type="button" class="btn btn-default expression-field-remove">Remove</button></td>'
+                + '</tr>'
+            );
+
+        $(".expression-field-name", row).val(field.name);
+        $(".expression-field-expression", row).val(field.expression);
+
+        fieldsTable.append(row);
+    }
+
+    function convertUIToExpressionFields() {
+        var
+            fields = [];
+
+        $(".expression-field", fieldsTable).each(function() {
+            var
+                name = $.trim($(".expression-field-name", this).val()),
+                expression = $.trim($(".expression-field-expression", this).val());
+
+            // Leave out rows which were added but never filled in
+            if (name.length > 0 || expression.length > 0) {
+                fields.push({name: name, expression: expression});
+            }
+        });
+
+        return fields;
+    }
+
+    /**
+     * Find the problem with the field in each row, if any. Problems which mean the field could never be computed are
+     * errors, while problems with the fields of the open log (which another log might have) are only warnings.
+     *
+     * Returns true if there were no errors.
+     */
+    function checkFields() {
+        var
+            fields = convertUIToExpressionFields(),
+            logErrors = that.flightLog ? that.flightLog.checkExpressionFields(fields) : [],
+            namesSeen = {},
+            valid = true;
+
+        $(".expression-field", fieldsTable).each(function() {
+            var
+                row = $(this),
+                name = $.trim($(".expression-field-name", this).val()),
+                expression = $.trim($(".expression-field-expression", this).val()),
+                error = false, warning = false;
+
+            if (name.length == 0 && expression.length == 0) {
+                // Ignored when saving
+            } else if (!FlightLogExpression.isValidFieldName(name)) {
+                error = "Field names can only contain letters, numbers and underscores, and may end in a number in brackets";
+            } else if (namesSeen[name]) {
+                error = 'There\'s already a field called "' + name + '"';
+            } else {
+                try {
+                    new FlightLogExpression(expression);
+                } catch (e) {
+                    error = e;
+                }
+            }
+
+            namesSeen[name] = true;
+
+            if (!error) {
+                for (var i = 0; i < logErrors.length; i++) {
+                    if (logErrors[i].name == name) {
+                        warning = logErrors[i].error + ", so it won't be shown for this log";
+                        break;
+                    }
+                }
+            }
+
+            row.toggleClass("has-error", !!error);
+            row.toggleClass("has-warning", !!warning);
+            $(".expression-field-problem", row).text(error || warning || "");
+
+            if (error) {
+                valid = false;
+            }
+        });
+
+        return valid;
+    }
+
+    /**
+     * Show the dialog.
+     *
+     * flightLog        - The open log to check the fields against, or null if there isn't one
+     * expressionFields - The user's current expression fields
+     */
+    this.show = function(flightLog, expressionFields) {
+        this.flightLog = flightLog;
+
+        fieldsTable.empty();
+
+        for (var i = 0; i < expressionFields.length; i++) {
+            addFieldRow(expressionFields[i]);
+        }
+
+        if (expressionFields.length == 0) {
+            addFieldRow({name: "", expression: ""});
+        }
+
+        checkFields();
+
+        dialog.modal('show');
+    };
+
+    $(".expression-fields-add", dialog).click(function(e) {
+        addFieldRow({name: "", expression: ""});
+
+        e.preventDefault();
+    });
+
+    fieldsTable.on("click", ".expression-field-remove", function(e) {
+        $(this).closest(".expression-field").remove();
+        checkFields();
+
+        e.preventDefault();
+    });
+
+    fieldsTable.on("input", "input", checkFields);
+
+    $(".expression-fields-dialog-save", dialog).click(function(e) {
+        e.preventDefault();
+
+        if (!checkFields()) {
+            return;
+        }
+
+        onSave(convertUIToExpressionFields());
+
+        dialog.modal('hide');
+    });
+
+    dialog.modal({
+        show: false
+    });
+}
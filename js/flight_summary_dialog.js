@@ -0,0 +1,166 @@
+"use strict";
+
+/**
+ * Dialog showing the summary statistics from FlightLogSummary for the whole of the current log or the marked region,
+ * which can also be saved as a JSON file.
+ */
+function FlightSummaryDialog(dialog) {
+    var
+        regionDuration = $(".flight-summary-region-duration", dialog),
+        logDuration = $(".flight-summary-log-duration", dialog),
+        overviewTable = $(".flight-summary-overview", dialog),
+        axesTable = $(".flight-summary-axes tbody", dialog),
+        modesTable = $(".flight-summary-modes tbody", dialog),
+        eventsTable = $(".flight-summary-events tbody", dialog),
+
+        // The summary being shown, or false if there's nothing in the chosen range
+        summary = false,
+
+        that = this;
+
+    function formatSeconds(seconds) {
+        return seconds === null ? "-" : formatTime(seconds * 1000, true);
+    }
+
+    function formatNumber(value, digits, suffix) {
+        return value === null ? "-" : value.toFixed(digits) + suffix;
+    }
+
+    function addRow(table, values) {
+        var
+            row = $("<tr></tr>");
+
+        for (var i = 0; i < values.length; i++) {
+            row.append($(i == 0 && table === overviewTable ? "<th></th>" : "<td></td>").text(values[i]));
+        }
+
+        table.append(row);
+    }
+
+    function populateSummary() {
+        var
+            eventNames = Object.keys(summary.events),
+            i;
+
+        overviewTable.empty();
+        axesTable.empty();
+        modesTable.empty();
+        eventsTable.empty();
+
+        addRow(overviewTable, ["Log", summary.logIndex + " of " + summary.logCount]);
+        addRow(overviewTable, ["Duration", formatSeconds(summary.duration)]);
+        addRow(overviewTable, ["Armed", formatSeconds(summary.armedTime)]);
+        addRow(overviewTable, ["Loop rate", formatNumber(summary.loopRate, 0, "Hz")]);
+        addRow(overviewTable, ["Logging rate", formatNumber(summary.logRate, 0, "Hz")]);
+        addRow(overviewTable, ["Full throttle", formatSeconds(summary.fullThrottleTime)]);
+        addRow(overviewTable, ["Motors saturated", formatNumber(summary.motorSaturation, 1, "% of the time")]);
+
+        for (i = 0; i < summary.axes.length; i++) {
+            var
+                axis = summary.axes[i];
+
+            addRow(axesTable, [
+                axis.name,
+                formatNumber(axis.maxGyro, 0, "°/s"),
+                formatNumber(axis.rmsGyro, 0, "°/s"),
+                formatNumber(axis.maxSetpoint, 0, "°/s"),
+                formatNumber(axis.configuredRate, 0, "°/s")
+            ]);
+        }
+
+        for (i = 0; i < summary.flightModes.length; i++) {
+            var
+                run = summary.flightModes[i];
+
+            addRow(modesTable, [formatSeconds(run.startTime) + " - " + formatSeconds(run.endTime), run.modes]);
+        }
+
+        if (summary.flightModes.length == 0) {
+            addRow(modesTable, ["-", "This log doesn't record flight modes"]);
+        }
+
+        eventNames.sort();
+
+        for (i = 0; i < eventNames.length; i++) {
+            addRow(eventsTable, [eventNames[i], summary.events[eventNames[i]]]);
+        }
+
+        if (eventNames.length == 0) {
+            addRow(eventsTable, ["None", ""]);
+        }
+    }
+
+    function showSummary() {
+        var
+            range = $(".flight-summary-range:checked", dialog).val(),
+            startTime = that.flightLog.getMinTime(),
+            endTime = that.flightLog.getMaxTime();
+
+        if (range == 'region') {
+            if (that.logParameters.inTime !== false) {
+                startTime = that.logParameters.inTime;
+            }
+            if (that.logParameters.outTime !== false) {
+                endTime = that.logParameters.outTime;
+            }
+        }
+
+        summary = new FlightLogSummary(that.flightLog).calculate(startTime, endTime);
+
+        $(".flight-summary-results", dialog).toggle(!!summary);
+        $(".flight-summary-empty", dialog).toggle(!summary);
+        $(".flight-summary-dialog-save", dialog).prop('disabled', !summary);
+
+        if (summary) {
+            populateSummary();
+        }
+    }
+
+    /**
+     * Show the dialog.
+     *
+     * logParameters - Object with these fields:
+     *     inTime, outTime - The region marked on the log, or false for either end which isn't marked
+     *     filename        - Base name for the saved JSON file (without extension)
+     */
+    this.show = function(flightLog, logParameters) {
+        var
+            hasRegion = logParameters.inTime !== false || logParameters.outTime !== false;
+
+        this.flightLog = flightLog;
+        this.logParameters = logParameters;
+
+        logDuration.text(formatTimeRange(flightLog.getMinTime(), flightLog.getMinTime(), flightLog.getMaxTime()));
+
+        if (hasRegion) {
+            regionDuration.text(formatTimeRange(flightLog.getMinTime(),
+                logParameters.inTime === false ? flightLog.getMinTime() : logParameters.inTime,
+                logParameters.outTime === false ? flightLog.getMaxTime() : logParameters.outTime
+            ));
+        } else {
+            regionDuration.text("None marked");
+        }
+
+        $(".flight-summary-range[value='region']", dialog).prop('disabled', !hasRegion);
+        $(".flight-summary-range", dialog).val([hasRegion ? 'region' : 'log']);
+
+        showSummary();
+
+        dialog.modal('show');
+    };
+
+    $(".flight-summary-range", dialog).change(showSummary);
+
+    $(".flight-summary-dialog-save", dialog).click(function(e) {
+        if (summary) {
+            window.saveAs(new Blob([JSON.stringify(summary, null, 2)], {type: 'application/json'}),
+                that.logParameters.filename + ".summary.json");
+        }
+
+        e.preventDefault();
+    });
+
+    dialog.modal({
+        show: false
+    });
+}
@@ -6,16 +6,19 @@
  * An index is computed to allow efficient seeking.
  *
  * Multiple disparate frame types in the original log are aligned and merged together to provide one time series.
- * Additional computed fields are derived from the original data set and added as new fields in the resulting data.
+ * Additional computed fields are derived from the original data set and added as new fields in the resulting data,
+ * along with any expression fields the user has defined.
  * Window based smoothing of fields is offered.
+ *
+ * logIndexes - FlightLogIndex of the same logData to share rather than building another (optional), for opening a
+ *              second log of the same file alongside this one (see getLogIndexes())
  */
-function FlightLog(logData) {
+function FlightLog(logData, logIndexes) {
     var
         ADDITIONAL_COMPUTED_FIELD_COUNT = 15, /** attitude + PID_SUM + PID_ERROR + RCCOMMAND_SCALED + GYROADC_SCALED **/
 
         that = this,
         logIndex = false,
-        logIndexes = new FlightLogIndex(logData),
         parser = new FlightLogParser(logData),
 
         iframeDirectory,
@@ -26,6 +29,19 @@ function FlightLog(logData) {
         fieldNames = [],
         fieldNameToIndex = {},
 
+        // Indexes of the GPS frame fields which are merged into the main stream (the GPS frame's time is left out)
+        gpsFieldIndexes = [],
+
+        // The user's expression fields ({name, expression}), and those which could be compiled for the open log, which
+        // are added after the other computed fields
+        expressionFields = [],
+        compiledExpressionFields = {fields: [], errors: []},
+
+        // The PID terms from a FlightLogPIDSimulator run, which are added as fields before the expression fields while
+        // the log they were simulated for is open
+        simulatedPIDs = null,
+        simulatedPIDFieldCount = 0,
+
         chunkCache = new FIFOCache(2),
 
         // Map from field indexes to smoothing window size in microseconds
@@ -35,6 +51,10 @@ function FlightLog(logData) {
         smoothedCache = new FIFOCache(2);
 
 
+    if (!logIndexes) {
+        logIndexes = new FlightLogIndex(logData);
+    }
+
     //Public fields:
     this.parser = parser;
 
@@ -60,6 +80,32 @@ function FlightLog(logData) {
         return false;
     };
 
+    /**
+     * Get the damaged regions of the log of the given index, or leave off the logIndex argument to fetch them for the
+     * current log. These are the places where frames were corrupt or had to be thrown away until the parser could find
+     * its place again. Returns an array of objects with these fields:
+     *     startOffset, endOffset     - Byte offsets of the region in the file (endOffset is false if we're still indexing
+     *                                  the region)
+     *     startTime, endTime         - Times of the last good frame before the region and the first one after it, null
+     *                                  if the region is at the beginning or end of the log
+     *     corruptFrames              - Number of frames which couldn't be decoded
+     *     droppedFrames              - Number of main frames which were decoded but had to be thrown away
+     */
+    this.getLogDamage = function(logIndex) {
+        var
+            directory = logIndex === undefined ? iframeDirectory : logIndexes.getIntraframeDirectory(logIndex);
+
+        return directory.damage || [];
+    };
+
+    /**
+     * Turn the parser's recovery mode (see FlightLogParser.recoveryMode) on or off. Call this before opening a log.
+     */
+    this.setRecoveryMode = function(enabled) {
+        parser.recoveryMode = enabled;
+        logIndexes.setRecoveryMode(enabled);
+    };
+
     /**
      * Get the stats for the log of the given index, or leave off the logIndex argument to fetch the stats
      * for the current log.
@@ -90,6 +136,16 @@ function FlightLog(logData) {
             rawStats.field = rawStats.frame.I.field;
         }
 
+        // GPS fields are merged in after the slow fields, but without the GPS frame's own time field
+        if (gpsFieldIndexes.length > 0) {
+            var
+                gpsFieldStats = rawStats.frame.G ? rawStats.frame.G.field : [];
+
+            rawStats.field = rawStats.field.concat(gpsFieldIndexes.map(function(gpsFieldIndex) {
+                return gpsFieldStats[gpsFieldIndex];
+            }));
+        }
+
         return rawStats;
     };
 
@@ -116,8 +172,33 @@ function FlightLog(logData) {
         return parser.sysConfig;
     };
 
+    /**
+     * Recursively copy the properties of source on top of dest (arrays and objects are merged rather than replaced,
+     * and undefined values are skipped).
+     */
+    function deepMerge(dest, source) {
+        for (var key in source) {
+            var
+                value = source[key];
+
+            if (value === undefined || value === dest) {
+                continue;
+            }
+
+            if (Array.isArray(value)) {
+                dest[key] = deepMerge(Array.isArray(dest[key]) ? dest[key] : [], value);
+            } else if (value !== null && typeof value === "object") {
+                dest[key] = deepMerge(dest[key] !== null && typeof dest[key] === "object" && !Array.isArray(dest[key]) ? dest[key] : {}, value);
+            } else {
+                dest[key] = value;
+            }
+        }
+
+        return dest;
+    }
+
     this.setSysConfig = function(newSysConfig) {
-        $.extend(true, parser.sysConfig, newSysConfig);
+        deepMerge(parser.sysConfig, newSysConfig);
     };
 
 
@@ -132,6 +213,51 @@ function FlightLog(logData) {
         return logIndexes.getLogCount();
     };
 
+    /**
+     * Get the FlightLogIndex of this file, which can be given to the constructor of another FlightLog of the same file
+     * so that it doesn't need to scan the file again.
+     */
+    this.getLogIndexes = function() {
+        return logIndexes;
+    };
+
+    /**
+     * Get the index of the logs in this file as JSON, so it can be cached and passed to loadIndexFromJSON() the next
+     * time the same file is opened. This builds the index first if it hasn't been already.
+     */
+    this.saveIndexToJSON = function() {
+        return logIndexes.saveToJSON();
+    };
+
+    /**
+     * Use an index previously saved by saveIndexToJSON() for this same file instead of scanning the file to build one.
+     * Call this before opening a log, or while a log is open to replace a partly-built index with a more complete one.
+     */
+    this.loadIndexFromJSON = function(json) {
+        logIndexes.loadFromJSON(json);
+
+        indexReplaced();
+    };
+
+    /**
+     * Scan the file to build the whole index here, replacing the index (or the part of one) given to loadIndexFromJSON().
+     */
+    this.buildIndex = function() {
+        logIndexes.rebuildIntraframeDirectories();
+
+        indexReplaced();
+    };
+
+    function indexReplaced() {
+        if (logIndex !== false) {
+            iframeDirectory = logIndexes.getIntraframeDirectory(logIndex);
+
+            // The last chunk may have grown
+            chunkCache.clear();
+            smoothedCache.clear();
+        }
+    }
+
     /**
      * Return a coarse summary of throttle position and events across the entire log.
      */
@@ -222,6 +348,18 @@ function FlightLog(logData) {
             }
         }
 
+        // Add names of GPS fields which we'll also merge into the main stream
+        gpsFieldIndexes = [];
+
+        if (parser.frameDefs.G) {
+            for (i = 0; i < parser.frameDefs.G.name.length; i++) {
+                if (parser.frameDefs.G.name[i] != "time") {
+                    gpsFieldIndexes.push(i);
+                    fieldNames.push(parser.frameDefs.G.name[i]);
+                }
+            }
+        }
+
         // Add names for our ADDITIONAL_COMPUTED_FIELDS
         fieldNames.push("heading[0]", "heading[1]", "heading[2]");
         fieldNames.push("axisSum[0]", "axisSum[1]", "axisSum[2]");
@@ -229,6 +367,20 @@ function FlightLog(logData) {
         fieldNames.push("rcCommands[0]", "rcCommands[1]", "rcCommands[2]"); // Custom calculated error field
         fieldNames.push("gyroADCs[0]", "gyroADCs[1]", "gyroADCs[2]"); // Custom calculated error field
 
+        // Then the simulated PID terms, if we have them for this log
+        simulatedPIDFieldCount = simulatedPIDs && simulatedPIDs.logIndex === logIndex ? FlightLogPIDSimulator.FIELD_NAMES.length : 0;
+
+        for (i = 0; i < simulatedPIDFieldCount; i++) {
+            fieldNames.push(FlightLogPIDSimulator.FIELD_NAMES[i]);
+        }
+
+        // And the user's expression fields, leaving out those which this log doesn't have the fields for
+        compiledExpressionFields = FlightLogExpression.compileFields(expressionFields, fieldNames);
+
+        for (i = 0; i < compiledExpressionFields.fields.length; i++) {
+            fieldNames.push(compiledExpressionFields.fields[i].name);
+        }
+
         fieldNameToIndex = {};
         for (i = 0; i < fieldNames.length; i++) {
             fieldNameToIndex[fieldNames[i]] = i;
@@ -283,6 +435,140 @@ function FlightLog(logData) {
         return numMotors;
     };
 
+    /**
+     * Parse the chunk with the given index from the log file into the frames, events and GPS frames of the given chunk
+     * object. The events in eventNeedsTimestamp (left over from the previous chunk) get their times from the first frame
+     * of this one, and any at the end of this chunk which are still waiting for their times are added to it.
+     */
+    function parseChunk(chunkIndex, chunk, eventNeedsTimestamp) {
+        var
+            chunkStartOffset, chunkEndOffset;
+
+        chunkStartOffset = iframeDirectory.offsets[chunkIndex];
+
+        if (chunkIndex + 1 < iframeDirectory.offsets.length)
+            chunkEndOffset = iframeDirectory.offsets[chunkIndex + 1];
+        else if (iframeDirectory.endOffset !== undefined) // The rest of the log hasn't been indexed yet
+            chunkEndOffset = iframeDirectory.endOffset;
+        else // We're at the end so parse till end-of-log
+            chunkEndOffset = logIndexes.getLogBeginOffset(logIndex + 1);
+
+        // We need to store this in the chunk so we can refer to it later when we inject computed fields
+        chunk.initialIMU = iframeDirectory.initialIMU[chunkIndex];
+
+        var
+            mainFrameIndex = 0,
+            slowFrameLength = parser.frameDefs.S ? parser.frameDefs.S.count : 0,
+            lastSlow = parser.frameDefs.S ? iframeDirectory.initialSlow[chunkIndex].slice(0) : [],
+            gpsFrameLength = gpsFieldIndexes.length,
+            gpsTimeFieldIndex = parser.frameDefs.G ? parser.frameDefs.G.nameToIndex["time"] : undefined,
+            lastGPS = iframeDirectory.initialGPS ? iframeDirectory.initialGPS[chunkIndex].slice(0) : [],
+            lastMainFrameTime = iframeDirectory.times[chunkIndex];
+
+        parser.onFrameReady = function(frameValid, frame, frameType, frameOffset, frameSize) {
+            var
+                destFrame;
+
+            if (frameValid) {
+                switch (frameType) {
+                    case 'P':
+                    case 'I':
+                        //The parser re-uses the "frame" array so we must copy that data somewhere else
+
+                        var
+                            numOutputFields = frame.length + slowFrameLength + gpsFrameLength + ADDITIONAL_COMPUTED_FIELD_COUNT
+                                + simulatedPIDFieldCount + compiledExpressionFields.fields.length;
+
+                        //Do we have a recycled chunk to copy on top of?
+                        if (chunk.frames[mainFrameIndex]) {
+                            destFrame = chunk.frames[mainFrameIndex];
+                            destFrame.length = numOutputFields;
+                        } else {
+                            // Otherwise allocate a new array
+                            destFrame = new Array(numOutputFields);
+                            chunk.frames.push(destFrame);
+                        }
+
+                        // Copy the main frame data in
+                        for (var i = 0; i < frame.length; i++) {
+                            destFrame[i] = frame[i];
+                        }
+
+                        // Then merge in the last seen slow-frame data
+                        for (var i = 0; i < slowFrameLength; i++) {
+                            destFrame[i + frame.length] = lastSlow[i] === undefined ? null : lastSlow[i];
+                        }
+
+                        // And the last seen GPS data after that
+                        for (var i = 0; i < gpsFrameLength; i++) {
+                            var
+                                gpsValue = lastGPS[gpsFieldIndexes[i]];
+
+                            destFrame[i + frame.length + slowFrameLength] = gpsValue === undefined ? null : gpsValue;
+                        }
+
+                        lastMainFrameTime = frame[FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME];
+
+                        for (var i = 0; i < eventNeedsTimestamp.length; i++) {
+                            eventNeedsTimestamp[i].time = frame[FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME];
+                        }
+                        eventNeedsTimestamp.length = 0;
+
+                        mainFrameIndex++;
+                    break;
+                    case 'E':
+                        if (frame.event == FlightLogEvent.LOGGING_RESUME) {
+                            chunk.gapStartsHere[mainFrameIndex - 1] = true;
+                        }
+
+                        /*
+                         * If the event was logged during a loop iteration, it will appear in the log
+                         * before that loop iteration does (since the main log stream is logged at the very
+                         * end of the loop).
+                         *
+                         * So we want to use the timestamp of that later frame as the timestamp of the loop
+                         * iteration this event was logged in.
+                         */
+                        if (!frame.time) {
+                            eventNeedsTimestamp.push(frame);
+                        }
+                        chunk.events.push(frame);
+                    break;
+                    case 'S':
+                        for (var i = 0; i < frame.length; i++) {
+                            lastSlow[i] = frame[i];
+                        }
+                    break;
+                    case 'G':
+                        for (var i = 0; i < frame.length; i++) {
+                            lastGPS[i] = frame[i];
+                        }
+
+                        // The parser re-uses the GPS frame array too, so keep our own copy for the track
+                        chunk.gpsFrames.push({
+                            time: gpsTimeFieldIndex !== undefined ? frame[gpsTimeFieldIndex] : lastMainFrameTime,
+                            frame: frame.slice(0)
+                        });
+                    break;
+                }
+            } else {
+                chunk.gapStartsHere[mainFrameIndex - 1] = true;
+            }
+        };
+
+        parser.resetDataState();
+
+        //Prime the parser with the previous state we get from the flightlog index, so it can base deltas off that data
+        if (iframeDirectory.initialGPSHome) {
+            parser.setGPSHomeHistory(iframeDirectory.initialGPSHome[chunkIndex]);
+        }
+
+        parser.parseLogData(false, chunkStartOffset, chunkEndOffset);
+
+        //Truncate the array to fit just in case it was recycled and the new one is shorter
+        chunk.frames.length = mainFrameIndex;
+    }
+
     /**
      * Get the raw chunks in the range [startIndex...endIndex] (inclusive)
      *
@@ -312,7 +598,6 @@ function FlightLog(logData) {
 
         for (var chunkIndex = startIndex; chunkIndex <= endIndex; chunkIndex++) {
             var
-                chunkStartOffset, chunkEndOffset,
                 chunk = chunkCache.get(chunkIndex);
 
             // Did we cache this chunk already?
@@ -326,13 +611,6 @@ function FlightLog(logData) {
                 eventNeedsTimestamp.length = 0;
             } else {
                 // Parse the log file to create this chunk since it wasn't cached
-                chunkStartOffset = iframeDirectory.offsets[chunkIndex];
-
-                if (chunkIndex + 1 < iframeDirectory.offsets.length)
-                    chunkEndOffset = iframeDirectory.offsets[chunkIndex + 1];
-                else // We're at the end so parse till end-of-log
-                    chunkEndOffset = logIndexes.getLogBeginOffset(logIndex + 1);
-
                 chunk = chunkCache.recycle();
 
                 // Were we able to reuse memory from an expired chunk?
@@ -344,6 +622,7 @@ function FlightLog(logData) {
                      */
                     chunk.gapStartsHere = {};
                     chunk.events = [];
+                    chunk.gpsFrames = [];
                     delete chunk.hasAdditionalFields;
                     delete chunk.needsEventTimes;
 
@@ -353,98 +632,12 @@ function FlightLog(logData) {
                         index: chunkIndex,
                         frames: [],
                         gapStartsHere: {},
-                        events: []
+                        events: [],
+                        gpsFrames: []
                     };
                 }
 
-                // We need to store this in the chunk so we can refer to it later when we inject computed fields
-                chunk.initialIMU = iframeDirectory.initialIMU[chunkIndex];
-
-                var
-                    mainFrameIndex = 0,
-                    slowFrameLength = parser.frameDefs.S ? parser.frameDefs.S.count : 0,
-                    lastSlow = parser.frameDefs.S ? iframeDirectory.initialSlow[chunkIndex].slice(0) : [];
-
-                parser.onFrameReady = function(frameValid, frame, frameType, frameOffset, frameSize) {
-                    var
-                        destFrame;
-
-                    if (frameValid) {
-                        switch (frameType) {
-                            case 'P':
-                            case 'I':
-                                //The parser re-uses the "frame" array so we must copy that data somewhere else
-
-                                var
-                                    numOutputFields = frame.length + slowFrameLength + ADDITIONAL_COMPUTED_FIELD_COUNT;
-
-                                //Do we have a recycled chunk to copy on top of?
-                                if (chunk.frames[mainFrameIndex]) {
-                                    destFrame = chunk.frames[mainFrameIndex];
-                                    destFrame.length = numOutputFields;
-                                } else {
-                                    // Otherwise allocate a new array
-                                    destFrame = new Array(numOutputFields);
-                                    chunk.frames.push(destFrame);
-                                }
-
-                                // Copy the main frame data in
-                                for (var i = 0; i < frame.length; i++) {
-                                    destFrame[i] = frame[i];
-                                }
-
-                                // Then merge in the last seen slow-frame data
-                                for (var i = 0; i < slowFrameLength; i++) {
-                                    destFrame[i + frame.length] = lastSlow[i] === undefined ? null : lastSlow[i];
-                                }
-
-                                for (var i = 0; i < eventNeedsTimestamp.length; i++) {
-                                    eventNeedsTimestamp[i].time = frame[FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME];
-                                }
-                                eventNeedsTimestamp.length = 0;
-
-                                mainFrameIndex++;
-                            break;
-                            case 'E':
-                                if (frame.event == FlightLogEvent.LOGGING_RESUME) {
-                                    chunk.gapStartsHere[mainFrameIndex - 1] = true;
-                                }
-
-                                /*
-                                 * If the event was logged during a loop iteration, it will appear in the log
-                                 * before that loop iteration does (since the main log stream is logged at the very
-                                 * end of the loop).
-                                 *
-                                 * So we want to use the timestamp of that later frame as the timestamp of the loop
-                                 * iteration this event was logged in.
-                                 */
-                                if (!frame.time) {
-                                    eventNeedsTimestamp.push(frame);
-                                }
-                                chunk.events.push(frame);
-                            break;
-                            case 'S':
-                                for (var i = 0; i < frame.length; i++) {
-                                    lastSlow[i] = frame[i];
-                                }
-                            break;
-                        }
-                    } else {
-                        chunk.gapStartsHere[mainFrameIndex - 1] = true;
-                    }
-                };
-
-                parser.resetDataState();
-
-                //Prime the parser with the previous state we get from the flightlog index, so it can base deltas off that data
-                if (iframeDirectory.initialGPSHome) {
-                    parser.setGPSHomeHistory(iframeDirectory.initialGPSHome[chunkIndex]);
-                }
-
-                parser.parseLogData(false, chunkStartOffset, chunkEndOffset);
-
-                //Truncate the array to fit just in case it was recycled and the new one is shorter
-                chunk.frames.length = mainFrameIndex;
+                parseChunk(chunkIndex, chunk, eventNeedsTimestamp);
 
                 chunkCache.add(chunkIndex, chunk);
             }
@@ -477,6 +670,176 @@ function FlightLog(logData) {
         return getChunksInIndexRange(startIndex, endIndex);
     };
 
+    /**
+     * Call onChunk with each of the raw chunks which span times from the given start to end time, in order.
+     *
+     * Unlike getChunksInTimeRange, chunks are fetched one at a time so that walking a long span of the log (e.g. to
+     * export it) doesn't grow the chunk cache to hold the whole span at once. Don't hang on to the chunks, since their
+     * memory will be reused.
+     */
+    this.forEachChunkInTimeRange = function(startTime, endTime, onChunk) {
+        var
+            startIndex = binarySearchOrPrevious(iframeDirectory.times, startTime),
+            endIndex = binarySearchOrPrevious(iframeDirectory.times, endTime);
+
+        for (var chunkIndex = startIndex; chunkIndex <= endIndex; chunkIndex++) {
+            var
+                chunks = getChunksInIndexRange(chunkIndex, chunkIndex);
+
+            if (chunks.length > 0) {
+                onChunk(chunks[0]);
+            }
+        }
+    };
+
+    /**
+     * Get the indexes of the chunks spanning the given time range which haven't been parsed yet. The last chunk is left
+     * out while the rest of the log is still being indexed, since it will grow.
+     */
+    this.getUncachedChunkIndexes = function(startTime, endTime) {
+        var
+            startIndex = binarySearchOrPrevious(iframeDirectory.times, startTime),
+            endIndex = binarySearchOrPrevious(iframeDirectory.times, endTime),
+            result = [];
+
+        if (iframeDirectory.endOffset !== undefined) {
+            endIndex = Math.min(endIndex, iframeDirectory.offsets.length - 2);
+        }
+
+        for (var chunkIndex = startIndex; chunkIndex <= endIndex; chunkIndex++) {
+            if (!chunkCache.get(chunkIndex)) {
+                result.push(chunkIndex);
+            }
+        }
+
+        return result;
+    };
+
+    /**
+     * Parse the chunk with the given index of the open log on its own, without its computed fields or caching it. This
+     * is how a FlightLogDecoder worker decodes chunks for addDecodedChunk(). Like any chunk parsed on its own, the events
+     * at its end don't have times yet (see addMissingEventTimes()).
+     */
+    this.decodeChunk = function(chunkIndex) {
+        var
+            chunk = {
+                index: chunkIndex,
+                frames: [],
+                gapStartsHere: {},
+                events: [],
+                gpsFrames: []
+            },
+            eventNeedsTimestamp = [];
+
+        parseChunk(chunkIndex, chunk, eventNeedsTimestamp);
+
+        if (eventNeedsTimestamp.length > 0) {
+            chunk.needsEventTimes = true;
+        }
+
+        return chunk;
+    };
+
+    /**
+     * Cache a chunk of the log with the given index that decodeChunk() parsed elsewhere, so that it doesn't have to be
+     * parsed here. It's dropped if that log isn't open any more or we've parsed the chunk ourselves in the meantime.
+     */
+    this.addDecodedChunk = function(chunkLogIndex, chunk) {
+        if (chunkLogIndex !== logIndex || chunk.index >= iframeDirectory.offsets.length || chunkCache.get(chunk.index)) {
+            return;
+        }
+
+        // Make room for the computed fields, since those depend on settings that only we have (like expression fields)
+        for (var i = 0; i < chunk.frames.length; i++) {
+            chunk.frames[i].length = fieldNames.length;
+        }
+
+        chunkCache.add(chunk.index, chunk);
+    };
+
+    /**
+     * Get the GPS samples logged between the given start and end times (inclusive), in time order.
+     *
+     * Each sample is an object with these fields:
+     *     time      - Blackbox time of the sample in microseconds
+     *     numSat    - Number of satellites in view
+     *     lat, lon  - Position in degrees
+     *     altitude  - Altitude in metres
+     *     speed     - Ground speed in metres per second
+     *     course    - Ground course in degrees
+     *
+     * Fields which weren't logged are null. Returns an empty array if the log has no GPS data.
+     */
+    this.getGPSTrack = function(startTime, endTime) {
+        var
+            gpsFrameDef = parser.frameDefs.G,
+            result = [];
+
+        if (!gpsFrameDef) {
+            return result;
+        }
+
+        var
+            fieldValue = function(frame, name, scale) {
+                var
+                    fieldIndex = gpsFrameDef.nameToIndex[name];
+
+                return fieldIndex === undefined ? null : frame[fieldIndex] / scale;
+            };
+
+        this.forEachChunkInTimeRange(startTime, endTime, function(chunk) {
+            for (var j = 0; j < chunk.gpsFrames.length; j++) {
+                var
+                    gpsFrame = chunk.gpsFrames[j];
+
+                if (gpsFrame.time >= startTime && gpsFrame.time <= endTime) {
+                    result.push({
+                        time: gpsFrame.time,
+                        numSat: fieldValue(gpsFrame.frame, "GPS_numSat", 1),
+                        lat: fieldValue(gpsFrame.frame, "GPS_coord[0]", 10000000),
+                        lon: fieldValue(gpsFrame.frame, "GPS_coord[1]", 10000000),
+                        altitude: fieldValue(gpsFrame.frame, "GPS_altitude", 1),
+                        speed: fieldValue(gpsFrame.frame, "GPS_speed", 100),
+                        course: fieldValue(gpsFrame.frame, "GPS_ground_course", 10)
+                    });
+                }
+            }
+        });
+
+        return result;
+    };
+
+    /**
+     * Get the GPS home position for the current log as {lat, lon} in degrees, or false if it wasn't logged.
+     */
+    this.getGPSHome = function() {
+        var
+            gpsHomeFrameDef = parser.frameDefs.H,
+            homes = iframeDirectory.initialGPSHome,
+            home;
+
+        if (!gpsHomeFrameDef || !homes) {
+            return false;
+        }
+
+        // Use the most recent home position the log recorded
+        for (var i = homes.length - 1; i >= 0; i--) {
+            if (homes[i].length == gpsHomeFrameDef.count) {
+                home = homes[i];
+                break;
+            }
+        }
+
+        if (!home) {
+            return false;
+        }
+
+        return {
+            lat: home[gpsHomeFrameDef.nameToIndex["GPS_home[0]"]] / 10000000,
+            lon: home[gpsHomeFrameDef.nameToIndex["GPS_home[1]"]] / 10000000
+        };
+    };
+
     /*
      * Smoothing is map from field index to smoothing radius, where radius is in us. You only need to specify fields
      * which need to be smoothed.
@@ -509,6 +872,9 @@ function FlightLog(logData) {
 
             flightModeFlagsIndex = fieldNameToIndex["flightModeFlags"], // This points to the flightmode data
 
+            expressions = compiledExpressionFields.fields,
+            firstExpressionFieldIndex = fieldNames.length - expressions.length,
+
             sourceChunkIndex, destChunkIndex,
 
             sysConfig,
@@ -546,13 +912,14 @@ function FlightLog(logData) {
                 destChunk.hasAdditionalFields = true;
 
                 var
-                    chunkIMU = new IMU(sourceChunks[sourceChunkIndex].initialIMU);
+                    chunkIMU = new IMU(sourceChunks[sourceChunkIndex].initialIMU),
+                    simulatedTerms = simulatedPIDFieldCount > 0 ? simulatedPIDs.chunks[sourceChunk.index] : null;
 
                 for (var i = 0; i < sourceChunk.frames.length; i++) {
                     var
                         srcFrame = sourceChunk.frames[i],
                         destFrame = destChunk.frames[i],
-                        fieldIndex = destFrame.length - ADDITIONAL_COMPUTED_FIELD_COUNT;
+                        fieldIndex = destFrame.length - ADDITIONAL_COMPUTED_FIELD_COUNT - simulatedPIDFieldCount - expressions.length;
 
                     attitude = chunkIMU.updateEstimatedAttitude(
                         [srcFrame[gyroADC[0]], srcFrame[gyroADC[1]], srcFrame[gyroADC[2]]],
@@ -595,6 +962,22 @@ function FlightLog(logData) {
                             (gyroADC[axis] !== undefined ? that.gyroRawToDegreesPerSecond(srcFrame[gyroADC[axis]]) : 0);
                         }
 
+                    // Copy in the simulated PID terms
+                    for (var j = 0; j < simulatedPIDFieldCount; j++) {
+                        destFrame[fieldIndex++] = simulatedTerms ? simulatedTerms[i * simulatedPIDFieldCount + j] : null;
+                    }
+
+                }
+
+                /*
+                 * The expression fields come last since they can use any of the fields above. Each one is computed for
+                 * the whole chunk before the next, since expressions can look at neighbouring frames and use the
+                 * expression fields before them.
+                 */
+                for (var j = 0; j < expressions.length; j++) {
+                    for (var i = 0; i < destChunk.frames.length; i++) {
+                        destChunk.frames[i][firstExpressionFieldIndex + j] = expressions[j].evaluate(destChunk, i);
+                    }
                 }
             }
         }
@@ -908,6 +1291,61 @@ function FlightLog(logData) {
         return resultChunks;
     };
 
+    /**
+     * Set the user's expression fields, an array of {name, expression} (see FlightLogExpression). They're added to the
+     * end of the main fields of each log that's opened. Expression fields which can't be computed for the open log
+     * are left out, see getExpressionFieldErrors().
+     */
+    this.setExpressionFields = function(newExpressionFields) {
+        expressionFields = newExpressionFields;
+
+        if (logIndex !== false) {
+            chunkCache.clear();
+            smoothedCache.clear();
+
+            buildFieldNames();
+        }
+    };
+
+    /**
+     * Get the expression fields which couldn't be added to the open log, as an array of {name, error}.
+     */
+    this.getExpressionFieldErrors = function() {
+        return compiledExpressionFields.errors;
+    };
+
+    /**
+     * Check whether the given expression fields could be added to the open log, without changing the fields it has.
+     * Returns an array of {name, error} for the fields which couldn't be.
+     */
+    this.checkExpressionFields = function(newExpressionFields) {
+        return FlightLogExpression.compileFields(newExpressionFields,
+            fieldNames.slice(0, fieldNames.length - compiledExpressionFields.fields.length)).errors;
+    };
+
+    /**
+     * Add the PID terms from a FlightLogPIDSimulator run on this log as the fields named in
+     * FlightLogPIDSimulator.FIELD_NAMES, or pass null to remove them. They're only added while the log that was
+     * simulated is open.
+     */
+    this.setSimulatedPIDs = function(newSimulatedPIDs) {
+        simulatedPIDs = newSimulatedPIDs;
+
+        if (logIndex !== false) {
+            chunkCache.clear();
+            smoothedCache.clear();
+
+            buildFieldNames();
+        }
+    };
+
+    /**
+     * Get the simulation that was last given to setSimulatedPIDs(), or null if there isn't one.
+     */
+    this.getSimulatedPIDs = function() {
+        return simulatedPIDs;
+    };
+
     /**
      * Attempt to open the log with the given index, returning true on success.
      */
@@ -925,18 +1363,6 @@ function FlightLog(logData) {
 
         parser.parseHeader(logIndexes.getLogBeginOffset(index), logIndexes.getLogBeginOffset(index + 1));
 
-        // Hide the header button if we are not using betaflight
-        switch (this.getSysConfig().firmwareType) {
-            case FIRMWARE_TYPE_BETAFLIGHT:
-            case FIRMWARE_TYPE_INAV:
-                $(".open-header-dialog").show()
-                break;
-
-            default:
-                $(".open-header-dialog").hide()
-                break;
-        }
-
         buildFieldNames();
 
         estimateNumMotors();
@@ -1126,6 +1552,27 @@ FlightLog.prototype.amperageADCToMillivolts = function(amperageADC) {
     return millivolts * 10000 / this.getSysConfig().currentMeterScale;
 };
 
+/**
+ * Newer firmware logs vbatLatest in units of 0.1V and amperageLatest in units of 0.01A, rather than as ADC readings.
+ */
+FlightLog.prototype.hasScaledBatteryFields = function() {
+    return (this.getSysConfig().firmwareType == FIRMWARE_TYPE_BETAFLIGHT  && semver.gte(this.getSysConfig().firmwareVersion, '3.1.0')) ||
+           (this.getSysConfig().firmwareType == FIRMWARE_TYPE_CLEANFLIGHT && semver.gte(this.getSysConfig().firmwareVersion, '2.0.0'));
+};
+
+/**
+ * Convert a logged vbatLatest value to millivolts, however the firmware logged it.
+ */
+FlightLog.prototype.vbatToMillivolts = function(vbat) {
+    return this.hasScaledBatteryFields() ? vbat * 100 : this.vbatADCToMillivolts(vbat);
+};
+
+/**
+ * Convert a logged amperageLatest value to milliamps, however the firmware logged it.
+ */
+FlightLog.prototype.amperageToMilliamps = function(amperage) {
+    return this.hasScaledBatteryFields() ? amperage * 10 : this.amperageADCToMillivolts(amperage);
+};
 
 FlightLog.prototype.getFlightMode = function(currentFlightMode) {
         return {
@@ -0,0 +1,284 @@
+"use strict";
+
+/**
+ * Turns a log's header settings (a sysConfig from FlightLogParser) back into the commands for the flight controller's
+ * CLI, so a tune which was logged or edited in the header dialog can be pasted straight into the configurator.
+ */
+function FlightLogCLI() {
+}
+
+(function() {
+    /*
+     * The CLI setting for each sysConfig value, the reverse of the header names in FlightLogParser's parseHeaderLine().
+     *
+     *     name     - The CLI setting
+     *     key      - The sysConfig value
+     *     index    - For sysConfig values which are lists, the item to use
+     *     list     - For values which are an index into one of the lists of names in flightlog_fielddefs.js, that list
+     *     scale    - What to multiply the sysConfig value by to get the CLI value
+     *     min, max - The first Betaflight version which has the setting, and the first one which doesn't. Firmware other
+     *                than Betaflight is only given the settings which don't have a min
+     */
+    var SETTINGS = [
+        {name: 'p_roll',                    key: 'rollPID', index: 0},
+        {name: 'i_roll',                    key: 'rollPID', index: 1},
+        {name: 'd_roll',                    key: 'rollPID', index: 2},
+        {name: 'p_pitch',                   key: 'pitchPID', index: 0},
+        {name: 'i_pitch',                   key: 'pitchPID', index: 1},
+        {name: 'd_pitch',                   key: 'pitchPID', index: 2},
+        {name: 'p_yaw',                     key: 'yawPID', index: 0},
+        {name: 'i_yaw',                     key: 'yawPID', index: 1},
+        {name: 'd_yaw',                     key: 'yawPID', index: 2},
+        {name: 'p_level',                   key: 'levelPID', index: 0},
+        {name: 'i_level',                   key: 'levelPID', index: 1},
+        {name: 'd_level',                   key: 'levelPID', index: 2},
+
+        {name: 'rc_rate',                   key: 'rcRate'},
+        {name: 'rc_expo',                   key: 'rcExpo'},
+        {name: 'rc_rate_yaw',               key: 'rcYawRate'},
+        {name: 'rc_yaw_expo',               key: 'rcYawExpo', max: '3.2.0'},
+        {name: 'rc_expo_yaw',               key: 'rcYawExpo', min: '3.2.0'},
+        {name: 'roll_srate',                key: 'rates', index: 0},
+        {name: 'pitch_srate',               key: 'rates', index: 1},
+        {name: 'yaw_srate',                 key: 'rates', index: 2},
+        {name: 'thr_mid',                   key: 'thrMid'},
+        {name: 'thr_expo',                  key: 'thrExpo'},
+        {name: 'tpa_rate',                  key: 'dynThrPID'},
+        {name: 'tpa_breakpoint',            key: 'tpa_breakpoint'},
+        {name: 'deadband',                  key: 'deadband'},
+        {name: 'yaw_deadband',              key: 'yaw_deadband'},
+        {name: 'rc_interpolation',          key: 'rc_interpolation', list: RC_INTERPOLATION},
+        {name: 'rc_interp_int',             key: 'rc_interpolation_interval'},
+
+        {name: 'setpoint_relax_ratio',      key: 'setpointRelaxRatio'},
+        {name: 'dterm_setpoint_weight',     key: 'dtermSetpointWeight'},
+        {name: 'rate_accel_limit',          key: 'rateAccelLimit', min: '3.1.0', max: '3.2.0'},
+        {name: 'yaw_accel_limit',           key: 'yawRateAccelLimit', min: '3.1.0', max: '3.2.0'},
+        {name: 'acc_limit',                 key: 'rateAccelLimit', min: '3.2.0'},
+        {name: 'acc_limit_yaw',             key: 'yawRateAccelLimit', min: '3.2.0'},
+        {name: 'iterm_windup',              key: 'itermWindupPointPercent', min: '3.1.0'},
+        {name: 'anti_gravity_gain',         key: 'anti_gravity_gain', min: '3.1.0'},
+        {name: 'anti_gravity_threshold',    key: 'anti_gravity_threshold', min: '3.1.0'},
+        {name: 'vbat_pid_compensation',     key: 'vbat_pid_compensation', list: OFF_ON, max: '3.2.0'},
+        {name: 'vbat_pid_gain',             key: 'vbat_pid_compensation', list: OFF_ON, min: '3.2.0'},
+        {name: 'pid_at_min_throttle',       key: 'pidAtMinThrottle', list: OFF_ON},
+        {name: 'yaw_p_limit',               key: 'yaw_p_limit'},
+
+        {name: 'gyro_lpf',                  key: 'gyro_lpf', list: GYRO_LPF},
+        {name: 'gyro_soft_type',            key: 'gyro_soft_type', list: FILTER_TYPE, max: '3.1.0'},
+        {name: 'gyro_lowpass_type',         key: 'gyro_soft_type', list: FILTER_TYPE, min: '3.1.0'},
+        {name: 'gyro_lowpass_hz',           key: 'gyro_lowpass_hz'},
+        {name: 'gyro_notch_hz',             key: 'gyro_notch_hz', max: '3.1.0'},
+        {name: 'gyro_notch_cutoff',         key: 'gyro_notch_cutoff', max: '3.1.0'},
+        {name: 'gyro_notch1_hz',            key: 'gyro_notch_hz', index: 0, min: '3.1.0'},
+        {name: 'gyro_notch1_cutoff',        key: 'gyro_notch_cutoff', index: 0, min: '3.1.0'},
+        {name: 'gyro_notch2_hz',            key: 'gyro_notch_hz', index: 1, min: '3.1.0'},
+        {name: 'gyro_notch2_cutoff',        key: 'gyro_notch_cutoff', index: 1, min: '3.1.0'},
+        {name: 'dterm_filter_type',         key: 'dterm_filter_type', list: FILTER_TYPE, max: '3.1.0'},
+        {name: 'dterm_lowpass_type',        key: 'dterm_filter_type', list: FILTER_TYPE, min: '3.1.0'},
+        {name: 'dterm_lowpass_hz',          key: 'dterm_lpf_hz'},
+        {name: 'dterm_notch_hz',            key: 'dterm_notch_hz'},
+        {name: 'dterm_notch_cutoff',        key: 'dterm_notch_cutoff'},
+        {name: 'yaw_lowpass_hz',            key: 'yaw_lpf_hz'},
+
+        {name: 'gyro_sync_denom',           key: 'gyro_sync_denom'},
+        {name: 'pid_process_denom',         key: 'pid_process_denom'},
+        {name: 'gyro_cal_on_first_arm',     key: 'gyro_cal_on_first_arm', list: OFF_ON},
+        {name: 'debug_mode',                key: 'debug_mode', list: DEBUG_MODE},
+        {name: 'serialrx_provider',         key: 'serialrx_provider', list: SERIALRX_PROVIDER},
+
+        {name: 'min_throttle',              key: 'minthrottle'},
+        {name: 'max_throttle',              key: 'maxthrottle'},
+        {name: 'motor_pwm_protocol',        key: 'fast_pwm_protocol', list: FAST_PROTOCOL},
+        {name: 'motor_pwm_rate',            key: 'motor_pwm_rate'},
+        {name: 'use_unsynced_pwm',          key: 'unsynced_fast_pwm', list: OFF_ON},
+        {name: 'digital_idle_percent',      key: 'digitalIdleOffset', scale: 0.01, min: '3.1.0', max: '3.2.0'},
+        {name: 'dshot_idle_value',          key: 'digitalIdleOffset', min: '3.2.0'},
+        {name: 'airmode_start_throttle',    key: 'airmode_activate_throttle'},
+
+        {name: 'vbat_scale',                key: 'vbatscale'},
+        {name: 'vbat_min_cell_voltage',     key: 'vbatmincellvoltage'},
+        {name: 'vbat_warning_cell_voltage', key: 'vbatwarningcellvoltage'},
+        {name: 'vbat_max_cell_voltage',     key: 'vbatmaxcellvoltage'}
+    ];
+
+    /**
+     * Get the version of Betaflight that the CLI setting names should be chosen for.
+     */
+    function getVersion(sysConfig) {
+        if (sysConfig.firmwareType == FIRMWARE_TYPE_BETAFLIGHT && sysConfig.firmwareVersion) {
+            return sysConfig.firmwareVersion;
+        }
+
+        return '0.0.0';
+    }
+
+    function isSettingAvailable(setting, version) {
+        return (setting.min === undefined || semver.gte(version, setting.min))
+            && (setting.max === undefined || !semver.gte(version, setting.max));
+    }
+
+    function formatValue(setting, value) {
+        if (setting.list) {
+            return setting.list[value];
+        }
+
+        if (setting.scale) {
+            value = value * setting.scale;
+        }
+
+        // Drop the rounding noise from values which came through the dialog's decimal fields
+        return String(Math.round(value * 1000) / 1000);
+    }
+
+    function getValue(setting, sysConfig) {
+        var
+            value = sysConfig[setting.key];
+
+        if (Array.isArray(value)) {
+            value = value[setting.index || 0];
+        } else if (setting.index > 0) {
+            // Older firmware logs a single value for settings which later became lists
+            return null;
+        }
+
+        if (value === null || value === undefined || typeof value == "number" && isNaN(value)) {
+            return null;
+        }
+
+        return value;
+    }
+
+    /**
+     * Get the features the firmware of the log supports, as an array of {bit, group, name, description, mode} where
+     * bit is the feature's bit in sysConfig.features, and mode is 'group' for the features of which only one in the group
+     * can be chosen.
+     */
+    FlightLogCLI.getFeatures = function(sysConfig) {
+        var features = [
+            {bit: 0, group: 'rxMode', mode: 'group', name: 'RX_PPM', description: 'PPM Receiver Selected'},
+            {bit: 1, group: 'battery', name: 'VBAT', description: 'Battery Monitoring'},
+            {bit: 2, group: 'other', name: 'INFLIGHT_ACC_CAL', description: 'In-flight level calibration'},
+            {bit: 3, group: 'rxMode', mode: 'group', name: 'RX_SERIAL', description: 'Serial Receiver Selected'},
+            {bit: 4, group: 'other', name: 'MOTOR_STOP', description: 'Motor Stop on low throttle'},
+            {bit: 5, group: 'other', name: 'SERVO_TILT', description: 'Servo gimbal'},
+            {bit: 6, group: 'other', name: 'SOFTSERIAL', description: 'Enable CPU based serial port'},
+            {bit: 7, group: 'other', name: 'GPS', description: 'GPS device connected'},
+            {bit: 8, group: 'other', name: 'FAILSAFE', description: 'Failsafe mode enabled'},
+            {bit: 9, group: 'other', name: 'SONAR', description: 'Sonar'},
+            {bit: 10, group: 'other', name: 'TELEMETRY', description: 'Telemetry Output'},
+            {bit: 11, group: 'battery', name: 'CURRENT_METER', description: 'Battery current monitoring'},
+            {bit: 12, group: 'other', name: '3D', description: '3D mode (for use with reversible ESCs)'},
+            {bit: 13, group: 'rxMode', mode: 'group', name: 'RX_PARALLEL_PWM', description: 'PWM receiver selected'},
+            {bit: 14, group: 'rxMode', mode: 'group', name: 'RX_MSP', description: 'Controller over MSP'},
+            {bit: 15, group: 'other', name: 'RSSI_ADC', description: 'ADC RSSI Monitoring'},
+            {bit: 16, group: 'other', name: 'LED_STRIP', description: 'Addressible RGB LED strip support'},
+            {bit: 17, group: 'other', name: 'DISPLAY', description: 'OLED Screen Display'},
+            {bit: 19, group: 'other', name: 'BLACKBOX', description: 'Blackbox flight data recorder'},
+            {bit: 20, group: 'other', name: 'CHANNEL_FORWARDING', description: 'Forward aux channels to servo outputs'},
+            {bit: 21, group: 'other', name: 'TRANSPONDER', description: 'Transponder enabled'}
+        ];
+
+        // Add specific features for betaflight v2.8 onwards....
+        if (semver.gte(sysConfig.firmwareVersion, "2.8.0")) {
+            features.push(
+                {bit: 22, group: 'other', name: 'AIRMODE', description: 'Airmode always enabled, set off to use modes'}
+            );
+        }
+
+        if (semver.gte(sysConfig.firmwareVersion, "2.8.0") && !semver.gte(sysConfig.firmwareVersion, "3.0.0")) {
+            features.push(
+                {bit: 23, group: 'other', name: 'SUPEREXPO_RATES', description: 'Super Expo Mode'}
+            );
+        }
+
+        if (semver.gte(sysConfig.firmwareVersion, "2.8.0") && !semver.gte(sysConfig.firmwareVersion, "3.0.0")) {
+            features.push(
+                {bit: 18, group: 'other', name: 'ONESHOT125', description: 'Oneshot 125 Enabled'}
+            );
+        }
+
+        if (semver.gte(sysConfig.firmwareVersion, "3.0.0")) {
+            features.push(
+                {bit: 18, group: 'other', name: 'OSD', description: 'On Screen Display'}
+            );
+        }
+
+        if (semver.gte(sysConfig.firmwareVersion, "3.1.0")) {
+            features.push(
+                {bit: 27, group: 'other', name: 'ESC_SENSOR', description: 'Use KISS ESC 24A telemetry as sensor'}
+            );
+        }
+
+        return features;
+    };
+
+    /**
+     * Get the CLI commands which would set up the flight controller with the settings in the given sysConfig, as an array
+     * of strings like "set p_roll = 45" and "feature -MOTOR_STOP". Settings missing from the log are left out.
+     *
+     * If baseSysConfig is given, only the commands which would change the settings from the ones in baseSysConfig are
+     * returned.
+     */
+    FlightLogCLI.getCommands = function(sysConfig, baseSysConfig) {
+        var
+            version = getVersion(sysConfig),
+            commands = [],
+            baseCommands = {},
+            i;
+
+        for (i = 0; i < SETTINGS.length; i++) {
+            var
+                setting = SETTINGS[i],
+                value = getValue(setting, sysConfig);
+
+            if (value !== null && isSettingAvailable(setting, version)) {
+                commands.push("set " + setting.name + " = " + formatValue(setting, value));
+            }
+        }
+
+        if (sysConfig.features !== null && sysConfig.features !== undefined && sysConfig.firmwareVersion) {
+            var
+                features = FlightLogCLI.getFeatures(sysConfig);
+
+            for (i = 0; i < features.length; i++) {
+                commands.push("feature " + ((sysConfig.features & 1 << features[i].bit) ? "" : "-") + features[i].name);
+            }
+        }
+
+        if (baseSysConfig) {
+            var
+                unchanged = FlightLogCLI.getCommands(baseSysConfig);
+
+            for (i = 0; i < unchanged.length; i++) {
+                baseCommands[unchanged[i]] = true;
+            }
+
+            commands = commands.filter(function(command) {
+                return !baseCommands[command];
+            });
+        }
+
+        return commands;
+    };
+
+    /**
+     * Get the text to paste into the CLI for the settings in the given sysConfig (see getCommands()), with a comment
+     * saying where they came from and a save at the end.
+     */
+    FlightLogCLI.generate = function(sysConfig, baseSysConfig) {
+        var
+            commands = FlightLogCLI.getCommands(sysConfig, baseSysConfig),
+            lines = ["# " + (sysConfig['Firmware revision'] || "Unknown firmware") + (baseSysConfig ? ", changed settings" : "")];
+
+        if (sysConfig.firmwareType != FIRMWARE_TYPE_BETAFLIGHT) {
+            lines.push("# These are Betaflight's setting names, check them against your firmware's before saving");
+        }
+
+        if (sysConfig['Craft name']) {
+            lines.push("# Craft: " + sysConfig['Craft name']);
+        }
+
+        return lines.concat(commands, ["save"]).join("\n") + "\n";
+    };
+})();
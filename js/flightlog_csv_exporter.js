@@ -0,0 +1,226 @@
+"use strict";
+
+/**
+ * Writes the frames and events of the currently opened log of a FlightLog out as CSV.
+ *
+ * Every field the FlightLog presents is included: main fields, merged slow and GPS fields and the computed fields.
+ *
+ * options - Object with these (optional) fields:
+ *     startTime - Blackbox time to begin the export at, defaults to the start of the log
+ *     endTime   - Blackbox time to end the export at (inclusive), defaults to the end of the log (its last frame, which
+ *                 can be after getMaxTime(), the time of the last I frame)
+ *     friendly  - Set to true to write values decoded to human readable units by FlightLogFieldPresenter (where it
+ *                 knows how to decode them) and use friendly field names in the header, instead of raw logged values
+ */
+function FlightLogCSVExporter(flightLog, options) {
+    var
+        // Flush output to the caller in blocks of this many rows
+        ROWS_PER_WRITE = 1000,
+
+        startTime, endTime,
+        friendly;
+
+    /**
+     * Quote a value for CSV if it contains anything that would otherwise break up the column.
+     */
+    function csvEscape(value) {
+        if (value === null || value === undefined) {
+            return "";
+        }
+
+        value = String(value);
+
+        if (value.match(/[",\r\n]/)) {
+            return '"' + value.replace(/"/g, '""') + '"';
+        }
+
+        return value;
+    }
+
+    function csvRow(values) {
+        return values.map(csvEscape).join(",") + "\n";
+    }
+
+    function buildEventNames() {
+        var
+            names = {};
+
+        for (var name in FlightLogEvent) {
+            names[FlightLogEvent[name]] = name;
+        }
+
+        return names;
+    }
+
+    function presentEventData(data) {
+        var
+            parts = [];
+
+        for (var key in data) {
+            parts.push(key + "=" + (typeof data[key] === "object" ? JSON.stringify(data[key]) : data[key]));
+        }
+
+        return parts.join(" ");
+    }
+
+    /**
+     * Call write() with successive pieces of the CSV text for the log frames, beginning with a header row.
+     */
+    this.dumpFrames = function(write) {
+        var
+            fieldNames = flightLog.getMainFieldNames(),
+            debugMode = flightLog.getSysConfig().debug_mode,
+            flightModeFlagsIndex = flightLog.getMainFieldIndexByName("flightModeFlags"),
+            timeFieldIndex = FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME,
+            rows = [];
+
+        write(csvRow(fieldNames.map(function(fieldName) {
+            return friendly ? (FlightLogFieldPresenter.fieldNameToFriendly(fieldName, debugMode) || fieldName) : fieldName;
+        })));
+
+        flightLog.forEachChunkInTimeRange(startTime, endTime, function(chunk) {
+            for (var i = 0; i < chunk.frames.length; i++) {
+                var
+                    frame = chunk.frames[i],
+                    frameTime = frame[timeFieldIndex],
+                    values;
+
+                if (frameTime < startTime || frameTime > endTime) {
+                    continue;
+                }
+
+                if (friendly) {
+                    values = new Array(fieldNames.length);
+
+                    for (var j = 0; j < fieldNames.length; j++) {
+                        var
+                            decoded = frame[j] === null ? "" : FlightLogFieldPresenter.decodeFieldToFriendly(flightLog, fieldNames[j], frame[j],
+                                flightModeFlagsIndex !== undefined ? frame[flightModeFlagsIndex] : null);
+
+                        values[j] = decoded === "" ? frame[j] : decoded;
+                    }
+                } else {
+                    values = frame.slice(0, fieldNames.length);
+                }
+
+                rows.push(csvRow(values));
+
+                if (rows.length >= ROWS_PER_WRITE) {
+                    write(rows.join(""));
+                    rows.length = 0;
+                }
+            }
+        });
+
+        if (rows.length > 0) {
+            write(rows.join(""));
+        }
+    };
+
+    /**
+     * Call write() with successive pieces of the CSV text for the log's events, beginning with a header row.
+     */
+    this.dumpEvents = function(write) {
+        var
+            eventNames = buildEventNames(),
+            timeFieldIndex = FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME,
+
+            // Events at the end of a chunk get their time from the first frame of the next chunk
+            eventsNeedingTime = [],
+            events = [],
+
+            lastFrameTime = startTime;
+
+        function writeEvents() {
+            for (var i = 0; i < events.length; i++) {
+                var
+                    event = events[i];
+
+                if (event.time >= startTime && event.time <= endTime) {
+                    write(csvRow([
+                        friendly ? FlightLogFieldPresenter.decodeFieldToFriendly(flightLog, "time", event.time) : event.time,
+                        eventNames[event.event] || event.event,
+                        presentEventData(event.data)
+                    ]));
+                }
+            }
+
+            events.length = 0;
+        }
+
+        write(csvRow(["time", "event", "data"]));
+
+        flightLog.forEachChunkInTimeRange(startTime, endTime, function(chunk) {
+            var
+                i;
+
+            if (chunk.frames.length > 0) {
+                for (i = 0; i < eventsNeedingTime.length; i++) {
+                    eventsNeedingTime[i].time = chunk.frames[0][timeFieldIndex];
+                }
+                eventsNeedingTime.length = 0;
+
+                lastFrameTime = chunk.frames[chunk.frames.length - 1][timeFieldIndex];
+            }
+
+            writeEvents();
+
+            for (i = 0; i < chunk.events.length; i++) {
+                var
+                    event = {
+                        event: chunk.events[i].event,
+                        data: chunk.events[i].data,
+                        time: chunk.events[i].time
+                    };
+
+                if (event.time === undefined) {
+                    eventsNeedingTime.push(event);
+                }
+
+                events.push(event);
+            }
+        });
+
+        // Trailing events at the end of the log are assumed to be logged right after the final frame
+        for (var i = 0; i < eventsNeedingTime.length; i++) {
+            eventsNeedingTime[i].time = Math.min(lastFrameTime, endTime);
+        }
+
+        writeEvents();
+    };
+
+    /**
+     * Get the CSV text for the log frames as an array of pieces, which can be given straight to the Blob constructor
+     * without building the whole file as one string.
+     */
+    this.framesToParts = function() {
+        var
+            parts = [];
+
+        this.dumpFrames(function(text) {
+            parts.push(text);
+        });
+
+        return parts;
+    };
+
+    /**
+     * Get the CSV text for the log's events as an array of pieces, like framesToParts().
+     */
+    this.eventsToParts = function() {
+        var
+            parts = [];
+
+        this.dumpEvents(function(text) {
+            parts.push(text);
+        });
+
+        return parts;
+    };
+
+    options = options || {};
+
+    startTime = options.startTime === undefined || options.startTime === false ? flightLog.getMinTime() : options.startTime;
+    endTime = options.endTime === undefined || options.endTime === false ? Infinity : options.endTime;
+    friendly = !!options.friendly;
+}
@@ -0,0 +1,54 @@
+"use strict";
+
+/**
+ * Web Worker which decodes chunks of a log file (see FlightLog.decodeChunk()) away from the page, so that the graph
+ * doesn't stutter while the chunks ahead of it are parsed. FlightLogDecoder is the page's side of this.
+ *
+ * It takes these messages:
+ *     open   - {logData, recoveryMode, json}, where logData is the log file as an ArrayBuffer, recoveryMode is the
+ *              setting for FlightLog.setRecoveryMode() and json is its index from FlightLog.saveIndexToJSON()
+ *     index  - {json}, a more complete index of the same file, while it's still being built
+ *     decode - {logIndex, chunkIndex}, the chunk to decode and the log in the file it belongs to
+ *
+ * It replies to each decode with {logIndex, chunk}, to be given to FlightLog.addDecodedChunk().
+ */
+
+// The log parsing core, in dependency order (paths are relative to this script)
+importScripts(
+    'vendor/semver.js',
+    'tools.js',
+    'cache.js',
+    'datastream.js',
+    'decoders.js',
+    'imu.js',
+    'flightlog_fielddefs.js',
+    'flightlog_fields_presenter.js',
+    'flightlog_parser.js',
+    'flightlog_index.js',
+    'flightlog_expression.js',
+    'flightlog_pid_simulator.js',
+    'flightlog.js'
+);
+
+var
+    flightLog = null;
+
+self.onmessage = function(e) {
+    switch (e.data.type) {
+        case 'open':
+            flightLog = new FlightLog(new Uint8Array(e.data.logData));
+            flightLog.setRecoveryMode(e.data.recoveryMode);
+            flightLog.loadIndexFromJSON(e.data.json);
+        break;
+        case 'index':
+            flightLog.loadIndexFromJSON(e.data.json);
+        break;
+        case 'decode':
+            if (flightLog.getLogIndex() !== e.data.logIndex && !flightLog.openLog(e.data.logIndex)) {
+                throw "Log " + e.data.logIndex + " can't be opened";
+            }
+
+            postMessage({logIndex: e.data.logIndex, chunk: flightLog.decodeChunk(e.data.chunkIndex)});
+        break;
+    }
+};
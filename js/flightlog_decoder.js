@@ -0,0 +1,106 @@
+"use strict";
+
+/**
+ * Decodes chunks of a FlightLog in the background using a Web Worker (flightlog_decode_worker.js), so that they're
+ * already in its chunk cache by the time the graph needs them, rather than being parsed on the page as it draws. Any
+ * chunk that the worker hasn't finished by then is still parsed by the FlightLog itself.
+ *
+ * Call start() once the log file's index has been built or loaded, and loadIndexFromJSON() each time it's given more
+ * of an index that's still being built.
+ *
+ * Set onError(error) before calling start() to be told if the worker couldn't be run, in which case the decoder stops.
+ */
+function FlightLogDecoder(flightLog, logData) {
+    var
+        worker = null,
+
+        // The "logIndex:chunkIndex" of each chunk that the worker is decoding for us
+        pending = {},
+
+        that = this;
+
+    this.onError = null;
+
+    this.start = function() {
+        var
+            // The worker gets its own copy of the log, since giving it ours would leave us with an empty buffer
+            workerData = logData.slice();
+
+        worker = new Worker("js/flightlog_decode_worker.js");
+
+        worker.onmessage = function(e) {
+            // Ignore anything that was already on its way when we were stopped
+            if (!worker) {
+                return;
+            }
+
+            delete pending[e.data.logIndex + ":" + e.data.chunk.index];
+
+            flightLog.addDecodedChunk(e.data.logIndex, e.data.chunk);
+        };
+
+        worker.onerror = function(e) {
+            that.stop();
+
+            if (that.onError) {
+                that.onError(e.message);
+            }
+
+            e.preventDefault();
+        };
+
+        worker.postMessage({
+            type: 'open',
+            logData: workerData.buffer,
+            recoveryMode: flightLog.parser.recoveryMode,
+            json: flightLog.saveIndexToJSON()
+        }, [workerData.buffer]);
+    };
+
+    /**
+     * Give the worker the more complete index of the file that was given to the FlightLog's loadIndexFromJSON().
+     */
+    this.loadIndexFromJSON = function(json) {
+        if (worker) {
+            worker.postMessage({type: 'index', json: json});
+        }
+    };
+
+    /**
+     * Decode the chunks of the open log between the given start and end times that haven't been parsed yet.
+     */
+    this.prefetch = function(startTime, endTime) {
+        var
+            logIndex = flightLog.getLogIndex(),
+            chunkIndexes;
+
+        if (!worker || logIndex === false) {
+            return;
+        }
+
+        chunkIndexes = flightLog.getUncachedChunkIndexes(startTime, endTime);
+
+        for (var i = 0; i < chunkIndexes.length; i++) {
+            var
+                key = logIndex + ":" + chunkIndexes[i];
+
+            if (!pending[key]) {
+                pending[key] = true;
+
+                worker.postMessage({type: 'decode', logIndex: logIndex, chunkIndex: chunkIndexes[i]});
+            }
+        }
+    };
+
+    /**
+     * Stop decoding. Chunks that are already on their way from the worker are dropped.
+     */
+    this.stop = function() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+
+        pending = {};
+    };
+}
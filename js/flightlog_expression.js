@@ -0,0 +1,506 @@
+"use strict";
+
+/**
+ * A user-defined expression which computes a new field from the other fields of each frame, like "motor[0] - motor[2]",
+ * "abs(gyroADC[0])", "derivative(gyroADC[1])" or "avg(motor[*])".
+ *
+ * Expressions are made up of numbers, field names, the operators + - * / ^ and parentheses, and these functions:
+ *     abs(x), sqrt(x)     - Absolute value and square root
+ *     min(...), max(...)  - Smallest or largest of the arguments
+ *     sum(...), avg(...)  - Sum or mean of the arguments
+ *     derivative(x)       - Rate of change of x per second
+ *
+ * A field name like motor[*] stands for all of motor[0], motor[1]..., and can only be given as an argument to min, max,
+ * sum or avg.
+ *
+ * The constructor throws a string describing the problem if the expression can't be parsed.
+ */
+function FlightLogExpression(expression) {
+    var
+        FUNCTIONS = {
+            abs: {
+                argCount: 1,
+                calculate: function(values) {
+                    return Math.abs(values[0]);
+                }
+            },
+            sqrt: {
+                argCount: 1,
+                calculate: function(values) {
+                    return Math.sqrt(values[0]);
+                }
+            },
+            min: {
+                aggregate: true,
+                calculate: function(values) {
+                    return Math.min.apply(null, values);
+                }
+            },
+            max: {
+                aggregate: true,
+                calculate: function(values) {
+                    return Math.max.apply(null, values);
+                }
+            },
+            sum: {
+                aggregate: true,
+                calculate: function(values) {
+                    var
+                        total = 0;
+
+                    for (var i = 0; i < values.length; i++) {
+                        total += values[i];
+                    }
+
+                    return total;
+                }
+            },
+            avg: {
+                aggregate: true,
+                calculate: function(values) {
+                    return FUNCTIONS.sum.calculate(values) / values.length;
+                }
+            },
+            // Calculated by compileDerivative instead, since it needs to look at the neighbouring frames
+            derivative: {
+                argCount: 1
+            }
+        },
+
+        tokens = tokenize(expression),
+        tokenIndex = 0,
+
+        tree;
+
+    function tokenize(text) {
+        var
+            TOKEN_REGEX = /\s*(?:([0-9]*\.?[0-9]+(?:[eE][-+]?[0-9]+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\S))/g,
+            result = [],
+            match;
+
+        while ((match = TOKEN_REGEX.exec(text)) !== null) {
+            if (match[1] !== undefined) {
+                result.push({type: 'number', value: parseFloat(match[1])});
+            } else if (match[2] !== undefined) {
+                result.push({type: 'name', value: match[2]});
+            } else {
+                result.push({type: 'symbol', value: match[3]});
+            }
+        }
+
+        return result;
+    }
+
+    function describeToken(token) {
+        return token ? '"' + token.value + '"' : "the end of the expression";
+    }
+
+    function peekSymbol(symbol) {
+        return tokenIndex < tokens.length && tokens[tokenIndex].type == 'symbol' && tokens[tokenIndex].value == symbol;
+    }
+
+    function expectSymbol(symbol) {
+        if (!peekSymbol(symbol)) {
+            throw 'Expected "' + symbol + '" but found ' + describeToken(tokens[tokenIndex]);
+        }
+        tokenIndex++;
+    }
+
+    // expression := term (("+" | "-") term)*
+    function parseExpression() {
+        var
+            node = parseTerm();
+
+        while (peekSymbol('+') || peekSymbol('-')) {
+            node = {type: 'binary', operator: tokens[tokenIndex++].value, left: node, right: parseTerm()};
+        }
+
+        return node;
+    }
+
+    // term := unary (("*" | "/") unary)*
+    function parseTerm() {
+        var
+            node = parseUnary();
+
+        while (peekSymbol('*') || peekSymbol('/')) {
+            node = {type: 'binary', operator: tokens[tokenIndex++].value, left: node, right: parseUnary()};
+        }
+
+        return node;
+    }
+
+    // unary := ("-" | "+") unary | power
+    function parseUnary() {
+        if (peekSymbol('-')) {
+            tokenIndex++;
+            return {type: 'negate', operand: parseUnary()};
+        }
+        if (peekSymbol('+')) {
+            tokenIndex++;
+            return parseUnary();
+        }
+
+        return parsePower();
+    }
+
+    // power := primary ("^" unary)?
+    function parsePower() {
+        var
+            node = parsePrimary();
+
+        if (peekSymbol('^')) {
+            tokenIndex++;
+            node = {type: 'binary', operator: '^', left: node, right: parseUnary()};
+        }
+
+        return node;
+    }
+
+    // primary := number | "(" expression ")" | name "(" arguments ")" | name ("[" (integer | "*") "]")?
+    function parsePrimary() {
+        var
+            token = tokens[tokenIndex],
+            node;
+
+        if (!token) {
+            throw "The expression ended unexpectedly";
+        }
+
+        tokenIndex++;
+
+        if (token.type == 'number') {
+            return {type: 'number', value: token.value};
+        }
+
+        if (token.type == 'symbol' && token.value == '(') {
+            node = parseExpression();
+            expectSymbol(')');
+
+            return node;
+        }
+
+        if (token.type != 'name') {
+            throw "Unexpected " + describeToken(token);
+        }
+
+        if (peekSymbol('(')) {
+            return parseCall(token.value);
+        }
+
+        node = {type: 'field', name: token.value};
+
+        if (peekSymbol('[')) {
+            var
+                subscript;
+
+            tokenIndex++;
+
+            subscript = tokens[tokenIndex];
+
+            if (subscript && subscript.type == 'number' && subscript.value % 1 === 0) {
+                node.name += "[" + subscript.value + "]";
+            } else if (subscript && subscript.type == 'symbol' && subscript.value == '*') {
+                node.wildcard = true;
+            } else {
+                throw "Expected a field number or * inside the brackets after " + token.value + " but found " + describeToken(subscript);
+            }
+
+            tokenIndex++;
+            expectSymbol(']');
+        }
+
+        return node;
+    }
+
+    function parseCall(name) {
+        var
+            func = FUNCTIONS[name],
+            node = {type: 'call', name: name, args: []};
+
+        if (!func) {
+            throw 'There\'s no function called "' + name + '"';
+        }
+
+        expectSymbol('(');
+
+        if (!peekSymbol(')')) {
+            node.args.push(parseExpression());
+
+            while (peekSymbol(',')) {
+                tokenIndex++;
+                node.args.push(parseExpression());
+            }
+        }
+
+        expectSymbol(')');
+
+        if (func.argCount !== undefined && node.args.length != func.argCount) {
+            throw name + "() takes " + func.argCount + " argument" + (func.argCount == 1 ? "" : "s");
+        }
+        if (node.args.length == 0) {
+            throw name + "() needs at least one argument";
+        }
+
+        return node;
+    }
+
+    /**
+     * Check that fields like motor[*] only appear as arguments of the functions which accept any number of arguments.
+     */
+    function checkWildcards(node, allowed) {
+        if (node.wildcard && !allowed) {
+            throw node.name + "[*] can only be used inside min(), max(), sum() or avg()";
+        }
+
+        switch (node.type) {
+            case 'negate':
+                checkWildcards(node.operand, false);
+            break;
+            case 'binary':
+                checkWildcards(node.left, false);
+                checkWildcards(node.right, false);
+            break;
+            case 'call':
+                for (var i = 0; i < node.args.length; i++) {
+                    checkWildcards(node.args[i], FUNCTIONS[node.name].aggregate);
+                }
+            break;
+        }
+    }
+
+    /**
+     * Get the indexes of all the fields name[0], name[1]... in fieldNames.
+     */
+    function findArrayFieldIndexes(fieldNames, name) {
+        var
+            nameRegex = /^(.+)\[[0-9]+\]$/,
+            result = [],
+            matches;
+
+        for (var i = 0; i < fieldNames.length; i++) {
+            if ((matches = fieldNames[i].match(nameRegex)) && matches[1] == name) {
+                result.push(i);
+            }
+        }
+
+        return result;
+    }
+
+    function compileField(fieldIndex) {
+        return function(chunk, frameIndex) {
+            return chunk.frames[frameIndex][fieldIndex];
+        };
+    }
+
+    function compileBinary(operator, left, right) {
+        switch (operator) {
+            case '+':
+                return function(chunk, frameIndex) {
+                    return left(chunk, frameIndex) + right(chunk, frameIndex);
+                };
+            case '-':
+                return function(chunk, frameIndex) {
+                    return left(chunk, frameIndex) - right(chunk, frameIndex);
+                };
+            case '*':
+                return function(chunk, frameIndex) {
+                    return left(chunk, frameIndex) * right(chunk, frameIndex);
+                };
+            case '/':
+                return function(chunk, frameIndex) {
+                    return left(chunk, frameIndex) / right(chunk, frameIndex);
+                };
+            case '^':
+                return function(chunk, frameIndex) {
+                    return Math.pow(left(chunk, frameIndex), right(chunk, frameIndex));
+                };
+        }
+    }
+
+    /**
+     * The rate of change per second of the given function, from the frame before to this one, or from this frame to
+     * the next one at the start of the chunk or just after a gap in the log (since we can't see past those).
+     */
+    function compileDerivative(operand) {
+        var
+            FIELD_INDEX_TIME = FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME;
+
+        return function(chunk, frameIndex) {
+            var
+                before = frameIndex - 1, after = frameIndex,
+                timeDelta;
+
+            if (before < 0 || chunk.gapStartsHere[before]) {
+                before = frameIndex;
+                after = frameIndex + 1;
+
+                if (after >= chunk.frames.length || chunk.gapStartsHere[before]) {
+                    return 0;
+                }
+            }
+
+            timeDelta = chunk.frames[after][FIELD_INDEX_TIME] - chunk.frames[before][FIELD_INDEX_TIME];
+
+            return timeDelta > 0 ? (operand(chunk, after) - operand(chunk, before)) * 1000000 / timeDelta : 0;
+        };
+    }
+
+    function compileCall(func, args) {
+        var
+            values = new Array(args.length);
+
+        return function(chunk, frameIndex) {
+            for (var i = 0; i < args.length; i++) {
+                values[i] = args[i](chunk, frameIndex);
+            }
+
+            return func.calculate(values);
+        };
+    }
+
+    function compileNode(node, fieldNames, fieldNameToIndex) {
+        switch (node.type) {
+            case 'number':
+                return function() {
+                    return node.value;
+                };
+            case 'field':
+                if (fieldNameToIndex[node.name] === undefined) {
+                    throw 'This log doesn\'t have a field called "' + node.name + '"';
+                }
+                return compileField(fieldNameToIndex[node.name]);
+            case 'negate':
+                var
+                    operand = compileNode(node.operand, fieldNames, fieldNameToIndex);
+
+                return function(chunk, frameIndex) {
+                    return -operand(chunk, frameIndex);
+                };
+            case 'binary':
+                return compileBinary(node.operator,
+                    compileNode(node.left, fieldNames, fieldNameToIndex), compileNode(node.right, fieldNames, fieldNameToIndex));
+            case 'call':
+                var
+                    args = [];
+
+                for (var i = 0; i < node.args.length; i++) {
+                    var
+                        arg = node.args[i];
+
+                    if (arg.wildcard) {
+                        var
+                            fieldIndexes = findArrayFieldIndexes(fieldNames, arg.name);
+
+                        if (fieldIndexes.length == 0) {
+                            throw 'This log doesn\'t have any fields called "' + arg.name + '[...]"';
+                        }
+
+                        for (var j = 0; j < fieldIndexes.length; j++) {
+                            args.push(compileField(fieldIndexes[j]));
+                        }
+                    } else {
+                        args.push(compileNode(arg, fieldNames, fieldNameToIndex));
+                    }
+                }
+
+                if (node.name == 'derivative') {
+                    return compileDerivative(args[0]);
+                }
+
+                return compileCall(FUNCTIONS[node.name], args);
+        }
+    }
+
+    /**
+     * Get a function(chunk, frameIndex) which calculates the value of the expression for the given frame of a chunk from
+     * FlightLog, where the frames have the fields given by the array fieldNames.
+     *
+     * Throws a string describing the problem if the expression uses fields that aren't in fieldNames.
+     */
+    this.compile = function(fieldNames) {
+        var
+            fieldNameToIndex = {},
+            evaluate;
+
+        for (var i = 0; i < fieldNames.length; i++) {
+            fieldNameToIndex[fieldNames[i]] = i;
+        }
+
+        evaluate = compileNode(tree, fieldNames, fieldNameToIndex);
+
+        // Don't pass on Infinity or NaN from things like division by zero, they'd wreck the scaling of the graphs
+        return function(chunk, frameIndex) {
+            var
+                value = evaluate(chunk, frameIndex);
+
+            return isFinite(value) ? value : null;
+        };
+    };
+
+    if (tokens.length == 0) {
+        throw "The expression is empty";
+    }
+
+    tree = parseExpression();
+
+    if (tokenIndex < tokens.length) {
+        throw "Unexpected " + describeToken(tokens[tokenIndex]);
+    }
+
+    checkWildcards(tree, false);
+}
+
+/**
+ * Is the given name usable as the name of an expression field? Like the log's own fields, names may end in a number in
+ * brackets (e.g. motorDiff[0]) so that several fields can be graphed together.
+ */
+FlightLogExpression.isValidFieldName = function(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*(\[[0-9]+\])?$/.test(name);
+};
+
+/**
+ * Compile the given list of expression fields ({name, expression}) for a log which has the fields logFieldNames. Each
+ * expression can use the log's fields and any of the expression fields before it in the list.
+ *
+ * Returns an object with these fields:
+ *     fields - Array of {name, evaluate} for the fields which could be compiled, evaluate is from
+ *              FlightLogExpression.compile()
+ *     errors - Array of {name, error} for the fields which couldn't be
+ */
+FlightLogExpression.compileFields = function(expressionFields, logFieldNames) {
+    var
+        fieldNames = logFieldNames.slice(0),
+        result = {
+            fields: [],
+            errors: []
+        };
+
+    for (var i = 0; i < expressionFields.length; i++) {
+        var
+            field = expressionFields[i];
+
+        try {
+            if (!FlightLogExpression.isValidFieldName(field.name)) {
+                throw '"' + field.name + '" can\'t be used as a field name';
+            }
+            if (fieldNames.indexOf(field.name) != -1) {
+                throw 'There\'s already a field called "' + field.name + '"';
+            }
+
+            result.fields.push({
+                name: field.name,
+                evaluate: new FlightLogExpression(field.expression).compile(fieldNames)
+            });
+
+            fieldNames.push(field.name);
+        } catch (e) {
+            result.errors.push({
+                name: field.name,
+                error: e
+            });
+        }
+    }
+
+    return result;
+};
@@ -42,6 +42,13 @@ function FlightLogFieldPresenter() {
         'vbatLatest': 'vbat',
         'BaroAlt': 'baro',
         
+        'GPS_coord[all]': 'GPS position',
+        'GPS_coord[0]': 'GPS latitude',
+        'GPS_coord[1]': 'GPS longitude',
+        'GPS_altitude': 'GPS altitude',
+        'GPS_speed': 'GPS speed',
+        'GPS_ground_course': 'GPS course',
+        
         'servo[all]': 'servos',
         'servo[5]': 'tail servo',
         
@@ -77,7 +84,21 @@ function FlightLogFieldPresenter() {
         'gyroADCs[all]': 'gyros',
         'gyroADCs[0]': 'gyros[roll]',
         'gyroADCs[1]': 'gyros[pitch]',
-        'gyroADCs[2]': 'gyros[yaw]'        
+        'gyroADCs[2]': 'gyros[yaw]',
+
+        //Virtual fields - the PID terms from a FlightLogPIDSimulator run
+        'axisSimP[all]': 'PID_P (sim)',
+        'axisSimP[0]': 'PID_P[roll] (sim)',
+        'axisSimP[1]': 'PID_P[pitch] (sim)',
+        'axisSimP[2]': 'PID_P[yaw] (sim)',
+        'axisSimI[all]': 'PID_I (sim)',
+        'axisSimI[0]': 'PID_I[roll] (sim)',
+        'axisSimI[1]': 'PID_I[pitch] (sim)',
+        'axisSimI[2]': 'PID_I[yaw] (sim)',
+        'axisSimD[all]': 'PID_D (sim)',
+        'axisSimD[0]': 'PID_D[roll] (sim)',
+        'axisSimD[1]': 'PID_D[pitch] (sim)',
+        'axisSimD[2]': 'PID_D[yaw] (sim)'
 
     };
     
@@ -371,6 +392,15 @@ function FlightLogFieldPresenter() {
             case 'axisD[0]':
             case 'axisD[1]':
             case 'axisD[2]':
+            case 'axisSimP[0]':
+            case 'axisSimP[1]':
+            case 'axisSimP[2]':
+            case 'axisSimI[0]':
+            case 'axisSimI[1]':
+            case 'axisSimI[2]':
+            case 'axisSimD[0]':
+            case 'axisSimD[1]':
+            case 'axisSimD[2]':
                 return flightLog.getPIDPercentage(value).toFixed(1) + "%";
 
             case 'accSmooth[0]':
@@ -402,6 +432,19 @@ function FlightLogFieldPresenter() {
             case 'BaroAlt':
                 return (value / 100).toFixed(1) + "m";
             
+            case 'GPS_coord[0]':
+            case 'GPS_coord[1]':
+                return (value / 10000000).toFixed(7) + "°";
+            
+            case 'GPS_altitude':
+                return value + "m";
+            
+            case 'GPS_speed':
+                return (value / 100).toFixed(2) + "m/s";
+            
+            case 'GPS_ground_course':
+                return (value / 10).toFixed(1) + "°";
+            
             case 'flightModeFlags':
                 return presentFlags(value, FLIGHT_LOG_FLIGHT_MODE_NAME);
                 
@@ -6,7 +6,8 @@ function FlightLogIndex(logData) {
         that = this,
         logBeginOffsets = false,
         logCount = false,
-        intraframeDirectories = false;
+        intraframeDirectories = false,
+        recoveryMode = false;
         
     function buildLogOffsetsIndex() {
         var 
@@ -35,6 +36,8 @@ function FlightLogIndex(logData) {
         var 
             parser = new FlightLogParser(logData, that);
         
+        parser.recoveryMode = recoveryMode;
+        
         intraframeDirectories = [];
 
         for (var i = 0; i < that.getLogCount(); i++) {
@@ -46,11 +49,17 @@ function FlightLogIndex(logData) {
                     initialIMU: [],
                     initialSlow: [],
                     initialGPSHome: [],
+                    initialGPS: [],
                     hasEvent: [],
+                    damage: [],
                     minTime: false,
                     maxTime: false
                 },
                 
+                // The damaged region we're in the middle of (see getLogDamage() in FlightLog), or null
+                damage = null,
+                lastFrameTime = null,
+                
                 imu = new IMU(),
                 gyroADC, accSmooth, magADC,
                 
@@ -62,6 +71,13 @@ function FlightLogIndex(logData) {
                 parsedHeader,
                 sawEndMarker = false;
             
+            /*
+             * Add it straight away so the part of the log indexed so far can be saved while we're still working on it.
+             * Until we're done, endOffset marks the end of the last frame we've indexed.
+             */
+            intraframeDirectories.push(intraIndex);
+            intraIndex.endOffset = logBeginOffsets[i];
+            
             try {
                 parser.parseHeader(logBeginOffsets[i], logBeginOffsets[i + 1]);
                 parsedHeader = true;
@@ -83,7 +99,8 @@ function FlightLogIndex(logData) {
                     magADC = [mainFrameDef.nameToIndex["magADC[0]"], mainFrameDef.nameToIndex["magADC[1]"], mainFrameDef.nameToIndex["magADC[2]"]],
                     
                     lastSlow = [],
-                    lastGPSHome = [];
+                    lastGPSHome = [],
+                    lastGPS = [];
                 
                 // Identify motor fields so they can be used to show the activity summary bar
                 for (var j = 0; j < 8; j++) {
@@ -97,8 +114,50 @@ function FlightLogIndex(logData) {
                     magADC = false;
                 }
                 
+                // Don't bother including the initial (empty) states for S and H frames if we didn't have any in the source data
+                if (!parser.frameDefs.S) {
+                    delete intraIndex.initialSlow;
+                }
+
+                if (!parser.frameDefs.H) {
+                    delete intraIndex.initialGPSHome;
+                }
+
+                if (!parser.frameDefs.G) {
+                    delete intraIndex.initialGPS;
+                }
+
+                intraIndex.stats = parser.stats;
+                
                 parser.onFrameReady = function(frameValid, frame, frameType, frameOffset, frameSize) {
+                    intraIndex.endOffset = frameOffset + frameSize;
+                    
+                    if (that.onProgress) {
+                        that.onProgress(intraIndex.endOffset, logData.length);
+                    }
+                    
                     if (!frameValid) {
+                        // Frames that couldn't be decoded, and main frames that had to be thrown away, mean data was lost
+                        if (frame === null || frameType == 'I' || frameType == 'P') {
+                            if (!damage) {
+                                damage = {
+                                    startOffset: frameOffset,
+                                    endOffset: false,
+                                    startTime: lastFrameTime,
+                                    endTime: null,
+                                    corruptFrames: 0,
+                                    droppedFrames: 0
+                                };
+                                intraIndex.damage.push(damage);
+                            }
+                            
+                            if (frame === null) {
+                                damage.corruptFrames++;
+                            } else {
+                                damage.droppedFrames++;
+                            }
+                        }
+                        
                         return;
                     }
                     
@@ -108,6 +167,14 @@ function FlightLogIndex(logData) {
                             var 
                                 frameTime = frame[FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME];
                             
+                            // The main stream is back in sync, so that's the end of the damage
+                            if (damage) {
+                                damage.endOffset = frameOffset;
+                                damage.endTime = frameTime;
+                                damage = null;
+                            }
+                            lastFrameTime = frameTime;
+                            
                             if (intraIndex.minTime === false) {
                                 intraIndex.minTime = frameTime;
                             }
@@ -137,8 +204,16 @@ function FlightLogIndex(logData) {
                                      * logged anew every iteration.
                                      */ 
                                     intraIndex.initialIMU.push(new IMU(imu));
-                                    intraIndex.initialSlow.push(lastSlow);
-                                    intraIndex.initialGPSHome.push(lastGPSHome);
+                                    
+                                    if (intraIndex.initialSlow) {
+                                        intraIndex.initialSlow.push(lastSlow);
+                                    }
+                                    if (intraIndex.initialGPSHome) {
+                                        intraIndex.initialGPSHome.push(lastGPSHome);
+                                    }
+                                    if (intraIndex.initialGPS) {
+                                        intraIndex.initialGPS.push(lastGPS);
+                                    }
                                 }
                                 
                                 iframeCount++;
@@ -156,6 +231,9 @@ function FlightLogIndex(logData) {
                         case 'H':
                             lastGPSHome = frame.slice(0);
                         break;
+                        case 'G':
+                            lastGPS = frame.slice(0);
+                        break;
                         case 'E':
                             // Mark that there was an event inside the current chunk
                             if (intraIndex.times.length > 0) {
@@ -178,16 +256,10 @@ function FlightLogIndex(logData) {
                     intraIndex.error = e;
                 }
                 
-                // Don't bother including the initial (empty) states for S and H frames if we didn't have any in the source data
-                if (!parser.frameDefs.S) {
-                    delete intraIndex.initialSlow;
+                // The log ended before we recovered from the damage
+                if (damage) {
+                    damage.endOffset = logBeginOffsets[i + 1];
                 }
-
-                if (!parser.frameDefs.H) {
-                    delete intraIndex.initialGPSHome;
-                }
-
-                intraIndex.stats = parser.stats;
             }
             
             // Did we not find any events in this log?
@@ -198,23 +270,177 @@ function FlightLogIndex(logData) {
                     intraIndex.error = "Log truncated, no data";
                 }
             }
+            
+            delete intraIndex.endOffset;
+        }
+    }
+    
+    /**
+     * Copy the parser's statistics into a form that survives JSON (the frame size histograms are typed arrays).
+     */
+    function statsToJSON(stats) {
+        var
+            result = {
+                totalBytes: stats.totalBytes,
+                totalCorruptFrames: stats.totalCorruptFrames,
+                intentionallyAbsentIterations: stats.intentionallyAbsentIterations,
+                frame: {}
+            };
         
-            intraframeDirectories.push(intraIndex);
+        for (var frameType in stats.frame) {
+            var
+                frameStats = stats.frame[frameType];
+            
+            result.frame[frameType] = {
+                bytes: frameStats.bytes,
+                sizeCount: Array.prototype.slice.call(frameStats.sizeCount),
+                validCount: frameStats.validCount,
+                corruptCount: frameStats.corruptCount,
+                desyncCount: frameStats.desyncCount,
+                field: frameStats.field
+            };
+        }
+        
+        return result;
+    }
+    
+    function statsFromJSON(json) {
+        for (var frameType in json.frame) {
+            json.frame[frameType].sizeCount = new Int32Array(json.frame[frameType].sizeCount);
         }
+        
+        return json;
+    }
+    
+    /**
+     * The initial states recorded for each chunk rarely change from one chunk to the next, so we only store them when
+     * they do, with null meaning "the same as the previous chunk".
+     */
+    function encodeRepeats(values) {
+        return values.map(function(value, index) {
+            return index > 0 && value === values[index - 1] ? null : value;
+        });
+    }
+    
+    function decodeRepeats(values) {
+        for (var i = 1; i < values.length; i++) {
+            if (values[i] === null) {
+                values[i] = values[i - 1];
+            }
+        }
+        
+        return values;
     }
     
     //Public: 
+    
+    /**
+     * Set this to a function(bytesDone, bytesTotal) to be called as the index is built, after each frame is read.
+     */
+    this.onProgress = null;
+    
+    
+    /**
+     * Restore the index from JSON previously produced by saveToJSON() for the same log file, so that it doesn't
+     * need to be rebuilt by scanning the whole file.
+     */
     this.loadFromJSON = function(json) {
+        var
+            sourceIndexes = JSON.parse(json),
+            resultIndexes = new Array(sourceIndexes.length),
+            i, j;
+        
+        for (i = 0; i < sourceIndexes.length; i++) {
+            var
+                lastTime, lastLastTime,
+                lastOffset, lastLastOffset,
+                
+                sourceIndex = sourceIndexes[i],
+                
+                resultIndex = {
+                    times: new Array(sourceIndex.times.length),
+                    offsets: new Array(sourceIndex.offsets.length),
+                    avgThrottle: new Array(sourceIndex.avgThrottle.length),
+                    initialIMU: decodeRepeats(sourceIndex.initialIMU).map(function(imu) {
+                        return new IMU(imu);
+                    }),
+                    hasEvent: [],
+                    minTime: sourceIndex.minTime,
+                    maxTime: sourceIndex.maxTime
+                };
+            
+            if (sourceIndex.times.length > 0) {
+                resultIndex.times[0] = sourceIndex.times[0];
+                resultIndex.offsets[0] = sourceIndex.offsets[0];
+                
+                lastLastTime = lastTime = sourceIndex.times[0];
+                lastLastOffset = lastOffset = sourceIndex.offsets[0];
+                
+                for (j = 1; j < sourceIndex.times.length; j++) {
+                    resultIndex.times[j] = sourceIndex.times[j] + 2 * lastTime - lastLastTime;
+                    resultIndex.offsets[j] = sourceIndex.offsets[j] + 2 * lastOffset - lastLastOffset;
+                    
+                    lastLastTime = lastTime;
+                    lastTime = resultIndex.times[j];
+                    
+                    lastLastOffset = lastOffset;
+                    lastOffset = resultIndex.offsets[j];
+                }
+            }
+            
+            for (j = 0; j < sourceIndex.avgThrottle.length; j++) {
+                resultIndex.avgThrottle[j] = sourceIndex.avgThrottle[j] + 1000;
+            }
+            
+            for (j = 0; j < sourceIndex.hasEvent.length; j++) {
+                resultIndex.hasEvent[sourceIndex.hasEvent[j]] = true;
+            }
+            
+            // These are left out when the log doesn't have that kind of frame at all
+            if (sourceIndex.initialSlow) {
+                resultIndex.initialSlow = decodeRepeats(sourceIndex.initialSlow);
+            }
+            if (sourceIndex.initialGPSHome) {
+                resultIndex.initialGPSHome = decodeRepeats(sourceIndex.initialGPSHome);
+            }
+            if (sourceIndex.initialGPS) {
+                resultIndex.initialGPS = decodeRepeats(sourceIndex.initialGPS);
+            }
+            
+            if (sourceIndex.stats) {
+                resultIndex.stats = statsFromJSON(sourceIndex.stats);
+            }
+            if (sourceIndex.error !== undefined) {
+                resultIndex.error = sourceIndex.error;
+            }
+            resultIndex.damage = sourceIndex.damage || [];
+            if (sourceIndex.endOffset !== undefined) {
+                resultIndex.endOffset = sourceIndex.endOffset;
+            }
+            
+            resultIndexes[i] = resultIndex;
+        }
         
+        // Only replace our index once we know the whole thing loaded successfully
+        intraframeDirectories = resultIndexes;
     };
     
+    /**
+     * Get the index of every log in the file as a JSON string which can be given to loadFromJSON() later.
+     *
+     * This can be called from onProgress while the index is being built, in which case the logs we haven't reached yet
+     * (or haven't found the first chunk of) are given an error so they can't be opened, and the log being indexed is
+     * cut off at the last frame we've read.
+     *
+     * Chunk times and offsets are delta-encoded (against a linear prediction from the previous two) to keep it small.
+     */
     this.saveToJSON = function() {
         var 
             intraframeDirectories = this.getIntraframeDirectories(),
             i, j, 
-            resultIndexes = new Array(intraframeDirectories.length);
+            resultIndexes = new Array(this.getLogCount());
         
-        for (i = 0; i < intraframeDirectories.length; i++) {
+        for (i = 0; i < resultIndexes.length; i++) {
             var 
                 lastTime, lastLastTime, 
                 lastOffset, lastLastOffset,
@@ -222,13 +448,31 @@ function FlightLogIndex(logData) {
                 
                 sourceIndex = intraframeDirectories[i],
                 
-                resultIndex = {
-                    times: new Array(sourceIndex.times.length), 
-                    offsets: new Array(sourceIndex.offsets.length),
-                    minTime: sourceIndex.minTime,
-                    maxTime: sourceIndex.maxTime,
-                    avgThrottle: new Array(sourceIndex.avgThrottle.length)
+                resultIndex;
+            
+            if (!sourceIndex || sourceIndex.endOffset !== undefined && sourceIndex.times.length == 0) {
+                resultIndexes[i] = {
+                    times: [],
+                    offsets: [],
+                    minTime: false,
+                    maxTime: false,
+                    avgThrottle: [],
+                    initialIMU: [],
+                    hasEvent: [],
+                    error: FlightLogIndex.NOT_INDEXED
                 };
+                continue;
+            }
+            
+            resultIndex = {
+                times: new Array(sourceIndex.times.length), 
+                offsets: new Array(sourceIndex.offsets.length),
+                minTime: sourceIndex.minTime,
+                maxTime: sourceIndex.maxTime,
+                avgThrottle: new Array(sourceIndex.avgThrottle.length),
+                initialIMU: encodeRepeats(sourceIndex.initialIMU),
+                hasEvent: []
+            };
             
             if (sourceIndex.times.length > 0) {
                 resultIndex.times[0] = sourceIndex.times[0];
@@ -255,12 +499,50 @@ function FlightLogIndex(logData) {
                 }
             }
             
+            // Only a few chunks have events, so just list which ones
+            for (j = 0; j < sourceIndex.hasEvent.length; j++) {
+                if (sourceIndex.hasEvent[j]) {
+                    resultIndex.hasEvent.push(j);
+                }
+            }
+            
+            if (sourceIndex.initialSlow) {
+                resultIndex.initialSlow = encodeRepeats(sourceIndex.initialSlow);
+            }
+            if (sourceIndex.initialGPSHome) {
+                resultIndex.initialGPSHome = encodeRepeats(sourceIndex.initialGPSHome);
+            }
+            if (sourceIndex.initialGPS) {
+                resultIndex.initialGPS = encodeRepeats(sourceIndex.initialGPS);
+            }
+            
+            if (sourceIndex.stats) {
+                resultIndex.stats = statsToJSON(sourceIndex.stats);
+            }
+            if (sourceIndex.error !== undefined) {
+                resultIndex.error = String(sourceIndex.error);
+            }
+            if (sourceIndex.damage) {
+                resultIndex.damage = sourceIndex.damage;
+            }
+            if (sourceIndex.endOffset !== undefined) {
+                resultIndex.endOffset = sourceIndex.endOffset;
+            }
+            
             resultIndexes[i] = resultIndex;
         }
         
         return JSON.stringify(resultIndexes);
     };  
     
+    /**
+     * Set whether the index should be built with the parser in recovery mode (see FlightLogParser.recoveryMode). This
+     * must be called before the index is built.
+     */
+    this.setRecoveryMode = function(enabled) {
+        recoveryMode = enabled;
+    };
+    
     this.getLogBeginOffset = function(index) {
         if (!logBeginOffsets)
             buildLogOffsetsIndex();
@@ -282,7 +564,38 @@ function FlightLogIndex(logData) {
         return intraframeDirectories;
     };
     
+    /**
+     * Scan the file to build the index again, replacing one given to loadFromJSON() (which may have been saved before it
+     * was finished).
+     */
+    this.rebuildIntraframeDirectories = function() {
+        buildIntraframeDirectories();
+        
+        return intraframeDirectories;
+    };
+    
     this.getIntraframeDirectory = function(logIndex) {
         return this.getIntraframeDirectories()[logIndex];
     };
 }
+
+/**
+ * The error given to logs which haven't been indexed yet in an index saved while it was still being built.
+ */
+FlightLogIndex.NOT_INDEXED = "Not indexed";
+
+/**
+ * A quick hash of the contents of a log file (32-bit FNV-1a, as a hex string), to tell whether a cached index belongs
+ * to the same file.
+ */
+FlightLogIndex.hashLogData = function(logData) {
+    var
+        hash = 0x811C9DC5;
+    
+    for (var i = 0; i < logData.length; i++) {
+        hash ^= logData[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    
+    return (hash >>> 0).toString(16);
+};
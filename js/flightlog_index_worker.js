@@ -0,0 +1,60 @@
+"use strict";
+
+/**
+ * Web Worker which builds the index of a log file (see FlightLogIndex) away from the page, so the viewer doesn't
+ * freeze while a big flash dump is scanned. FlightLogIndexer is the page's side of this.
+ *
+ * Post it {logData, recoveryMode}, where logData is the log file as an ArrayBuffer and recoveryMode is the setting for
+ * FlightLogIndex.setRecoveryMode(). It replies with messages of these types:
+ *     progress - {bytesDone, bytesTotal}
+ *     index    - {json, complete}, where json is the index from FlightLogIndex.saveToJSON(). Until the index is complete
+ *                this is just the part that's been indexed so far.
+ */
+
+// The parts of the log parsing core that the index needs, in dependency order (paths are relative to this script)
+importScripts(
+    'vendor/semver.js',
+    'tools.js',
+    'cache.js',
+    'datastream.js',
+    'decoders.js',
+    'imu.js',
+    'flightlog_fielddefs.js',
+    'flightlog_fields_presenter.js',
+    'flightlog_parser.js',
+    'flightlog_index.js'
+);
+
+var
+    // How often (milliseconds) to report progress, and to send the part of the index we have so far
+    PROGRESS_INTERVAL = 100,
+    PARTIAL_INDEX_INTERVAL = 1000;
+
+self.onmessage = function(e) {
+    var
+        logIndex = new FlightLogIndex(new Uint8Array(e.data.logData)),
+        lastProgress = 0,
+        lastPartialIndex = Date.now();
+
+    logIndex.setRecoveryMode(e.data.recoveryMode);
+
+    logIndex.onProgress = function(bytesDone, bytesTotal) {
+        var
+            now = Date.now();
+
+        if (now - lastProgress >= PROGRESS_INTERVAL) {
+            postMessage({type: 'progress', bytesDone: bytesDone, bytesTotal: bytesTotal});
+            lastProgress = now;
+        }
+
+        if (now - lastPartialIndex >= PARTIAL_INDEX_INTERVAL) {
+            postMessage({type: 'index', json: logIndex.saveToJSON(), complete: false});
+            lastPartialIndex = now;
+        }
+    };
+
+    // Build the whole index
+    logIndex.getIntraframeDirectories();
+
+    postMessage({type: 'index', json: logIndex.saveToJSON(), complete: true});
+};
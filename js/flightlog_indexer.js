@@ -0,0 +1,87 @@
+"use strict";
+
+/**
+ * Builds the index of a log file in the background using a Web Worker (flightlog_index_worker.js), so that the page
+ * stays responsive while a big file is scanned. Set recoveryMode to build it with the parser in recovery mode (see
+ * FlightLogParser.recoveryMode).
+ *
+ * Set these callbacks before calling start():
+ *     onProgress(bytesDone, bytesTotal) - Called periodically while the file is scanned
+ *     onIndex(json, complete)           - Called with the index (for FlightLog.loadIndexFromJSON()) as it's built. Until
+ *                                         complete is true, this is the part of the file that's been indexed so far,
+ *                                         so the first logs can be opened early
+ *     onError(error)                    - Called if the worker couldn't be run, in which case onIndex won't be called
+ *                                         again
+ */
+function FlightLogIndexer(logData, recoveryMode) {
+    var
+        worker = null,
+
+        that = this;
+
+    this.onProgress = null;
+    this.onIndex = null;
+    this.onError = null;
+
+    this.start = function() {
+        var
+            // The worker gets its own copy of the log, since giving it ours would leave us with an empty buffer
+            workerData = logData.slice();
+
+        worker = new Worker("js/flightlog_index_worker.js");
+
+        worker.onmessage = function(e) {
+            // Ignore anything that was already on its way when we were cancelled
+            if (!worker) {
+                return;
+            }
+
+            switch (e.data.type) {
+                case 'progress':
+                    if (that.onProgress) {
+                        that.onProgress(e.data.bytesDone, e.data.bytesTotal);
+                    }
+                break;
+                case 'index':
+                    if (e.data.complete) {
+                        worker.terminate();
+                        worker = null;
+                    }
+
+                    if (that.onIndex) {
+                        that.onIndex(e.data.json, e.data.complete);
+                    }
+                break;
+            }
+        };
+
+        worker.onerror = function(e) {
+            that.cancel();
+
+            if (that.onError) {
+                that.onError(e.message);
+            }
+
+            e.preventDefault();
+        };
+
+        worker.postMessage({logData: workerData.buffer, recoveryMode: recoveryMode}, [workerData.buffer]);
+    };
+
+    /**
+     * Stop building the index. None of the callbacks will be called after this.
+     */
+    this.cancel = function() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+    };
+
+    /**
+     * Check if the index is still being built.
+     */
+    this.isRunning = function() {
+        return worker !== null;
+    };
+}
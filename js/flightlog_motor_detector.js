@@ -0,0 +1,190 @@
+"use strict";
+
+/**
+ * Looks through a log's motor outputs for the signs of trouble: motors pinned at the top or bottom of their output
+ * range while armed (saturation, where the PID controller has run out of authority), and possible ESC desyncs.
+ *
+ * A desyncing motor stops producing the thrust it's asked for, so the craft starts rotating in a direction the pilot
+ * didn't ask for and the PID controller responds by driving that motor much harder than the others. So we flag times
+ * when one motor is commanded far above all of the rest while the gyro is still far from the setpoint. (Ordinary rolls
+ * and flips drive a pair of motors up together, so they don't look like this.)
+ */
+function FlightLogMotorDetector(flightLog) {
+    var
+        // Saturation has to last at least this long (microseconds) to be reported, brief touches are normal in flips
+        MIN_SATURATION_DURATION = 50000,
+
+        // How far above the highest of the other motors (fraction of the output range) a motor must be commanded, and
+        // how far the roll or pitch gyro must be from the setpoint (deg/s), for that to look like a desync
+        DESYNC_MOTOR_EXCESS = 0.3,
+        DESYNC_RATE_ERROR = 200,
+        MIN_DESYNC_DURATION = 40000,
+
+        // Periods of the same problem separated by less than this (microseconds) are joined together
+        MAX_GAP = 20000;
+
+    /**
+     * Find the problems in the whole of the current log.
+     *
+     * Returns an array of detections sorted by time, each an object with these fields:
+     *     type               - One of the names in FlightLogMotorDetector.TYPES
+     *     motor              - Index of the motor involved
+     *     startTime, endTime - Blackbox times of the period
+     */
+    this.detect = function() {
+        var
+            sysConfig = flightLog.getSysConfig(),
+            motorMin = sysConfig.motorOutput[0], motorMax = sysConfig.motorOutput[1],
+
+            timeFieldIndex = FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME,
+            flightModeFieldIndex = flightLog.getMainFieldIndexByName("flightModeFlags"),
+            motorFieldIndexes = [], gyroFieldIndexes = [], setpointFieldIndexes = [],
+
+            // A FlightLogMotorDetector.PeriodFinder for each motor for each type of problem
+            high = [], low = [], desync = [],
+
+            results = [],
+            motorCount, i, axis;
+
+        for (i = 0; i < flightLog.getNumMotors(); i++) {
+            motorFieldIndexes.push(flightLog.getMainFieldIndexByName("motor[" + i + "]"));
+            high.push(new FlightLogMotorDetector.PeriodFinder(MIN_SATURATION_DURATION, MAX_GAP));
+            low.push(new FlightLogMotorDetector.PeriodFinder(MIN_SATURATION_DURATION, MAX_GAP));
+            desync.push(new FlightLogMotorDetector.PeriodFinder(MIN_DESYNC_DURATION, MAX_GAP));
+        }
+
+        for (axis = 0; axis < 2; axis++) {
+            gyroFieldIndexes.push(flightLog.getMainFieldIndexByName("gyroADCs[" + axis + "]"));
+            setpointFieldIndexes.push(flightLog.getMainFieldIndexByName("rcCommands[" + axis + "]"));
+        }
+
+        motorCount = motorFieldIndexes.length;
+
+        if (motorCount == 0 || motorMax <= motorMin) {
+            return results;
+        }
+
+        flightLog.forEachChunkInTimeRange(flightLog.getMinTime(), flightLog.getMaxTime(), function(chunk) {
+            for (var i = 0; i < chunk.frames.length; i++) {
+                var
+                    frame = chunk.frames[i],
+
+                    // Disarmed motors sit at their minimum, which isn't a problem
+                    armed = flightModeFieldIndex === undefined || flightLog.getFlightMode(frame[flightModeFieldIndex]).Arm,
+
+                    time = frame[timeFieldIndex],
+                    rateError = 0,
+
+                    // The two highest motor outputs, so we can tell how far each motor is above all the others
+                    highest = -Infinity, secondHighest = -Infinity,
+                    motor, axis;
+
+                for (motor = 0; motor < motorCount; motor++) {
+                    var
+                        output = frame[motorFieldIndexes[motor]];
+
+                    if (output > highest) {
+                        secondHighest = highest;
+                        highest = output;
+                    } else if (output > secondHighest) {
+                        secondHighest = output;
+                    }
+                }
+
+                for (axis = 0; axis < 2; axis++) {
+                    if (gyroFieldIndexes[axis] !== undefined && setpointFieldIndexes[axis] !== undefined) {
+                        rateError = Math.max(rateError, Math.abs(frame[gyroFieldIndexes[axis]] - frame[setpointFieldIndexes[axis]]));
+                    }
+                }
+
+                for (motor = 0; motor < motorCount; motor++) {
+                    var
+                        value = frame[motorFieldIndexes[motor]],
+                        othersHighest = value == highest ? secondHighest : highest;
+
+                    high[motor].add(time, armed && value >= motorMax);
+                    low[motor].add(time, armed && value <= motorMin);
+                    desync[motor].add(time, armed && motorCount > 1 && rateError >= DESYNC_RATE_ERROR
+                        && (value - othersHighest) / (motorMax - motorMin) >= DESYNC_MOTOR_EXCESS);
+                }
+            }
+        });
+
+        function addPeriods(type, motor, periodFinder) {
+            var
+                periods = periodFinder.getPeriods();
+
+            for (var i = 0; i < periods.length; i++) {
+                results.push({
+                    type: type,
+                    motor: motor,
+                    startTime: periods[i].startTime,
+                    endTime: periods[i].endTime
+                });
+            }
+        }
+
+        for (i = 0; i < motorCount; i++) {
+            addPeriods("desync", i, desync[i]);
+            addPeriods("high", i, high[i]);
+            addPeriods("low", i, low[i]);
+        }
+
+        results.sort(function(a, b) {
+            return a.startTime - b.startTime;
+        });
+
+        return results;
+    };
+}
+
+/**
+ * The kinds of problem that are detected, with a description and the colour they're marked with.
+ */
+FlightLogMotorDetector.TYPES = {
+    desync: {label: "Possible desync", color: "rgba(255, 0, 0, 0.75)"},
+    high: {label: "Motor at maximum", color: "rgba(255, 140, 0, 0.75)"},
+    low: {label: "Motor at minimum", color: "rgba(0, 150, 255, 0.75)"}
+};
+
+/**
+ * Describe a detection for display, e.g. "Possible desync (motor 3)".
+ */
+FlightLogMotorDetector.describe = function(detection) {
+    return FlightLogMotorDetector.TYPES[detection.type].label + " (motor " + (detection.motor + 1) + ")";
+};
+
+/**
+ * Collects the periods where a condition holds, given the condition's state at each successive time. Periods separated
+ * by less than maxGap are joined together and any shorter than minDuration are dropped.
+ */
+FlightLogMotorDetector.PeriodFinder = function(minDuration, maxGap) {
+    var
+        periods = [],
+        current = null;
+
+    this.add = function(time, flag) {
+        if (!flag) {
+            return;
+        }
+
+        if (current && time - current.endTime <= maxGap) {
+            current.endTime = time;
+        } else {
+            current = {
+                startTime: time,
+                endTime: time
+            };
+            periods.push(current);
+        }
+    };
+
+    /**
+     * Get the periods found so far, an array of {startTime, endTime}.
+     */
+    this.getPeriods = function() {
+        return periods.filter(function(period) {
+            return period.endTime - period.startTime >= minDuration;
+        });
+    };
+};
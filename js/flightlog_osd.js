@@ -0,0 +1,316 @@
+"use strict";
+
+/**
+ * Draws an OSD-style overlay of the flight's telemetry on top of a rendered video frame: the battery voltage and
+ * current, an artificial horizon from the computed attitude, the flight mode, a throttle bar and the lap times.
+ *
+ * layout - Object with a field for each widget (named as in FlightLogOSD.WIDGETS), each an object with these fields:
+ *     show      - True to draw this widget
+ *     left, top - Position of the widget's top left corner as a percentage of the width and height of the canvas
+ * bookmarkTimes - Times of the laps for the lap timer (the bookmarks set while viewing the log)
+ */
+function FlightLogOSD(flightLog, canvas, layout, bookmarkTimes) {
+    var
+        DEFAULT_FONT_FACE = "Verdana, Arial, sans-serif",
+
+        // How many degrees of pitch it takes to move the horizon from the center to the edge of its widget
+        HORIZON_PITCH_RANGE = 45,
+
+        canvasContext = canvas.getContext("2d"),
+        lapTimer = new LapTimer(),
+
+        // Everything is sized in proportion to the height of the video so the overlay looks the same at any resolution
+        unit = canvas.height / 40,
+
+        fieldIndexes = {};
+
+    function findFields() {
+        var
+            names = ["vbatLatest", "amperageLatest", "heading[0]", "heading[1]", "flightModeFlags", "rcCommand[3]"];
+
+        for (var i = 0; i < names.length; i++) {
+            fieldIndexes[names[i]] = flightLog.getMainFieldIndexByName(names[i]);
+        }
+    }
+
+    function fieldValue(frame, name) {
+        return fieldIndexes[name] === undefined ? undefined : frame[fieldIndexes[name]];
+    }
+
+    function widgetPosition(widget) {
+        return {
+            x: canvas.width * widget.left / 100,
+            y: canvas.height * widget.top / 100
+        };
+    }
+
+    /**
+     * Draw text in the style of an OSD (white with a dark outline so it can be read over any video), with its top left
+     * corner at the given position.
+     */
+    function drawText(text, x, y, size) {
+        canvasContext.font = "bold " + Math.round(size) + "px " + DEFAULT_FONT_FACE;
+        canvasContext.textAlign = "left";
+        canvasContext.textBaseline = "top";
+
+        canvasContext.lineWidth = Math.max(size / 6, 1);
+        canvasContext.strokeStyle = "rgba(0,0,0,0.8)";
+        canvasContext.strokeText(text, x, y);
+
+        canvasContext.fillStyle = "white";
+        canvasContext.fillText(text, x, y);
+    }
+
+    function drawBattery(frame, position) {
+        var
+            vbat = fieldValue(frame, "vbatLatest"),
+            amperage = fieldValue(frame, "amperageLatest"),
+            y = position.y;
+
+        if (vbat !== undefined) {
+            var
+                volts = flightLog.vbatToMillivolts(vbat) / 1000,
+                cells = flightLog.getNumCellsEstimate();
+
+            drawText(volts.toFixed(2) + "V" + (cells ? "  " + (volts / cells).toFixed(2) + "V/cell" : ""), position.x, y, unit * 1.4);
+            y += unit * 1.8;
+        }
+
+        if (amperage !== undefined) {
+            drawText((flightLog.amperageToMilliamps(amperage) / 1000).toFixed(1) + "A", position.x, y, unit * 1.4);
+        }
+    }
+
+    function drawHorizon(frame, position) {
+        var
+            roll = fieldValue(frame, "heading[0]"),
+            pitch = fieldValue(frame, "heading[1]"),
+            radius = unit * 5,
+            centerX = position.x + radius, centerY = position.y + radius;
+
+        if (roll === undefined || pitch === undefined) {
+            return;
+        }
+
+        canvasContext.save();
+
+        canvasContext.lineCap = "round";
+        canvasContext.strokeStyle = "white";
+        canvasContext.shadowColor = "rgba(0,0,0,0.8)";
+        canvasContext.shadowBlur = unit / 3;
+
+        // The horizon line, which tilts against the craft's roll and moves down as it pitches up
+        canvasContext.beginPath();
+        canvasContext.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+        canvasContext.clip();
+
+        canvasContext.translate(centerX, centerY);
+        canvasContext.rotate(-roll);
+        canvasContext.translate(0, Math.max(Math.min(pitch * 180 / Math.PI / HORIZON_PITCH_RANGE, 1.5), -1.5) * radius);
+
+        canvasContext.lineWidth = unit / 4;
+        canvasContext.beginPath();
+        canvasContext.moveTo(-radius * 1.5, 0);
+        canvasContext.lineTo(-radius * 0.3, 0);
+        canvasContext.moveTo(radius * 0.3, 0);
+        canvasContext.lineTo(radius * 1.5, 0);
+        canvasContext.stroke();
+
+        canvasContext.restore();
+
+        // The craft itself stays fixed in the middle
+        canvasContext.save();
+
+        canvasContext.strokeStyle = "white";
+        canvasContext.shadowColor = "rgba(0,0,0,0.8)";
+        canvasContext.shadowBlur = unit / 3;
+        canvasContext.lineWidth = unit / 5;
+
+        canvasContext.beginPath();
+        canvasContext.moveTo(centerX - radius * 0.25, centerY);
+        canvasContext.lineTo(centerX - radius * 0.1, centerY);
+        canvasContext.lineTo(centerX, centerY + radius * 0.1);
+        canvasContext.lineTo(centerX + radius * 0.1, centerY);
+        canvasContext.lineTo(centerX + radius * 0.25, centerY);
+        canvasContext.stroke();
+
+        canvasContext.restore();
+    }
+
+    function drawFlightMode(frame, position) {
+        var
+            flags = fieldValue(frame, "flightModeFlags");
+
+        if (flags !== undefined) {
+            drawText(FlightLogOSD.describeFlightMode(flightLog.getFlightMode(flags)), position.x, position.y, unit * 1.4);
+        }
+    }
+
+    function drawThrottle(frame, position) {
+        var
+            throttle = fieldValue(frame, "rcCommand[3]"),
+            barWidth = unit, barHeight = unit * 8,
+            percent;
+
+        if (throttle === undefined) {
+            return;
+        }
+
+        percent = flightLog.rcCommandRawToThrottle(throttle);
+
+        canvasContext.save();
+
+        canvasContext.fillStyle = "rgba(0,0,0,0.4)";
+        canvasContext.fillRect(position.x, position.y, barWidth, barHeight);
+
+        canvasContext.fillStyle = "white";
+        canvasContext.fillRect(position.x, position.y + barHeight * (1 - percent / 100), barWidth, barHeight * percent / 100);
+
+        canvasContext.strokeStyle = "rgba(0,0,0,0.8)";
+        canvasContext.lineWidth = unit / 8;
+        canvasContext.strokeRect(position.x, position.y, barWidth, barHeight);
+
+        canvasContext.restore();
+
+        drawText("THR " + Math.round(percent) + "%", position.x, position.y + barHeight + unit * 0.4, unit * 1.2);
+    }
+
+    function drawLapTimer(time, widget) {
+        lapTimer.refresh(time, flightLog.getMaxTime(), bookmarkTimes || []);
+
+        // The lap timer already knows how to draw itself as a box on the canvas
+        lapTimer.drawCanvas(canvas, {
+            laptimer: {
+                left: widget.left + "%",
+                top: widget.top + "%",
+                transparency: "40%"
+            }
+        });
+    }
+
+    /**
+     * Draw the overlay for the given Blackbox time onto the canvas.
+     */
+    this.render = function(time) {
+        var
+            frame = flightLog.getSmoothedFrameAtTime(time);
+
+        if (!frame) {
+            return;
+        }
+
+        if (layout.battery && layout.battery.show) {
+            drawBattery(frame, widgetPosition(layout.battery));
+        }
+        if (layout.horizon && layout.horizon.show) {
+            drawHorizon(frame, widgetPosition(layout.horizon));
+        }
+        if (layout.flightMode && layout.flightMode.show) {
+            drawFlightMode(frame, widgetPosition(layout.flightMode));
+        }
+        if (layout.throttle && layout.throttle.show) {
+            drawThrottle(frame, widgetPosition(layout.throttle));
+        }
+        if (layout.lapTimer && layout.lapTimer.show) {
+            drawLapTimer(time, layout.lapTimer);
+        }
+    };
+
+    findFields();
+}
+
+/**
+ * The widgets which can be placed on the overlay.
+ */
+FlightLogOSD.WIDGETS = [
+    {name: "battery", label: "Battery voltage and current"},
+    {name: "horizon", label: "Artificial horizon"},
+    {name: "flightMode", label: "Flight mode"},
+    {name: "throttle", label: "Throttle"},
+    {name: "lapTimer", label: "Lap times"}
+];
+
+/**
+ * Built-in layouts of the widgets for the user to start from.
+ */
+FlightLogOSD.PRESETS = [
+    {
+        name: "Classic OSD",
+        layout: {
+            battery: {show: true, left: 3, top: 88},
+            horizon: {show: true, left: 44, top: 37},
+            flightMode: {show: true, left: 44, top: 92},
+            throttle: {show: true, left: 94, top: 62},
+            lapTimer: {show: false, left: 85, top: 5}
+        }
+    },
+    {
+        name: "Racing",
+        layout: {
+            battery: {show: true, left: 3, top: 88},
+            horizon: {show: false, left: 44, top: 37},
+            flightMode: {show: false, left: 44, top: 92},
+            throttle: {show: true, left: 94, top: 62},
+            lapTimer: {show: true, left: 85, top: 5}
+        }
+    },
+    {
+        name: "Minimal",
+        layout: {
+            battery: {show: true, left: 3, top: 92},
+            horizon: {show: false, left: 44, top: 37},
+            flightMode: {show: true, left: 80, top: 92},
+            throttle: {show: false, left: 94, top: 62},
+            lapTimer: {show: false, left: 85, top: 5}
+        }
+    }
+];
+
+/**
+ * Returns true if the layout doesn't show any widgets at all.
+ */
+FlightLogOSD.isLayoutEmpty = function(layout) {
+    if (layout) {
+        for (var i = 0; i < FlightLogOSD.WIDGETS.length; i++) {
+            var
+                widget = layout[FlightLogOSD.WIDGETS[i].name];
+
+            if (widget && widget.show) {
+                return false;
+            }
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Summarise the flight mode (from FlightLog.getFlightMode()) in the style of an OSD, e.g. "ANGLE AIR".
+ */
+FlightLogOSD.describeFlightMode = function(mode) {
+    var
+        result;
+
+    if (mode.Failsafe) {
+        return "FAILSAFE";
+    }
+    if (!mode.Arm) {
+        return "DISARMED";
+    }
+
+    if (mode.Angle) {
+        result = "ANGLE";
+    } else if (mode.Horizon) {
+        result = "HORIZON";
+    } else if (mode.Passthrough) {
+        result = "PASSTHRU";
+    } else {
+        result = "ACRO";
+    }
+
+    if (mode.Airmode) {
+        result += " AIR";
+    }
+
+    return result;
+};
@@ -279,6 +279,9 @@ var FlightLogParser = function(logData) {
         mainHistory = [null, null, null],
         mainStreamIsValid = false,
 
+        // True after a corrupt frame, until the main stream has been resynchronised by a good I frame
+        resynchronising = false,
+
         gpsHomeHistory = new Array(2), // 0 - space to decode new frames into, 1 - previous frame
         gpsHomeIsValid = false,
 
@@ -305,7 +308,7 @@ var FlightLogParser = function(logData) {
     this.frameDefs = {};
 
     // Lets add the custom extensions
-    var completeSysConfig = $.extend({}, defaultSysConfig, defaultSysConfigExtension);
+    var completeSysConfig = Object.assign({}, defaultSysConfig, defaultSysConfigExtension);
     this.sysConfig = Object.create(completeSysConfig); // Object.create(defaultSysConfig);
 
     /*
@@ -314,6 +317,13 @@ var FlightLogParser = function(logData) {
      */
     this.onFrameReady = null;
 
+    /*
+     * Normally after a corrupt frame we carry on decoding any frame we can find. In recovery mode we ignore
+     * everything after a corrupt frame until we find an I frame that's valid, since in a damaged region of a log
+     * (e.g. from a flash write error) the other frame types that happen to decode are usually garbage.
+     */
+    this.recoveryMode = false;
+
     function mapFieldNamesToIndex(fieldNames) {
         var
             result = {};
@@ -395,17 +405,9 @@ var FlightLogParser = function(logData) {
                 switch (fieldValue) {
                     case "Cleanflight":
                         that.sysConfig.firmwareType = FIRMWARE_TYPE_CLEANFLIGHT;
-                        $('html').removeClass('isBaseF');
-    					$('html').addClass('isCF');
-                        $('html').removeClass('isBF');
-                        $('html').removeClass('isINAV');
                     break;
                     default:
                         that.sysConfig.firmwareType = FIRMWARE_TYPE_BASEFLIGHT;
-                        $('html').addClass('isBaseF');
-    					$('html').removeClass('isCF');
-                        $('html').removeClass('isBF');
-                        $('html').removeClass('isINAV');
                 }
             break;
 
@@ -640,10 +642,6 @@ var FlightLogParser = function(logData) {
                     // Detecting Betaflight requires looking at the revision string
                     if (matches[1] === "Betaflight") {
                         that.sysConfig.firmwareType = FIRMWARE_TYPE_BETAFLIGHT;
-                        $('html').removeClass('isBaseF');
-                        $('html').removeClass('isCF');
-                        $('html').addClass('isBF');
-                        $('html').removeClass('isINAV');
                     }
 
                     that.sysConfig.firmware        = parseFloat(matches[2] + '.' + matches[3]).toFixed(1);
@@ -660,12 +658,6 @@ var FlightLogParser = function(logData) {
                         that.sysConfig.firmwareType  = FIRMWARE_TYPE_INAV;
                         that.sysConfig.firmware      = parseFloat(matches[2] + '.' + matches[3]);
                         that.sysConfig.firmwarePatch = (matches[5] != null)?parseInt(matches[5]):'';
-                        //added class definition as the isBF, isCF etc classes are only used for colors and
-                        //a few images in the css.
-                        $('html').removeClass('isBaseF');
-                        $('html').removeClass('isCF');
-                        $('html').removeClass('isBF');
-                        $('html').addClass('isINAV');
                     } else {
 
                     	// Cleanflight 1.x and others
@@ -1316,6 +1308,7 @@ var FlightLogParser = function(logData) {
         lastMainFrameTime = -1;
 
         invalidateMainStream();
+        resynchronising = false;
         gpsHomeIsValid = false;
         lastEvent = null;
     };
@@ -1326,8 +1319,9 @@ var FlightLogParser = function(logData) {
 
         //Reset system configuration to MW's defaults
         // Lets add the custom extensions
-        var completeSysConfig = $.extend({}, defaultSysConfig, defaultSysConfigExtension);
+        var completeSysConfig = Object.assign({}, defaultSysConfig, defaultSysConfigExtension);
         this.sysConfig = Object.create(completeSysConfig); // Object.create(defaultSysConfig);
+        this.sysConfig.unknownHeaders = []; // Each log gets its own, rather than adding to the shared default
 
         this.frameDefs = {};
 
@@ -1451,6 +1445,7 @@ var FlightLogParser = function(logData) {
             lastFrameType = null;
 
         invalidateMainStream();
+        resynchronising = false;
 
         //Set parsing ranges up for the log the caller selected
         stream.start = startOffset === undefined ? stream.pos : startOffset;
@@ -1496,11 +1491,16 @@ var FlightLogParser = function(logData) {
                     } else {
                         frameTypeStats.desyncCount++;
                     }
+
+                    if (mainStreamIsValid) {
+                        resynchronising = false;
+                    }
                 } else {
                     //The previous frame was corrupt
 
                     //We need to resynchronise before we can deliver another main frame:
                     mainStreamIsValid = false;
+                    resynchronising = true;
                     frameTypeStats.corruptCount++;
                     this.stats.totalCorruptFrames++;
 
@@ -1527,6 +1527,10 @@ var FlightLogParser = function(logData) {
             frameStart = stream.pos - 1;
             frameType = getFrameType(command);
 
+            if (this.recoveryMode && resynchronising && command != 'I') {
+                frameType = null;
+            }
+
             // Reject the frame if it is one that we have no definitions for in the header
             if (frameType && (command == 'E' || that.frameDefs[command])) {
                 lastFrameType = frameType;
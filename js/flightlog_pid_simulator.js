@@ -0,0 +1,458 @@
+"use strict";
+
+/**
+ * Replays a log's gyro and setpoint through a model of Betaflight's PID controller and its filters, using the PID and
+ * filter settings from a sysConfig (the log's own, or ones edited in the header dialog), so the effect of a change can
+ * be previewed against the logged P, I and D terms before flying it.
+ *
+ * The model is Betaflight 3's floating point PID controller in rate mode, with TPA, setpoint weighting and relaxation,
+ * the yaw P term low pass and the D term notch and low pass filters. It runs at the rate the log was recorded at rather
+ * than at the PID loop rate, so filters which can't be represented at that rate are left out.
+ *
+ * The logged gyro has already been through the firmware's gyro filters, so the gyro low pass and notches are only
+ * simulated if the unfiltered gyro was logged as well (with debug_mode = GYRO). Otherwise the logged gyro is used as is.
+ */
+function FlightLogPIDSimulator(flightLog) {
+    var
+        // Betaflight's scaling from the configured gains to the controller's
+        PTERM_SCALE = 0.032029,
+        ITERM_SCALE = 0.244381,
+        DTERM_SCALE = 0.000529,
+
+        // Limit on the I term (the PID terms are in the log's units, where 1000 is full output)
+        ITERM_LIMIT = 250,
+
+        // Restart the simulation after a gap in the log this long (microseconds)
+        MAX_FRAME_GAP = 100000,
+
+        // Filter types from the FILTER_TYPE list
+        FILTER_TYPE_PT1 = 0,
+
+        // Simulate this much of the log (microseconds) at a time, yielding to the browser in between
+        SLICE_LENGTH = 5 * 1000000,
+
+        cancel = false;
+
+    /**
+     * Estimate the rate the log was recorded at (Hz) from the first chunk of frames.
+     */
+    function estimateSampleRate() {
+        var
+            chunk = flightLog.getChunksInTimeRange(flightLog.getMinTime(), flightLog.getMinTime())[0],
+            timeFieldIndex = FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME,
+            intervals = [];
+
+        if (chunk) {
+            for (var i = 1; i < chunk.frames.length; i++) {
+                var
+                    interval = chunk.frames[i][timeFieldIndex] - chunk.frames[i - 1][timeFieldIndex];
+
+                if (interval > 0) {
+                    intervals.push(interval);
+                }
+            }
+        }
+
+        if (intervals.length == 0) {
+            return 1000;
+        }
+
+        intervals.sort(function(a, b) {
+            return a - b;
+        });
+
+        return 1000000 / intervals[Math.floor(intervals.length / 2)];
+    }
+
+    /**
+     * Describe the settings to simulate as a list of filters for each stage, leaving out (and listing in skipped) the
+     * ones which are turned off or can't be represented at the sample rate.
+     */
+    function buildFilters(sysConfig, sampleRate, simulateGyroFilters, skipped) {
+        var
+            nyquist = sampleRate / 2,
+            gyroNotchHz = [].concat(sysConfig.gyro_notch_hz),
+            gyroNotchCutoff = [].concat(sysConfig.gyro_notch_cutoff),
+            filters = {gyro: [], dterm: [], yawP: []};
+
+        function isUsable(name, frequency) {
+            if (!frequency) {
+                return false;
+            }
+
+            if (frequency >= nyquist) {
+                skipped.push(name + " (" + frequency + "Hz)");
+                return false;
+            }
+
+            return true;
+        }
+
+        function addLowpass(stage, name, frequency, type) {
+            if (isUsable(name, frequency)) {
+                stage.push(type == FILTER_TYPE_PT1 ? {type: 'pt1', frequency: frequency} : {type: 'biquad', frequency: frequency});
+            }
+        }
+
+        function addNotch(stage, name, frequency, cutoff) {
+            if (isUsable(name, frequency) && cutoff > 0 && cutoff < frequency) {
+                stage.push({type: 'notch', frequency: frequency, cutoff: cutoff});
+            }
+        }
+
+        if (simulateGyroFilters) {
+            // The firmware's default is PT1 for the gyro and biquad for the D term
+            addLowpass(filters.gyro, "gyro_lowpass_hz", sysConfig.gyro_lowpass_hz, sysConfig.gyro_soft_type || FILTER_TYPE_PT1);
+
+            for (var i = 0; i < gyroNotchHz.length; i++) {
+                addNotch(filters.gyro, "gyro_notch" + (i + 1) + "_hz", gyroNotchHz[i], gyroNotchCutoff[i]);
+            }
+        }
+
+        addNotch(filters.dterm, "dterm_notch_hz", sysConfig.dterm_notch_hz, sysConfig.dterm_notch_cutoff);
+        addLowpass(filters.dterm, "dterm_lowpass_hz", sysConfig.dterm_lpf_hz,
+            sysConfig.dterm_filter_type == null ? 1 : sysConfig.dterm_filter_type);
+
+        addLowpass(filters.yawP, "yaw_lowpass_hz", sysConfig.yaw_lpf_hz, FILTER_TYPE_PT1);
+
+        return filters;
+    }
+
+    function createFilters(descriptions, sampleRate) {
+        return descriptions.map(function(description) {
+            switch (description.type) {
+                case 'pt1':
+                    return new FlightLogPIDSimulator.PT1Filter(description.frequency, sampleRate);
+                case 'biquad':
+                    return FlightLogPIDSimulator.BiquadFilter.lowpass(description.frequency, sampleRate);
+                case 'notch':
+                    return FlightLogPIDSimulator.BiquadFilter.notch(description.frequency, description.cutoff, sampleRate);
+            }
+        });
+    }
+
+    function applyFilters(filters, value) {
+        for (var i = 0; i < filters.length; i++) {
+            value = filters[i].apply(value);
+        }
+
+        return value;
+    }
+
+    function resetFilters(filters) {
+        for (var i = 0; i < filters.length; i++) {
+            filters[i].reset();
+        }
+    }
+
+    /**
+     * Run the simulation over the whole of the current log with the PID and filter settings in the given sysConfig.
+     * This is done a piece at a time so the page stays responsive, calling onProgress(timeDone, timeTotal) as it goes
+     * (optional) and then onComplete(simulation) when it's finished, unless it's cancelled first. Throws a string if the
+     * log can't be simulated.
+     *
+     * The simulation is an object for FlightLog.setSimulatedPIDs() with these fields:
+     *     logIndex           - Index of the log that was simulated
+     *     chunks             - The simulated terms for each chunk of the log by chunk index, each a Float32Array of
+     *                          the P terms for roll, pitch and yaw then the I terms then the D terms for each frame
+     *     sampleRate         - Rate the simulation was run at (Hz)
+     *     gyroFiltersApplied - True if the gyro filters were simulated on the unfiltered gyro
+     *     skippedFilters     - Descriptions of the filters that were left out because the log's rate was too low
+     */
+    this.simulate = function(sysConfig, onComplete, onProgress) {
+        var
+            timeFieldIndex = FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME,
+            flightModeFieldIndex = flightLog.getMainFieldIndexByName("flightModeFlags"),
+            throttleFieldIndex = flightLog.getMainFieldIndexByName("rcCommand[3]"),
+            gyroFieldIndexes = [], rawGyroFieldIndexes = [], rcCommandFieldIndexes = [],
+
+            sampleRate = estimateSampleRate(),
+            skippedFilters = [],
+            simulateGyroFilters,
+            filterDescriptions,
+
+            pidGains = [sysConfig.rollPID, sysConfig.pitchPID, sysConfig.yawPID],
+            dtermSetpointWeight = sysConfig.dtermSetpointWeight == null ? 0 : sysConfig.dtermSetpointWeight / 100,
+            relaxFactor = sysConfig.setpointRelaxRatio ? 100 / sysConfig.setpointRelaxRatio : 0,
+            tpaBreakpoint = sysConfig.tpa_breakpoint || 1500,
+            tpaRate = sysConfig.dynThrPID || 0,
+
+            axes = [],
+            results = {},
+            lastTime = null,
+            minTime = flightLog.getMinTime(), maxTime = flightLog.getMaxTime(),
+            sliceStartTime = minTime,
+            axis;
+
+        for (axis = 0; axis < 3; axis++) {
+            gyroFieldIndexes.push(flightLog.getMainFieldIndexByName("gyroADC[" + axis + "]"));
+            rawGyroFieldIndexes.push(flightLog.getMainFieldIndexByName("debug[" + axis + "]"));
+            rcCommandFieldIndexes.push(flightLog.getMainFieldIndexByName("rcCommand[" + axis + "]"));
+        }
+
+        simulateGyroFilters = DEBUG_MODE[flightLog.getSysConfig().debug_mode] == "GYRO" && rawGyroFieldIndexes[2] !== undefined;
+        if (simulateGyroFilters) {
+            gyroFieldIndexes = rawGyroFieldIndexes;
+        }
+
+        filterDescriptions = buildFilters(sysConfig, sampleRate, simulateGyroFilters, skippedFilters);
+
+        for (axis = 0; axis < 3; axis++) {
+            var
+                gains = pidGains[axis] || [0, 0, 0];
+
+            axes.push({
+                Kp: PTERM_SCALE * (gains[0] || 0),
+                Ki: ITERM_SCALE * (gains[1] || 0),
+                Kd: DTERM_SCALE * (gains[2] || 0),
+
+                gyroFilters: createFilters(filterDescriptions.gyro, sampleRate),
+                dtermFilters: createFilters(filterDescriptions.dterm, sampleRate),
+                yawPFilters: axis == 2 ? createFilters(filterDescriptions.yawP, sampleRate) : [],
+
+                iTerm: 0,
+                previousRateError: null
+            });
+        }
+
+        function reset() {
+            for (var axis = 0; axis < 3; axis++) {
+                resetFilters(axes[axis].gyroFilters);
+                resetFilters(axes[axis].dtermFilters);
+                resetFilters(axes[axis].yawPFilters);
+
+                axes[axis].iTerm = 0;
+                axes[axis].previousRateError = null;
+            }
+        }
+
+        if (gyroFieldIndexes[0] === undefined || rcCommandFieldIndexes[0] === undefined) {
+            throw "This log doesn't have the gyro and rcCommand fields needed to simulate the PID controller";
+        }
+
+        function simulateChunk(chunk) {
+            var
+                terms;
+
+            // Chunks can straddle slices, and we only want to run through each of them once
+            if (results[chunk.index]) {
+                return;
+            }
+
+            terms = new Float32Array(chunk.frames.length * 9);
+
+            for (var i = 0; i < chunk.frames.length; i++) {
+                var
+                    frame = chunk.frames[i],
+                    time = frame[timeFieldIndex],
+                    flightMode = flightModeFieldIndex === undefined ? null : frame[flightModeFieldIndex],
+                    armed = flightMode === null || flightLog.getFlightMode(flightMode).Arm,
+                    throttle = throttleFieldIndex === undefined ? 1000 : frame[throttleFieldIndex],
+                    tpaFactor = 1,
+                    dT;
+
+                if (lastTime === null || time <= lastTime || time - lastTime > MAX_FRAME_GAP) {
+                    reset();
+                    dT = 1 / sampleRate;
+                } else {
+                    dT = (time - lastTime) / 1000000;
+                }
+
+                if (throttle >= tpaBreakpoint) {
+                    tpaFactor = 1 - tpaRate / 100 * Math.min((throttle - tpaBreakpoint) / (2000 - tpaBreakpoint), 1);
+                }
+
+                for (axis = 0; axis < 3; axis++) {
+                    var
+                        state = axes[axis],
+                        rcCommand = frame[rcCommandFieldIndexes[axis]],
+                        setpoint = flightLog.rcCommandRawToDegreesPerSecond(rcCommand, axis, flightMode),
+                        gyroRate = applyFilters(state.gyroFilters, flightLog.gyroRawToDegreesPerSecond(frame[gyroFieldIndexes[axis]])),
+                        errorRate = setpoint - gyroRate,
+                        pTerm = state.Kp * errorRate * tpaFactor,
+                        dTerm = 0;
+
+                    pTerm = applyFilters(state.yawPFilters, pTerm);
+
+                    // The I term only builds up while armed
+                    if (armed) {
+                        state.iTerm = Math.max(Math.min(state.iTerm + state.Ki * errorRate * dT, ITERM_LIMIT), -ITERM_LIMIT);
+                    } else {
+                        state.iTerm = 0;
+                    }
+
+                    if (axis != 2) {
+                        var
+                            dynC = dtermSetpointWeight,
+                            rateError, delta;
+
+                        if (relaxFactor && sysConfig.setpointRelaxRatio < 100) {
+                            dynC *= Math.min(Math.abs(rcCommand) / 500 * relaxFactor, 1);
+                        }
+
+                        rateError = dynC * setpoint - gyroRate;
+                        delta = state.previousRateError === null ? 0 : (rateError - state.previousRateError) / dT;
+                        state.previousRateError = rateError;
+
+                        dTerm = state.Kd * applyFilters(state.dtermFilters, delta) * tpaFactor;
+                    }
+
+                    terms[i * 9 + axis] = pTerm;
+                    terms[i * 9 + 3 + axis] = state.iTerm;
+                    terms[i * 9 + 6 + axis] = dTerm;
+                }
+
+                lastTime = chunk.gapStartsHere[i] ? null : time;
+            }
+
+            results[chunk.index] = terms;
+        }
+
+        function simulateSlice() {
+            var
+                sliceEndTime = Math.min(sliceStartTime + SLICE_LENGTH, maxTime);
+
+            if (cancel) {
+                return;
+            }
+
+            flightLog.forEachChunkInTimeRange(sliceStartTime, sliceEndTime, simulateChunk);
+
+            if (onProgress) {
+                onProgress(sliceEndTime - minTime, maxTime - minTime);
+            }
+
+            if (sliceEndTime >= maxTime) {
+                onComplete({
+                    logIndex: flightLog.getLogIndex(),
+                    chunks: results,
+                    sampleRate: sampleRate,
+                    gyroFiltersApplied: simulateGyroFilters,
+                    skippedFilters: skippedFilters
+                });
+            } else {
+                sliceStartTime = sliceEndTime;
+
+                setTimeout(simulateSlice, 0);
+            }
+        }
+
+        cancel = false;
+
+        setTimeout(simulateSlice, 0);
+    };
+
+    /**
+     * Stop the simulation that's in progress, if any. Its onComplete won't be called.
+     */
+    this.cancel = function() {
+        cancel = true;
+    };
+}
+
+/**
+ * The names of the fields the simulated terms are added to the log as, in the order they're stored for each frame.
+ */
+FlightLogPIDSimulator.FIELD_NAMES = [
+    "axisSimP[0]", "axisSimP[1]", "axisSimP[2]",
+    "axisSimI[0]", "axisSimI[1]", "axisSimI[2]",
+    "axisSimD[0]", "axisSimD[1]", "axisSimD[2]"
+];
+
+/**
+ * First order low pass filter, as used by the firmware.
+ */
+FlightLogPIDSimulator.PT1Filter = function(cutoffHz, sampleRate) {
+    var
+        dT = 1 / sampleRate,
+        rc = 1 / (2 * Math.PI * cutoffHz),
+        k = dT / (rc + dT),
+        state = null;
+
+    this.apply = function(input) {
+        // Start from the first input rather than from zero, so we don't begin with a big step
+        if (state === null) {
+            state = input;
+        } else {
+            state = state + k * (input - state);
+        }
+
+        return state;
+    };
+
+    this.reset = function() {
+        state = null;
+    };
+};
+
+/**
+ * Second order filter with the given (normalised) coefficients, use BiquadFilter.lowpass() or BiquadFilter.notch()
+ * to make one with the same response as the firmware's.
+ */
+FlightLogPIDSimulator.BiquadFilter = function(b0, b1, b2, a1, a2) {
+    var
+        x1 = 0, x2 = 0,
+        started = false;
+
+    this.apply = function(input) {
+        var
+            result;
+
+        // Settle at the first input (both of these filters pass a steady input unchanged)
+        if (!started) {
+            x1 = input * (1 - b0);
+            x2 = input * (b2 - a2);
+            started = true;
+        }
+
+        result = b0 * input + x1;
+        x1 = b1 * input - a1 * result + x2;
+        x2 = b2 * input - a2 * result;
+
+        return result;
+    };
+
+    this.reset = function() {
+        x1 = 0;
+        x2 = 0;
+        started = false;
+    };
+};
+
+(function() {
+    // Q of a Butterworth low pass
+    var BUTTERWORTH_Q = 1 / Math.sqrt(2);
+
+    function create(frequency, sampleRate, Q, notch) {
+        var
+            omega = 2 * Math.PI * frequency / sampleRate,
+            sn = Math.sin(omega),
+            cs = Math.cos(omega),
+            alpha = sn / (2 * Q),
+            a0 = 1 + alpha,
+            b0, b1, b2;
+
+        if (notch) {
+            b0 = 1;
+            b1 = -2 * cs;
+            b2 = 1;
+        } else {
+            b0 = (1 - cs) / 2;
+            b1 = 1 - cs;
+            b2 = b0;
+        }
+
+        return new FlightLogPIDSimulator.BiquadFilter(b0 / a0, b1 / a0, b2 / a0, -2 * cs / a0, (1 - alpha) / a0);
+    }
+
+    FlightLogPIDSimulator.BiquadFilter.lowpass = function(cutoffHz, sampleRate) {
+        return create(cutoffHz, sampleRate, BUTTERWORTH_Q, false);
+    };
+
+    /**
+     * Make a notch filter centred on centerHz whose lower -3dB point is at cutoffHz, like the firmware's notch settings.
+     */
+    FlightLogPIDSimulator.BiquadFilter.notch = function(centerHz, cutoffHz, sampleRate) {
+        return create(centerHz, sampleRate, centerHz * cutoffHz / (centerHz * centerHz - cutoffHz * cutoffHz), true);
+    };
+})();
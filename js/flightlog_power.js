@@ -0,0 +1,275 @@
+"use strict";
+
+/**
+ * Summarises the battery usage over a region of a log: how far the voltage sags at each throttle level, the current
+ * drawn, the capacity consumed, and an estimate of the pack's internal resistance from how much the voltage drops
+ * when the current steps up.
+ */
+function FlightLogPowerAnalysis(flightLog) {
+    var
+        // The battery readings are resampled to this rate (Hz), they change far more slowly than the loop rate anyway
+        SAMPLE_RATE = 20,
+
+        // Width of the throttle bins (percent) the voltage sag is measured in
+        THROTTLE_BIN_WIDTH = 10;
+
+    /**
+     * Average all of the logged values which fall into each sample period beginning at startTime, carrying the last
+     * value forward through any periods which have no values at all.
+     */
+    function resample(times, values, startTime, sampleCount) {
+        var
+            result = new Float64Array(sampleCount),
+            period = 1000000 / SAMPLE_RATE,
+            j = 0;
+
+        for (var i = 0; i < sampleCount; i++) {
+            var
+                binEnd = startTime + (i + 1) * period,
+                sum = 0, count = 0;
+
+            for (; j < times.length && times[j] < binEnd; j++) {
+                sum += values[j];
+                count++;
+            }
+
+            result[i] = count > 0 ? sum / count : (i > 0 ? result[i - 1] : values[0]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Average voltage per cell in each throttle bin, and how far that is below the voltage in the lowest throttle bin
+     * which has any samples.
+     */
+    function measureSag(cellVoltages, throttles) {
+        var
+            binCount = Math.ceil(100 / THROTTLE_BIN_WIDTH),
+            sums = new Float64Array(binCount), counts = new Uint32Array(binCount),
+            result = [],
+            restingVoltage = null,
+            i;
+
+        for (i = 0; i < cellVoltages.length; i++) {
+            var
+                bin = Math.min(Math.floor(throttles[i] / THROTTLE_BIN_WIDTH), binCount - 1);
+
+            sums[bin] += cellVoltages[i];
+            counts[bin]++;
+        }
+
+        for (i = 0; i < binCount; i++) {
+            if (counts[i] == 0) {
+                continue;
+            }
+
+            var
+                cellVoltage = sums[i] / counts[i];
+
+            if (restingVoltage === null) {
+                restingVoltage = cellVoltage;
+            }
+
+            result.push({
+                throttleMin: i * THROTTLE_BIN_WIDTH,
+                throttleMax: (i + 1) * THROTTLE_BIN_WIDTH,
+                cellVoltage: cellVoltage,
+                sag: restingVoltage - cellVoltage,
+                duration: counts[i] / SAMPLE_RATE
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Analyse the battery usage between the given Blackbox times.
+     *
+     * Returns false if the log has no battery voltage, otherwise an object with these fields:
+     *     cellCount          - The estimated number of cells in the pack (voltages are per cell if this is known)
+     *     sampleRate         - Rate (Hz) of the voltage and current samples
+     *     startTime          - Blackbox time of the first sample
+     *     voltages           - Pack voltage (V) samples as a Float64Array
+     *     currents           - Current (A) samples as a Float64Array, or false if the log has no current meter
+     *     minCellVoltage, maxCellVoltage
+     *     averageCurrent, peakCurrent - (A), or null without a current meter
+     *     consumedMah        - Capacity used over the region (mAh), or null without a current meter
+     *     sag                - Voltage sag against throttle, an array of {throttleMin, throttleMax, cellVoltage, sag,
+     *                          duration} for each throttle bin that had any samples
+     *     internalResistance - Estimated resistance of the whole pack (milliohms), or null if it couldn't be estimated
+     */
+    this.calculate = function(startTime, endTime) {
+        var
+            timeFieldIndex = FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME,
+            vbatFieldIndex = flightLog.getMainFieldIndexByName("vbatLatest"),
+            amperageFieldIndex = flightLog.getMainFieldIndexByName("amperageLatest"),
+            throttleFieldIndex = flightLog.getMainFieldIndexByName("rcCommand[3]"),
+
+            hasCurrent = amperageFieldIndex !== undefined,
+            cellCount = flightLog.getNumCellsEstimate() || 1,
+
+            times = [], voltages = [], currents = [], throttles = [],
+            peakCurrent = 0,
+
+            sampleCount, cellVoltages, result, i;
+
+        if (vbatFieldIndex === undefined) {
+            return false;
+        }
+
+        flightLog.forEachChunkInTimeRange(startTime, endTime, function(chunk) {
+            for (var i = 0; i < chunk.frames.length; i++) {
+                var
+                    frame = chunk.frames[i];
+
+                if (frame[timeFieldIndex] < startTime || frame[timeFieldIndex] > endTime) {
+                    continue;
+                }
+
+                times.push(frame[timeFieldIndex]);
+                voltages.push(flightLog.vbatToMillivolts(frame[vbatFieldIndex]) / 1000);
+                throttles.push(throttleFieldIndex === undefined ? 0 : flightLog.rcCommandRawToThrottle(frame[throttleFieldIndex]));
+
+                if (hasCurrent) {
+                    var
+                        current = flightLog.amperageToMilliamps(frame[amperageFieldIndex]) / 1000;
+
+                    currents.push(current);
+                    peakCurrent = Math.max(peakCurrent, current);
+                }
+            }
+        });
+
+        if (times.length < 2) {
+            return false;
+        }
+
+        sampleCount = Math.floor((times[times.length - 1] - times[0]) * SAMPLE_RATE / 1000000) + 1;
+
+        result = {
+            cellCount: flightLog.getNumCellsEstimate(),
+            sampleRate: SAMPLE_RATE,
+            startTime: times[0],
+            voltages: resample(times, voltages, times[0], sampleCount),
+            currents: hasCurrent ? resample(times, currents, times[0], sampleCount) : false,
+            minCellVoltage: Infinity,
+            maxCellVoltage: -Infinity,
+            averageCurrent: null,
+            peakCurrent: null,
+            consumedMah: null,
+            sag: null,
+            internalResistance: null
+        };
+
+        cellVoltages = new Float64Array(sampleCount);
+
+        for (i = 0; i < sampleCount; i++) {
+            cellVoltages[i] = result.voltages[i] / cellCount;
+
+            result.minCellVoltage = Math.min(result.minCellVoltage, cellVoltages[i]);
+            result.maxCellVoltage = Math.max(result.maxCellVoltage, cellVoltages[i]);
+        }
+
+        result.sag = measureSag(cellVoltages, resample(times, throttles, times[0], sampleCount));
+
+        if (hasCurrent) {
+            var
+                resistance = FlightLogPowerAnalysis.estimateResistance(result.voltages, result.currents, SAMPLE_RATE);
+
+            result.consumedMah = FlightLogPowerAnalysis.integrateMah(times, currents);
+            result.averageCurrent = result.consumedMah * 3600 / 1000 / ((times[times.length - 1] - times[0]) / 1000000);
+            result.peakCurrent = peakCurrent;
+            result.internalResistance = resistance === null ? null : resistance * 1000;
+        }
+
+        return result;
+    };
+}
+
+// Current steps smaller than this (A) are too easily confused with noise to measure the resistance from
+FlightLogPowerAnalysis.MIN_CURRENT_STEP = 10;
+
+// Length of time (seconds) averaged either side of a current step
+FlightLogPowerAnalysis.STEP_WINDOW = 0.25;
+
+/**
+ * Integrate the currents (A) at the given Blackbox times (microseconds) to find the capacity used in mAh.
+ */
+FlightLogPowerAnalysis.integrateMah = function(times, currents) {
+    var
+        ampMicroseconds = 0;
+
+    for (var i = 1; i < times.length; i++) {
+        ampMicroseconds += (currents[i] + currents[i - 1]) / 2 * (times[i] - times[i - 1]);
+    }
+
+    // 1mAh is 3600 amp-milliseconds
+    return ampMicroseconds / 3600 / 1000;
+};
+
+/**
+ * Estimate the internal resistance (ohms) of the battery from the regularly-sampled pack voltages (V) and currents (A).
+ *
+ * Each time the current steps up or down sharply (e.g. a punch of throttle) the drop in voltage divided by the rise in
+ * current gives the resistance, comparing the average over a short window before the step with a window after it so the
+ * slow discharge of the pack doesn't count. The median of all the steps is returned, or null if there were none.
+ */
+FlightLogPowerAnalysis.estimateResistance = function(voltages, currents, sampleRate) {
+    var
+        windowLength = Math.max(Math.round(FlightLogPowerAnalysis.STEP_WINDOW * sampleRate), 1),
+        estimates = [],
+        i;
+
+    function windowMean(values, start) {
+        var
+            sum = 0;
+
+        for (var j = start; j < start + windowLength; j++) {
+            sum += values[j];
+        }
+
+        return sum / windowLength;
+    }
+
+    function currentStep(i) {
+        return windowMean(currents, i) - windowMean(currents, i - windowLength);
+    }
+
+    for (i = windowLength; i + windowLength <= currents.length; i++) {
+        if (Math.abs(currentStep(i)) < FlightLogPowerAnalysis.MIN_CURRENT_STEP) {
+            continue;
+        }
+
+        // Measure at the sharpest point of this step, then skip past it so it's only counted once
+        var
+            best = i;
+
+        for (var j = i + 1; j < i + windowLength && j + windowLength <= currents.length; j++) {
+            if (Math.abs(currentStep(j)) > Math.abs(currentStep(best))) {
+                best = j;
+            }
+        }
+
+        var
+            resistance = -(windowMean(voltages, best) - windowMean(voltages, best - windowLength)) / currentStep(best);
+
+        // The voltage may not have dropped at all if something else was going on, e.g. the reading hadn't updated yet
+        if (resistance > 0) {
+            estimates.push(resistance);
+        }
+
+        i = best + windowLength;
+    }
+
+    if (estimates.length == 0) {
+        return null;
+    }
+
+    estimates.sort(function(a, b) {
+        return a - b;
+    });
+
+    return estimates.length % 2 == 1 ? estimates[(estimates.length - 1) / 2]
+        : (estimates[estimates.length / 2 - 1] + estimates[estimates.length / 2]) / 2;
+};
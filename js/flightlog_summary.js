@@ -0,0 +1,222 @@
+"use strict";
+
+/**
+ * Summarises a region of a log with the statistics a pilot usually looks for first: how long it was armed, the loop and
+ * logging rates, how hard the craft was rotated compared to its configured rates, how much of the time was spent at
+ * full throttle or with the motors saturated, the sequence of flight modes and how many of each event were logged.
+ */
+function FlightLogSummary(flightLog) {
+    var
+        // Throttle (percent) at or above which we count the craft as being at full throttle
+        FULL_THROTTLE = 95,
+
+        AXIS_NAMES = ["Roll", "Pitch", "Yaw"];
+
+    function buildEventNames() {
+        var
+            names = {};
+
+        for (var name in FlightLogEvent) {
+            names[FlightLogEvent[name]] = name;
+        }
+
+        return names;
+    }
+
+    /**
+     * Summarise the log between the given Blackbox times.
+     *
+     * Returns false if there are no frames in that range, otherwise an object with these fields (times are in seconds
+     * from the start of the log, durations in seconds):
+     *     logIndex, logCount - Which log in the file this is (counting from 1) and how many there are
+     *     startTime, endTime, duration
+     *     armedTime          - Time spent armed, or null if the log doesn't have flight modes
+     *     loopRate           - Rate the flight controller ran its main loop at (Hz)
+     *     logRate            - Rate frames were logged at (Hz)
+     *     axes               - Array of {name, maxGyro, rmsGyro, maxSetpoint, configuredRate} for roll, pitch and yaw
+     *                          (deg/s), where configuredRate is the rate a full stick deflection asks for
+     *     fullThrottleTime   - Time spent at or above FULL_THROTTLE percent throttle, or null without rcCommand
+     *     motorSaturation    - Percentage of the time any motor was at its maximum output, or null without motors
+     *     flightModes        - Array of {startTime, endTime, flags, modes} for each run of the same flight mode flags,
+     *                          where modes is the names of the modes, e.g. "ARM|ANGLE"
+     *     events             - Object mapping the name of each type of event that was logged to how many there were
+     */
+    this.calculate = function(startTime, endTime) {
+        var
+            sysConfig = flightLog.getSysConfig(),
+            minTime = flightLog.getMinTime(),
+
+            timeFieldIndex = FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME,
+            iterationFieldIndex = FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_ITERATION,
+            flightModeFieldIndex = flightLog.getMainFieldIndexByName("flightModeFlags"),
+            throttleFieldIndex = flightLog.getMainFieldIndexByName("rcCommand[3]"),
+            gyroFieldIndexes = [], setpointFieldIndexes = [], motorFieldIndexes = [],
+
+            eventNames = buildEventNames(),
+
+            frameCount = 0,
+            firstTime = null, firstIteration, lastTime, lastIteration,
+            armedTime = 0, fullThrottleTime = 0, saturatedTime = 0,
+            gyroMax = [0, 0, 0], gyroSquares = [0, 0, 0], setpointMax = [0, 0, 0],
+            modeTimes = [], modeFlags = [],
+            events = {},
+
+            previous = null,
+            result, axis, i;
+
+        for (axis = 0; axis < 3; axis++) {
+            gyroFieldIndexes.push(flightLog.getMainFieldIndexByName("gyroADCs[" + axis + "]"));
+            setpointFieldIndexes.push(flightLog.getMainFieldIndexByName("rcCommands[" + axis + "]"));
+        }
+
+        for (i = 0; i < flightLog.getNumMotors(); i++) {
+            motorFieldIndexes.push(flightLog.getMainFieldIndexByName("motor[" + i + "]"));
+        }
+
+        /*
+         * Each frame's state is taken to last until the next frame, so that's the time that gets added to the totals.
+         */
+        function accumulate(frame, duration) {
+            if (flightModeFieldIndex !== undefined && flightLog.getFlightMode(frame[flightModeFieldIndex]).Arm) {
+                armedTime += duration;
+            }
+
+            if (throttleFieldIndex !== undefined && flightLog.rcCommandRawToThrottle(frame[throttleFieldIndex]) >= FULL_THROTTLE) {
+                fullThrottleTime += duration;
+            }
+
+            for (var i = 0; i < motorFieldIndexes.length; i++) {
+                if (frame[motorFieldIndexes[i]] >= sysConfig.motorOutput[1]) {
+                    saturatedTime += duration;
+                    break;
+                }
+            }
+        }
+
+        flightLog.forEachChunkInTimeRange(startTime, endTime, function(chunk) {
+            var
+                i;
+
+            for (i = 0; i < chunk.events.length; i++) {
+                var
+                    event = chunk.events[i],
+                    name = eventNames[event.event] || event.event;
+
+                if (event.time === undefined || event.time >= startTime && event.time <= endTime) {
+                    events[name] = (events[name] || 0) + 1;
+                }
+            }
+
+            for (i = 0; i < chunk.frames.length; i++) {
+                var
+                    frame = chunk.frames[i],
+                    time = frame[timeFieldIndex];
+
+                if (time < startTime || time > endTime) {
+                    continue;
+                }
+
+                if (firstTime === null) {
+                    firstTime = time;
+                    firstIteration = frame[iterationFieldIndex];
+                }
+                lastTime = time;
+                lastIteration = frame[iterationFieldIndex];
+
+                if (previous) {
+                    accumulate(previous, (time - previous[timeFieldIndex]) / 1000000);
+                }
+                previous = frame;
+
+                for (var axis = 0; axis < 3; axis++) {
+                    if (gyroFieldIndexes[axis] !== undefined) {
+                        var
+                            gyro = frame[gyroFieldIndexes[axis]];
+
+                        gyroMax[axis] = Math.max(gyroMax[axis], Math.abs(gyro));
+                        gyroSquares[axis] += gyro * gyro;
+                    }
+
+                    if (setpointFieldIndexes[axis] !== undefined) {
+                        setpointMax[axis] = Math.max(setpointMax[axis], Math.abs(frame[setpointFieldIndexes[axis]]));
+                    }
+                }
+
+                // The flight mode is only known once the first slow frame has been logged
+                if (flightModeFieldIndex !== undefined && frame[flightModeFieldIndex] !== null) {
+                    modeTimes.push(time);
+                    modeFlags.push(frame[flightModeFieldIndex]);
+                }
+
+                frameCount++;
+            }
+        });
+
+        if (frameCount == 0) {
+            return false;
+        }
+
+        result = {
+            logIndex: flightLog.getLogIndex() + 1,
+            logCount: flightLog.getLogCount(),
+            startTime: (firstTime - minTime) / 1000000,
+            endTime: (lastTime - minTime) / 1000000,
+            duration: (lastTime - firstTime) / 1000000,
+            armedTime: flightModeFieldIndex !== undefined ? armedTime : null,
+            loopRate: lastTime > firstTime ? (lastIteration - firstIteration) / ((lastTime - firstTime) / 1000000) : null,
+            logRate: lastTime > firstTime ? (frameCount - 1) / ((lastTime - firstTime) / 1000000) : null,
+            axes: [],
+            fullThrottleTime: throttleFieldIndex !== undefined ? fullThrottleTime : null,
+            motorSaturation: motorFieldIndexes.length > 0 && lastTime > firstTime ? saturatedTime / ((lastTime - firstTime) / 1000000) * 100 : null,
+            flightModes: FlightLogSummary.findRuns(modeTimes, modeFlags, lastTime).map(function(run) {
+                return {
+                    startTime: (run.startTime - minTime) / 1000000,
+                    endTime: (run.endTime - minTime) / 1000000,
+                    flags: run.value,
+                    modes: FlightLogFieldPresenter.decodeFieldToFriendly(flightLog, "flightModeFlags", run.value)
+                };
+            }),
+            events: events
+        };
+
+        for (axis = 0; axis < 3; axis++) {
+            result.axes.push({
+                name: AXIS_NAMES[axis],
+                maxGyro: gyroFieldIndexes[axis] !== undefined ? gyroMax[axis] : null,
+                rmsGyro: gyroFieldIndexes[axis] !== undefined ? Math.sqrt(gyroSquares[axis] / frameCount) : null,
+                maxSetpoint: setpointFieldIndexes[axis] !== undefined ? setpointMax[axis] : null,
+                configuredRate: Math.abs(flightLog.rcCommandRawToDegreesPerSecond(500, axis,
+                    flightModeFieldIndex !== undefined ? modeFlags[0] : null))
+            });
+        }
+
+        return result;
+    };
+}
+
+/**
+ * Collapse a series of values sampled at the given times into runs of the same value, each an object with fields
+ * {startTime, endTime, value}. Each run ends where the next begins, and the last one ends at endTime.
+ */
+FlightLogSummary.findRuns = function(times, values, endTime) {
+    var
+        runs = [];
+
+    for (var i = 0; i < values.length; i++) {
+        if (runs.length > 0 && runs[runs.length - 1].value === values[i]) {
+            continue;
+        }
+
+        if (runs.length > 0) {
+            runs[runs.length - 1].endTime = times[i];
+        }
+
+        runs.push({
+            startTime: times[i],
+            endTime: endTime,
+            value: values[i]
+        });
+    }
+
+    return runs;
+};
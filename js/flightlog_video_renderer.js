@@ -6,28 +6,53 @@
  * flightLog - FlightLog object to render
  * 
  * logParameters - Object with these fields:
+ *     exportName  - Identifies the log (and flight video) being exported, so an interrupted export can be resumed
  *     inTime      - Blackbox time code the video should start at, or false to start from the beginning
  *     outTime     - Blackbox time code the video should end at, or false to end at the end
  *     graphConfig - GraphConfig object to be used for drawing the graphs
  *     flightVideo - Flight video to display behind the graphs (optional)
  *     flightVideoOffset - Offset of flight video start time relative to start of log in seconds
+ *     bookmarkTimes - Times of the laps, for the lap timer of the OSD overlay (optional)
  *
  * videoOptions - Object with these fields:
  *     frameRate
  *     width
  *     height
  *     videoDim   - Amount of dimming applied to background video from 0.0 to 1.0
+ *     format     - "webm" for a video (the default), or "png" for a ZIP file of PNG images of the overlay alone, with a
+ *                  transparent background so it can be composited over the flight video in a video editor
+ *     osdLayout  - Layout of the OSD overlay to draw on top of the graphs (see FlightLogOSD), or false for none
  *
  * events - Object with these fields:
- *     onComplete - On render completion, called with (success, frameCount)
- *     onProgress - Called periodically with (frameIndex, frameCount) to report progress
+ *     onComplete    - On render completion, called with (success, frameCount)
+ *     onProgress    - Called periodically with (frameIndex, frameCount) to report progress
+ *     onStateChange - Called with the renderer's state each time a segment of the video is finished, which can be saved
+ *                     and given to start() later to resume the export if it's interrupted. Called with null once the
+ *                     export is complete and there's nothing left to resume.
+ *
+ * The video is rendered in segments which are stored as they're finished (see VideoSegmentStore), then joined together
+ * into the final file at the end. If there's nowhere to store them, the frames are written straight to the final file
+ * instead (and the export can't be resumed).
  */
 function FlightLogVideoRenderer(flightLog, logParameters, videoOptions, events) {
     var
         WORK_CHUNK_SIZE_FOCUSED = 8,
         WORK_CHUNK_SIZE_UNFOCUSED = 32,
+
+        // Length of each segment of the video in seconds, this is how much work is lost if the export is interrupted
+        SEGMENT_DURATION = 10,
+
+        // Quality of WebP frames, from 0.0 (worst) to 1.0 (best). PNG frames are always lossless.
+        WEBP_QUALITY = 0.95,
         
         videoWriter,
+        outputFileWriter = null,
+
+        segmentStore = new VideoSegmentStore(),
+        segmentFrameCount, segmentCount,
+        segmentIndex,
+        segmentFrames, // The encoded frames of the segment being rendered, if we're storing segments
+        writtenSegmentBytes,
         
         canvas = document.createElement('canvas'),
         craftCanvas = document.createElement('canvas'),
@@ -38,14 +63,20 @@ function FlightLogVideoRenderer(flightLog, logParameters, videoOptions, events)
         
         canvasContext = canvas.getContext("2d"),
         
+        // The extension and type of the file we're writing
+        fileFormat = videoOptions.format == 'png'
+            ? {extension: 'zip', name: "overlay.zip", frameType: 'image/png'}
+            : {extension: 'webm', name: "video.webm", frameType: 'image/webp'},
+
         frameCount, frameDuration /* Duration of a frame in Blackbox's microsecond time units */,
-        frameTime, frameIndex,
+        frameTime, frameIndex, startFrameIndex,
         cancel = false,
         
         workChunkSize = WORK_CHUNK_SIZE_FOCUSED,
         hidden, visibilityChange,
         
-        graph;
+        graph,
+        osd = null;
     
     // From https://developer.mozilla.org/en-US/docs/Web/Guide/User_experience/Using_the_Page_Visibility_API
     if (typeof document.hidden !== "undefined") { // Opera 12.10 and Firefox 18 and later support 
@@ -94,10 +125,10 @@ function FlightLogVideoRenderer(flightLog, logParameters, videoOptions, events)
      * Returns a Promise that resolves to a FileWriter for the file the user chose, or fails if the user cancels/
      * something else bad happens.
      */
-    function openFileForWrite(suggestedName, onComplete) {
+    function openFileForWrite(suggestedName, extension) {
         return new Promise(function(resolve, reject) {
             chrome.fileSystem.chooseEntry({type: 'saveFile', suggestedName: suggestedName, 
-                    accepts: [{extensions: ['webm']}]}, function(fileEntry) {
+                    accepts: [{extensions: [extension]}]}, function(fileEntry) {
                 var 
                     error = chrome.runtime.lastError;
                 
@@ -138,14 +169,90 @@ function FlightLogVideoRenderer(flightLog, logParameters, videoOptions, events)
         }
     }
     
+    function notifyStateChange(state) {
+        if (events && events.onStateChange) {
+            events.onStateChange(state);
+        }
+    }
+
+    function createWriter() {
+        if (videoOptions.format == 'png') {
+            return new PNGSequenceWriter({
+                fileWriter: outputFileWriter,
+                namePrefix: "overlay_"
+            });
+        }
+
+        return new WebMWriter({
+            frameRate: videoOptions.frameRate,
+            fileWriter: outputFileWriter
+        });
+    }
+
+    function failRender(error) {
+        console.error(error);
+        notifyCompletion(false);
+    }
+
+    /**
+     * Store the frames of the segment we just finished rendering, returning a Promise which resolves when that's done.
+     */
+    function finishSegment() {
+        if (!segmentStore.isPersistent()) {
+            // The frames have already gone to the writer
+            segmentIndex++;
+            return Promise.resolve();
+        }
+
+        return segmentStore.writeSegment(segmentIndex, segmentFrames).then(function() {
+            segmentIndex++;
+            segmentFrames = [];
+
+            notifyStateChange({
+                key: FlightLogVideoRenderer.describeExport(logParameters, videoOptions),
+                videoOptions: videoOptions,
+                segmentCount: segmentCount,
+                completedSegments: segmentIndex
+            });
+        });
+    }
+
+    /**
+     * Join the stored segments together into the final file (if the frames weren't written to it as we went).
+     */
     function finishRender() {
-        videoWriter.complete().then(function(webM) {
-            if (webM) {
-                window.saveAs(webM, "video.webm");
+        var
+            joined = Promise.resolve();
+
+        if (segmentStore.isPersistent()) {
+            videoWriter = createWriter();
+
+            for (var i = 0; i < segmentCount; i++) {
+                (function(index) {
+                    joined = joined.then(function() {
+                        return segmentStore.readSegment(index);
+                    }).then(function(frames) {
+                        for (var j = 0; j < frames.length; j++) {
+                            videoWriter.addEncodedFrame(frames[j], videoOptions.width, videoOptions.height);
+                        }
+                    });
+                })(i);
             }
-            
+        }
+
+        joined.then(function() {
+            return videoWriter.complete();
+        }).then(function(file) {
+            if (file) {
+                window.saveAs(file, fileFormat.name);
+            }
+
+            notifyStateChange(null);
+
+            return segmentStore.clear();
+        }).then(function() {
             notifyCompletion(true, frameIndex);
-        });
+        }, failRender);
     }
     
     function renderChunk() {
@@ -157,7 +264,8 @@ function FlightLogVideoRenderer(flightLog, logParameters, videoOptions, events)
          * it happens to be a DOM element (and Workers aren't allowed access to the DOM). Stupid!
          */
         var
-            framesToRender = Math.min(workChunkSize, frameCount - frameIndex);
+            // Don't render past the end of the current segment
+            framesToRender = Math.min(workChunkSize, frameCount - frameIndex, (segmentIndex + 1) * segmentFrameCount - frameIndex);
         
         if (cancel) {
             notifyCompletion(false);
@@ -171,19 +279,35 @@ function FlightLogVideoRenderer(flightLog, logParameters, videoOptions, events)
                 }
                 
                 if (frameIndex >= frameCount) {
-                    finishRender();
+                    finishSegment().then(finishRender, failRender);
+                } else if (frameIndex % segmentFrameCount == 0) {
+                    finishSegment().then(renderChunk, failRender);
                 } else {
                     setTimeout(renderChunk, 0);
                 }
             },
             
             renderFrame = function() {
+                var
+                    frame;
+
                 graph.render(frameTime);
                 
                 if(logParameters.hasCraft) canvasContext.drawImage(craftCanvas, craftCanvasLeft, craftCanvasTop);
                 if(logParameters.hasAnalyser) canvasContext.drawImage(analyserCanvas, analyserCanvasLeft, analyserCanvasTop);
                 
-                videoWriter.addFrame(canvas);
+                if (osd) {
+                    osd.render(frameTime);
+                }
+                
+                if (segmentStore.isPersistent()) {
+                    frame = dataURLToBytes(canvas.toDataURL(fileFormat.frameType, WEBP_QUALITY));
+
+                    segmentFrames.push(frame);
+                    writtenSegmentBytes += frame.length;
+                } else {
+                    videoWriter.addFrame(canvas);
+                }
                 
                 frameIndex++;
                 frameTime += frameDuration;
@@ -235,41 +359,63 @@ function FlightLogVideoRenderer(flightLog, logParameters, videoOptions, events)
     
     /**
      * Begin rendering the video and return immediately.
+     *
+     * To resume an export which was interrupted, pass the last state given to events.onStateChange. If the segments
+     * that were finished have gone missing in the meantime, the export starts from the beginning instead.
      */
-    this.start = function() {
+    this.start = function(resumeState) {
         cancel = false;
         
-        frameTime = logParameters.inTime;
-        frameIndex = 0;
-        
         installVisibilityHandler();
-        
-        var
-            webMOptions = {
-                frameRate: videoOptions.frameRate,
-            };
-        
-        if (supportsFileWriter()) {
-            openFileForWrite("video.webm").then(function(fileWriter) {
-                webMOptions.fileWriter = fileWriter;
-                
-                videoWriter = new WebMWriter(webMOptions);
-                renderChunk();
-            }, function(error) {
-                console.error(error);
-                notifyCompletion(false);
-            });
-        } else {
-            videoWriter = new WebMWriter(webMOptions);
-            renderChunk();
-        }
+
+        segmentStore.open().then(function() {
+            if (resumeState && resumeState.key == FlightLogVideoRenderer.describeExport(logParameters, videoOptions)) {
+                return segmentStore.hasSegments(resumeState.completedSegments).then(function(found) {
+                    return found ? resumeState.completedSegments : 0;
+                });
+            }
+
+            return 0;
+        }).then(function(completedSegments) {
+            segmentIndex = completedSegments;
+            segmentFrames = [];
+            writtenSegmentBytes = 0;
+
+            frameIndex = segmentIndex * segmentFrameCount;
+            frameTime = logParameters.inTime + frameIndex * frameDuration;
+            startFrameIndex = frameIndex;
+
+            // Throw away the segments of any earlier export we're not resuming
+            if (segmentIndex == 0) {
+                return segmentStore.clear();
+            }
+        }).then(function() {
+            if (supportsFileWriter()) {
+                return openFileForWrite(fileFormat.name, fileFormat.extension).then(function(fileWriter) {
+                    outputFileWriter = fileWriter;
+                });
+            }
+        }).then(function() {
+            if (!segmentStore.isPersistent()) {
+                videoWriter = createWriter();
+            }
+        }).then(renderChunk, failRender);
     };
     
     /**
-     * Get the number of bytes flushed out to the device so far.
+     * Get the number of bytes written so far. While rendering segments to be stored, this is the size of the frames
+     * rendered since start().
      */
     this.getWrittenSize = function() {
-        return videoWriter ? videoWriter.getWrittenSize() : 0;
+        return videoWriter ? videoWriter.getWrittenSize() : writtenSegmentBytes;
+    };
+
+    /**
+     * Get the index of the frame that rendering began at, which is after the frames already rendered if we resumed an
+     * earlier export.
+     */
+    this.getStartFrameIndex = function() {
+        return startFrameIndex;
     };
     
     /**
@@ -283,8 +429,8 @@ function FlightLogVideoRenderer(flightLog, logParameters, videoOptions, events)
     canvas.width = videoOptions.width;
     canvas.height = videoOptions.height;
 
-    // If we've asked to blank the flight video completely then just don't render that
-    if (videoOptions.videoDim >= 1.0) {
+    // If we've asked to blank the flight video completely (or we're rendering the overlay alone) then just don't render that
+    if (videoOptions.videoDim >= 1.0 || videoOptions.format == 'png') {
         delete logParameters.flightVideo;
     }
 
@@ -292,6 +438,10 @@ function FlightLogVideoRenderer(flightLog, logParameters, videoOptions, events)
     
     graph = new FlightLogGrapher(flightLog, logParameters.graphConfig, canvas, craftCanvas, analyserCanvas, options);
     
+    if (!FlightLogOSD.isLayoutEmpty(videoOptions.osdLayout)) {
+        osd = new FlightLogOSD(flightLog, canvas, videoOptions.osdLayout, logParameters.bookmarkTimes);
+    }
+    
     craftCanvasLeft = parseInt($(craftCanvas).css('left'), 10);
     craftCanvasTop = parseInt($(craftCanvas).css('top'), 10);
     
@@ -310,12 +460,38 @@ function FlightLogVideoRenderer(flightLog, logParameters, videoOptions, events)
     
     // If the in -> out time is not an exact number of frames, we'll round the end time of the video to make it so:
     frameCount = Math.round((logParameters.outTime - logParameters.inTime) / frameDuration);
+
+    segmentFrameCount = Math.round(SEGMENT_DURATION * videoOptions.frameRate);
+    segmentCount = Math.ceil(frameCount / segmentFrameCount);
     
     if (logParameters.flightVideo) {
         logParameters.flightVideo.muted = true;
     }
 }
 
+/**
+ * Get a string which identifies the export of the given log parameters with the given video options, so that an
+ * interrupted export is only resumed with the same log, region, graphs and settings.
+ */
+FlightLogVideoRenderer.describeExport = function(logParameters, videoOptions) {
+    return JSON.stringify({
+        exportName: logParameters.exportName,
+        inTime: logParameters.inTime,
+        outTime: logParameters.outTime,
+        graphs: logParameters.graphConfig.getGraphs(),
+        hasCraft: logParameters.hasCraft,
+        hasAnalyser: logParameters.hasAnalyser,
+        hasSticks: logParameters.hasSticks,
+        // The offset of the flight video, if it's drawn behind the graphs
+        flightVideoOffset: logParameters.flightVideo && videoOptions.videoDim < 1.0 && videoOptions.format != 'png'
+            ? logParameters.flightVideoOffset : false,
+        // The laps, if they're shown on the OSD overlay
+        bookmarkTimes: videoOptions.osdLayout && videoOptions.osdLayout.lapTimer && videoOptions.osdLayout.lapTimer.show
+            ? logParameters.bookmarkTimes : false,
+        videoOptions: videoOptions
+    });
+};
+
 /**
  * Is video rendering supported on this web browser? We require the ability to encode canvases to WebP.
  */
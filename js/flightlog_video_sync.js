@@ -0,0 +1,609 @@
+"use strict";
+
+/**
+ * Finds the offset between a flight video and its log automatically, by estimating how fast the camera was rotating
+ * from the motion of the image between frames over a short clip of the video, and finding the point in the log where
+ * the gyro best matches that.
+ *
+ * Horizontal motion of the image comes from yaw, vertical motion from pitch and rotation of the image from roll. Since
+ * we don't know which way up the camera is mounted (or how it's tilted), each axis is matched by the size of its
+ * correlation with the gyro regardless of sign.
+ *
+ * Everything runs locally on the pixels of the video, which are drawn to a small canvas one frame at a time.
+ *
+ * video  - Video element playing the flight video. It will be seeked around, so use a copy of the one being viewed.
+ * events - Object with these fields:
+ *     onProgress(samplesDone, sampleCount) - Called as each frame of the clip is measured (optional)
+ *     onComplete(success, result)          - Called when finished. On success result is an object with these fields:
+ *         offset      - The flight video offset (seconds) which best matches the log
+ *         correlation - How well the video's motion matched the gyro at that offset (0 - 1)
+ *         When unsuccessful result is an error message, or undefined if the sync was cancelled.
+ */
+function FlightLogVideoSync(flightLog, video, events) {
+    var
+        // The rate (Hz) we measure the motion of the video at. Slow enough that every step moves on at least one frame
+        // of the video, and the gyro is averaged down to match.
+        SAMPLE_RATE = 15,
+
+        // Frames are shrunk to this width before measuring them, which is plenty to see the whole image move
+        IMAGE_WIDTH = 128,
+
+        // Give up if the video takes longer than this (milliseconds) to load or to seek to a frame
+        VIDEO_TIMEOUT = 10000,
+
+        // The video's readyState once it knows its duration and size
+        HAVE_METADATA = 1,
+
+        canvas = document.createElement('canvas'),
+        canvasContext = canvas.getContext("2d"),
+
+        cancel = false;
+
+    function readFrame() {
+        var
+            result = new Float32Array(canvas.width * canvas.height),
+            pixels;
+
+        canvasContext.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        pixels = canvasContext.getImageData(0, 0, canvas.width, canvas.height).data;
+
+        for (var i = 0; i < result.length; i++) {
+            result[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+        }
+
+        return result;
+    }
+
+    /**
+     * Measure the camera's rotation rate between each pair of frames of the clip, calling onMeasured with an array of
+     * [roll, pitch, yaw] Float64Arrays, or onError with a message if the video couldn't be read. Neither is called if
+     * the sync is cancelled (onComplete is called instead).
+     */
+    function measureClip(clipStart, sampleCount, onMeasured, onError) {
+        var
+            rates = [new Float64Array(sampleCount), new Float64Array(sampleCount), new Float64Array(sampleCount)],
+            previousFrame = null,
+            frameIndex = 0,
+            timeout = null;
+
+        function finish() {
+            clearTimeout(timeout);
+
+            video.onloadedmetadata = null;
+            video.onseeked = null;
+            video.onerror = null;
+        }
+
+        function waitForVideo(what) {
+            clearTimeout(timeout);
+
+            timeout = setTimeout(function() {
+                finish();
+                onError("Timed out waiting for the video to " + what);
+            }, VIDEO_TIMEOUT);
+        }
+
+        function seekTo(time) {
+            waitForVideo("seek");
+
+            // Seeking to where the video already is might not fire a seeked event
+            if (video.currentTime == time && !video.seeking) {
+                setTimeout(onSeeked, 0);
+            } else {
+                video.currentTime = time;
+            }
+        }
+
+        function onSeeked() {
+            var
+                frame;
+
+            if (cancel) {
+                finish();
+                events.onComplete(false);
+                return;
+            }
+
+            if (frameIndex == 0) {
+                // Now the video's loaded we can choose the size of our canvas to suit it
+                canvas.width = IMAGE_WIDTH;
+                canvas.height = Math.max(Math.round(IMAGE_WIDTH * video.videoHeight / video.videoWidth), 1) || IMAGE_WIDTH;
+            }
+
+            frame = readFrame();
+
+            if (previousFrame) {
+                var
+                    motion = FlightLogVideoSync.estimateMotion(previousFrame, frame, canvas.width, canvas.height);
+
+                rates[0][frameIndex - 1] = motion.roll * SAMPLE_RATE;
+                rates[1][frameIndex - 1] = motion.y * SAMPLE_RATE;
+                rates[2][frameIndex - 1] = motion.x * SAMPLE_RATE;
+
+                if (events.onProgress) {
+                    events.onProgress(frameIndex, sampleCount);
+                }
+            }
+
+            previousFrame = frame;
+            frameIndex++;
+
+            if (frameIndex > sampleCount) {
+                finish();
+                onMeasured(rates);
+            } else {
+                seekTo(clipStart + frameIndex / SAMPLE_RATE);
+            }
+        }
+
+        video.onseeked = onSeeked;
+
+        video.onerror = function() {
+            finish();
+            onError("The video couldn't be read");
+        };
+
+        // A fresh copy of the video element won't be able to seek until it's loaded its metadata
+        if (video.readyState >= HAVE_METADATA) {
+            seekTo(clipStart);
+        } else {
+            waitForVideo("load");
+
+            video.onloadedmetadata = function() {
+                video.onloadedmetadata = null;
+                seekTo(clipStart);
+            };
+        }
+    }
+
+    /**
+     * Get the average gyro rate on each axis over every sample period of the log, as an array of [roll, pitch, yaw]
+     * Float64Arrays.
+     */
+    function resampleGyro() {
+        var
+            minTime = flightLog.getMinTime(),
+            maxTime = flightLog.getMaxTime(),
+            timeFieldIndex = FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME,
+            gyroFieldIndexes = [],
+
+            sampleCount = Math.floor((maxTime - minTime) * SAMPLE_RATE / 1000000),
+            rates = [new Float64Array(sampleCount), new Float64Array(sampleCount), new Float64Array(sampleCount)],
+            counts = new Uint32Array(sampleCount),
+            axis, i;
+
+        for (axis = 0; axis < 3; axis++) {
+            gyroFieldIndexes.push(flightLog.getMainFieldIndexByName("gyroADCs[" + axis + "]"));
+
+            if (gyroFieldIndexes[axis] === undefined) {
+                throw "This log doesn't have any gyro data to sync with";
+            }
+        }
+
+        flightLog.forEachChunkInTimeRange(minTime, maxTime, function(chunk) {
+            for (var i = 0; i < chunk.frames.length; i++) {
+                var
+                    frame = chunk.frames[i],
+                    sampleIndex = Math.floor((frame[timeFieldIndex] - minTime) * SAMPLE_RATE / 1000000);
+
+                if (sampleIndex >= 0 && sampleIndex < sampleCount) {
+                    for (var axis = 0; axis < 3; axis++) {
+                        rates[axis][sampleIndex] += frame[gyroFieldIndexes[axis]];
+                    }
+                    counts[sampleIndex]++;
+                }
+            }
+        });
+
+        for (i = 0; i < sampleCount; i++) {
+            for (axis = 0; axis < 3; axis++) {
+                if (counts[i] > 0) {
+                    rates[axis][i] /= counts[i];
+                } else if (i > 0) {
+                    // Hold the last rate across gaps in the log
+                    rates[axis][i] = rates[axis][i - 1];
+                }
+            }
+        }
+
+        return rates;
+    }
+
+    /**
+     * Begin measuring the clip of the video which starts at clipStart and lasts for clipDuration (both in seconds).
+     * Choose a part of the flight with plenty of movement.
+     */
+    this.start = function(clipStart, clipDuration) {
+        var
+            sampleCount = Math.floor(clipDuration * SAMPLE_RATE);
+
+        cancel = false;
+
+        if (sampleCount < 2) {
+            events.onComplete(false, "The clip of video to sync with is too short");
+            return;
+        }
+
+        measureClip(clipStart, sampleCount, function(cameraRates) {
+            var
+                gyroRates, match;
+
+            try {
+                gyroRates = resampleGyro();
+            } catch (e) {
+                events.onComplete(false, e);
+                return;
+            }
+
+            if (gyroRates[0].length < sampleCount) {
+                events.onComplete(false, "The log is shorter than the clip of video to sync with");
+                return;
+            }
+
+            match = FlightLogVideoSync.findLag(cameraRates, gyroRates);
+
+            if (!match) {
+                events.onComplete(false, "There wasn't enough movement in the clip of video to sync with");
+                return;
+            }
+
+            // Sample i of the clip was matched with sample (i + lag) of the log
+            events.onComplete(true, {
+                offset: clipStart - match.lag / SAMPLE_RATE,
+                correlation: match.correlation
+            });
+        }, function(error) {
+            events.onComplete(false, cancel ? undefined : error);
+        });
+    };
+
+    /**
+     * Attempt to cancel the sync sometime soon. An onComplete() event will be triggered with the 'success' parameter set
+     * appropriately to report the outcome.
+     */
+    this.cancel = function() {
+        cancel = true;
+    };
+}
+
+/**
+ * Shrink the image to half its width and height by averaging each 2x2 block of pixels.
+ */
+FlightLogVideoSync.halveImage = function(image, width, height) {
+    var
+        newWidth = Math.floor(width / 2), newHeight = Math.floor(height / 2),
+        result = new Float32Array(newWidth * newHeight);
+
+    for (var y = 0; y < newHeight; y++) {
+        for (var x = 0; x < newWidth; x++) {
+            var
+                i = y * 2 * width + x * 2;
+
+            result[y * newWidth + x] = (image[i] + image[i + 1] + image[i + width] + image[i + width + 1]) / 4;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Compare the previous image with the current one after undoing the given motion ({x, y} shift in pixels and roll in
+ * radians, see estimateMotion()), returning the mean absolute difference of their pixels.
+ *
+ * Returns Infinity if the motion leaves too little of the images overlapping to compare.
+ */
+FlightLogVideoSync.compareImages = function(previous, current, width, height, motion) {
+    var
+        centerX = (width - 1) / 2, centerY = (height - 1) / 2,
+        cos = Math.cos(motion.roll), sin = Math.sin(motion.roll),
+        difference = 0, count = 0;
+
+    for (var y = 0; y < height; y++) {
+        // Where the first pixel of this row of the previous image moved to in the current one (plus a half, for rounding)
+        var
+            rowX = -cos * centerX - sin * (y - centerY) + centerX + motion.x + 0.5,
+            rowY = -sin * centerX + cos * (y - centerY) + centerY + motion.y + 0.5;
+
+        for (var x = 0; x < width; x++) {
+            var
+                movedX = Math.floor(rowX + cos * x),
+                movedY = Math.floor(rowY + sin * x);
+
+            if (movedX >= 0 && movedX < width && movedY >= 0 && movedY < height) {
+                difference += Math.abs(current[movedY * width + movedX] - previous[y * width + x]);
+                count++;
+            }
+        }
+    }
+
+    return count * 2 < width * height ? Infinity : difference / count;
+};
+
+/**
+ * Try every whole-pixel shift within shiftRadius pixels and every roll within rollRadius radians (in steps of rollStep)
+ * around the given motion, returning the one which makes the images match best.
+ */
+FlightLogVideoSync.searchMotion = function(previous, current, width, height, around, shiftRadius, rollRadius, rollStep) {
+    var
+        best = around,
+        bestDifference = Infinity;
+
+    for (var roll = around.roll - rollRadius; roll <= around.roll + rollRadius + rollStep / 2; roll += rollStep) {
+        for (var shiftY = around.y - shiftRadius; shiftY <= around.y + shiftRadius; shiftY++) {
+            for (var shiftX = around.x - shiftRadius; shiftX <= around.x + shiftRadius; shiftX++) {
+                var
+                    motion = {x: shiftX, y: shiftY, roll: roll},
+                    difference = FlightLogVideoSync.compareImages(previous, current, width, height, motion);
+
+                if (difference < bestDifference) {
+                    bestDifference = difference;
+                    best = motion;
+                }
+            }
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Refine the motion between the images by least squares, using the brightness constancy equation
+ * Ix * u + Iy * v + It = 0, where (u, v) is how much further each pixel moved than the motion we have so far.
+ */
+FlightLogVideoSync.refineMotion = function(previous, current, width, height, motion) {
+    var
+        centerX = (width - 1) / 2, centerY = (height - 1) / 2,
+        cos = Math.cos(motion.roll), sin = Math.sin(motion.roll),
+        normal = [[0, 0, 0], [0, 0, 0], [0, 0, 0]],
+        rhs = [0, 0, 0],
+        solution;
+
+    for (var y = 1; y < height - 1; y++) {
+        for (var x = 1; x < width - 1; x++) {
+            var
+                movedX = cos * (x - centerX) - sin * (y - centerY) + centerX + motion.x,
+                movedY = sin * (x - centerX) + cos * (y - centerY) + centerY + motion.y,
+                left = Math.floor(movedX), top = Math.floor(movedY),
+                fracX = movedX - left, fracY = movedY - top;
+
+            if (left < 0 || left >= width - 1 || top < 0 || top >= height - 1) {
+                continue;
+            }
+
+            var
+                index = y * width + x,
+                movedIndex = top * width + left,
+
+                // Sample the current image between pixels
+                moved = (current[movedIndex] * (1 - fracX) + current[movedIndex + 1] * fracX) * (1 - fracY)
+                    + (current[movedIndex + width] * (1 - fracX) + current[movedIndex + width + 1] * fracX) * fracY,
+
+                gradX = (previous[index + 1] - previous[index - 1]) / 2,
+                gradY = (previous[index + width] - previous[index - width]) / 2,
+                gradT = moved - previous[index],
+
+                // A small extra shift (dx, dy) and roll r moves the pixel by (dx - r * y, dy + r * x)
+                row = [gradX, gradY, gradY * (movedX - motion.x - centerX) - gradX * (movedY - motion.y - centerY)];
+
+            for (var i = 0; i < 3; i++) {
+                for (var j = 0; j < 3; j++) {
+                    normal[i][j] += row[i] * row[j];
+                }
+                rhs[i] -= row[i] * gradT;
+            }
+        }
+    }
+
+    solution = FlightLogVideoSync.solve3x3(normal, rhs);
+
+    if (!solution) {
+        return motion;
+    }
+
+    return {
+        x: motion.x + solution[0],
+        y: motion.y + solution[1],
+        roll: motion.roll + solution[2]
+    };
+};
+
+/**
+ * Estimate how the image moved between the previous and the current frame (both greyscale, as arrays of width * height
+ * pixels).
+ *
+ * The motion is first found roughly by searching a pyramid of smaller images (beginning with a wide search of shifts
+ * and rolls on the smallest), then refined by least squares on the image gradients.
+ *
+ * Returns an object with these fields:
+ *     x, y - How far the image moved, as a fraction of its width (x positive to the right, y positive downwards)
+ *     roll - How far the image rotated about its center, in radians (positive clockwise)
+ */
+FlightLogVideoSync.estimateMotion = function(previous, current, width, height) {
+    var
+        PYRAMID_LEVELS = 3,
+
+        // The widest motion we'll look for between frames, on the smallest image of the pyramid
+        COARSE_SHIFT_RADIUS = 4,
+        COARSE_ROLL_RADIUS = 0.6,
+        COARSE_ROLL_STEP = 0.05,
+
+        REFINE_ITERATIONS = 3,
+
+        pyramid = [{previous: previous, current: current, width: width, height: height}],
+        motion = {x: 0, y: 0, roll: 0},
+        rollStep = COARSE_ROLL_STEP,
+        level, i;
+
+    for (level = 1; level < PYRAMID_LEVELS; level++) {
+        var
+            above = pyramid[level - 1];
+
+        pyramid.push({
+            previous: FlightLogVideoSync.halveImage(above.previous, above.width, above.height),
+            current: FlightLogVideoSync.halveImage(above.current, above.width, above.height),
+            width: Math.floor(above.width / 2),
+            height: Math.floor(above.height / 2)
+        });
+    }
+
+    for (level = PYRAMID_LEVELS - 1; level >= 0; level--) {
+        var
+            images = pyramid[level];
+
+        if (level == PYRAMID_LEVELS - 1) {
+            motion = FlightLogVideoSync.searchMotion(images.previous, images.current, images.width, images.height,
+                motion, COARSE_SHIFT_RADIUS, COARSE_ROLL_RADIUS, rollStep);
+        } else {
+            // Each level has twice the detail of the last, so we only need to search around the last level's answer
+            rollStep /= 2;
+
+            motion = FlightLogVideoSync.searchMotion(images.previous, images.current, images.width, images.height,
+                {x: motion.x * 2, y: motion.y * 2, roll: motion.roll}, 1, rollStep, rollStep);
+        }
+    }
+
+    for (i = 0; i < REFINE_ITERATIONS; i++) {
+        motion = FlightLogVideoSync.refineMotion(previous, current, width, height, motion);
+    }
+
+    return {
+        x: motion.x / width,
+        y: motion.y / width,
+        roll: motion.roll
+    };
+};
+
+/**
+ * Solve the 3x3 system of linear equations a * x = b by Cramer's rule, returning x, or false if there's no single
+ * solution.
+ */
+FlightLogVideoSync.solve3x3 = function(a, b) {
+    function determinant(m) {
+        return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+            - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+            + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    }
+
+    var
+        det = determinant(a),
+        result = [];
+
+    if (!isFinite(det) || Math.abs(det) < 1e-9) {
+        return false;
+    }
+
+    for (var column = 0; column < 3; column++) {
+        var
+            m = a.map(function(row, rowIndex) {
+                var
+                    copy = row.slice(0);
+
+                copy[column] = b[rowIndex];
+
+                return copy;
+            });
+
+        result.push(determinant(m) / det);
+    }
+
+    return result;
+};
+
+/**
+ * Find where the camera's rotation rates best match the gyro rates (both arrays of [roll, pitch, yaw] arrays, sampled
+ * at the same rate, with the gyro covering a longer time than the camera).
+ *
+ * Each axis is compared by its correlation coefficient with the gyro, ignoring the sign (since the camera might be
+ * mounted any way up), and axes where the camera saw no movement at all are left out.
+ *
+ * Returns an object with these fields, or false if the camera didn't move:
+ *     lag         - The index of the gyro sample which lines up with the first camera sample, interpolated between
+ *                   samples for a closer match
+ *     correlation - The average size of the correlation of the matched axes at that lag (0 - 1)
+ */
+FlightLogVideoSync.findLag = function(cameraRates, gyroRates) {
+    var
+        cameraLength = cameraRates[0].length,
+        lagCount = gyroRates[0].length - cameraLength + 1,
+        scores = new Float64Array(Math.max(lagCount, 0)),
+        axesUsed = 0,
+        bestLag = 0, lag, i;
+
+    if (lagCount < 1) {
+        return false;
+    }
+
+    for (var axis = 0; axis < 3; axis++) {
+        var
+            camera = cameraRates[axis], gyro = gyroRates[axis],
+            cameraMean = 0, cameraDeviation = 0,
+            gyroSums = new Float64Array(gyro.length + 1), gyroSquareSums = new Float64Array(gyro.length + 1);
+
+        for (i = 0; i < cameraLength; i++) {
+            cameraMean += camera[i];
+        }
+        cameraMean /= cameraLength;
+
+        for (i = 0; i < cameraLength; i++) {
+            cameraDeviation += (camera[i] - cameraMean) * (camera[i] - cameraMean);
+        }
+        cameraDeviation = Math.sqrt(cameraDeviation);
+
+        if (!(cameraDeviation > 1e-9)) {
+            continue;
+        }
+
+        axesUsed++;
+
+        // Running sums let us find the mean and deviation of the gyro in each window quickly
+        for (i = 0; i < gyro.length; i++) {
+            gyroSums[i + 1] = gyroSums[i] + gyro[i];
+            gyroSquareSums[i + 1] = gyroSquareSums[i] + gyro[i] * gyro[i];
+        }
+
+        for (lag = 0; lag < lagCount; lag++) {
+            var
+                gyroSum = gyroSums[lag + cameraLength] - gyroSums[lag],
+                gyroDeviation = Math.sqrt(Math.max(gyroSquareSums[lag + cameraLength] - gyroSquareSums[lag] - gyroSum * gyroSum / cameraLength, 0)),
+                covariance = 0;
+
+            if (!(gyroDeviation > 1e-9)) {
+                continue;
+            }
+
+            // The camera's deviations from its mean sum to zero, so we don't need to subtract the gyro's mean
+            for (i = 0; i < cameraLength; i++) {
+                covariance += (camera[i] - cameraMean) * gyro[lag + i];
+            }
+
+            scores[lag] += Math.abs(covariance / (cameraDeviation * gyroDeviation));
+        }
+    }
+
+    if (axesUsed == 0) {
+        return false;
+    }
+
+    for (lag = 1; lag < lagCount; lag++) {
+        if (scores[lag] > scores[bestLag]) {
+            bestLag = lag;
+        }
+    }
+
+    var
+        result = {lag: bestLag, correlation: scores[bestLag] / axesUsed};
+
+    // Fit a parabola through the peak and its neighbours to find the peak between samples
+    if (bestLag > 0 && bestLag < lagCount - 1) {
+        var
+            before = scores[bestLag - 1], peak = scores[bestLag], after = scores[bestLag + 1],
+            curvature = before - 2 * peak + after;
+
+        if (curvature < 0) {
+            result.lag += 0.5 * (before - after) / curvature;
+        }
+    }
+
+    return result;
+};
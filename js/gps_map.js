@@ -0,0 +1,261 @@
+"use strict";
+
+/**
+ * Draws the GPS track of a flight on the given canvas, with the home position and a marker showing the craft's
+ * position at the current time.
+ *
+ * The track is drawn using an equirectangular projection around the centre of the track, which is accurate enough
+ * over the few kilometres a flight covers and doesn't need any map tiles.
+ *
+ * Clicking on the track calls onSeek with the time of the nearest track point.
+ */
+function GPSMap(canvas) {
+    var
+        that = this,
+
+        // GPS samples from FlightLog.getGPSTrack(), and the times of those samples for quick searching:
+        track = [], trackTimes = [],
+        home = false,
+
+        current = false,
+
+        // Projection from degrees to canvas pixels:
+        centerLat, centerLon, lonScale, pixelsPerDegree,
+
+        canvasContext = canvas.getContext("2d"),
+
+        background = document.createElement('canvas'),
+        backgroundContext = background.getContext("2d"),
+
+        backgroundValid = false,
+
+        BACKGROUND_STYLE = 'rgba(0, 0, 0, 0.6)',
+        TRACK_STYLE = 'rgba(170, 170, 255, 0.9)',
+        HOME_STYLE = '#8d8',
+        START_STYLE = 'rgba(255, 255, 255, 0.9)',
+        LABEL_STYLE = 'rgba(255, 255, 255, 0.75)',
+
+        // Suggested to be the same as that used by the graph's center mark in order to tie them together
+        CURSOR_STYLE = 'rgba(255, 64, 64, 0.9)',
+
+        TRACK_WIDTH = 2,
+        MARKER_RADIUS = 5,
+
+        // Leave a gap around the track so the markers aren't clipped at the edges
+        MAP_INSET = 12,
+
+        // Maximum distance in pixels from a click to the track for it to count as a seek
+        SEEK_RADIUS = 20;
+
+    this.onSeek = false;
+
+    function invalidateBackground() {
+        backgroundValid = false;
+    }
+
+    /**
+     * Choose the projection so that the whole track (and the home position) fits inside the canvas.
+     */
+    function computeProjection() {
+        var
+            minLat = Number.MAX_VALUE, maxLat = -Number.MAX_VALUE,
+            minLon = Number.MAX_VALUE, maxLon = -Number.MAX_VALUE,
+            points = home ? track.concat([home]) : track,
+            i, width, height;
+
+        for (i = 0; i < points.length; i++) {
+            minLat = Math.min(minLat, points[i].lat);
+            maxLat = Math.max(maxLat, points[i].lat);
+            minLon = Math.min(minLon, points[i].lon);
+            maxLon = Math.max(maxLon, points[i].lon);
+        }
+
+        centerLat = (minLat + maxLat) / 2;
+        centerLon = (minLon + maxLon) / 2;
+
+        // Lines of longitude get closer together as we move away from the equator
+        lonScale = Math.cos(centerLat * Math.PI / 180);
+
+        width = (maxLon - minLon) * lonScale;
+        height = maxLat - minLat;
+
+        // Avoid a divide by zero for a craft which never moved
+        pixelsPerDegree = Math.min(
+            (canvas.width - MAP_INSET * 2) / Math.max(width, 1e-6),
+            (canvas.height - MAP_INSET * 2) / Math.max(height, 1e-6)
+        );
+    }
+
+    function projectX(point) {
+        return canvas.width / 2 + (point.lon - centerLon) * lonScale * pixelsPerDegree;
+    }
+
+    function projectY(point) {
+        return canvas.height / 2 - (point.lat - centerLat) * pixelsPerDegree;
+    }
+
+    function drawMarker(context, point, radius, style) {
+        context.fillStyle = style;
+        context.beginPath();
+        context.arc(projectX(point), projectY(point), radius, 0, Math.PI * 2);
+        context.fill();
+    }
+
+    function rebuildBackground() {
+        var
+            i, ratio = window.devicePixelRatio ? window.devicePixelRatio : 1;
+
+        backgroundContext.clearRect(0, 0, background.width, background.height);
+
+        backgroundContext.fillStyle = BACKGROUND_STYLE;
+        backgroundContext.fillRect(0, 0, background.width, background.height);
+
+        if (track.length > 0) {
+            computeProjection();
+
+            backgroundContext.strokeStyle = TRACK_STYLE;
+            backgroundContext.lineWidth = TRACK_WIDTH * ratio;
+            backgroundContext.lineJoin = 'round';
+            backgroundContext.beginPath();
+
+            backgroundContext.moveTo(projectX(track[0]), projectY(track[0]));
+
+            for (i = 1; i < track.length; i++) {
+                backgroundContext.lineTo(projectX(track[i]), projectY(track[i]));
+            }
+
+            backgroundContext.stroke();
+
+            drawMarker(backgroundContext, track[0], MARKER_RADIUS * ratio * 0.6, START_STYLE);
+
+            if (home) {
+                drawMarker(backgroundContext, home, MARKER_RADIUS * ratio, HOME_STYLE);
+
+                backgroundContext.fillStyle = LABEL_STYLE;
+                backgroundContext.font = (10 * ratio) + "px Verdana, Arial, sans-serif";
+                backgroundContext.textAlign = 'left';
+                backgroundContext.fillText("H", projectX(home) + MARKER_RADIUS * ratio + 2, projectY(home) + 4 * ratio);
+            }
+        }
+
+        backgroundValid = true;
+    }
+
+    /**
+     * Find the index of the track point closest to the given canvas pixel, or -1 if none is near enough.
+     */
+    function findNearestTrackPoint(x, y) {
+        var
+            bestIndex = -1,
+            bestDistance = SEEK_RADIUS * (window.devicePixelRatio ? window.devicePixelRatio : 1),
+            i, distance;
+
+        for (i = 0; i < track.length; i++) {
+            distance = Math.sqrt(Math.pow(projectX(track[i]) - x, 2) + Math.pow(projectY(track[i]) - y, 2));
+
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = i;
+            }
+        }
+
+        return bestIndex;
+    }
+
+    $(canvas).mousedown(function(e) {
+        var
+            bounding = canvas.getBoundingClientRect(),
+            x, y, trackIndex;
+
+        if (e.which != 1 || track.length == 0) //Left mouse button only for seeking
+            return;
+
+        e.preventDefault();
+
+        // Compensate for canvas being stretched on the page
+        x = (e.clientX - bounding.left) / (bounding.right - bounding.left) * canvas.width;
+        y = (e.clientY - bounding.top) / (bounding.bottom - bounding.top) * canvas.height;
+
+        trackIndex = findNearestTrackPoint(x, y);
+
+        if (trackIndex != -1 && that.onSeek) {
+            that.onSeek(track[trackIndex].time);
+        }
+    });
+
+    this.resize = function(width, height) {
+        var ratio = window.devicePixelRatio ? window.devicePixelRatio : 1;
+
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+
+        // The backing store is scaled up for HiDPI displays, but the canvas still takes up width x height on the page
+        canvas.style.width = width + "px";
+        canvas.style.height = height + "px";
+
+        background.width = width * ratio;
+        background.height = height * ratio;
+
+        invalidateBackground();
+
+        that.repaint();
+    };
+
+    /**
+     * Set the track to draw (an array of samples from FlightLog.getGPSTrack()) and the home position as {lat, lon}
+     * (or false if there is none).
+     */
+    this.setTrack = function(newTrack, newHome) {
+        var
+            i;
+
+        track = [];
+        trackTimes = [];
+
+        // Samples from before the GPS got a fix sit at 0,0 and would wreck the projection
+        for (i = 0; i < newTrack.length; i++) {
+            if (newTrack[i].lat !== null && newTrack[i].lon !== null && (newTrack[i].lat != 0 || newTrack[i].lon != 0)) {
+                track.push(newTrack[i]);
+                trackTimes.push(newTrack[i].time);
+            }
+        }
+
+        home = newHome && (newHome.lat != 0 || newHome.lon != 0) ? newHome : false;
+
+        invalidateBackground();
+    };
+
+    /**
+     * Returns true if there is a track to draw.
+     */
+    this.hasTrack = function() {
+        return track.length > 0;
+    };
+
+    this.setCurrentTime = function(newTime) {
+        current = newTime;
+    };
+
+    this.repaint = function() {
+        if (canvas.width == 0 || canvas.height == 0)
+            return;
+
+        if (!backgroundValid) {
+            rebuildBackground();
+        }
+
+        canvasContext.clearRect(0, 0, canvas.width, canvas.height);
+        canvasContext.drawImage(background, 0, 0);
+
+        if (track.length > 0 && current !== false) {
+            var
+                ratio = window.devicePixelRatio ? window.devicePixelRatio : 1,
+                trackIndex = binarySearchOrPrevious(trackTimes, current);
+
+            drawMarker(canvasContext, track[trackIndex], MARKER_RADIUS * ratio, CURSOR_STYLE);
+        }
+    };
+
+    background.width = canvas.width;
+    background.height = canvas.height;
+}
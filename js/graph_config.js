@@ -205,6 +205,18 @@ GraphConfig.load = function(config) {
             {
                 label: "Accelerometers",
                 fields: ["accSmooth[all]"]
+            },
+            {   /* These need a PID simulation, see FlightLogPIDSimulator */
+                label: "PID simulation roll",
+                fields: ["axisP[0]", "axisSimP[0]", "axisI[0]", "axisSimI[0]", "axisD[0]", "axisSimD[0]"]
+            },
+            {
+                label: "PID simulation pitch",
+                fields: ["axisP[1]", "axisSimP[1]", "axisI[1]", "axisSimI[1]", "axisD[1]", "axisSimD[1]"]
+            },
+            {
+                label: "PID simulation yaw",
+                fields: ["axisP[2]", "axisSimP[2]", "axisI[2]", "axisSimI[2]"]
             }
         ];
 
@@ -27,6 +27,29 @@ var analyserZoomX = 1.0; /* 100% */
 var analyserZoomY = 1.0; /* 100% */
 
 var MAX_ANALYSER_LENGTH = 300 * 1000 * 1000; // 5min
+
+var ANALYSER_MODE_SPECTRUM    = 'spectrum',    // One FFT over the whole range
+    ANALYSER_MODE_SPECTROGRAM = 'spectrogram', // Short FFTs across the range, drawn as frequency vs time
+    ANALYSER_MODE_THROTTLE    = 'throttle',    // Short FFTs averaged by throttle (rcCommand), drawn as frequency vs throttle
+    ANALYSER_MODE_MOTOR       = 'motor',       // The same but averaged by the average motor output
+    ANALYSER_MODE_OVERLAY     = 'overlay',     // Averaged spectra of every field on the selected graph, overlaid
+    ANALYSER_MODE_PSD         = 'psd';         // Power spectral density by Welch's method
+
+var SPECTROGRAM_SEGMENT_LENGTH = 256,   // samples in each of the short FFTs
+    SPECTROGRAM_MAX_SEGMENTS   = 20000; // spread the FFTs out further than usual on long logs to limit memory/time used
+
+var THROTTLE_MAP_BINS = 100; // 1% of throttle each
+
+var OVERLAY_SEGMENT_LENGTH = 1024; // samples in each of the FFTs averaged for the overlaid spectra
+
+var PSD_FREQUENCY_RESOLUTION = 4,  // Hz, the Welch segments are as long as needed to give at least this resolution
+    PSD_DB_RANGE             = 60, // dB shown below the loudest bin at 100% amplitude zoom
+    PSD_LOG_FREQUENCY_MIN    = 5;  // Hz, where the logarithmic frequency axis begins
+
+var analyserMode = ANALYSER_MODE_SPECTRUM;
+
+// The time span the grapher is showing, the spectrogram's time axis follows this
+var windowStartTime = 0, windowEndTime = 0;
 var analyserTimeRange  = { 
 							in: 0,
 						   out: MAX_ANALYSER_LENGTH
@@ -48,6 +71,18 @@ this.setOutTime = function(time) {
     dataReload = true;
 	return analyserTimeRange.out;
 };
+
+this.setTimeWindow = function(startTime, endTime) {
+	windowStartTime = startTime;
+	windowEndTime = endTime;
+};
+
+this.setMode = function(mode) {
+	if (mode != analyserMode) {
+		analyserMode = mode;
+		dataReload = true;
+	}
+};
 	  
 try {
 	var sysConfig = flightLog.getSysConfig();
@@ -57,6 +92,7 @@ try {
 
     var analyserZoomXElem = $("#analyserZoomX");
     var analyserZoomYElem = $("#analyserZoomY");
+    var analyserModeElem = $("#analyserMode");
 
     // Correct the PID rate if we know the pid_process_denom (from log header)
     if (sysConfig.pid_process_denom != null) {
@@ -66,14 +102,80 @@ try {
 	var dataBuffer = {
 			fieldIndex: 0,
 			curve: 0,
-            fieldName: null
+            fieldName: null,
+            graphFields: []
 		};
     var fftData = {
 		fieldIndex: -1,
 		fftLength: 0,
 		fftOutput: 0,
-		maxNoiseIdx: 0
+		peaks: []            // The loudest noise, from FlightLogAnalyser.findPeaks()
+	};
+	var spectrogramData = {
+		segmentCount: 0,
+		binCount: 0,
+		segmentTimes: null,  // Blackbox time at the center of each segment
+		magnitudes: null,    // binCount magnitudes for each segment in turn
+		maxMagnitude: 0
+	};
+
+	// Colours for the spectrogram from quiet to loud, as [position, r, g, b]
+	var SPECTROGRAM_COLOR_STOPS = [
+		[0.0,    0,   0,   0],
+		[0.25,  80,   0, 140],
+		[0.5,  220,  30,  30],
+		[0.75, 255, 170,   0],
+		[1.0,  255, 255, 200]
+	];
+	var spectrogramPalette = (function() {
+		var palette = new Uint8Array(256 * 3);
+
+		for (var i = 0; i < 256; i++) {
+			var level = i / 255, stop = 1;
+
+			while (stop < SPECTROGRAM_COLOR_STOPS.length - 1 && SPECTROGRAM_COLOR_STOPS[stop][0] < level) {
+				stop++;
+			}
+
+			var from = SPECTROGRAM_COLOR_STOPS[stop - 1], to = SPECTROGRAM_COLOR_STOPS[stop],
+			    mix = (level - from[0]) / (to[0] - from[0]);
+
+			for (var c = 0; c < 3; c++) {
+				palette[i * 3 + c] = Math.round(from[c + 1] + (to[c + 1] - from[c + 1]) * mix);
+			}
+		}
+
+		return palette;
+	})();
+	var spectrogramImage = document.createElement('canvas');
+	var throttleMapData = {
+		binCount: 0,
+		magnitudes: null,    // binCount average magnitudes for each throttle bin in turn
+		counts: null,        // The number of segments averaged into each throttle bin
+		maxMagnitude: 0
+	};
+	var psdData = {
+		windowName: null,    // The window function the PSD was calculated with
+		psd: null,           // From FlightLogAnalyser.welch(), or false if there weren't enough samples
+		frequencyResolution: 0,
+		segmentCount: 0,
+		maxPSD: 0,
+		peaks: []
 	};
+	var overlayData = {
+		key: null,           // The fields these spectra are of, so we can tell when the selected graph changes
+		binCount: 0,
+		curves: [],          // {name, color, magnitudes} for each field
+		maxMagnitude: 0
+	};
+	var segmentFFT = new FFT.complex(SPECTROGRAM_SEGMENT_LENGTH, false);
+	var segmentBuffer = new Float64Array(SPECTROGRAM_SEGMENT_LENGTH);
+	var segmentOutput = new Float64Array(SPECTROGRAM_SEGMENT_LENGTH * 2);
+	var segmentHanning = new Float64Array(SPECTROGRAM_SEGMENT_LENGTH);
+
+	for (var i = 0; i < SPECTROGRAM_SEGMENT_LENGTH; i++) {
+		segmentHanning[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (SPECTROGRAM_SEGMENT_LENGTH - 1)));
+	}
 
 	this.setFullscreen = function(size) {
 		isFullscreen = (size==true);
@@ -121,9 +223,150 @@ try {
 		$("input:last-of-type", parentElem).css({
 			left: (canvasCtx.canvas.width - 20) + "px"
         });
+		$("select", parentElem).css({
+			left: (canvasCtx.canvas.width / 2) + "px"
+        });
 
 	};
 	
+	/**
+	 * Get the key identifying the set of fields the overlay mode would show.
+	 **/
+	var getOverlayKey = function() {
+		return dataBuffer.graphFields.map(function(field) {
+			return field.index;
+		}).join(",");
+	};
+
+	/**
+	 * Get the raw (unscaled) values of the field with the given index from the frames in the given chunks.
+	 **/
+	var getRawSamples = function(allChunks, fieldIndex) {
+		var sampleCount = 0;
+
+		for (var chunkIndex = 0; chunkIndex < allChunks.length; chunkIndex++) {
+			sampleCount += allChunks[chunkIndex].frames.length;
+		}
+
+		var samples = new Float64Array(sampleCount);
+
+		sampleCount = 0;
+		for (var chunkIndex = 0; chunkIndex < allChunks.length; chunkIndex++) {
+			var chunk = allChunks[chunkIndex];
+			for (var frameIndex = 0; frameIndex < chunk.frames.length; frameIndex++) {
+				samples[sampleCount++] = chunk.frames[frameIndex][fieldIndex];
+			}
+		}
+
+		return samples;
+	};
+
+	/**
+	 * Calculate the spectrum of each field on the selected graph, averaging the spectra of overlapping segments to get
+	 * smooth curves that can be compared against each other. Raw field values are used (rather than the values scaled
+	 * for the graph) so that fields logged in the same units can be compared directly, e.g. gyro before and after
+	 * filtering.
+	 **/
+	var overlayLoad = function(logStart, logEnd) {
+		var allChunks = flightLog.getChunksInTimeRange(logStart, logEnd);
+		var fields = dataBuffer.graphFields;
+		var debugMode = flightLog.getSysConfig().debug_mode;
+		var binCount = OVERLAY_SEGMENT_LENGTH / 2;
+		var fft = new FFT.complex(OVERLAY_SEGMENT_LENGTH, false);
+		var segment = new Float64Array(OVERLAY_SEGMENT_LENGTH);
+		var fftOutput = new Float64Array(OVERLAY_SEGMENT_LENGTH * 2);
+		var hanning = new Float64Array(OVERLAY_SEGMENT_LENGTH);
+		var curves = [];
+		var maxMagnitude = 0;
+
+		for (var i = 0; i < OVERLAY_SEGMENT_LENGTH; i++) {
+			hanning[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (OVERLAY_SEGMENT_LENGTH - 1)));
+		}
+
+		for (var fieldIndex = 0; fieldIndex < fields.length; fieldIndex++) {
+			var samples = getRawSamples(allChunks, fields[fieldIndex].index);
+
+			var magnitudes = new Float64Array(binCount);
+			var segmentCount = 0;
+
+			// Segments overlap by half
+			for (var start = 0; start + OVERLAY_SEGMENT_LENGTH <= samples.length; start += OVERLAY_SEGMENT_LENGTH / 2) {
+				var mean = 0;
+
+				for (var i = 0; i < OVERLAY_SEGMENT_LENGTH; i++) {
+					mean += samples[start + i];
+				}
+				mean /= OVERLAY_SEGMENT_LENGTH;
+
+				for (var i = 0; i < OVERLAY_SEGMENT_LENGTH; i++) {
+					segment[i] = (samples[start + i] - mean) * hanning[i];
+				}
+
+				fft.simple(fftOutput, segment, 'real');
+
+				for (var bin = 0; bin < binCount; bin++) {
+					magnitudes[bin] += Math.sqrt(fftOutput[bin * 2] * fftOutput[bin * 2] + fftOutput[bin * 2 + 1] * fftOutput[bin * 2 + 1]);
+				}
+				segmentCount++;
+			}
+
+			for (var bin = 0; segmentCount > 0 && bin < binCount; bin++) {
+				magnitudes[bin] /= segmentCount;
+				maxMagnitude = Math.max(maxMagnitude, magnitudes[bin]);
+			}
+
+			curves.push({
+				name: FlightLogFieldPresenter.fieldNameToFriendly(fields[fieldIndex].name, debugMode),
+				// Match the field's colour on the graph
+				color: fields[fieldIndex].color || GraphConfig.PALETTE[fieldIndex % GraphConfig.PALETTE.length].color,
+				magnitudes: segmentCount > 0 ? magnitudes : null
+			});
+		}
+
+		overlayData = {
+			key: getOverlayKey(),
+			binCount: binCount,
+			curves: curves,
+			maxMagnitude: maxMagnitude
+		};
+	};
+
+	/**
+	 * Calculate the power spectral density of the selected field with Welch's method, using the window function chosen
+	 * in the user settings. Like the overlay this uses the raw field values so the PSD can be compared between logs.
+	 **/
+	var psdLoad = function(logStart, logEnd) {
+		var samples = getRawSamples(flightLog.getChunksInTimeRange(logStart, logEnd), dataBuffer.fieldIndex);
+		var windowName = userSettings.analyserWindow || 'hann';
+
+		// Use the shortest power of two long segments that give the resolution we want, so that we average as many as
+		// possible. Short logs get fewer, longer segments rather than none
+		var segmentLength = 64;
+		while (segmentLength < blackBoxRate / PSD_FREQUENCY_RESOLUTION) {
+			segmentLength *= 2;
+		}
+		while (segmentLength > 64 && segmentLength > samples.length / 2) {
+			segmentLength /= 2;
+		}
+
+		var result = FlightLogAnalyser.welch(samples, samples.length, blackBoxRate, segmentLength, windowName);
+		var maxPSD = 0;
+
+		for (var bin = 1; result && bin < result.psd.length; bin++) {
+			maxPSD = Math.max(maxPSD, result.psd[bin]);
+		}
+
+		psdData = {
+			windowName: windowName,
+			psd: result && result.psd,
+			frequencyResolution: result ? result.frequencyResolution : 0,
+			segmentCount: result ? result.segmentCount : 0,
+			maxPSD: maxPSD,
+			peaks: result ? FlightLogAnalyser.findPeaks(result.psd, result.psd.length, result.frequencyResolution,
+				{minFrequency: 2 * result.frequencyResolution, minRatio: 10}) : []
+		};
+	};
+
 	var dataLoad = function() {
 		//load all samples
 		var logStart = flightLog.getMinTime();
@@ -134,18 +377,48 @@ try {
         if(analyserTimeRange.out) {
             logEnd = analyserTimeRange.out;
         }
+		if (analyserMode == ANALYSER_MODE_OVERLAY) {
+			overlayLoad(logStart, logEnd);
+			fftData.fieldIndex = dataBuffer.fieldIndex;
+			return;
+		}
+		if (analyserMode == ANALYSER_MODE_PSD) {
+			psdLoad(logStart, logEnd);
+			fftData.fieldIndex = dataBuffer.fieldIndex;
+			return;
+		}
 		var allChunks = flightLog.getChunksInTimeRange(logStart, logEnd); //Max 300 seconds
 		var samples = new Float64Array(MAX_ANALYSER_LENGTH/1000);
+		var sampleTimes = new Float64Array(samples.length);
+		var isThrottleMode = (analyserMode == ANALYSER_MODE_THROTTLE || analyserMode == ANALYSER_MODE_MOTOR);
+		var sampleThrottles = isThrottleMode ? new Float64Array(samples.length) : null;
+		var throttleFieldIndexes = isThrottleMode ? getThrottleFieldIndexes() : null;
 
         // Loop through all the samples in the chunks and assign them to a sample array ready to pass to the FFT.
         fftData.samples	= 0;
 		for (var chunkIndex = 0; chunkIndex < allChunks.length; chunkIndex++) {
 			var chunk = allChunks[chunkIndex];
 			for (var frameIndex = 0; frameIndex < chunk.frames.length; frameIndex++) {
+				sampleTimes[fftData.samples] = chunk.frames[frameIndex][FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME];
+				if (sampleThrottles) {
+					sampleThrottles[fftData.samples] = getFrameThrottle(chunk.frames[frameIndex], throttleFieldIndexes);
+				}
 				samples[fftData.samples++] = (dataBuffer.curve.lookupRaw(chunk.frames[frameIndex][dataBuffer.fieldIndex]));
 			}
 		}
 
+		if (analyserMode == ANALYSER_MODE_SPECTROGRAM) {
+			spectrogramLoad(samples, sampleTimes, Math.min(fftData.samples, samples.length));
+			fftData.fieldIndex = dataBuffer.fieldIndex;
+			return;
+		}
+
+		if (isThrottleMode) {
+			throttleMapLoad(samples, sampleThrottles, Math.min(fftData.samples, samples.length));
+			fftData.fieldIndex = dataBuffer.fieldIndex;
+			return;
+		}
+
         if(userSettings.analyserHanning) {
             // apply hanning window function
             for(var i=0; i<fftData.samples; i++) {
@@ -162,31 +435,477 @@ try {
 
 		//calculate absolute values and find motor noise above 100hz
 		var maxFrequency = (blackBoxRate / 2.0);
-		var noiseLowEndIdx = 100 / maxFrequency * fftLength;
-		var maxNoiseIdx = 0;
-		var maxNoise = 0;
 		
 		for (var i = 0; i < fftLength; i++) {
 			fftOutput[i] = Math.abs(fftOutput[i]);
-			if (i > noiseLowEndIdx && fftOutput[i] > maxNoise) {
-				maxNoise = fftOutput[i];
-				maxNoiseIdx = i;
-			}
 		}
 
-		maxNoiseIdx = maxNoiseIdx / fftLength * maxFrequency;
-		
 		fftData.fieldIndex = dataBuffer.fieldIndex;
 		fftData.fftLength = fftLength;
 		fftData.fftOutput = fftOutput;
-		fftData.maxNoiseIdx = maxNoiseIdx;
+		fftData.peaks = FlightLogAnalyser.findPeaks(fftOutput, fftLength, maxFrequency / fftLength, {minFrequency: 100});
+	};
+
+	/**
+	 * Work out how to cut sampleCount samples into overlapping segments for short FFTs.
+	 **/
+	var getSegmentLayout = function(sampleCount) {
+		var hop = Math.max(SPECTROGRAM_SEGMENT_LENGTH / 8, Math.ceil((sampleCount - SPECTROGRAM_SEGMENT_LENGTH) / SPECTROGRAM_MAX_SEGMENTS));
+
+		return {
+			hop: hop,
+			count: (sampleCount >= SPECTROGRAM_SEGMENT_LENGTH) ? Math.floor((sampleCount - SPECTROGRAM_SEGMENT_LENGTH) / hop) + 1 : 0,
+			binCount: SPECTROGRAM_SEGMENT_LENGTH / 2
+		};
+	};
+
+	/**
+	 * Calculate the magnitude spectrum of the segment of samples beginning at start, into magnitudes (at offset).
+	 **/
+	var calculateSegmentSpectrum = function(samples, start, magnitudes, offset) {
+		var mean = 0;
+
+		// Remove the average so that the DC bin doesn't drown out everything else
+		for (var i = 0; i < SPECTROGRAM_SEGMENT_LENGTH; i++) {
+			mean += samples[start + i];
+		}
+		mean /= SPECTROGRAM_SEGMENT_LENGTH;
+
+		for (var i = 0; i < SPECTROGRAM_SEGMENT_LENGTH; i++) {
+			segmentBuffer[i] = (samples[start + i] - mean) * segmentHanning[i];
+		}
+
+		segmentFFT.simple(segmentOutput, segmentBuffer, 'real');
+
+		for (var bin = 0; bin < SPECTROGRAM_SEGMENT_LENGTH / 2; bin++) {
+			magnitudes[offset + bin] = Math.sqrt(segmentOutput[bin * 2] * segmentOutput[bin * 2] + segmentOutput[bin * 2 + 1] * segmentOutput[bin * 2 + 1]);
+		}
+	};
+
+	/**
+	 * Run short overlapping FFTs across the samples so we can see how the spectrum changes over time.
+	 **/
+	var spectrogramLoad = function(samples, sampleTimes, sampleCount) {
+		var layout = getSegmentLayout(sampleCount);
+		var magnitudes = new Float32Array(layout.count * layout.binCount);
+		var segmentTimes = new Float64Array(layout.count);
+		var maxMagnitude = 0;
+
+		for (var segmentIndex = 0; segmentIndex < layout.count; segmentIndex++) {
+			var start = segmentIndex * layout.hop;
+
+			calculateSegmentSpectrum(samples, start, magnitudes, segmentIndex * layout.binCount);
+
+			segmentTimes[segmentIndex] = sampleTimes[start + SPECTROGRAM_SEGMENT_LENGTH / 2];
+		}
+
+		for (var i = 0; i < magnitudes.length; i++) {
+			maxMagnitude = Math.max(maxMagnitude, magnitudes[i]);
+		}
+
+		spectrogramData = {
+			segmentCount: layout.count,
+			binCount: layout.binCount,
+			segmentTimes: segmentTimes,
+			magnitudes: magnitudes,
+			maxMagnitude: maxMagnitude
+		};
+	};
+
+	/**
+	 * Find the fields which the throttle is measured from for the current mode: either rcCommand[3], or every motor.
+	 **/
+	var getThrottleFieldIndexes = function() {
+		var indexes = [];
+
+		if (analyserMode == ANALYSER_MODE_MOTOR) {
+			for (var i = 0; flightLog.getMainFieldIndexByName("motor[" + i + "]") !== undefined; i++) {
+				indexes.push(flightLog.getMainFieldIndexByName("motor[" + i + "]"));
+			}
+		} else if (flightLog.getMainFieldIndexByName("rcCommand[3]") !== undefined) {
+			indexes.push(flightLog.getMainFieldIndexByName("rcCommand[3]"));
+		}
+
+		return indexes;
+	};
+
+	/**
+	 * Get the throttle (as a percentage) of a frame, from the fields given by getThrottleFieldIndexes().
+	 **/
+	var getFrameThrottle = function(frame, fieldIndexes) {
+		var sum = 0;
+
+		if (fieldIndexes.length == 0) {
+			return 0;
+		}
+
+		for (var i = 0; i < fieldIndexes.length; i++) {
+			sum += (analyserMode == ANALYSER_MODE_MOTOR) ? flightLog.rcMotorRawToPct(frame[fieldIndexes[i]]) : flightLog.rcCommandRawToThrottle(frame[fieldIndexes[i]]);
+		}
+
+		return sum / fieldIndexes.length;
+	};
+
+	/**
+	 * Run short overlapping FFTs across the samples and average their spectra according to the throttle during each
+	 * one, so that noise which follows motor RPM stands out as a diagonal band.
+	 **/
+	var throttleMapLoad = function(samples, sampleThrottles, sampleCount) {
+		var layout = getSegmentLayout(sampleCount);
+		var segmentMagnitudes = new Float64Array(layout.binCount);
+		var magnitudes = new Float32Array(THROTTLE_MAP_BINS * layout.binCount);
+		var counts = new Uint32Array(THROTTLE_MAP_BINS);
+		var maxMagnitude = 0;
+
+		for (var segmentIndex = 0; segmentIndex < layout.count; segmentIndex++) {
+			var start = segmentIndex * layout.hop;
+			var throttle = 0;
+
+			for (var i = 0; i < SPECTROGRAM_SEGMENT_LENGTH; i++) {
+				throttle += sampleThrottles[start + i];
+			}
+			throttle /= SPECTROGRAM_SEGMENT_LENGTH;
+
+			var throttleBin = constrain(Math.floor(throttle / 100 * THROTTLE_MAP_BINS), 0, THROTTLE_MAP_BINS - 1);
+
+			calculateSegmentSpectrum(samples, start, segmentMagnitudes, 0);
+
+			for (var bin = 0; bin < layout.binCount; bin++) {
+				magnitudes[throttleBin * layout.binCount + bin] += segmentMagnitudes[bin];
+			}
+			counts[throttleBin]++;
+		}
+
+		for (var throttleBin = 0; throttleBin < THROTTLE_MAP_BINS; throttleBin++) {
+			for (var bin = 0; counts[throttleBin] > 0 && bin < layout.binCount; bin++) {
+				magnitudes[throttleBin * layout.binCount + bin] /= counts[throttleBin];
+				maxMagnitude = Math.max(maxMagnitude, magnitudes[throttleBin * layout.binCount + bin]);
+			}
+		}
+
+		throttleMapData = {
+			binCount: layout.binCount,
+			magnitudes: magnitudes,
+			counts: counts,
+			maxMagnitude: maxMagnitude
+		};
+	};
+
+	var draw = function() {
+		if (analyserMode == ANALYSER_MODE_SPECTROGRAM) {
+			drawSpectrogram();
+		} else if (analyserMode == ANALYSER_MODE_THROTTLE || analyserMode == ANALYSER_MODE_MOTOR) {
+			drawThrottleMap();
+		} else if (analyserMode == ANALYSER_MODE_OVERLAY) {
+			drawOverlay();
+		} else if (analyserMode == ANALYSER_MODE_PSD) {
+			drawPSD();
+		} else {
+			drawSpectrum();
+		}
+	};
+
+	/**
+	 * Draw columns of magnitudes (each binCount long, in the magnitudes array) as a heatmap covering the analyser, with
+	 * frequency increasing upwards and louder being brighter. getColumn(x) gives the column to draw at each of the
+	 * imageWidth steps across, or -1 to leave that step empty. The frequency zoom works the same as it does for the
+	 * spectrum, and the amplitude zoom adjusts the brightness.
+	 **/
+	var drawHeatmap = function(magnitudes, binCount, maxMagnitude, imageWidth, getColumn, WIDTH, HEIGHT) {
+		// Show a few decades of dynamic range, quieter than that is black
+		var DYNAMIC_RANGE_DECADES = 3;
+
+		var plottedBins = Math.max(Math.round(binCount / analyserZoomX), 1);
+		var scale = 1 / (maxMagnitude * analyserZoomY);
+
+		spectrogramImage.width = imageWidth;
+		spectrogramImage.height = plottedBins;
+
+		var imageContext = spectrogramImage.getContext("2d");
+		var image = imageContext.createImageData(imageWidth, plottedBins);
+
+		for (var x = 0; x < imageWidth; x++) {
+			var column = getColumn(x);
+
+			if (column < 0) {
+				continue;
+			}
+
+			for (var bin = 0; bin < plottedBins; bin++) {
+				var magnitude = magnitudes[column * binCount + bin];
+				var level = magnitude > 0 ? constrain(1 + Math.log10(magnitude * scale) / DYNAMIC_RANGE_DECADES, 0, 1) : 0;
+				var paletteIndex = Math.round(level * 255) * 3;
+				var pixel = ((plottedBins - 1 - bin) * imageWidth + x) * 4;
+
+				image.data[pixel]     = spectrogramPalette[paletteIndex];
+				image.data[pixel + 1] = spectrogramPalette[paletteIndex + 1];
+				image.data[pixel + 2] = spectrogramPalette[paletteIndex + 2];
+				image.data[pixel + 3] = 255;
+			}
+		}
+
+		imageContext.putImageData(image, 0, 0);
+		canvasCtx.drawImage(spectrogramImage, 0, 0, WIDTH, HEIGHT);
+	};
+
+	/**
+	 * Draw a horizontal line across the heatmap at the frequency under the mouse.
+	 **/
+	var drawMouseFrequency = function(sampleRate, WIDTH, HEIGHT) {
+		if (mouseFrequency != null) {
+			var y = HEIGHT - HEIGHT * mouseFrequency / (sampleRate / 2);
+
+			canvasCtx.beginPath();
+			canvasCtx.lineWidth = 1;
+			canvasCtx.strokeStyle = "rgba(0,255,0,0.50)";
+			canvasCtx.moveTo(0, y);
+			canvasCtx.lineTo(WIDTH, y);
+			canvasCtx.stroke();
+
+			drawAxisLabel(mouseFrequency.toFixed(0) + "Hz", WIDTH - 4, y - 4, 'right');
+		}
+	};
+
+	/**
+	 * Draw the spectrogram for the time span the grapher is showing: time runs left to right, frequency bottom to top.
+	 **/
+	var drawSpectrogram = function() {
+		canvasCtx.save();
+		canvasCtx.clearRect(0, 0, canvasCtx.canvas.width, canvasCtx.canvas.height);
+
+		var MARGIN = 10; // pixels
+		var HEIGHT = canvasCtx.canvas.height - MARGIN;
+		var WIDTH  = canvasCtx.canvas.width;
+
+		var PLOTTED_BLACKBOX_RATE = blackBoxRate / (analyserZoomX);
+
+		canvasCtx.fillStyle = 'rgba(0,0,0,0.8)';
+		canvasCtx.fillRect(0, 0, WIDTH, HEIGHT + MARGIN);
+
+		if (spectrogramData.segmentCount > 0 && windowEndTime > windowStartTime) {
+			var imageWidth = Math.max(Math.min(Math.round(WIDTH), 600), 1);
+			var segmentTimes = spectrogramData.segmentTimes;
+			var segmentSpacing = spectrogramData.segmentCount > 1 ? (segmentTimes[spectrogramData.segmentCount - 1] - segmentTimes[0]) / (spectrogramData.segmentCount - 1) : 0;
+
+			drawHeatmap(spectrogramData.magnitudes, spectrogramData.binCount, spectrogramData.maxMagnitude, imageWidth, function(x) {
+				var time = windowStartTime + (x + 0.5) / imageWidth * (windowEndTime - windowStartTime);
+
+				// Leave the parts of the window outside the analysed range empty
+				if (time < segmentTimes[0] - segmentSpacing || time > segmentTimes[spectrogramData.segmentCount - 1] + segmentSpacing) {
+					return -1;
+				}
+
+				return binarySearchOrPrevious(segmentTimes, time);
+			}, WIDTH, HEIGHT);
+		} else {
+			drawAxisLabel('Not enough data in the analysed range', WIDTH / 2, HEIGHT / 2, 'center');
+		}
+
+		// Mark the current time, which is in the middle of the grapher's window
+		canvasCtx.beginPath();
+		canvasCtx.lineWidth = 1;
+		canvasCtx.strokeStyle = 'rgba(255, 128, 128, 0.7)';
+		canvasCtx.moveTo(WIDTH / 2, 0);
+		canvasCtx.lineTo(WIDTH / 2, HEIGHT);
+		canvasCtx.stroke();
+
+		drawFrequencyGridLines(PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT);
+		drawMouseFrequency(PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT);
+
+		drawAxisLabel(dataBuffer.fieldName, WIDTH - 4, HEIGHT + MARGIN - 2, 'right');
+
+		canvasCtx.restore();
+	};
+
+	/**
+	 * Draw the average spectrum at each throttle position: throttle runs left to right, frequency bottom to top.
+	 **/
+	var drawThrottleMap = function() {
+		canvasCtx.save();
+		canvasCtx.clearRect(0, 0, canvasCtx.canvas.width, canvasCtx.canvas.height);
+
+		var MARGIN = 10; // pixels
+		var HEIGHT = canvasCtx.canvas.height - MARGIN;
+		var WIDTH  = canvasCtx.canvas.width;
+
+		var PLOTTED_BLACKBOX_RATE = blackBoxRate / (analyserZoomX);
+
+		canvasCtx.fillStyle = 'rgba(0,0,0,0.8)';
+		canvasCtx.fillRect(0, 0, WIDTH, HEIGHT + MARGIN);
+
+		if (throttleMapData.maxMagnitude > 0) {
+			drawHeatmap(throttleMapData.magnitudes, throttleMapData.binCount, throttleMapData.maxMagnitude, THROTTLE_MAP_BINS, function(x) {
+				return throttleMapData.counts[x] > 0 ? x : -1;
+			}, WIDTH, HEIGHT);
+		} else {
+			drawAxisLabel('Not enough data in the analysed range', WIDTH / 2, HEIGHT / 2, 'center');
+		}
+
+		// Throttle axis along the bottom
+		var ticks = 5;
+		for (var i = 0; i <= ticks; i++) {
+			var textAlign = (i==0)?'left':((i==ticks)?'right':'center');
+			drawAxisLabel((i * 100 / ticks) + "%", i * (WIDTH / ticks), HEIGHT + MARGIN, textAlign);
+		}
+
+		drawFrequencyGridLines(PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT);
+		drawMouseFrequency(PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT);
+
+		drawAxisLabel(dataBuffer.fieldName + ((analyserMode == ANALYSER_MODE_MOTOR) ? ' vs motor output' : ' vs throttle'), WIDTH - 4, HEIGHT - 6, 'right');
+
+		canvasCtx.restore();
+	};
+
+	/**
+	 * Draw the spectra of the fields of the selected graph over each other, with a legend.
+	 **/
+	var drawOverlay = function() {
+		canvasCtx.save();
+		canvasCtx.lineWidth = 1;
+		canvasCtx.clearRect(0, 0, canvasCtx.canvas.width, canvasCtx.canvas.height);
+
+		var MARGIN = 10; // pixels
+		var HEIGHT = canvasCtx.canvas.height - MARGIN;
+		var WIDTH  = canvasCtx.canvas.width;
+		var LEGEND_LINE_HEIGHT = 14;
+
+		var PLOTTED_BLACKBOX_RATE = blackBoxRate / (analyserZoomX);
+		var PLOTTED_BINS = overlayData.binCount / analyserZoomX;
+
+		canvasCtx.fillStyle = (isFullscreen) ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)';
+		canvasCtx.fillRect(0, 0, WIDTH, HEIGHT + MARGIN);
+
+		var scale = HEIGHT * 0.9 / ((overlayData.maxMagnitude || 1) * analyserZoomY);
+
+		for (var curveIndex = 0; curveIndex < overlayData.curves.length; curveIndex++) {
+			var curve = overlayData.curves[curveIndex];
+
+			if (curve.magnitudes) {
+				canvasCtx.beginPath();
+				canvasCtx.lineWidth = 1.5;
+				canvasCtx.strokeStyle = curve.color;
+
+				for (var bin = 0; bin <= PLOTTED_BINS && bin < overlayData.binCount; bin++) {
+					var x = bin / PLOTTED_BINS * WIDTH;
+					var y = HEIGHT - Math.min(curve.magnitudes[bin] * scale, HEIGHT);
+
+					if (bin == 0) {
+						canvasCtx.moveTo(x, y);
+					} else {
+						canvasCtx.lineTo(x, y);
+					}
+				}
+
+				canvasCtx.stroke();
+			}
+
+			// Legend
+			canvasCtx.fillStyle = curve.color;
+			canvasCtx.fillRect(MARGIN, MARGIN + curveIndex * LEGEND_LINE_HEIGHT, 10, 3);
+			drawAxisLabel(curve.name + (curve.magnitudes ? '' : ' (not enough data)'), MARGIN + 14, MARGIN + curveIndex * LEGEND_LINE_HEIGHT + 5, 'left');
+		}
+
+		drawGridLines(PLOTTED_BLACKBOX_RATE, 0, 0, WIDTH, HEIGHT, MARGIN);
+		drawFilterMarkers(PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT, MARGIN + overlayData.curves.length * LEGEND_LINE_HEIGHT);
+
+		canvasCtx.restore();
+	};
+
+	/**
+	 * Draw the power spectral density as a line, on linear or logarithmic (dB) amplitude and frequency axes as chosen in
+	 * the user settings, and mark the loudest peaks.
+	 **/
+	var drawPSD = function() {
+		var WINDOW_LABELS = {'hann': 'Hann', 'blackman-harris': 'Blackman-Harris', 'flattop': 'flat-top'};
+
+		canvasCtx.save();
+		canvasCtx.lineWidth = 1;
+		canvasCtx.clearRect(0, 0, canvasCtx.canvas.width, canvasCtx.canvas.height);
+
+		var MARGIN = 10; // pixels
+		var HEIGHT = canvasCtx.canvas.height - MARGIN;
+		var WIDTH  = canvasCtx.canvas.width;
+
+		var PLOTTED_BLACKBOX_RATE = blackBoxRate / (analyserZoomX);
+
+		canvasCtx.fillStyle = (isFullscreen) ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)';
+		canvasCtx.fillRect(0, 0, WIDTH, HEIGHT + MARGIN);
+
+		if (isLogFrequencyAxis()) {
+			drawLogFrequencyGridLines(PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT, MARGIN);
+		} else {
+			drawGridLines(PLOTTED_BLACKBOX_RATE, 0, 0, WIDTH, HEIGHT, MARGIN);
+		}
+
+		if (!psdData.psd) {
+			drawAxisLabel("Not enough samples for the PSD", WIDTH / 2, HEIGHT / 2, 'center');
+			canvasCtx.restore();
+			return;
+		}
+
+		var useDecibels = (userSettings.analyserAmplitudeScale == 'db');
+		var topDecibels = 10 * Math.ceil(Math.log10(psdData.maxPSD || 1));
+		var decibelRange = PSD_DB_RANGE * analyserZoomY;
+		var linearScale = HEIGHT * 0.9 / ((psdData.maxPSD || 1) * analyserZoomY);
+
+		var getY = function(value) {
+			if (useDecibels) {
+				return constrain(HEIGHT * (topDecibels - 10 * Math.log10(Math.max(value, 1e-30))) / decibelRange, 0, HEIGHT);
+			}
+			return HEIGHT - Math.min(value * linearScale, HEIGHT);
+		};
+
+		if (useDecibels) {
+			drawDecibelGridLines(topDecibels, decibelRange, WIDTH, HEIGHT);
+		}
+
+		canvasCtx.beginPath();
+		canvasCtx.moveTo(0, HEIGHT);
+		for (var bin = 1; bin < psdData.psd.length && (bin - 1) * psdData.frequencyResolution <= PLOTTED_BLACKBOX_RATE / 2; bin++) {
+			canvasCtx.lineTo(frequencyToX(bin * psdData.frequencyResolution, PLOTTED_BLACKBOX_RATE, WIDTH), getY(psdData.psd[bin]));
+		}
+		canvasCtx.lineTo(WIDTH, HEIGHT);
+
+		canvasCtx.fillStyle = 'rgba(255,128,128,0.2)';
+		canvasCtx.fill();
+		canvasCtx.lineWidth = 1.5;
+		canvasCtx.strokeStyle = 'rgba(255,128,128,0.9)';
+		canvasCtx.stroke();
+
+		drawAxisLabel(dataBuffer.fieldName + " PSD, " + (WINDOW_LABELS[psdData.windowName] || psdData.windowName) + " window, "
+			+ psdData.segmentCount + " segments averaged", WIDTH - 4, HEIGHT - 6, 'right');
+
+		var offset = drawFilterMarkers(PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT, MARGIN);
+		drawPeakMarkers(psdData.peaks, PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT, MARGIN, offset);
+
+		canvasCtx.restore();
+	};
+
+	/**
+	 * Label the frequency axis of the spectrogram, which runs up the left hand side.
+	 **/
+	var drawFrequencyGridLines = function(sampleRate, WIDTH, HEIGHT) {
+		var ticks = 5;
+
+		for (var i = 0; i <= ticks; i++) {
+			var y = HEIGHT - i * (HEIGHT / ticks);
+
+			canvasCtx.beginPath();
+			canvasCtx.lineWidth = 1;
+			canvasCtx.strokeStyle = "rgba(255,255,255,0.25)";
+			canvasCtx.moveTo(0, y);
+			canvasCtx.lineTo(WIDTH, y);
+			canvasCtx.stroke();
+
+			drawAxisLabel(((sampleRate / 2) * i / ticks).toFixed(0) + "Hz", 4, (i == ticks) ? y + 12 : y - 2, 'left');
+		}
 	};
 
 	/**
      * Function to actually draw the spectrum analyser overlay
      * again, need to look at optimisation....
      **/
-	var draw = function() {
+	var drawSpectrum = function() {
 		canvasCtx.save();
 		canvasCtx.lineWidth = 1;
 		canvasCtx.clearRect(0, 0, canvasCtx.canvas.width, canvasCtx.canvas.height);
@@ -235,6 +954,17 @@ try {
 		drawAxisLabel(dataBuffer.fieldName, WIDTH - 4, HEIGHT - 6, 'right');
 		drawGridLines(PLOTTED_BLACKBOX_RATE, LEFT, TOP, WIDTH, HEIGHT, MARGIN);
 
+		var offset = drawFilterMarkers(PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT, MARGIN);
+		drawPeakMarkers(fftData.peaks, PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT, MARGIN, offset);
+
+		canvasCtx.restore();
+	};
+	
+	/**
+	 * Mark the mouse frequency and the cutoffs of the filters configured in the log header on the spectrum, returning
+	 * how many rows of labels were used.
+	 **/
+	var drawFilterMarkers = function(PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT, MARGIN) {
 		var offset = 0;
 		if (mouseFrequency !=null) drawMarkerLine(mouseFrequency,  PLOTTED_BLACKBOX_RATE, '', WIDTH, HEIGHT, (15*offset++) + MARGIN, "rgba(0,255,0,0.50)", 3);
 		offset++; // make some space!
@@ -283,17 +1013,48 @@ try {
 		} catch (e) {
 			console.log('Notch filter fieldName missing');
 		}
-		drawMarkerLine(fftData.maxNoiseIdx,  PLOTTED_BLACKBOX_RATE, 'Max motor noise', WIDTH, HEIGHT, (15*offset) + MARGIN, "rgba(255,0,0,0.50)", 3);
+		return offset;
+	};
 
-		canvasCtx.restore();
+	/**
+	 * Mark the peaks found by FlightLogAnalyser.findPeaks(), beginning at the given row of labels.
+	 **/
+	var drawPeakMarkers = function(peaks, PLOTTED_BLACKBOX_RATE, WIDTH, HEIGHT, MARGIN, offset) {
+		for (var i = 0; i < peaks.length; i++) {
+			drawMarkerLine(peaks[i].frequency, PLOTTED_BLACKBOX_RATE, 'Noise peak', WIDTH, HEIGHT, (15*offset++) + MARGIN, "rgba(255,0,0,0.50)", 3);
+		}
 	};
-	
+
+	/**
+	 * Only the PSD can have a logarithmic frequency axis, the others stay linear.
+	 **/
+	var isLogFrequencyAxis = function() {
+		return analyserMode == ANALYSER_MODE_PSD && !!userSettings.analyserLogFrequency;
+	};
+
+	/**
+	 * Get the position across the analyser of the given frequency, where sampleRate is twice the highest frequency shown.
+	 **/
+	var frequencyToX = function(frequency, sampleRate, WIDTH) {
+		if (isLogFrequencyAxis()) {
+			return WIDTH * Math.log(Math.max(frequency, PSD_LOG_FREQUENCY_MIN) / PSD_LOG_FREQUENCY_MIN) / Math.log((sampleRate / 2) / PSD_LOG_FREQUENCY_MIN);
+		}
+		return WIDTH * frequency / (sampleRate / 2); // percentage of range where frequncy lies
+	};
+
+	var xToFrequency = function(x, sampleRate, WIDTH) {
+		if (isLogFrequencyAxis()) {
+			return PSD_LOG_FREQUENCY_MIN * Math.pow((sampleRate / 2) / PSD_LOG_FREQUENCY_MIN, x / WIDTH);
+		}
+		return x / WIDTH * (sampleRate / 2);
+	};
+
 	var drawMarkerLine = function(frequency, sampleRate, label, WIDTH, HEIGHT, OFFSET, stroke, lineWidth){
-		var x = WIDTH * frequency / (sampleRate / 2); // percentage of range where frequncy lies
+		var x = frequencyToX(frequency, sampleRate, WIDTH);
 
 		lineWidth = (lineWidth || 1);
 		if (lineWidth > 5) { // is the linewidth specified as a frequency band
-			lineWidth = WIDTH *  (2 * lineWidth) / (sampleRate / 2);		
+			lineWidth = Math.abs(frequencyToX(frequency + lineWidth, sampleRate, WIDTH) - frequencyToX(frequency - lineWidth, sampleRate, WIDTH));
 		}
 		if(lineWidth < 1) lineWidth = 1;
 
@@ -331,6 +1092,55 @@ try {
 		}	
 	};
 
+	/**
+	 * Frequency grid lines for the logarithmic axis, at 1, 2 and 5 times each power of ten.
+	 **/
+	var drawLogFrequencyGridLines = function(sampleRate, WIDTH, HEIGHT, MARGIN) {
+		var maxFrequency = sampleRate / 2;
+		var multiples = [1, 2, 5];
+
+		canvasCtx.lineWidth = 1;
+		canvasCtx.strokeStyle = "rgba(255,255,255,0.25)";
+
+		for (var decade = Math.pow(10, Math.floor(Math.log10(PSD_LOG_FREQUENCY_MIN))); decade <= maxFrequency; decade *= 10) {
+			for (var i = 0; i < multiples.length; i++) {
+				var frequency = decade * multiples[i];
+
+				if (frequency >= PSD_LOG_FREQUENCY_MIN && frequency <= maxFrequency) {
+					var x = frequencyToX(frequency, sampleRate, WIDTH);
+
+					canvasCtx.beginPath();
+					canvasCtx.moveTo(x, 0);
+					canvasCtx.lineTo(x, HEIGHT);
+					canvasCtx.stroke();
+
+					drawAxisLabel(frequency + "Hz", x, HEIGHT + MARGIN, (x < 20) ? 'left' : ((x > WIDTH - 20) ? 'right' : 'center'));
+				}
+			}
+		}
+	};
+
+	/**
+	 * Amplitude grid lines every 10dB, from topDecibels at the top of the analyser down through decibelRange.
+	 **/
+	var drawDecibelGridLines = function(topDecibels, decibelRange, WIDTH, HEIGHT) {
+		var step = (decibelRange > 100) ? 20 : 10;
+
+		canvasCtx.lineWidth = 1;
+		canvasCtx.strokeStyle = "rgba(255,255,255,0.25)";
+
+		for (var decibels = topDecibels; decibels > topDecibels - decibelRange; decibels -= step) {
+			var y = HEIGHT * (topDecibels - decibels) / decibelRange;
+
+			canvasCtx.beginPath();
+			canvasCtx.moveTo(0, y);
+			canvasCtx.lineTo(WIDTH, y);
+			canvasCtx.stroke();
+
+			drawAxisLabel(decibels + "dB", 4, y + 12, 'left');
+		}
+	};
+
 	var drawAxisLabel = function(axisLabel, X, Y, align) {
 			canvasCtx.font = ((isFullscreen)?drawingParams.fontSizeFrameLabelFullscreen:drawingParams.fontSizeFrameLabel) + "pt " + DEFAULT_FONT_FACE;
 			canvasCtx.fillStyle = "rgba(255,255,255,0.9)";
@@ -349,16 +1159,19 @@ try {
 	   It is only used to record the current curve positions, collect the data and draw the 
 	   analyser on screen*/
 
-	this.plotSpectrum =	function (fieldIndex, curve, fieldName) {
+	this.plotSpectrum =	function (fieldIndex, curve, fieldName, graphFields) {
 			// Store the data pointers
 			dataBuffer = {
 				fieldIndex: fieldIndex,
 				curve: curve,
-                fieldName: fieldName
+                fieldName: fieldName,
+                graphFields: graphFields || [{index: fieldIndex, curve: curve, name: fieldName}]
 			};
 
-            // Detect change of selected field.... reload and redraw required.
-			if ((fieldIndex != fftData.fieldIndex) || dataReload) {
+            // Detect change of selected field (or of the fields on its graph when overlaying).... reload and redraw required.
+			if ((fieldIndex != fftData.fieldIndex) || dataReload
+				|| (analyserMode == ANALYSER_MODE_OVERLAY && getOverlayKey() != overlayData.key)
+				|| (analyserMode == ANALYSER_MODE_PSD && (userSettings.analyserWindow || 'hann') != psdData.windowName)) {
 				dataReload = false;
 				dataLoad();				
 			}
@@ -379,6 +1192,19 @@ try {
 		trackFrequency(e, that);
 	});
 
+	/* add mode selection */
+	analyserModeElem.off('change').on('change',
+		function () {
+		that.setMode(analyserModeElem.val());
+		mouseFrequency = null;
+		if (dataBuffer.curve) { // reload now rather than waiting for the graph to next be drawn
+			dataReload = false;
+			dataLoad();
+			that.refresh();
+		}
+		}
+	); this.setMode(analyserModeElem.val() || ANALYSER_MODE_SPECTRUM);
+
 	/* add zoom controls */
     analyserZoomXElem.on('input',
 		function () {
@@ -401,7 +1227,11 @@ try {
 	function trackFrequency(e, analyser) {
 		if(e.shiftKey) {
 			var rect = analyserCanvas.getBoundingClientRect();
-			mouseFrequency = ((e.clientX - rect.left) / analyserCanvas.width) * ((blackBoxRate / analyserZoomX) / 2);
+			if (analyserMode == ANALYSER_MODE_SPECTROGRAM || analyserMode == ANALYSER_MODE_THROTTLE || analyserMode == ANALYSER_MODE_MOTOR) { // frequency runs up the heatmaps
+				mouseFrequency = (1 - (e.clientY - rect.top) / (analyserCanvas.height - 10)) * ((blackBoxRate / analyserZoomX) / 2);
+			} else {
+				mouseFrequency = xToFrequency(e.clientX - rect.left, blackBoxRate / analyserZoomX, analyserCanvas.width);
+			}
 			if(lastFrequency!=mouseFrequency) {
 				lastFrequency = mouseFrequency;
 				if(analyser) analyser.refresh();
@@ -412,3 +1242,150 @@ try {
 
 }
 
+
+/**
+ * Window functions for the PSD, as functions of the sample index i of a segment n samples long. These are the periodic
+ * forms (rather than symmetric) since they're used for spectral analysis of overlapping segments.
+ */
+FlightLogAnalyser.WINDOW_FUNCTIONS = {
+	'hann': function(i, n) {
+		return 0.5 - 0.5 * Math.cos(2 * Math.PI * i / n);
+	},
+	// Much lower sidelobes than Hann so that quiet peaks aren't hidden by loud neighbours, at the cost of wider peaks
+	'blackman-harris': function(i, n) {
+		var x = 2 * Math.PI * i / n;
+		return 0.35875 - 0.48829 * Math.cos(x) + 0.14128 * Math.cos(2 * x) - 0.01168 * Math.cos(3 * x);
+	},
+	// Very wide peaks, but their heights are accurate even when they fall between bins
+	'flattop': function(i, n) {
+		var x = 2 * Math.PI * i / n;
+		return 0.21557895 - 0.41663158 * Math.cos(x) + 0.277263158 * Math.cos(2 * x) - 0.083578947 * Math.cos(3 * x)
+			+ 0.006947368 * Math.cos(4 * x);
+	}
+};
+
+/**
+ * Estimate the one-sided power spectral density of the first sampleCount samples using Welch's method: the samples are
+ * cut into segments of segmentLength (a power of two) which overlap by half, each has its mean removed and is windowed,
+ * and the periodograms of the segments are averaged.
+ *
+ * The result is in (sample units)^2/Hz, so it doesn't depend on the length of the log or the segments, and the sum of
+ * the PSD times frequencyResolution is the variance of the samples.
+ *
+ * Returns {psd, frequencyResolution, segmentCount}, where psd has segmentLength / 2 + 1 bins from 0Hz to the Nyquist
+ * frequency, or false if there are fewer samples than one segment.
+ */
+FlightLogAnalyser.welch = function(samples, sampleCount, sampleRate, segmentLength, windowName) {
+	var windowFunction = FlightLogAnalyser.WINDOW_FUNCTIONS[windowName] || FlightLogAnalyser.WINDOW_FUNCTIONS['hann'];
+	var binCount = segmentLength / 2 + 1;
+	var hop = segmentLength / 2;
+
+	if (sampleCount < segmentLength) {
+		return false;
+	}
+
+	var windowValues = new Float64Array(segmentLength);
+	var windowPower = 0;
+
+	for (var i = 0; i < segmentLength; i++) {
+		windowValues[i] = windowFunction(i, segmentLength);
+		windowPower += windowValues[i] * windowValues[i];
+	}
+
+	var fft = new FFT.complex(segmentLength, false);
+	var segment = new Float64Array(segmentLength);
+	var fftOutput = new Float64Array(segmentLength * 2);
+	var psd = new Float64Array(binCount);
+	var segmentCount = 0;
+
+	for (var start = 0; start + segmentLength <= sampleCount; start += hop) {
+		var mean = 0;
+
+		for (var i = 0; i < segmentLength; i++) {
+			mean += samples[start + i];
+		}
+		mean /= segmentLength;
+
+		for (var i = 0; i < segmentLength; i++) {
+			segment[i] = (samples[start + i] - mean) * windowValues[i];
+		}
+
+		fft.simple(fftOutput, segment, 'real');
+
+		for (var bin = 0; bin < binCount; bin++) {
+			psd[bin] += fftOutput[bin * 2] * fftOutput[bin * 2] + fftOutput[bin * 2 + 1] * fftOutput[bin * 2 + 1];
+		}
+		segmentCount++;
+	}
+
+	// Average the segments, normalise for the window and sample rate, and fold the negative frequencies into the
+	// positive ones (DC and Nyquist have no mirror image)
+	var scale = 1 / (segmentCount * sampleRate * windowPower);
+
+	for (var bin = 0; bin < binCount; bin++) {
+		psd[bin] *= (bin == 0 || bin == binCount - 1) ? scale : 2 * scale;
+	}
+
+	return {
+		psd: psd,
+		frequencyResolution: sampleRate / segmentLength,
+		segmentCount: segmentCount
+	};
+};
+
+/**
+ * Find the largest peaks in the first count values of a spectrum whose bins are binWidth Hz apart.
+ *
+ * options - Object with these optional fields:
+ *     minFrequency  - Ignore peaks below this frequency (Hz), default 0
+ *     minSeparation - Only keep the largest of peaks closer together than this (Hz), default 20
+ *     maxPeaks      - The most peaks to return, default 3
+ *     minRatio      - Only keep peaks at least this many times the median value, default 4
+ *     minFraction   - Only keep peaks at least this fraction of the largest, default 0.01
+ *
+ * Returns an array of {frequency, value} from the largest peak down.
+ */
+FlightLogAnalyser.findPeaks = function(values, count, binWidth, options) {
+	var minFrequency = options && options.minFrequency || 0,
+		minSeparation = options && options.minSeparation || 20,
+		maxPeaks = options && options.maxPeaks || 3,
+		minRatio = options && options.minRatio || 4,
+		minFraction = options && options.minFraction || 0.01,
+		firstBin = Math.max(Math.ceil(minFrequency / binWidth), 0),
+		candidates = [],
+		peaks = [];
+
+	if (count - firstBin < 3) {
+		return peaks;
+	}
+
+	var sorted = Float64Array.prototype.slice.call(values, firstBin, count).sort();
+	var threshold = sorted[Math.floor(sorted.length / 2)] * minRatio;
+
+	for (var i = Math.max(firstBin, 1); i < count - 1; i++) {
+		if (values[i] > values[i - 1] && values[i] >= values[i + 1] && values[i] > threshold) {
+			candidates.push(i);
+		}
+	}
+
+	candidates.sort(function(a, b) {
+		return values[b] - values[a];
+	});
+
+	for (var i = 0; i < candidates.length && peaks.length < maxPeaks && values[candidates[i]] >= values[candidates[0]] * minFraction; i++) {
+		var frequency = candidates[i] * binWidth, isSeparate = true;
+
+		for (var j = 0; j < peaks.length; j++) {
+			if (Math.abs(peaks[j].frequency - frequency) < minSeparation) {
+				isSeparate = false;
+				break;
+			}
+		}
+
+		if (isSeparate) {
+			peaks.push({frequency: frequency, value: values[candidates[i]]});
+		}
+	}
+
+	return peaks;
+};
@@ -80,6 +80,8 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
         
     	analyser = null, /* define a new spectrum analyser */
 
+        comparison = null, /* a second log to draw alongside this one, see setComparison() */
+
         watermarkLogo, /* Watermark feature */
         
         lapTimer, /* LapTimer feature */
@@ -500,7 +502,7 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
      * Plot the given field within the specified time period. When the output from the curve applied to a field
      * value reaches 1.0 it'll be drawn plotHeight pixels away from the origin.
      */
-    function plotField(chunks, startFrameIndex, fieldIndex, curve, plotHeight, color, lineWidth) {
+    function plotField(chunks, startFrameIndex, fieldIndex, curve, plotHeight, color, lineWidth, timeOffset) {
         var
             GAP_WARNING_BOX_RADIUS = 3,
             chunkIndex, frameIndex,
@@ -511,6 +513,9 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
             yScale = -plotHeight,
             xScale = canvas.width / windowWidthMicros;
 
+        // The chunks may be from a comparison log whose times are offset from ours
+        timeOffset = timeOffset || 0;
+
         //Draw points from this line until we leave the window
         
         //We may start partway through the first chunk:
@@ -534,7 +539,7 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
     
 
                 nextY = curve.lookup(fieldValue) * yScale;
-                nextX = (frameTime - windowStartTime) * xScale;
+                nextX = (frameTime - timeOffset - windowStartTime) * xScale;
 
                 // clamp the Y to the range of the graph to prevent bleed into next graph if zoomed in (for example)
 
@@ -580,7 +585,7 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
 
                 drawingLine = true;
                 
-                if (frameTime >= windowEndTime)
+                if (frameTime - timeOffset >= windowEndTime)
                     break plottingLoop;
             }
             
@@ -763,12 +768,14 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
             shouldSetFont = true,
             sequenceNum = 0;
         
+        // Events are in time order, so we can stop at the first one past the window (but still draw the markers below)
+        logEvents:
         for (var i = 0; i < chunks.length; i++) {
             var events = chunks[i].events;
             
             for (var j = 0; j < events.length; j++) {
                 if (events[j].time > windowEndTime) {
-                    return;
+                    break logEvents;
                 }
                 
                 if (events[j].time >= windowStartTime - BEGIN_MARGIN_MICROSECONDS) {
@@ -835,6 +842,29 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
                     };
         	};
         };
+
+        // Draw the problems found by the motor detector
+        var motorDetections = blackboxLogViewer.getMotorDetections();
+        if (motorDetections) {
+            for (var i = 0; i < motorDetections.length; i++) {
+                var detection = motorDetections[i];
+
+                if (detection.startTime >= windowEndTime) {
+                    break;
+                }
+
+                if (detection.startTime >= windowStartTime - BEGIN_MARGIN_MICROSECONDS) {
+                    if (shouldSetFont) {
+                        canvasContext.fillStyle = "rgba(255, 255, 255, 0.8)";
+                        canvasContext.font = drawingParams.fontSizeEventLabel + "pt " + DEFAULT_FONT_FACE;
+                        shouldSetFont = false;
+                    }
+
+                    drawEventLine(timeToCanvasX(detection.startTime), (sequenceNum++ + 1) * (drawingParams.fontSizeEventLabel + 10),
+                        FlightLogMotorDetector.describe(detection), FlightLogMotorDetector.TYPES[detection.type].color, 3);
+                }
+            }
+        }
     
     }
     
@@ -880,6 +910,116 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
         }
     }
 
+    /**
+     * Find the index of the frame in the first chunk to begin plotting from, which is the frame before the first one
+     * at or after startTime.
+     */
+    function findStartFrameIndex(chunks, startTime) {
+        var
+            startFrameIndex;
+
+        if (!chunks.length) {
+            return 0;
+        }
+
+        //Find the first sample that lies inside the window
+        for (startFrameIndex = 0; startFrameIndex < chunks[0].frames.length; startFrameIndex++) {
+            if (chunks[0].frames[startFrameIndex][FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME] >= startTime) {
+                break;
+            }
+        }
+
+        // Pick the sample before that to begin plotting from
+        if (startFrameIndex > 0)
+            startFrameIndex--;
+
+        return startFrameIndex;
+    }
+
+    /**
+     * Draw the graphs into the band of the canvas beginning layoutTop down and layoutHeight high (as proportions of the
+     * canvas height), plotting the fields from each of the given traces in turn.
+     *
+     * Each trace is an object with these fields:
+     *     chunks, startFrameIndex - The frames to plot
+     *     indexProperty           - The name of the property of each graph field which holds its index in these frames
+     *     timeOffset              - Added to our times to get the times of these frames
+     *     dashed                  - True to draw the fields with dashed lines
+     */
+    function drawGraphs(traces, layoutTop, layoutHeight) {
+        var
+            i, j, k;
+
+        for (i = 0; i < graphs.length; i++) {
+            var 
+                graph = graphs[i],
+                plotHeight = canvas.height * graph.height * layoutHeight;
+        
+            canvasContext.save();
+            {
+                canvasContext.translate(0, canvas.height * (layoutTop + graph.y * layoutHeight));
+                
+                drawAxisLine();
+
+                if(!options.graphGridOverride) {
+                    for (j = 0; j < graph.fields.length; j++) {
+                        if(graph.fields[j].grid){
+                            drawGrid(graph.fields[j].curve, plotHeight);
+                            break;
+                        };
+                    };
+                }
+
+                if(graphs.length > 1 || layoutHeight < 1) // only draw the background if more than one graph set.
+                    drawAxisBackground(plotHeight);
+                
+                for (k = 0; k < traces.length; k++) {
+                    var
+                        trace = traces[k];
+
+                    canvasContext.setLineDash(trace.dashed ? [6, 4] : []);
+
+                    for (j = 0; j < graph.fields.length; j++) {
+                        var field = graph.fields[j];
+                        
+                        if (field[trace.indexProperty] !== undefined) {
+                            plotField(trace.chunks, trace.startFrameIndex, field[trace.indexProperty], field.curve, plotHeight / 2, 
+                                field.color ? field.color : GraphConfig.PALETTE[j % GraphConfig.PALETTE.length].color,
+                                field.lineWidth ? field.lineWidth : null, trace.timeOffset);
+                        }
+                    }
+                }
+
+                canvasContext.setLineDash([]);
+                
+                if (graph.label) {
+                    drawAxisLabel(graph.label);
+                }
+            }
+            canvasContext.restore();
+        }
+    }
+
+    function drawComparisonLabel() {
+        var
+            isStacked = comparison.layout == 'stack';
+
+        canvasContext.font = drawingParams.fontSizeAxisLabel + "pt " + DEFAULT_FONT_FACE;
+        canvasContext.fillStyle = "rgba(255,255,255,0.9)";
+        canvasContext.textAlign = 'left';
+
+        canvasContext.fillText((isStacked ? "Below: " : "Dashed: ") + comparison.label, 8, isStacked ? canvas.height / 2 + 16 : canvas.height - 8);
+
+        if (isStacked) {
+            canvasContext.strokeStyle = "rgba(255,255,255,0.5)";
+            canvasContext.lineWidth = 1;
+            canvasContext.beginPath();
+            canvasContext.moveTo(0, canvas.height / 2);
+            canvasContext.lineTo(canvas.width, canvas.height / 2);
+            canvasContext.stroke();
+        }
+    }
+
     function computeDrawingParameters() {
         var
             fontSizeBase = Math.max(8, canvas.height / 60),
@@ -942,53 +1082,37 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
             i, j;
         
         if (chunks.length) {
-            //Find the first sample that lies inside the window
-            for (startFrameIndex = 0; startFrameIndex < chunks[0].frames.length; startFrameIndex++) {
-                if (chunks[0].frames[startFrameIndex][FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME] >= windowStartTime) {
-                    break;
-                }
-            }
-            
-            // Pick the sample before that to begin plotting from
-            if (startFrameIndex > 0)
-                startFrameIndex--;
+            startFrameIndex = findStartFrameIndex(chunks, windowStartTime);
             
+            var
+                mainTrace = {chunks: chunks, startFrameIndex: startFrameIndex, indexProperty: 'index', timeOffset: 0, dashed: false},
+                comparisonTrace = null;
+
+            if (comparison) {
+                var
+                    comparisonChunks = comparison.flightLog.getSmoothedChunksInTimeRange(windowStartTime + comparison.timeOffset, windowEndTime + comparison.timeOffset);
+
+                comparisonTrace = {
+                    chunks: comparisonChunks,
+                    startFrameIndex: findStartFrameIndex(comparisonChunks, windowStartTime + comparison.timeOffset),
+                    indexProperty: 'comparisonIndex',
+                    timeOffset: comparison.timeOffset,
+                    dashed: comparison.layout != 'stack'
+                };
+            }
+
             // Plot graphs
-            for (i = 0; i < graphs.length; i++) {
-                var 
-                    graph = graphs[i];
-            
-                canvasContext.save();
-                {
-                    canvasContext.translate(0, canvas.height * graph.y);
-                    
-                    drawAxisLine();
-
-                    if(!options.graphGridOverride) {
-                        for (j = 0; j < graph.fields.length; j++) {
-                            if(graph.fields[j].grid){
-                                drawGrid(graph.fields[j].curve, canvas.height * graph.height);
-                                break;
-                            };
-                        };
-                    }
+            if (!comparisonTrace) {
+                drawGraphs([mainTrace], 0, 1);
+            } else if (comparison.layout == 'stack') {
+                drawGraphs([mainTrace], 0, 0.5);
+                drawGraphs([comparisonTrace], 0.5, 0.5);
+            } else {
+                drawGraphs([mainTrace, comparisonTrace], 0, 1);
+            }
 
-                    if(graphs.length > 1) // only draw the background if more than one graph set.
-                        drawAxisBackground(canvas.height * graph.height);
-                    
-                    for (j = 0; j < graph.fields.length; j++) {
-                        var field = graph.fields[j];
-                        
-                        plotField(chunks, startFrameIndex, field.index, field.curve, canvas.height * graph.height / 2, 
-                            field.color ? field.color : GraphConfig.PALETTE[j % GraphConfig.PALETTE.length],
-                            field.lineWidth ? field.lineWidth : null);
-                    }
-                    
-                    if (graph.label) {
-                        drawAxisLabel(graph.label);
-                    }
-                }
-                canvasContext.restore();
+            if (comparison && graphs.length) {
+                drawComparisonLabel();
             }
             
             //Draw a bar highlighting the current time if we are drawing any graphs
@@ -1056,7 +1180,8 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
                 try{ // If we do not select a graph/field, then the analyser is hidden
                 var graph = graphs[graphConfig.selectedGraphIndex]; 		
 				var field = graph.fields[graphConfig.selectedFieldIndex];   	            
-                analyser.plotSpectrum(field.index, field.curve, graphConfig.selectedFieldName);
+                analyser.setTimeWindow(windowStartTime, windowEndTime);
+                analyser.plotSpectrum(field.index, field.curve, graphConfig.selectedFieldName, graph.fields);
                 } catch(err) {console.log('Cannot plot analyser');}            
             }
 
@@ -1077,7 +1202,7 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
     
     this.refreshGraphConfig = function() {
         var 
-            smoothing = {},
+            smoothing = {}, comparisonSmoothing = {},
             heightSum = 0, allocatedHeight, graphHeight,
             i, graph;
         
@@ -1103,6 +1228,15 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
                 if (field.smoothing > 0) {
                     smoothing[field.index] = (options.graphSmoothOverride)?0:field.smoothing;
                 }
+
+                // The comparison log may lay out its fields differently, or not have this field at all
+                if (comparison) {
+                    field.comparisonIndex = comparison.flightLog.getMainFieldIndexByName(field.name);
+
+                    if (field.smoothing > 0 && field.comparisonIndex !== undefined) {
+                        comparisonSmoothing[field.comparisonIndex] = (options.graphSmoothOverride)?0:field.smoothing;
+                    }
+                }
             }
         }
         
@@ -1126,6 +1260,10 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
         }
     
         flightLog.setFieldSmoothing(smoothing);
+
+        if (comparison) {
+            comparison.flightLog.setFieldSmoothing(comparisonSmoothing);
+        }
     }
     
     this.initializeCraftModel = function() {
@@ -1181,6 +1319,24 @@ function FlightLogGrapher(flightLog, graphConfig, canvas, craftCanvas, analyserC
         }
     };
 
+    /**
+     * Draw a second log alongside this one using the same graph setup, or pass a null comparisonLog to stop.
+     *
+     * timeOffset is added to times in this log to find the matching time in the comparison log. layout is 'overlay' to
+     * draw the comparison log with dashed lines over this one, or 'stack' to draw this log in the top half of the
+     * graph and the comparison log in the bottom half. label describes the comparison log on the graph.
+     */
+    this.setComparison = function(comparisonLog, timeOffset, layout, label) {
+        comparison = comparisonLog ? {
+            flightLog: comparisonLog,
+            timeOffset: timeOffset,
+            layout: layout,
+            label: label
+        } : null;
+
+        that.refreshGraphConfig();
+    };
+
     // New function to return the current window scale.
     this.getWindowWidthTime = function() {
         return windowWidthMicros;
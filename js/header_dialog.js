@@ -1,12 +1,32 @@
 'use strict';
 
-function HeaderDialog(dialog, onSave) {
+/**
+ * onSave is called with the edited sysConfig when the user saves the header.
+ *
+ * onSimulate(sysConfig, onProgress, onComplete) is called with the edited sysConfig when the user asks for a PID
+ * simulation, or with null to stop simulating. It calls onProgress(timeDone, timeTotal) while the simulation runs, then
+ * onComplete with the FlightLogPIDSimulator result (or null). It throws a string if the log can't be simulated.
+ */
+function HeaderDialog(dialog, onSave, onSimulate) {
 
 	// Private Variables
 
 
 	var that = this; 		// generic pointer back to this function
 	var activeSysConfig;	// pointer to the current system configuration
+	var otherLogs = [];		// the logs we can compare the header against, as {label, sysConfig}
+
+	// The sysConfig values for the dialog's fields which aren't named after them
+	var UI_FIELD_NAMES = {
+			'tpa-breakpoint'		: 'tpa_breakpoint',
+			'loopTime'				: 'looptime',
+			'gyro_notch_hz_2'		: 'gyro_notch_hz[1]',
+			'gyro_notch_cutoff_2'	: 'gyro_notch_cutoff[1]',
+			'motorOutputLow'		: 'motorOutput[0]',
+			'motorOutputHigh'		: 'motorOutput[1]',
+			'antiGravityGain'		: 'anti_gravity_gain',
+			'antiGravityThreshold'	: 'anti_gravity_threshold'
+	};
 
 	/** By default, all parameters are shown on the header
 		however, specific firmware version parameters can be hidden
@@ -124,7 +144,7 @@ function HeaderDialog(dialog, onSave) {
         var nameElem = $('input', parameterElem);
         if(data!=null) {
             nameElem.val(data.toFixed(decimalPlaces));
-            nameElem.attr('decPl', decimalPlaces);
+            nameElem.attr('decPl', 0); // the value isn't scaled for display
             parameterElem.attr('title', 'set '+name+'='+data);
             parameterElem.removeClass('missing');
         } else {
@@ -205,62 +225,7 @@ function HeaderDialog(dialog, onSave) {
 
 		var value = sysConfig.features;
 
-        // generate features
-        var features = [
-            {bit: 0, group: 'rxMode', mode: 'group', name: 'RX_PPM', description: 'PPM Receiver Selected'},
-            {bit: 1, group: 'battery', name: 'VBAT', description: 'Battery Monitoring'},
-            {bit: 2, group: 'other', name: 'INFLIGHT_ACC_CAL', description: 'In-flight level calibration'},
-            {bit: 3, group: 'rxMode', mode: 'group', name: 'RX_SERIAL', description: 'Serial Receiver Selected'},
-            {bit: 4, group: 'other', name: 'MOTOR_STOP', description: 'Motor Stop on low throttle'},
-            {bit: 5, group: 'other', name: 'SERVO_TILT', description: 'Servo gimbal'},
-            {bit: 6, group: 'other', name: 'SOFTSERIAL', description: 'Enable CPU based serial port'},
-            {bit: 7, group: 'other', name: 'GPS', description: 'GPS device connected'},
-            {bit: 8, group: 'other', name: 'FAILSAFE', description: 'Failsafe mode enabled'},
-            {bit: 9, group: 'other', name: 'SONAR', description: 'Sonar'},
-            {bit: 10, group: 'other', name: 'TELEMETRY', description: 'Telemetry Output'},
-            {bit: 11, group: 'battery', name: 'CURRENT_METER', description: 'Battery current monitoring'},
-            {bit: 12, group: 'other', name: '3D', description: '3D mode (for use with reversible ESCs)'},
-            {bit: 13, group: 'rxMode', mode: 'group', name: 'RX_PARALLEL_PWM', description: 'PWM receiver selected'},
-            {bit: 14, group: 'rxMode', mode: 'group', name: 'RX_MSP', description: 'Controller over MSP'},
-            {bit: 15, group: 'other', name: 'RSSI_ADC', description: 'ADC RSSI Monitoring'},
-            {bit: 16, group: 'other', name: 'LED_STRIP', description: 'Addressible RGB LED strip support'},
-            {bit: 17, group: 'other', name: 'DISPLAY', description: 'OLED Screen Display'},
-            {bit: 19, group: 'other', name: 'BLACKBOX', description: 'Blackbox flight data recorder'},
-            {bit: 20, group: 'other', name: 'CHANNEL_FORWARDING', description: 'Forward aux channels to servo outputs'},
-            {bit: 21, group: 'other', name: 'TRANSPONDER', description: 'Transponder enabled'}
-        ];
-
-
-        // Add specific features for betaflight v2.8 onwards....
-		if (semver.gte(sysConfig.firmwareVersion, "2.8.0")) {
-			features.push(
-				{bit: 22, group: 'other', name: 'AIRMODE', description: 'Airmode always enabled, set off to use modes'}
-			);
-		}
-
-		if (semver.gte(sysConfig.firmwareVersion, "2.8.0") && !semver.gte(sysConfig.firmwareVersion, "3.0.0")) {
-			features.push(
-				{bit: 23, group: 'other', name: 'SUPEREXPO_RATES', description: 'Super Expo Mode'}
-			);
-		}
-
-        if (semver.gte(sysConfig.firmwareVersion, "2.8.0") && !semver.gte(sysConfig.firmwareVersion, "3.0.0")) {
-            features.push(
-                {bit: 18, group: 'other', name: 'ONESHOT125', description: 'Oneshot 125 Enabled'}
-            );
-        }
-
-		if (semver.gte(sysConfig.firmwareVersion, "3.0.0")) {
-			features.push(
-				{bit: 18, group: 'other', name: 'OSD', description: 'On Screen Display'}
-			);
-		}
-
-		if (semver.gte(sysConfig.firmwareVersion, "3.1.0")) {
-			features.push(
-				{bit: 27, group: 'other', name: 'ESC_SENSOR', description: 'Use KISS ESC 24A telemetry as sensor'}
-			)
-		}
+        var features = FlightLogCLI.getFeatures(sysConfig);
 
         var radioGroups = [];
 
@@ -281,7 +246,7 @@ function HeaderDialog(dialog, onSave) {
                         + features[i].name
                         + '" type="radio" name="'
                         + features[i].group
-                        + '" bit="' + i + '" /></td><td><label for="feature-'
+                        + '" bit="' + features[i].bit + '" /></td><td><label for="feature-'
                         + i
                         + '">'
                         + features[i].name
@@ -295,7 +260,7 @@ function HeaderDialog(dialog, onSave) {
                         + features[i].name
                         + '" title="feature ' + ((value & 1<<features[i].bit)?'':'-')
                         + features[i].name
-                        + '" type="checkbox" bit="'+ i +'" /><div><div></div></div></label></td><td><label for="feature-'
+                        + '" type="checkbox" bit="'+ features[i].bit +'" /><div><div></div></div></label></td><td><label for="feature-'
                         + i
                         + '">'
                         + features[i].name
@@ -554,75 +519,225 @@ function HeaderDialog(dialog, onSave) {
 
     }
 
+	/**
+	 * Get a copy of the log's sysConfig with the values the user has edited in the dialog put in, in the same form the
+	 * parser gives them. Settings the log doesn't have are left out.
+	 */
     function convertUIToSysConfig() {
-    	console.log('Saving....');
-    	var newSysConfig = {};
-
-    	// Scan all the parameters
-		$(".parameter input").each(function() {
-			if($(this).val()!=null) {
-				var matches=$(this).attr('name').match(/(.+)\[(\d+)\]/);
-				if(matches!=null) { // this is a variable in an array
-					if(newSysConfig[matches[1]]==null) { // array doesn't exist, create it
-						newSysConfig[matches[1]] = [];
-						}
-					var newArray = newSysConfig[matches[1]];
-					if($(this).attr('decPl')!=null) {
-						newArray[matches[2]] = (parseFloat($(this).val()) * Math.pow(10, $(this).attr('decPl')));
-					} else {
-						newArray[matches[2]] = (($(this).val()=='on')?1:0);
-					}
-				} else { // this is just a straight field variable
-					if($(this).attr('decPl')!=null) {
-						newSysConfig[$(this).attr('name')] = (parseFloat($(this).val()) * Math.pow(10, $(this).attr('decPl')));
-					} else {
-						newSysConfig[$(this).attr('name')] = (($(this).val()=='on')?1:0);
-					}
-				}
+		var newSysConfig = $.extend(true, {}, activeSysConfig);
+
+		// Set the sysConfig value for the field with the given name (e.g. "rates[1]"), if the log has it
+		function setValue(name, value) {
+			var matches = (UI_FIELD_NAMES[name] || name).match(/^(.+?)(\[(\d+)\])?$/),
+				key = matches[1],
+				index = matches[3];
+
+			if (isNaN(value) || newSysConfig[key] == null) {
+				return;
 			}
-			});
 
-    	// Scan all the drop-down lists
-		$(".parameter select").each(function() {
-			if($(this).val()!=null) {
-					newSysConfig[$(this).attr('name')] = parseInt($(this).val());
+			if (Array.isArray(newSysConfig[key])) {
+				if (newSysConfig[key][index || 0] != null) {
+					newSysConfig[key][index || 0] = value;
+				}
+			} else if (index === undefined) {
+				newSysConfig[key] = value;
 			}
-			});
+		}
 
+		// Scan all the parameters, which are shown divided by 10^decPl
+		$(".parameter td[name]:not(.missing)", dialog).each(function() {
+			var name = $(this).attr('name'),
+				input = $('input', this),
+				select = $('select', this);
 
-		// Scan the pid_tuning table
-		$(".pid_tuning input").each(function() {
-			if($(this).val()!=null) {
-				if($(this).attr('decPl')!=null) {
-					var matches=$(this).attr('name').match(/(.+)\[(\d+)\]/);
-					if(matches!=null) {
-						if(newSysConfig[matches[1]]==null) newSysConfig[matches[1]] = [null, null, null];
-						var newArray = newSysConfig[matches[1]];
-						newArray[matches[2]] = (parseFloat($(this).val()) * Math.pow(10, $(this).attr('decPl')));
-					} else (parseFloat($(this).val()) * Math.pow(10, $(this).attr('decPl')));
-				} else {
-					newSysConfig[$(this).attr('name')] = $(this).val();
+			if (input.length && input.attr('decPl') != null) {
+				var value = parseFloat(input.val()) * Math.pow(10, input.attr('decPl'));
+
+				if (input.attr('decPl') > 0) {
+					value = Math.round(value);
+				}
+				if (activeSysConfig.firmwareType == FIRMWARE_TYPE_INAV && name.match(/^rates\[/)) {
+					value = value / 10; // INAV's rates are shown in deg/s
 				}
+				setValue(name, value);
+			} else if (select.length) {
+				setValue(name, parseInt(select.val(), 10));
 			}
-			});
+		});
+
+		// The PIDs are shown as they are
+		$(".pid_tuning input[name]:not(.missing)", dialog).each(function() {
+			if (!$(this).closest('tr').hasClass('missing')) {
+				setValue($(this).attr('name'), parseFloat($(this).val()));
+			}
+		});
+
+		// Only change the switches which were flipped, since some of these settings have values other than on and off
+		$(".static-features td[name]", dialog).each(function() {
+			var name = $(this).attr('name'),
+				checked = $('input', this).prop('checked');
+
+			if (!$(this).closest('tr').hasClass('missing') && checked != (activeSysConfig[name] == 1)) {
+				setValue(name, checked ? 1 : 0);
+			}
+		});
+
+		// Build the features value, keeping any bits the dialog doesn't list
+		if (activeSysConfig.features != null) {
+			$(".features td input", dialog).each(function() {
+				var bit = parseInt($(this).attr('bit'), 10);
 
-		//Build the features value
-		var newFeatureValue = 0;
-		$(".features td input").each(function() {
 				if ($(this).prop('checked')) {
-					newFeatureValue |= (1<<parseInt($(this).attr('bit')));
+					newSysConfig.features |= (1<<bit);
+				} else {
+					newSysConfig.features &= ~(1<<bit);
 				}
 			});
-		newSysConfig['features'] = newFeatureValue;
+		}
 
 		return newSysConfig;
     }
 
+	function describeValue(value) {
+		return (value === undefined) ? '-' : ('' + value);
+	}
+
+	/**
+	 * Build a table cell showing value, highlighting it if it differs from otherValue. For lists, only the items which
+	 * differ are highlighted.
+	 */
+	function renderDiffCell(value, otherValue) {
+		var cell = $('<td>');
+
+		if (value === undefined) {
+			return cell.addClass('header-diff-missing').text(describeValue(value));
+		}
+
+		if (Array.isArray(value) && Array.isArray(otherValue)) {
+			for (var i = 0; i < value.length; i++) {
+				var item = $('<span>').text(describeValue(value[i]));
+
+				if (JSON.stringify(value[i]) !== JSON.stringify(otherValue[i])) {
+					item.addClass('header-diff-changed');
+				}
+				cell.append(item);
+
+				if (i < value.length - 1) {
+					cell.append(', ');
+				}
+			}
+			return cell;
+		}
+
+		return cell.append($('<span class="header-diff-changed">').text(Array.isArray(value) ? value.join(', ') : describeValue(value)));
+	}
+
+	/**
+	 * Show the header settings which differ between this log and the other log with the given index, or show this log's
+	 * header as usual if the index is empty.
+	 */
+	function renderDiff(otherLogIndex) {
+		var table = $('.header-diff-table', dialog);
+
+		$("tr:not(:first)", table).remove(); // clear the entries (not the first row which has the titles)
+
+		dialog.toggleClass('header-diff-mode', otherLogIndex !== '' && otherLogs[otherLogIndex] != null);
+
+		if (!dialog.hasClass('header-diff-mode')) {
+			return;
+		}
+
+		var other = otherLogs[otherLogIndex];
+		var differences = diffSysConfig(activeSysConfig, other.sysConfig);
+
+		$('.header-diff-other-label', table).text(other.label);
+
+		if (differences.length == 0) {
+			table.append('<tr><td colspan="3">The headers of the two logs are the same</td></tr>');
+		}
+
+		for (var i = 0; i < differences.length; i++) {
+			table.append($('<tr>').append(
+				$('<td>').text(differences[i].name + (differences[i].unknown ? ' (unknown header)' : '')),
+				renderDiffCell(differences[i].a, differences[i].b),
+				renderDiffCell(differences[i].b, differences[i].a)
+			));
+		}
+	}
+
+	/**
+	 * Show the header settings, including any edits, as commands for the flight controller's CLI and copy them to the
+	 * clipboard.
+	 */
+	function renderCLI() {
+		var changedOnly = $('.header-cli-changed-only', dialog).prop('checked'),
+			text = FlightLogCLI.generate(convertUIToSysConfig(), changedOnly ? activeSysConfig : null),
+			textArea = $('.header-cli-text', dialog),
+			status = $('.header-cli-status', dialog);
+
+		textArea.val(text);
+		textArea.select();
+
+		if (document.execCommand('copy')) {
+			status.text('These commands have been copied to the clipboard, paste them into the CLI tab of the configurator.');
+		} else {
+			status.text('Copy these commands and paste them into the CLI tab of the configurator.');
+		}
+	}
+
+	/**
+	 * Describe the PID simulation that's plotted for this log, or hide the description if there isn't one.
+	 */
+	function renderSimulation(simulation) {
+		var description;
+
+		dialog.toggleClass('has-simulation', !!simulation);
+
+		if (!simulation) {
+			return;
+		}
+
+		description = "Simulating the PID controller at " + Math.round(simulation.sampleRate) + "Hz";
+		if (simulation.gyroFiltersApplied) {
+			description += ", with the gyro filters applied to the unfiltered gyro";
+		} else {
+			description += " on the logged (already filtered) gyro";
+		}
+		description += ".";
+
+		if (simulation.skippedFilters.length > 0) {
+			description += " Left out because the log's rate is too low: " + simulation.skippedFilters.join(", ") + ".";
+		}
+
+		description += " Pick the \"PID simulation\" example graphs in Graph Setup to compare it with the logged PID terms.";
+
+		$('.header-simulation-status span', dialog).text(description);
+	}
+
 	// Public variables
 
-    this.show = function(sysConfig) {
+	/**
+	 * Show the header of the log with the given sysConfig. newOtherLogs optionally lists other logs ({label,
+	 * sysConfig}) which the user can choose to list the differences against instead. simulation is the PID simulation
+	 * that's currently plotted for the log, if any.
+	 */
+    this.show = function(sysConfig, newOtherLogs, simulation) {
+            var compareSelect = $('.header-dialog-compare', dialog);
+
+            otherLogs = newOtherLogs || [];
+
+            compareSelect.empty().append('<option value="">Show this log\'s header</option>');
+            for (var i = 0; i < otherLogs.length; i++) {
+                compareSelect.append($('<option>').attr('value', i).text('Differences from ' + otherLogs[i].label));
+            }
+            compareSelect.val('').toggle(otherLogs.length > 0);
+            dialog.removeClass('header-cli-mode');
+
             dialog.modal('show');
             renderSysConfig(sysConfig);
+            renderDiff('');
+            renderSimulation(simulation);
 
     }
 
@@ -631,4 +746,41 @@ function HeaderDialog(dialog, onSave) {
     $(".header-dialog-save").click(function(e) {
         onSave(convertUIToSysConfig());
     });
+
+    $(".header-dialog-simulate", dialog).click(function() {
+        try {
+            onSimulate(convertUIToSysConfig(), function(timeDone, timeTotal) {
+                dialog.addClass('has-simulation');
+                $('.header-simulation-status span', dialog).text("Simulating the PID controller... "
+                    + Math.round(timeDone / timeTotal * 100) + "%");
+            }, renderSimulation);
+        } catch (e) {
+            alert("Couldn't simulate the PIDs for this log: " + e);
+        }
+    });
+
+    $(".header-simulation-stop", dialog).click(function() {
+        onSimulate(null, null, renderSimulation);
+    });
+
+    $(".header-dialog-compare", dialog).change(function() {
+        dialog.removeClass('header-cli-mode');
+        renderDiff($(this).val());
+    });
+
+    $(".header-dialog-cli", dialog).click(function() {
+        $('.header-dialog-compare', dialog).val('');
+        renderDiff('');
+
+        dialog.addClass('header-cli-mode');
+        renderCLI();
+    });
+
+    $(".header-cli-changed-only", dialog).change(function() {
+        renderCLI();
+    });
+
+    $(".header-cli-back", dialog).click(function() {
+        dialog.removeClass('header-cli-mode');
+    });
 }
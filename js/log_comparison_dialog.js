@@ -0,0 +1,197 @@
+"use strict";
+
+/**
+ * Dialog for choosing a second log to draw alongside the current one, either another log from the same file or one
+ * from another file, along with the time offset between them and whether to overlay or stack them. Lists the header
+ * settings which differ between the two logs.
+ *
+ * onSave is called with the chosen comparison ({flightLog, logData, filename, logIndex}, or null to stop comparing)
+ * and the comparison options ({offset, layout}) so the host can remember them for next time.
+ */
+function LogComparisonDialog(dialog, onSave) {
+    var
+        logIndexPicker = $(".comparison-log-index", dialog),
+        diffTable = $(".comparison-header-diff", dialog),
+
+        // The file the second log is chosen from: {flightLog, logData, filename}
+        candidate = null,
+
+        that = this;
+
+    function describeLog(flightLog, logIndex) {
+        var
+            error = flightLog.getLogError(logIndex);
+
+        if (error) {
+            return error;
+        }
+
+        return formatTime(flightLog.getMinTime(logIndex) / 1000, false)
+            + " - " + formatTime(flightLog.getMaxTime(logIndex) / 1000, false)
+            + " [" + formatTime(Math.ceil((flightLog.getMaxTime(logIndex) - flightLog.getMinTime(logIndex)) / 1000), false) + "]";
+    }
+
+    function describeValue(value) {
+        if (value === undefined) {
+            return "-";
+        }
+        if (Array.isArray(value)) {
+            return value.join(", ");
+        }
+        return "" + value;
+    }
+
+    function renderHeaderDiff() {
+        var
+            logIndex = parseInt(logIndexPicker.val(), 10),
+            differences;
+
+        $("tr:not(:first)", diffTable).remove(); // clear the entries (not the first row which has the titles)
+
+        if (!candidate || isNaN(logIndex) || !candidate.flightLog.openLog(logIndex)) {
+            return;
+        }
+
+        differences = diffSysConfig(that.flightLog.getSysConfig(), candidate.flightLog.getSysConfig());
+
+        if (differences.length == 0) {
+            diffTable.append($("<tr><td colspan='3'>The headers of the two logs are the same</td></tr>"));
+        }
+
+        for (var i = 0; i < differences.length; i++) {
+            diffTable.append($("<tr>").append(
+                $("<td>").text(differences[i].name),
+                $("<td>").text(describeValue(differences[i].a)),
+                $("<td>").text(describeValue(differences[i].b))
+            ));
+        }
+    }
+
+    /**
+     * Offer the logs of the given file to compare against, initially selecting logIndex.
+     */
+    function setCandidate(newCandidate, logIndex) {
+        candidate = newCandidate;
+
+        $(".comparison-filename", dialog).text(candidate.filename);
+
+        logIndexPicker.empty();
+
+        for (var i = 0; i < candidate.flightLog.getLogCount(); i++) {
+            var
+                option = $("<option></option>");
+
+            option.text((i + 1) + "/" + candidate.flightLog.getLogCount() + ": " + describeLog(candidate.flightLog, i));
+            option.attr("value", i);
+
+            if (candidate.flightLog.getLogError(i)) {
+                option.attr("disabled", "disabled");
+            }
+
+            logIndexPicker.append(option);
+        }
+
+        logIndexPicker.val(Math.min(logIndex, candidate.flightLog.getLogCount() - 1));
+
+        renderHeaderDiff();
+    }
+
+    function loadCandidateFile(file) {
+        var
+            reader = new FileReader();
+
+        reader.onload = function(e) {
+            var
+                logData = new Uint8Array(e.target.result);
+
+            try {
+                setCandidate({flightLog: new FlightLog(logData), logData: logData, filename: file.name}, 0);
+            } catch (err) {
+                alert("Sorry, an error occured while trying to open this log:\n\n" + err);
+            }
+        };
+
+        reader.readAsArrayBuffer(file);
+    }
+
+    /**
+     * Show the dialog.
+     *
+     * flightLog, logData, filename - The log being viewed, the contents of the file it came from, and that file's name
+     * comparison                   - The log being compared against at the moment ({flightLog, logData, filename,
+     *                                logIndex}), or null
+     * comparisonConfig             - The options to begin with ({offset, layout})
+     */
+    this.show = function(flightLog, logData, filename, comparison, comparisonConfig) {
+        this.flightLog = flightLog;
+
+        // We open our own FlightLog for the candidate file, since each FlightLog only has one log open at a time and we
+        // mustn't disturb the logs being drawn until the user confirms their choice
+        if (comparison) {
+            setCandidate({flightLog: new FlightLog(comparison.logData), logData: comparison.logData, filename: comparison.filename},
+                comparison.logIndex);
+        } else {
+            // Start with the next log in the same file, since that's usually the next flight
+            setCandidate({flightLog: new FlightLog(logData), logData: logData, filename: filename},
+                flightLog.getLogIndex() + 1 < flightLog.getLogCount() ? flightLog.getLogIndex() + 1 : flightLog.getLogIndex());
+        }
+
+        $(".comparison-offset", dialog).val(comparisonConfig.offset || 0);
+        $(".comparison-layout", dialog).val(comparisonConfig.layout || 'overlay');
+
+        $(".comparison-dialog-clear", dialog).toggle(!!comparison);
+
+        dialog.modal('show');
+    };
+
+    logIndexPicker.change(renderHeaderDiff);
+
+    $(".comparison-file", dialog).change(function() {
+        if (this.files.length) {
+            loadCandidateFile(this.files[0]);
+        }
+
+        // Allow the same file to be chosen again later
+        $(this).val("");
+    });
+
+    $(".comparison-dialog-save", dialog).click(function(e) {
+        var
+            logIndex = parseInt(logIndexPicker.val(), 10),
+            comparisonConfig = {
+                offset: parseFloat($(".comparison-offset", dialog).val()) || 0,
+                layout: $(".comparison-layout", dialog).val()
+            };
+
+        e.preventDefault();
+
+        if (!candidate || isNaN(logIndex) || !candidate.flightLog.openLog(logIndex)) {
+            alert("Please choose a log which can be opened to compare with");
+            return;
+        }
+
+        onSave({
+            flightLog: candidate.flightLog,
+            logData: candidate.logData,
+            filename: candidate.filename,
+            logIndex: logIndex
+        }, comparisonConfig);
+
+        dialog.modal('hide');
+    });
+
+    $(".comparison-dialog-clear", dialog).click(function(e) {
+        onSave(null, {
+            offset: parseFloat($(".comparison-offset", dialog).val()) || 0,
+            layout: $(".comparison-layout", dialog).val()
+        });
+
+        dialog.modal('hide');
+
+        e.preventDefault();
+    });
+
+    dialog.modal({
+        show: false
+    });
+}
@@ -26,7 +26,9 @@ function BlackboxLogViewer() {
         GRAPH_MIN_ZOOM = 10,
         GRAPH_MAX_ZOOM = 1000,
         GRAPH_DEFAULT_ZOOM = 100,
-        GRAPH_ZOOM_STEP = 10;
+        GRAPH_ZOOM_STEP = 10,
+        OFFSET_CACHE_LENGTH = 20,
+        LOG_INDEX_CACHE_LENGTH = 3; // The indexes of big logs can be a few MB each
     
     var
         graphState = GRAPH_STATE_PAUSED,
@@ -43,18 +45,41 @@ function BlackboxLogViewer() {
 
         // User's video render config:
         videoConfig = {},
+
+        // User's CSV export config:
+        csvConfig = {},
+
+        // A second log to draw alongside this one ({flightLog, logData, filename, logIndex}), and how to draw it:
+        comparison = null,
+        comparisonConfig = {},
+
+        // User's expression fields ({name, expression}), which are added to each log we open:
+        expressionFields = [],
         
         // JSON graph configuration:
         graphConfig = {},
         
 
         offsetCache = [], // Storage for the offset cache (last 20 files)
+
+        // Indexes of the last few log files opened ({key, index}), so they don't have to be rescanned when reopened
+        logIndexCache = [],
+        
+        // The FlightLogIndexer building the index of the log file being opened in the background, or null
+        logIndexer = null,
+        
+        // The FlightLogDecoder decoding chunks of the log being viewed in the background, or null
+        logDecoder = null,
+        
         currentOffsetCache = {log:null, index:null, video:null, offset:null},
 
         // JSON array of graph configurations for New Workspaces feature
         lastGraphConfig = null,     // Undo feature - go back to last configuration.
         workspaceGraphConfigs = {}, // Workspaces
         bookmarkTimes	= [],		// Empty array for bookmarks (times)
+
+        // Motor problems found in the current log by FlightLogMotorDetector, or null if it hasn't been searched
+        motorDetections = null,
         
         // Graph configuration which is currently in use, customised based on the current flight log from graphConfig
         activeGraphConfig = new GraphConfig(),
@@ -65,6 +90,7 @@ function BlackboxLogViewer() {
         hasVideo = false, hasLog = false, hasMarker = false, // add measure feature
         hasTable = true, hasCraft = true, hasSticks = true, hasAnalyser, hasAnalyserFullscreen,
         hasAnalyserSticks = false, viewVideo = true, hasTableOverlay = false, hadTable,
+        hasMap = true, hasStepResponse = false,
         hasConfig = false, hasConfigOverlay = false,
 
         isFullscreen = false, // New fullscreen feature (to hide table)
@@ -74,6 +100,8 @@ function BlackboxLogViewer() {
         analyserCanvas = $("#analyserCanvas")[0],
         analyserStickCanvas = $("#analyserStickCanvas")[0],
         craftCanvas = $("#craftCanvas")[0],
+        mapCanvas = $("#mapCanvas")[0],
+        stepResponseCanvas = $("#stepResponseCanvas")[0],
         statusBar = $('#status-bar'),
         html = $('html'),
 
@@ -93,6 +121,13 @@ function BlackboxLogViewer() {
         
         seekBarRepaintRateLimited = $.throttle(200, $.proxy(seekBar.repaint, seekBar)),
         
+        gpsMap = new GPSMap(mapCanvas),
+
+        stepResponsePlot = new StepResponsePlot(stepResponseCanvas),
+        stepResponseValid = false,
+        stepResponseCalculation = null, /* The FlightLogStepResponse that's running, if any */
+        pidSimulator = null, /* The FlightLogPIDSimulator that's running for the header dialog, if any */
+        
         updateValuesChartRateLimited,
         
         animationFrameIsQueued = false,
@@ -121,9 +156,107 @@ function BlackboxLogViewer() {
          */
         $(".video-offset").val((videoOffset >= 0 ? "+" : "") + (videoOffset.toFixed(3) != videoOffset ? videoOffset.toFixed(3) : videoOffset));
         
+        saveOffsetCache();
+        
         if (withRefresh) invalidateGraph();
     }
     
+    /**
+     * Remember the video offset for the current log and video, so it's applied automatically when they're next opened
+     * together.
+     */
+    function saveOffsetCache() {
+        if (currentOffsetCache.log === null || currentOffsetCache.index === null || currentOffsetCache.video === null) {
+            return;
+        }
+        
+        currentOffsetCache.offset = videoOffset;
+        
+        // Move this log and video to the front of the cache, dropping the oldest entry if it's full
+        offsetCache = offsetCache.filter(function(entry) {
+            return entry.log != currentOffsetCache.log || entry.index != currentOffsetCache.index
+                || entry.video != currentOffsetCache.video;
+        });
+        
+        offsetCache.unshift($.extend({}, currentOffsetCache));
+        offsetCache.length = Math.min(offsetCache.length, OFFSET_CACHE_LENGTH);
+        
+        prefs.set('offsetCache', offsetCache);
+    }
+    
+    /**
+     * Identify a log file by its name, size and a hash of its whole contents, so a cached index is only used for the
+     * same file (and only if it was built in the same recovery mode). A flash dump is always the same size, and can be
+     * rewritten anywhere, so the whole thing has to be hashed. That's much quicker than indexing it again.
+     */
+    function getLogIndexCacheKey(file, logData, recoveryMode) {
+        return file.name + ":" + logData.length + ":" + FlightLogIndex.hashLogData(logData) + (recoveryMode ? ":recovery" : "");
+    }
+    
+    /**
+     * Load the index of the given new log from the cache if we've seen this file before. Returns true if it was loaded.
+     */
+    function restoreLogIndexCache(log, key) {
+        for (var i = 0; i < logIndexCache.length; i++) {
+            if (logIndexCache[i].key == key) {
+                try {
+                    log.loadIndexFromJSON(logIndexCache[i].index);
+                    return true;
+                } catch (e) {
+                    console.log("Ignoring the cached index of this log because it couldn't be loaded: " + e);
+                }
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Save the index of the given log to the front of the cache, dropping the oldest entry if it's full.
+     */
+    function saveLogIndexCache(log, key) {
+        logIndexCache = logIndexCache.filter(function(entry) {
+            return entry.key != key;
+        });
+        
+        logIndexCache.unshift({
+            key: key,
+            index: log.saveIndexToJSON()
+        });
+        logIndexCache.length = Math.min(logIndexCache.length, LOG_INDEX_CACHE_LENGTH);
+        
+        prefs.set('logIndexCache', logIndexCache, function(error) {
+            // Storage is full, it's not worth losing anything else over
+            console.log("Couldn't save the index of this log: " + error);
+        });
+    }
+    
+    /**
+     * See if there is an offsetCache value already for the current log and video, and auto set the offset.
+     */
+    function restoreOffsetCache() {
+        for (var i = 0; i < offsetCache.length; i++) {
+            if (
+                (currentOffsetCache.log   == offsetCache[i].log)   &&
+                (currentOffsetCache.index == offsetCache[i].index) &&
+                (currentOffsetCache.video == offsetCache[i].video)    ) {
+                    setVideoOffset(offsetCache[i].offset, true);
+                    break;
+                }
+        }
+    }
+
+    /**
+     * Base name for files exported from the current log, named the same way blackbox_decode does, e.g. LOG00001.01
+     */
+    function getExportFilename() {
+        var
+            logName = currentOffsetCache.log ? currentOffsetCache.log.replace(/\.[^.]*$/, "") : "log",
+            logNumber = currentOffsetCache.index + 1;
+
+        return logName + "." + (logNumber < 10 ? "0" : "") + logNumber;
+    }
+    
     function isInteger(value) {
         return (value | 0) == value || Math.trunc(value) == value;
     }
@@ -234,8 +367,21 @@ function BlackboxLogViewer() {
         graph.render(currentBlackboxTime);
         graphRendersCount++;
         
+        // Get the next window's worth of the log decoded in the background, so it's ready by the time we scroll to it
+        if (logDecoder) {
+            logDecoder.prefetch(currentBlackboxTime + graph.getWindowWidthTime() / 2,
+                currentBlackboxTime + graph.getWindowWidthTime() * 3 / 2);
+        }
+        
         seekBar.setCurrentTime(currentBlackboxTime);
         seekBar.setWindow(graph.getWindowWidthTime());
+        
+        if (hasMap && gpsMap.hasTrack()) {
+            gpsMap.setCurrentTime(currentBlackboxTime);
+            gpsMap.repaint();
+        }
+        
+        updateStepResponse();
 
         updateValuesChartRateLimited();
         
@@ -269,6 +415,14 @@ function BlackboxLogViewer() {
             graph.resize(width, height);
             seekBar.resize(canvas.offsetWidth, 50);
             
+            // Keep the map square, tucked into the top right corner of the graph
+            var
+                mapSize = Math.round(Math.min(width, height) * 0.35);
+            
+            gpsMap.resize(mapSize, mapSize);
+            
+            stepResponsePlot.resize(Math.round(Math.min(width * 0.45, 600)), Math.round(Math.min(height * 0.45, 400)));
+            
             invalidateGraph();
         }
     }
@@ -300,7 +454,7 @@ function BlackboxLogViewer() {
             var
                 logLabel,
                 option, holder,
-                error;
+                error, damage;
             
             error = flightLog.getLogError(index);
             
@@ -310,6 +464,12 @@ function BlackboxLogViewer() {
                 logLabel = formatTime(flightLog.getMinTime(index) / 1000, false) 
                     + " - " + formatTime(flightLog.getMaxTime(index) / 1000 , false)
                     + " [" + formatTime(Math.ceil((flightLog.getMaxTime(index) - flightLog.getMinTime(index)) / 1000), false) + "]";
+                
+                damage = flightLog.getLogDamage(index);
+                
+                if (damage.length > 0) {
+                    logLabel += " (" + damage.length + " damaged " + (damage.length == 1 ? "region" : "regions") + ")";
+                }
             }
             
             if (logCount > 1) {
@@ -376,6 +536,237 @@ function BlackboxLogViewer() {
         seekBar.setActivity(activity.times, activity.avgThrottle, activity.hasEvent);
         
         seekBar.repaint();
+        
+        gpsMap.setTrack(flightLog.getGPSTrack(flightLog.getMinTime(), flightLog.getMaxTime()), flightLog.getGPSHome());
+        html.toggleClass("has-gps", gpsMap.hasTrack());
+        
+        setMotorDetections(null);
+        
+        renderLogDamage();
+        
+        invalidateStepResponse();
+    }
+    
+    /**
+     * Recalculate the step response for the marked region (or the whole log) if it's being shown and it's out of date.
+     */
+    function updateStepResponse() {
+        if (!hasStepResponse || stepResponseValid || !hasLog) {
+            return;
+        }
+        
+        var
+            startTime = videoExportInTime !== false ? videoExportInTime : flightLog.getMinTime(),
+            endTime = videoExportOutTime !== false ? videoExportOutTime : flightLog.getMaxTime(),
+            calculation = new FlightLogStepResponse(flightLog);
+        
+        stepResponseCalculation = calculation;
+        stepResponsePlot.setMessage("Calculating the step response...");
+        
+        calculation.calculate(startTime, endTime, function(responses) {
+            stepResponseCalculation = null;
+            stepResponsePlot.setResponses(responses);
+        }, function(timeDone, timeTotal) {
+            stepResponsePlot.setMessage("Calculating the step response... " + Math.round(timeDone / timeTotal * 100) + "%");
+        });
+        
+        stepResponseValid = true;
+    }
+    
+    /**
+     * Mark the step response as needing recalculation on the next frame (so that several changes to the marked region
+     * in a row only cost one calculation).
+     */
+    function invalidateStepResponse() {
+        stepResponseValid = false;
+        
+        if (stepResponseCalculation) {
+            stepResponseCalculation.cancel();
+            stepResponseCalculation = null;
+        }
+        
+        if (hasLog) {
+            invalidateGraph();
+        }
+    }
+    
+    function toggleStepResponse() {
+        hasStepResponse = !hasStepResponse;
+        html.toggleClass("has-step-response", hasStepResponse);
+        prefs.set('hasStepResponse', hasStepResponse);
+        
+        if (hasLog) {
+            invalidateGraph();
+        }
+    }
+    
+    /**
+     * Tell the graph about the log we're comparing against (if any), lining up the starts of the two logs and then
+     * applying the user's offset.
+     */
+    function applyComparison() {
+        if (!graph) {
+            return;
+        }
+
+        if (comparison) {
+            comparison.flightLog.setExpressionFields(expressionFields);
+
+            graph.setComparison(comparison.flightLog,
+                comparison.flightLog.getMinTime() - flightLog.getMinTime() + comparisonConfig.offset * 1000000,
+                comparisonConfig.layout,
+                comparison.filename + " log " + (comparison.logIndex + 1)
+                    + (comparisonConfig.offset ? " (offset " + comparisonConfig.offset + "s)" : ""));
+        } else {
+            graph.setComparison(null);
+        }
+
+        invalidateGraph();
+    }
+
+    /**
+     * Use the given expression fields from now on, re-opening the current log to add them to it.
+     */
+    function setExpressionFields(newExpressionFields) {
+        expressionFields = newExpressionFields;
+
+        prefs.set('expressionFields', newExpressionFields);
+
+        if (hasLog) {
+            // Save Current Position then re-calculate all the log information
+            var activePosition = (hasVideo)?video.currentTime:currentBlackboxTime;
+
+            flightLog.setExpressionFields(newExpressionFields);
+
+            selectLog(flightLog.getLogIndex());
+            if (hasVideo) {
+                setVideoTime(activePosition);
+            } else {
+                setCurrentBlackboxTime(activePosition);
+            }
+        }
+    }
+
+    /**
+     * Use the given PID simulation for the current log (or null for none), re-opening the log to add its fields.
+     */
+    function setSimulatedPIDs(simulation) {
+        // Save Current Position then re-calculate all the log information
+        var activePosition = (hasVideo)?video.currentTime:currentBlackboxTime;
+
+        flightLog.setSimulatedPIDs(simulation);
+
+        selectLog(flightLog.getLogIndex());
+        if (hasVideo) {
+            setVideoTime(activePosition);
+        } else {
+            setCurrentBlackboxTime(activePosition);
+        }
+    }
+
+    /**
+     * Begin simulating the PID controller with the given sysConfig against the current log, or stop plotting the
+     * simulation if sysConfig is null. onProgress(timeDone, timeTotal) is called as it runs, then onComplete with the
+     * simulation (see FlightLogPIDSimulator.simulate()) once it's been added to the log. Throws a string if the log
+     * can't be simulated.
+     */
+    function simulatePIDs(sysConfig, onProgress, onComplete) {
+        var
+            simulatedLog = flightLog,
+            simulator;
+
+        if (pidSimulator) {
+            pidSimulator.cancel();
+            pidSimulator = null;
+        }
+
+        if (!sysConfig) {
+            setSimulatedPIDs(null);
+            onComplete(null);
+            return;
+        }
+
+        simulator = new FlightLogPIDSimulator(flightLog);
+
+        simulator.simulate(sysConfig, function(simulation) {
+            pidSimulator = null;
+
+            // Don't add it to a different log that's been opened since
+            if (flightLog === simulatedLog && flightLog.getLogIndex() === simulation.logIndex) {
+                setSimulatedPIDs(simulation);
+                onComplete(simulation);
+            } else {
+                onComplete(null);
+            }
+        }, onProgress);
+
+        pidSimulator = simulator;
+    }
+
+    /**
+     * Get the PID simulation that's plotted for the current log, if any.
+     */
+    function getActiveSimulation() {
+        var
+            simulation = flightLog.getSimulatedPIDs();
+
+        return simulation && simulation.logIndex === flightLog.getLogIndex() ? simulation : null;
+    }
+
+    /**
+     * List the other logs in this file, and the log being compared against, for the header dialog to list the header
+     * differences against.
+     */
+    function getHeaderComparisons() {
+        var
+            comparisons = [],
+            // Each FlightLog only has one log open at a time, this one shares our index rather than scanning the file again
+            otherLog = new FlightLog(flightLogDataArray, flightLog.getLogIndexes());
+
+        for (var i = 0; i < flightLog.getLogCount(); i++) {
+            if (i != flightLog.getLogIndex() && otherLog.openLog(i)) {
+                comparisons.push({label: "log " + (i + 1) + " of this file", sysConfig: otherLog.getSysConfig()});
+            }
+        }
+
+        // Unless it's one of the logs we've just listed
+        if (comparison && !(comparison.logData == flightLogDataArray && comparison.logIndex != flightLog.getLogIndex())) {
+            comparisons.push({
+                label: comparison.filename + " log " + (comparison.logIndex + 1),
+                sysConfig: comparison.flightLog.getSysConfig()
+            });
+        }
+
+        return comparisons;
+    }
+
+    /**
+     * Style the page to suit the firmware that recorded the current log (the parser reports this as
+     * sysConfig.firmwareType but leaves the page alone).
+     */
+    function renderFirmwareType() {
+        var
+            firmwareClasses = {};
+
+        firmwareClasses[FIRMWARE_TYPE_BASEFLIGHT]  = 'isBaseF';
+        firmwareClasses[FIRMWARE_TYPE_CLEANFLIGHT] = 'isCF';
+        firmwareClasses[FIRMWARE_TYPE_BETAFLIGHT]  = 'isBF';
+        firmwareClasses[FIRMWARE_TYPE_INAV]        = 'isINAV';
+
+        html.removeClass('isBaseF isCF isBF isINAV');
+        html.addClass(firmwareClasses[flightLog.getSysConfig().firmwareType] || '');
+
+        // Hide the header button if we are not using betaflight
+        switch (flightLog.getSysConfig().firmwareType) {
+            case FIRMWARE_TYPE_BETAFLIGHT:
+            case FIRMWARE_TYPE_INAV:
+                $(".open-header-dialog").show();
+                break;
+
+            default:
+                $(".open-header-dialog").hide();
+                break;
+        }
     }
     
     function setGraphState(newState) {
@@ -414,6 +805,37 @@ function BlackboxLogViewer() {
         invalidateGraph();
     }
     
+    /**
+     * Set the problems found by the motor detector (or null to clear them) and mark them on the seek bar and graph.
+     */
+    function setMotorDetections(newDetections) {
+        motorDetections = newDetections;
+        
+        seekBar.setBands((motorDetections || []).map(function(detection) {
+            return {
+                startTime: detection.startTime,
+                endTime: detection.endTime,
+                color: FlightLogMotorDetector.TYPES[detection.type].color
+            };
+        }));
+        seekBar.repaint();
+        
+        invalidateGraph();
+    }
+    
+    /**
+     * Hatch out the damaged regions of the current log on the seek bar.
+     */
+    function renderLogDamage() {
+        var
+            damage = flightLog.getLogDamage();
+        
+        seekBar.setDamage(damage);
+        seekBar.repaint();
+        
+        html.toggleClass("has-log-damage", damage.length > 0);
+    }
+    
     function setVideoTime(newTime) {
         video.currentTime = newTime;
     
@@ -431,6 +853,8 @@ function BlackboxLogViewer() {
             graph.setInTime(videoExportInTime);
             invalidateGraph();
         }
+        
+        invalidateStepResponse();
     }
     
     function setVideoOutTime(outTime) {
@@ -444,6 +868,8 @@ function BlackboxLogViewer() {
             graph.setOutTime(videoExportOutTime);
             invalidateGraph();
         }
+        
+        invalidateStepResponse();
     }
     
     function setPlaybackRate(rate) {
@@ -523,6 +949,10 @@ function BlackboxLogViewer() {
             return;
         }
         
+        restoreOffsetCache();
+        
+        renderFirmwareType();
+        
         if (graph) {
             graph.destroy();
         }
@@ -541,6 +971,8 @@ function BlackboxLogViewer() {
     
         activeGraphConfig.adaptGraphs(flightLog, graphConfig);
         
+        applyComparison();
+        
         graph.onSeek = function(offset) {
             //Seek faster
             offset *= 2;
@@ -568,6 +1000,172 @@ function BlackboxLogViewer() {
         setGraphZoom(graphZoom);
     }
     
+    /**
+     * Make the given log file the one being viewed and open the first log in it that can be opened.
+     */
+    function showLogFile(file, log, logData) {
+        flightLog = log;
+        flightLogDataArray = logData;
+        
+        renderLogFileInfo(file);
+        
+        currentOffsetCache.log      = file.name; // store the name of the loaded log file
+        currentOffsetCache.index    = null;      // and clear the index
+        
+        comparison = null; // a comparison was with the log we're replacing
+        
+        hasLog = true; html.toggleClass("has-log", hasLog);
+        html.toggleClass("has-craft", hasCraft);
+        html.toggleClass("has-table", hasTable);
+        html.toggleClass("has-sticks", hasSticks);
+
+        setTimeout(function(){$(window).resize();}, 500 ); // refresh the window size;
+
+        selectLog(null);
+        
+        startLogDecoder(log, logData);
+        
+        if (graph) {
+            (hasAnalyserFullscreen)?html.addClass("has-analyser-fullscreen"):html.removeClass("has-analyser-fullscreen");
+            graph.setAnalyser(hasAnalyserFullscreen);
+        }
+    }
+    
+    /**
+     * Start decoding the chunks of the log file being viewed in the background, replacing the decoder of the last one.
+     */
+    function startLogDecoder(log, logData) {
+        if (logDecoder) {
+            logDecoder.stop();
+            logDecoder = null;
+        }
+        
+        if (window.Worker) {
+            logDecoder = new FlightLogDecoder(log, logData);
+            
+            logDecoder.onError = function(error) {
+                console.log("Couldn't decode the log in the background, so decoding it here instead: " + error);
+                logDecoder = null;
+            };
+            
+            logDecoder.start();
+        }
+    }
+    
+    /**
+     * Build the index of a log file in the background, showing the file as soon as the first of its logs can be opened
+     * and filling in the rest of it as the index grows.
+     */
+    function indexLogFile(file, log, logData, logIndexCacheKey) {
+        var
+            indexer = new FlightLogIndexer(logData, log.parser.recoveryMode),
+            shown = false;
+        
+        function canOpenAnyLog() {
+            for (var i = 0; i < log.getLogCount(); i++) {
+                if (!log.getLogError(i)) {
+                    return true;
+                }
+            }
+            
+            return false;
+        }
+        
+        function finishIndexing() {
+            logIndexer = null;
+            html.removeClass("is-indexing-log");
+        }
+        
+        indexer.onProgress = function(bytesDone, bytesTotal) {
+            $(".log-indexing progress").prop('max', bytesTotal).prop('value', bytesDone);
+        };
+        
+        indexer.onIndex = function(json, complete) {
+            log.loadIndexFromJSON(json);
+            
+            if (complete) {
+                finishIndexing();
+                saveLogIndexCache(log, logIndexCacheKey);
+            }
+            
+            if (shown) {
+                if (logDecoder) {
+                    logDecoder.loadIndexFromJSON(json);
+                }
+                refreshLogIndex(file, complete);
+            } else if (complete || canOpenAnyLog()) {
+                shown = true;
+                showLogFile(file, log, logData);
+            }
+        };
+        
+        indexer.onError = function(error) {
+            finishIndexing();
+            
+            console.log("Couldn't index the log in the background, so indexing it here instead: " + error);
+            
+            // Any index we were sent is only the start of the file
+            log.buildIndex();
+            
+            if (shown) {
+                if (logDecoder) {
+                    logDecoder.loadIndexFromJSON(log.saveIndexToJSON());
+                }
+                refreshLogIndex(file, true);
+            } else {
+                shown = true;
+                showLogFile(file, log, logData);
+            }
+            
+            saveLogIndexCache(log, logIndexCacheKey);
+        };
+        
+        logIndexer = indexer;
+        
+        $(".log-indexing .log-indexing-filename").text(file.name);
+        $(".log-indexing progress").prop('max', logData.length).prop('value', 0);
+        html.addClass("is-indexing-log");
+        
+        indexer.start();
+    }
+    
+    /**
+     * Stop building the index of the file being opened, if there is one. Whatever part of it has already been shown
+     * stays open.
+     */
+    function cancelLogIndexing() {
+        if (logIndexer) {
+            logIndexer.cancel();
+            logIndexer = null;
+        }
+        
+        html.removeClass("is-indexing-log");
+    }
+    
+    /**
+     * Update the log picker and seek bar to show more of the current file after more of its index has been built.
+     */
+    function refreshLogIndex(file, complete) {
+        var
+            activity = flightLog.getActivitySummary();
+        
+        renderLogFileInfo(file);
+        $(".log-index").val(flightLog.getLogIndex());
+        
+        seekBar.setTimeRange(flightLog.getMinTime(), flightLog.getMaxTime(), currentBlackboxTime);
+        seekBar.setActivity(activity.times, activity.avgThrottle, activity.hasEvent);
+        renderLogDamage();
+        seekBar.repaint();
+        
+        // The GPS track is read from the whole log, so only update it once we have all of it
+        if (complete) {
+            gpsMap.setTrack(flightLog.getGPSTrack(flightLog.getMinTime(), flightLog.getMaxTime()), flightLog.getGPSHome());
+            html.toggleClass("has-gps", gpsMap.hasTrack());
+        }
+        
+        invalidateGraph();
+    }
+    
     function loadLogFile(file) {
         var reader = new FileReader();
     
@@ -598,33 +1196,36 @@ function BlackboxLogViewer() {
                return;            
             }
 
-            flightLogDataArray = new Uint8Array(bytes);
+            var
+                logData = new Uint8Array(bytes),
+                recoveryMode = !!userSettings.recoveryMode,
+                logIndexCacheKey = getLogIndexCacheKey(file, logData, recoveryMode),
+                newFlightLog,
+                indexWasCached;
+            
+            // We don't need the index of a file we were still opening any more
+            cancelLogIndexing();
             
             try {
-                flightLog = new FlightLog(flightLogDataArray);
+                newFlightLog = new FlightLog(logData);
+                newFlightLog.setExpressionFields(expressionFields);
+                newFlightLog.setRecoveryMode(recoveryMode);
+                
+                indexWasCached = restoreLogIndexCache(newFlightLog, logIndexCacheKey);
             } catch (err) {
                 alert("Sorry, an error occured while trying to open this log:\n\n" + err);
                 return;
             }
             
-            renderLogFileInfo(file);
-            currentOffsetCache.log      = file.name; // store the name of the loaded log file
-            currentOffsetCache.index    = null;      // and clear the index
-            
-            hasLog = true; html.toggleClass("has-log", hasLog);
-            html.toggleClass("has-craft", hasCraft);
-            html.toggleClass("has-table", hasTable);
-            html.toggleClass("has-sticks", hasSticks);
-
-            setTimeout(function(){$(window).resize();}, 500 ); // refresh the window size;
-
-            selectLog(null);
-            
-            if (graph) {
-                (hasAnalyserFullscreen)?html.addClass("has-analyser-fullscreen"):html.removeClass("has-analyser-fullscreen");
-                graph.setAnalyser(hasAnalyserFullscreen);
+            if (indexWasCached) {
+                showLogFile(file, newFlightLog, logData);
+            } else if (window.Worker) {
+                indexLogFile(file, newFlightLog, logData, logIndexCacheKey);
+            } else {
+                // Showing the file builds its index, so now we can save it for next time
+                showLogFile(file, newFlightLog, logData);
+                saveLogIndexCache(newFlightLog, logIndexCacheKey);
             }
-
         };
     
         reader.readAsArrayBuffer(file);
@@ -643,6 +1244,8 @@ function BlackboxLogViewer() {
             return;
         }
             
+        restoreOffsetCache();
+        
         videoURL = URL.createObjectURL(file);
         video.volume = 0.05;
         video.src = videoURL;
@@ -712,6 +1315,10 @@ function BlackboxLogViewer() {
     	}
     }
 
+    this.getMotorDetections = function() {
+        return motorDetections;
+    };
+
     this.getBookmarkTimes = function() {
         return bookmarkTimes;
     }
@@ -737,6 +1344,29 @@ function BlackboxLogViewer() {
         }
     });
 
+    prefs.get('csvConfig', function(item) {
+        if (item) {
+            csvConfig = item;
+        } else {
+            csvConfig = {
+                range: 'region',
+                friendly: false,
+                events: false
+            };
+        }
+    });
+
+    prefs.get('comparisonConfig', function(item) {
+        if (item) {
+            comparisonConfig = item;
+        } else {
+            comparisonConfig = {
+                offset: 0,
+                layout: 'overlay'
+            };
+        }
+    });
+
     // Workspace save/restore to/from file.
     function saveWorkspaces(file) {
 
@@ -746,7 +1376,8 @@ function BlackboxLogViewer() {
         if(!file) file = 'workspaces.json'; // No filename to save to, make one up
 
         if(typeof workspaceGraphConfigs === "object"){
-            data = JSON.stringify(workspaceGraphConfigs, undefined, 4);
+            // The workspaces' graphs may use our expression fields, so save those along with them
+            data = JSON.stringify($.extend({}, workspaceGraphConfigs, {expressionFields: expressionFields}), undefined, 4);
         }
 
         var blob = new Blob([data], {type: 'text/json'}),
@@ -769,6 +1400,12 @@ function BlackboxLogViewer() {
 
             var data = e.target.result;
             workspaceGraphConfigs = JSON.parse(data);
+
+            if (workspaceGraphConfigs.expressionFields) {
+                setExpressionFields(workspaceGraphConfigs.expressionFields);
+                delete workspaceGraphConfigs.expressionFields;
+            }
+
             prefs.set('workspaceGraphConfigs', workspaceGraphConfigs);      // Store to local cache
  
             window.alert('Workspaces Loaded')                       
@@ -788,6 +1425,12 @@ function BlackboxLogViewer() {
             }
     });
 
+    prefs.get('expressionFields', function(item) {
+        if (item) {
+            expressionFields = item;
+        }
+    });
+
     // Get the offsetCache buffer
     prefs.get('offsetCache', function(item) {
         if(item) {
@@ -795,6 +1438,12 @@ function BlackboxLogViewer() {
         }
     })
     
+    prefs.get('logIndexCache', function(item) {
+        if (item) {
+            logIndexCache = item;
+        }
+    });
+    
     activeGraphConfig.addListener(function() {
         invalidateGraph();
     });
@@ -841,6 +1490,20 @@ function BlackboxLogViewer() {
            } 
         });
 
+        prefs.get('hasMap', function(item) {
+           if (item !== null && item !== undefined) {
+               hasMap = item;
+           }
+           html.toggleClass("has-map", hasMap);
+        });
+
+        prefs.get('hasStepResponse', function(item) {
+           if (item) {
+               hasStepResponse = item;
+           }
+           html.toggleClass("has-step-response", hasStepResponse);
+        });
+
         prefs.get('hasSticks', function(item) {
            if (item) {
                hasSticks = item;
@@ -889,17 +1552,6 @@ function BlackboxLogViewer() {
                     loadWorkspaces(files[i])
                 }
             }
-
-            // finally, see if there is an offsetCache value already, and auto set the offset
-            for(i=0; i<offsetCache.length; i++) {
-                if(
-                    (currentOffsetCache.log   == offsetCache[i].log)   &&
-                    (currentOffsetCache.index == offsetCache[i].index) &&
-                    (currentOffsetCache.video == offsetCache[i].video)    ) {
-                        setVideoOffset(offsetCache[i].offset, true);
-                    }
-
-            }
         });
         
         // New View Controls
@@ -914,6 +1566,17 @@ function BlackboxLogViewer() {
             prefs.set('hasCraft', hasCraft);
         });
 
+        $(".view-map").click(function() {
+            hasMap = !hasMap;
+            html.toggleClass("has-map", hasMap);
+            prefs.set('hasMap', hasMap);
+            invalidateGraph();
+        });
+
+        $(".view-step-response").click(function() {
+            toggleStepResponse();
+        });
+
         $(".view-sticks").click(function() {
             hasSticks = !hasSticks;
             graph.setDrawSticks(hasSticks);            
@@ -1096,6 +1759,16 @@ function BlackboxLogViewer() {
         };
         $(".log-smart-sync").click(logSmartSync);
 
+        $(".open-video-sync-dialog").click(function(e) {
+            e.preventDefault();
+
+            if (hasLog && hasVideo) {
+                setGraphState(GRAPH_STATE_PAUSED);
+
+                videoSyncDialog.show(flightLog, video.cloneNode(), video.currentTime, videoOffset);
+            }
+        });
+
 
         $(".video-offset").change(function() {
             var offset = parseFloat(this.value);
@@ -1191,7 +1864,7 @@ function BlackboxLogViewer() {
                         setCurrentBlackboxTime(activePosition);
                     }
                 }
-            }),
+            }, simulatePIDs),
 
             keysDialog = new KeysDialog($("#dlgKeysDialog")),
 
@@ -1226,6 +1899,37 @@ function BlackboxLogViewer() {
 	            videoConfig = newConfig;
 	            
 	            prefs.set('videoConfig', newConfig);
+	        }, prefs),
+
+	        csvExportDialog = new CSVExportDialog($("#dlgCSVExport"), function(newConfig) {
+	            csvConfig = newConfig;
+
+	            prefs.set('csvConfig', newConfig);
+	        }),
+
+	        powerReportDialog = new PowerReportDialog($("#dlgPowerReport")),
+
+	        flightSummaryDialog = new FlightSummaryDialog($("#dlgFlightSummary")),
+
+	        motorDetectionDialog = new MotorDetectionDialog($("#dlgMotorDetection"), setMotorDetections, setCurrentBlackboxTime),
+
+	        damageReportDialog = new DamageReportDialog($("#dlgDamageReport"), setCurrentBlackboxTime),
+
+	        logComparisonDialog = new LogComparisonDialog($("#dlgLogComparison"), function(newComparison, newConfig) {
+	            comparison = newComparison;
+	            comparisonConfig = newConfig;
+
+	            prefs.set('comparisonConfig', newConfig);
+
+	            applyComparison();
+	        }),
+
+	        expressionFieldsDialog = new ExpressionFieldsDialog($("#dlgExpressionFields"), function(newExpressionFields) {
+	            setExpressionFields(newExpressionFields);
+	        }),
+
+	        videoSyncDialog = new VideoSyncDialog($("#dlgVideoSync"), function(newOffset) {
+	            setVideoOffset(newOffset, true);
 	        });
         
         $(".open-graph-configuration-dialog").click(function(e) {
@@ -1234,8 +1938,14 @@ function BlackboxLogViewer() {
             graphConfigDialog.show(flightLog, activeGraphConfig.getGraphs());
         });
 
+        $(".open-expression-fields-dialog").click(function(e) {
+            e.preventDefault();
+
+            expressionFieldsDialog.show(hasLog ? flightLog : null, expressionFields);
+        });
+
         $(".open-header-dialog").click(function(e) {
-            headerDialog.show(flightLog.getSysConfig());
+            headerDialog.show(flightLog.getSysConfig(), getHeaderComparisons(), getActiveSimulation());
             e.preventDefault();
         });
 
@@ -1283,17 +1993,86 @@ function BlackboxLogViewer() {
             e.preventDefault();
         });
         
+
+        $(".btn-csv-export").click(function(e) {
+            setGraphState(GRAPH_STATE_PAUSED);
+
+            csvExportDialog.show(flightLog, {
+                inTime: videoExportInTime,
+                outTime: videoExportOutTime,
+                filename: getExportFilename()
+            }, csvConfig);
+
+            e.preventDefault();
+        });
+
+        $(".btn-flight-summary").click(function(e) {
+            setGraphState(GRAPH_STATE_PAUSED);
+
+            flightSummaryDialog.show(flightLog, {
+                inTime: videoExportInTime,
+                outTime: videoExportOutTime,
+                filename: getExportFilename()
+            });
+
+            e.preventDefault();
+        });
+
+        $(".btn-motor-detection").click(function(e) {
+            setGraphState(GRAPH_STATE_PAUSED);
+
+            motorDetectionDialog.show(flightLog, motorDetections);
+
+            e.preventDefault();
+        });
+
+        $(".btn-damage-report").click(function(e) {
+            setGraphState(GRAPH_STATE_PAUSED);
+
+            damageReportDialog.show(flightLog, flightLog.parser.recoveryMode);
+
+            e.preventDefault();
+        });
+
+        $(".log-indexing-cancel").click(function(e) {
+            cancelLogIndexing();
+
+            e.preventDefault();
+        });
+
+        $(".btn-power-report").click(function(e) {
+            setGraphState(GRAPH_STATE_PAUSED);
+
+            powerReportDialog.show(flightLog, {
+                inTime: videoExportInTime,
+                outTime: videoExportOutTime
+            });
+
+            e.preventDefault();
+        });
+
+        $(".btn-log-comparison").click(function(e) {
+            setGraphState(GRAPH_STATE_PAUSED);
+
+            logComparisonDialog.show(flightLog, flightLogDataArray, currentOffsetCache.log, comparison, comparisonConfig);
+
+            e.preventDefault();
+        });
                 
         if (FlightLogVideoRenderer.isSupported()) {
             $(".btn-video-export").click(function(e) {
                 setGraphState(GRAPH_STATE_PAUSED);
     
                 exportDialog.show(flightLog, {
+                    // Identifies what we're exporting, so an interrupted export is only resumed with the same files
+                    exportName: currentOffsetCache.log + " log " + (currentOffsetCache.index + 1)
+                        + (hasVideo ? " with " + currentOffsetCache.video : ""),
                     graphConfig: activeGraphConfig,
                     inTime: videoExportInTime,
                     outTime: videoExportOutTime,
                     flightVideo: (hasVideo && viewVideo) ? video.cloneNode() : false,
                     flightVideoOffset: videoOffset,
+                    bookmarkTimes: bookmarkTimes,
                     hasCraft: hasCraft,
                     hasAnalyser: hasAnalyser,
                     hasSticks: hasSticks
@@ -1643,9 +2422,16 @@ function BlackboxLogViewer() {
                         }
                         break;
 
+                    case "R".charCodeAt(0):
+                        if(!(shifted)) {
+                            toggleStepResponse();
+                            e.preventDefault();
+                        }
+                        break;
+
                     case "H".charCodeAt(0):
                         if(!(shifted)) {
-                            headerDialog.show(flightLog.getSysConfig());
+                            headerDialog.show(flightLog.getSysConfig(), getHeaderComparisons(), getActiveSimulation());
                             e.preventDefault();
                         }
                         break;
@@ -1871,6 +2657,7 @@ function BlackboxLogViewer() {
         });
         
         seekBar.onSeek = setCurrentBlackboxTime;
+        gpsMap.onSeek = setCurrentBlackboxTime;
 
     });
 }
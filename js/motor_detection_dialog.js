@@ -0,0 +1,116 @@
+"use strict";
+
+/**
+ * Dialog which runs FlightLogMotorDetector over the current log and lists the problems it found, so the user can jump
+ * to each one.
+ *
+ * onDetect is called with the array of detections once the search is done (or null when the user hides them), so the
+ * host can mark them on the seek bar and graph. onSeek is called with the Blackbox time of a detection the user picks.
+ */
+function MotorDetectionDialog(dialog, onDetect, onSeek) {
+    var
+        detectionList = $(".motor-detection-list tbody", dialog),
+        status = $(".motor-detection-status", dialog),
+
+        that = this;
+
+    function describeTime(time) {
+        return formatTime((time - that.flightLog.getMinTime()) / 1000, true);
+    }
+
+    function populateDetections(detections) {
+        detectionList.empty();
+
+        $(".motor-detection-results", dialog).toggle(detections.length > 0);
+        $(".motor-detection-hide", dialog).toggle(true);
+
+        if (detections.length == 0) {
+            status.text("No motor problems were found in this log.");
+            return;
+        }
+
+        status.text("Found " + detections.length + (detections.length == 1 ? " problem" : " problems")
+            + ", which are also marked on the seek bar and graph. Click one to jump to it.");
+
+        for (var i = 0; i < detections.length; i++) {
+            var
+                detection = detections[i],
+                row = $('<tr><td><span class="motor-detection-swatch"></span></td><td></td><td></td><td></td></tr>'),
+                cells = $("td", row);
+
+            $(".motor-detection-swatch", row).css('background-color', FlightLogMotorDetector.TYPES[detection.type].color);
+            cells.eq(1).text(describeTime(detection.startTime));
+            cells.eq(2).text(((detection.endTime - detection.startTime) / 1000).toFixed(0) + "ms");
+            cells.eq(3).text(FlightLogMotorDetector.describe(detection));
+
+            row.data('time', detection.startTime);
+
+            detectionList.append(row);
+        }
+    }
+
+    function runDetection() {
+        $(".motor-detection-start", dialog).prop('disabled', true);
+        status.text("Searching the log...");
+
+        // Give the status a chance to appear before we tie up the browser with the search
+        setTimeout(function() {
+            var
+                detections = new FlightLogMotorDetector(that.flightLog).detect();
+
+            $(".motor-detection-start", dialog).prop('disabled', false);
+
+            onDetect(detections);
+            populateDetections(detections);
+        }, 0);
+    }
+
+    /**
+     * Show the dialog.
+     *
+     * detections - The detections already found for this log, or null if it hasn't been searched yet
+     */
+    this.show = function(flightLog, detections) {
+        this.flightLog = flightLog;
+
+        if (detections) {
+            populateDetections(detections);
+        } else {
+            detectionList.empty();
+            $(".motor-detection-results", dialog).hide();
+            $(".motor-detection-hide", dialog).hide();
+
+            status.text("Search this log for motors which are saturated at their maximum or minimum output while armed, "
+                + "or which look like they've desynced (commanded far harder than the others without the craft "
+                + "responding).");
+        }
+
+        dialog.modal('show');
+    };
+
+    $(".motor-detection-start", dialog).click(function(e) {
+        runDetection();
+
+        e.preventDefault();
+    });
+
+    $(".motor-detection-hide", dialog).click(function(e) {
+        onDetect(null);
+
+        dialog.modal('hide');
+
+        e.preventDefault();
+    });
+
+    detectionList.on('click', 'tr', function(e) {
+        onSeek($(this).data('time'));
+
+        dialog.modal('hide');
+
+        e.preventDefault();
+    });
+
+    dialog.modal({
+        show: false
+    });
+}
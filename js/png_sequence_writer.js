@@ -0,0 +1,261 @@
+"use strict";
+
+/**
+ * Writes canvas frames as a numbered sequence of PNG images (keeping the canvas' transparency) into a ZIP file, for
+ * compositing over flight video in a video editor.
+ *
+ * It has the same interface as WebMWriter so FlightLogVideoRenderer can use either one, and like WebMWriter it can
+ * stream to a FileWriter rather than buffering the whole file in memory.
+ *
+ * options - Object with these fields:
+ *     fileWriter - FileWriter to stream the ZIP file to (optional)
+ *     namePrefix - Start of the name of each image in the ZIP, the frame number and ".png" are added to this
+ */
+function PNGSequenceWriter(options) {
+    var
+        // The images are already compressed, so they're stored in the ZIP as they are
+        ZIP_VERSION = 20, ZIP64_VERSION = 45,
+        ZIP_METHOD_STORE = 0,
+
+        // Field values which mean "see the ZIP64 fields instead"
+        ZIP64_MARKER_16 = 0xFFFF, ZIP64_MARKER_32 = 0xFFFFFFFF,
+
+        FRAME_NUMBER_DIGITS = 6,
+
+        blobBuffer = new BlobBuffer(options.fileWriter),
+
+        // Details of each file written so far, for the ZIP's central directory: {name, crc, size, offset}
+        entries = [],
+
+        dosTime, dosDate;
+
+    function setUint64(view, offset, value) {
+        view.setUint32(offset, value % 0x100000000, true);
+        view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+    }
+
+    function encodeName(name) {
+        var
+            result = new Uint8Array(name.length);
+
+        // Our names are plain ASCII
+        for (var i = 0; i < name.length; i++) {
+            result[i] = name.charCodeAt(i);
+        }
+
+        return result;
+    }
+
+    function writeLocalFileHeader(entry, encodedName) {
+        var
+            header = new Uint8Array(30 + encodedName.length),
+            view = new DataView(header.buffer);
+
+        view.setUint32(0, 0x04034b50, true);
+        view.setUint16(4, ZIP_VERSION, true);
+        view.setUint16(6, 0, true); // Flags
+        view.setUint16(8, ZIP_METHOD_STORE, true);
+        view.setUint16(10, dosTime, true);
+        view.setUint16(12, dosDate, true);
+        view.setUint32(14, entry.crc, true);
+        view.setUint32(18, entry.size, true); // Compressed size
+        view.setUint32(22, entry.size, true);
+        view.setUint16(26, encodedName.length, true);
+        view.setUint16(28, 0, true); // Extra field length
+
+        header.set(encodedName, 30);
+
+        blobBuffer.write(header);
+    }
+
+    /**
+     * Files which begin beyond 4GB need their offset in a ZIP64 extra field.
+     */
+    function writeCentralDirectoryEntry(entry) {
+        var
+            encodedName = encodeName(entry.name),
+            isZip64 = entry.offset >= ZIP64_MARKER_32,
+            extraLength = isZip64 ? 12 : 0,
+            header = new Uint8Array(46 + encodedName.length + extraLength),
+            view = new DataView(header.buffer);
+
+        view.setUint32(0, 0x02014b50, true);
+        view.setUint16(4, isZip64 ? ZIP64_VERSION : ZIP_VERSION, true); // Version made by
+        view.setUint16(6, isZip64 ? ZIP64_VERSION : ZIP_VERSION, true); // Version needed to extract
+        view.setUint16(8, 0, true);
+        view.setUint16(10, ZIP_METHOD_STORE, true);
+        view.setUint16(12, dosTime, true);
+        view.setUint16(14, dosDate, true);
+        view.setUint32(16, entry.crc, true);
+        view.setUint32(20, entry.size, true);
+        view.setUint32(24, entry.size, true);
+        view.setUint16(28, encodedName.length, true);
+        view.setUint16(30, extraLength, true);
+        view.setUint16(32, 0, true); // Comment length
+        view.setUint16(34, 0, true); // Disk number
+        view.setUint16(36, 0, true); // Internal attributes
+        view.setUint32(38, 0, true); // External attributes
+        view.setUint32(42, isZip64 ? ZIP64_MARKER_32 : entry.offset, true);
+
+        header.set(encodedName, 46);
+
+        if (isZip64) {
+            view.setUint16(46 + encodedName.length, 0x0001, true);
+            view.setUint16(48 + encodedName.length, 8, true);
+            setUint64(view, 50 + encodedName.length, entry.offset);
+        }
+
+        blobBuffer.write(header);
+    }
+
+    /**
+     * Write the end of central directory record, preceded by the ZIP64 versions of it if there are too many files or
+     * the central directory is beyond 4GB.
+     */
+    function writeEndOfCentralDirectory(directoryOffset, directorySize) {
+        var
+            isZip64 = entries.length >= ZIP64_MARKER_16 || directoryOffset >= ZIP64_MARKER_32,
+            record, view;
+
+        if (isZip64) {
+            var
+                zip64RecordOffset = blobBuffer.pos;
+
+            record = new Uint8Array(56 + 20);
+            view = new DataView(record.buffer);
+
+            // ZIP64 end of central directory record
+            view.setUint32(0, 0x06064b50, true);
+            setUint64(view, 4, 56 - 12); // Size of the rest of this record
+            view.setUint16(12, ZIP64_VERSION, true);
+            view.setUint16(14, ZIP64_VERSION, true);
+            view.setUint32(16, 0, true); // This disk
+            view.setUint32(20, 0, true); // Disk the directory starts on
+            setUint64(view, 24, entries.length); // Entries on this disk
+            setUint64(view, 32, entries.length);
+            setUint64(view, 40, directorySize);
+            setUint64(view, 48, directoryOffset);
+
+            // ZIP64 end of central directory locator
+            view.setUint32(56, 0x07064b50, true);
+            view.setUint32(60, 0, true);
+            setUint64(view, 64, zip64RecordOffset);
+            view.setUint32(72, 1, true); // Total number of disks
+
+            blobBuffer.write(record);
+        }
+
+        record = new Uint8Array(22);
+        view = new DataView(record.buffer);
+
+        view.setUint32(0, 0x06054b50, true);
+        view.setUint16(4, 0, true);
+        view.setUint16(6, 0, true);
+        view.setUint16(8, isZip64 ? ZIP64_MARKER_16 : entries.length, true);
+        view.setUint16(10, isZip64 ? ZIP64_MARKER_16 : entries.length, true);
+        view.setUint32(12, directorySize, true);
+        view.setUint32(16, isZip64 ? ZIP64_MARKER_32 : directoryOffset, true);
+        view.setUint16(20, 0, true); // Comment length
+
+        blobBuffer.write(record);
+    }
+
+    function leftPad(value, pad, width) {
+        value = value + "";
+
+        while (value.length < width) {
+            value = pad + value;
+        }
+
+        return value;
+    }
+
+    /**
+     * Add a frame to the sequence, from the current contents of the given canvas.
+     */
+    this.addFrame = function(canvas) {
+        this.addEncodedFrame(dataURLToBytes(canvas.toDataURL('image/png')), canvas.width, canvas.height);
+    };
+
+    /**
+     * Add a frame to the sequence which was already encoded as a PNG image, given as a Uint8Array (its width and
+     * height are accepted to match WebMWriter, but a PNG records its own).
+     */
+    this.addEncodedFrame = function(png, width, height) {
+        var
+            entry = {
+                name: options.namePrefix + leftPad(entries.length, "0", FRAME_NUMBER_DIGITS) + ".png",
+                crc: PNGSequenceWriter.crc32(png),
+                size: png.length,
+                offset: blobBuffer.pos
+            };
+
+        writeLocalFileHeader(entry, encodeName(entry.name));
+
+        // A Blob rather than the array, so the browser doesn't need to keep it in memory
+        blobBuffer.write(new Blob([png]));
+
+        entries.push(entry);
+    };
+
+    /**
+     * Finish writing the ZIP file and return a Promise to signal completion.
+     *
+     * If the destination was memory (i.e. options.fileWriter was not supplied), the Promise is resolved with a Blob of
+     * the whole ZIP file.
+     */
+    this.complete = function() {
+        var
+            directoryOffset = blobBuffer.pos;
+
+        for (var i = 0; i < entries.length; i++) {
+            writeCentralDirectoryEntry(entries[i]);
+        }
+
+        writeEndOfCentralDirectory(directoryOffset, blobBuffer.pos - directoryOffset);
+
+        return blobBuffer.complete('application/zip');
+    };
+
+    this.getWrittenSize = function() {
+        return blobBuffer.length;
+    };
+
+    var
+        now = new Date();
+
+    dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+}
+
+PNGSequenceWriter.CRC32_TABLE = (function() {
+    var
+        table = new Uint32Array(256);
+
+    for (var i = 0; i < 256; i++) {
+        var
+            c = i;
+
+        for (var j = 0; j < 8; j++) {
+            c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+
+        table[i] = c;
+    }
+
+    return table;
+})();
+
+/**
+ * The CRC-32 of the given Uint8Array, as used by ZIP files.
+ */
+PNGSequenceWriter.crc32 = function(data) {
+    var
+        crc = 0xFFFFFFFF;
+
+    for (var i = 0; i < data.length; i++) {
+        crc = PNGSequenceWriter.CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
@@ -0,0 +1,247 @@
+"use strict";
+
+/**
+ * Dialog which reports on the battery usage of the whole log or the marked region, using FlightLogPowerAnalysis, with a
+ * chart of the voltage (and current, if the log has it) over time.
+ */
+function PowerReportDialog(dialog) {
+    var
+        DEFAULT_FONT_FACE = "Verdana, Arial, sans-serif",
+
+        BACKGROUND_STYLE = 'rgba(0, 0, 0, 0.7)',
+        GRID_STYLE = 'rgba(255, 255, 255, 0.25)',
+        LABEL_STYLE = 'rgba(255, 255, 255, 0.9)',
+        VOLTAGE_STYLE = '#fbb900',
+        CURRENT_STYLE = '#ff6060',
+
+        MARGIN = 10,
+        LINE_HEIGHT = 14,
+        AXIS_LABEL_WIDTH = 45,
+
+        regionDuration = $(".power-report-region-duration", dialog),
+        logDuration = $(".power-report-log-duration", dialog),
+        summary = $(".power-report-summary", dialog),
+        sagTable = $(".power-report-sag tbody", dialog),
+        chartCanvas = $(".power-report-chart", dialog)[0],
+
+        that = this;
+
+    function addSummaryRow(label, value) {
+        summary.append($("<tr><th></th><td></td></tr>")
+            .find("th").text(label).end()
+            .find("td").text(value).end()
+        );
+    }
+
+    function populateSummary(report) {
+        var
+            cellSuffix = report.cellCount ? "V/cell" : "V";
+
+        summary.empty();
+
+        addSummaryRow("Cells", report.cellCount ? report.cellCount + "S" : "Unknown");
+        addSummaryRow("Cell voltage", report.maxCellVoltage.toFixed(2) + " - " + report.minCellVoltage.toFixed(2) + cellSuffix);
+
+        if (report.currents) {
+            addSummaryRow("Average current", report.averageCurrent.toFixed(1) + "A");
+            addSummaryRow("Peak current", report.peakCurrent.toFixed(1) + "A");
+            addSummaryRow("Consumed", Math.round(report.consumedMah) + "mAh");
+            addSummaryRow("Internal resistance", report.internalResistance === null
+                ? "Not enough throttle changes to estimate"
+                : report.internalResistance.toFixed(0) + "mΩ (pack), "
+                    + (report.internalResistance / (report.cellCount || 1)).toFixed(1) + "mΩ per cell");
+        } else {
+            addSummaryRow("Current", "This log has no current meter readings");
+        }
+    }
+
+    function populateSag(report) {
+        var
+            cellSuffix = report.cellCount ? "V/cell" : "V";
+
+        sagTable.empty();
+
+        for (var i = 0; i < report.sag.length; i++) {
+            var
+                bin = report.sag[i],
+                row = $("<tr><td></td><td></td><td></td><td></td></tr>"),
+                cells = $("td", row);
+
+            cells.eq(0).text(bin.throttleMin + " - " + bin.throttleMax + "%");
+            cells.eq(1).text(bin.cellVoltage.toFixed(2) + cellSuffix);
+            cells.eq(2).text(i == 0 ? "-" : bin.sag.toFixed(2) + cellSuffix);
+            cells.eq(3).text(formatTime(bin.duration * 1000, false));
+
+            sagTable.append(row);
+        }
+    }
+
+    function drawLabel(context, text, x, y, align, style) {
+        context.fillStyle = style || LABEL_STYLE;
+        context.textAlign = align || 'left';
+        context.fillText(text, x, y);
+    }
+
+    function drawSeries(context, values, scale, offset, plotLeft, plotTop, plotWidth, plotHeight, style) {
+        context.strokeStyle = style;
+        context.lineWidth = 1;
+
+        context.beginPath();
+
+        for (var i = 0; i < values.length; i++) {
+            var
+                x = plotLeft + (values.length > 1 ? i / (values.length - 1) : 0) * plotWidth,
+                y = plotTop + plotHeight - (values[i] - offset) * scale * plotHeight;
+
+            if (i == 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        }
+
+        context.stroke();
+    }
+
+    /**
+     * Plot the pack voltage against time, with the current on a second axis on the right.
+     */
+    function drawChart(report) {
+        var
+            context = chartCanvas.getContext("2d"),
+            ratio = window.devicePixelRatio ? window.devicePixelRatio : 1,
+            margin = MARGIN * ratio, lineHeight = LINE_HEIGHT * ratio, axisLabelWidth = AXIS_LABEL_WIDTH * ratio,
+            plotLeft, plotTop, plotWidth, plotHeight,
+            minVoltage = Infinity, maxVoltage = -Infinity, maxCurrent = 0,
+            duration = report.voltages.length / report.sampleRate,
+            i;
+
+        chartCanvas.width = $(chartCanvas).width() * ratio;
+        chartCanvas.height = $(chartCanvas).height() * ratio;
+
+        context.clearRect(0, 0, chartCanvas.width, chartCanvas.height);
+
+        context.fillStyle = BACKGROUND_STYLE;
+        context.fillRect(0, 0, chartCanvas.width, chartCanvas.height);
+
+        context.font = (8 * ratio) + "pt " + DEFAULT_FONT_FACE;
+
+        for (i = 0; i < report.voltages.length; i++) {
+            minVoltage = Math.min(minVoltage, report.voltages[i]);
+            maxVoltage = Math.max(maxVoltage, report.voltages[i]);
+
+            if (report.currents) {
+                maxCurrent = Math.max(maxCurrent, report.currents[i]);
+            }
+        }
+
+        // Pad the voltage range a little so a flat line doesn't sit on the edge of the plot
+        minVoltage -= 0.1;
+        maxVoltage += 0.1;
+        maxCurrent = Math.max(Math.ceil(maxCurrent / 10) * 10, 10);
+
+        plotLeft = margin + axisLabelWidth;
+        plotTop = margin + lineHeight;
+        plotWidth = chartCanvas.width - plotLeft - margin - (report.currents ? axisLabelWidth : 0);
+        plotHeight = chartCanvas.height - plotTop - margin - lineHeight;
+
+        drawLabel(context, "Voltage", margin, margin + lineHeight / 2, 'left', VOLTAGE_STYLE);
+        if (report.currents) {
+            drawLabel(context, "Current", chartCanvas.width - margin, margin + lineHeight / 2, 'right', CURRENT_STYLE);
+        }
+
+        context.strokeStyle = GRID_STYLE;
+        context.lineWidth = 1;
+
+        for (i = 0; i <= 4; i++) {
+            var
+                y = plotTop + plotHeight * i / 4;
+
+            context.beginPath();
+            context.moveTo(plotLeft, y);
+            context.lineTo(plotLeft + plotWidth, y);
+            context.stroke();
+
+            drawLabel(context, (maxVoltage - (maxVoltage - minVoltage) * i / 4).toFixed(1) + "V", plotLeft - 4 * ratio, y + 4 * ratio, 'right', VOLTAGE_STYLE);
+
+            if (report.currents) {
+                drawLabel(context, (maxCurrent * (4 - i) / 4).toFixed(0) + "A", plotLeft + plotWidth + 4 * ratio, y + 4 * ratio, 'left', CURRENT_STYLE);
+            }
+        }
+
+        drawLabel(context, formatTime((report.startTime - that.flightLog.getMinTime()) / 1000, false), plotLeft, chartCanvas.height - margin, 'left');
+        drawLabel(context, formatTime((report.startTime - that.flightLog.getMinTime()) / 1000 + duration * 1000, false), plotLeft + plotWidth, chartCanvas.height - margin, 'right');
+
+        if (report.currents) {
+            drawSeries(context, report.currents, 1 / maxCurrent, 0, plotLeft, plotTop, plotWidth, plotHeight, CURRENT_STYLE);
+        }
+        drawSeries(context, report.voltages, 1 / (maxVoltage - minVoltage), minVoltage, plotLeft, plotTop, plotWidth, plotHeight, VOLTAGE_STYLE);
+    }
+
+    function showReport() {
+        var
+            range = $(".power-report-range:checked", dialog).val(),
+            startTime = that.flightLog.getMinTime(),
+            endTime = that.flightLog.getMaxTime(),
+            report;
+
+        if (range == 'region') {
+            if (that.logParameters.inTime !== false) {
+                startTime = that.logParameters.inTime;
+            }
+            if (that.logParameters.outTime !== false) {
+                endTime = that.logParameters.outTime;
+            }
+        }
+
+        report = new FlightLogPowerAnalysis(that.flightLog).calculate(startTime, endTime);
+
+        $(".power-report-results", dialog).toggle(!!report);
+        $(".power-report-empty", dialog).toggle(!report);
+
+        if (report) {
+            populateSummary(report);
+            populateSag(report);
+            drawChart(report);
+        }
+    }
+
+    /**
+     * Show the dialog.
+     *
+     * logParameters - Object with these fields:
+     *     inTime, outTime - The region marked on the log, or false for either end which isn't marked
+     */
+    this.show = function(flightLog, logParameters) {
+        var
+            hasRegion = logParameters.inTime !== false || logParameters.outTime !== false;
+
+        this.flightLog = flightLog;
+        this.logParameters = logParameters;
+
+        logDuration.text(formatTimeRange(flightLog.getMinTime(), flightLog.getMinTime(), flightLog.getMaxTime()));
+
+        if (hasRegion) {
+            regionDuration.text(formatTimeRange(flightLog.getMinTime(),
+                logParameters.inTime === false ? flightLog.getMinTime() : logParameters.inTime,
+                logParameters.outTime === false ? flightLog.getMaxTime() : logParameters.outTime
+            ));
+        } else {
+            regionDuration.text("None marked");
+        }
+
+        $(".power-report-range[value='region']", dialog).prop('disabled', !hasRegion);
+        $(".power-report-range", dialog).val([hasRegion ? 'region' : 'log']);
+
+        dialog.modal('show');
+    };
+
+    $(".power-report-range", dialog).change(showReport);
+
+    // The chart can only be sized once the dialog is visible
+    dialog.on('shown.bs.modal', showReport);
+
+    dialog.modal({
+        show: false
+    });
+}
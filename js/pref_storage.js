@@ -41,13 +41,24 @@ function PrefStorage(keyPrefix) {
     
     /**
      * Set the given JSON-encodable value into storage using the given name.
+     * 
+     * If it couldn't be stored (say the storage is full), the optional onError handler is called (possibly
+     * asynchronously) with the reason. Without one, localStorage failures are thrown.
      */
-    this.set = function(name, value) {
+    this.set = function(name, value, onError) {
         name = keyPrefix + name;
 
         switch (mode) {
             case LOCALSTORAGE:
-                window.localStorage[name] = JSON.stringify(value);
+                try {
+                    window.localStorage[name] = JSON.stringify(value);
+                } catch (e) {
+                    if (onError) {
+                        onError(e);
+                    } else {
+                        throw e;
+                    }
+                }
             break;
             case CHROME_STORAGE_LOCAL:
                 var
@@ -55,7 +66,11 @@ function PrefStorage(keyPrefix) {
                 
                 data[name] = value;
                 
-                chrome.storage.local.set(data);
+                chrome.storage.local.set(data, function() {
+                    if (chrome.runtime.lastError && onError) {
+                        onError(chrome.runtime.lastError.message);
+                    }
+                });
             break;
         }
     };
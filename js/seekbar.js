@@ -13,6 +13,12 @@ function SeekBar(canvas) {
         //Whether a special event exists at the given time:
         hasEvent,
         
+        //Periods to highlight on the bar, array of {startTime, endTime, color}:
+        bands = [],
+        
+        //Damaged regions of the log to hatch out, array of {startTime, endTime}:
+        damage = [],
+        
         //Expect to be plotting PWM-like data by default:
         activityMin = 1000, activityMax = 2000,
 
@@ -31,6 +37,9 @@ function SeekBar(canvas) {
         EVENT_BAR_STYLE = '#8d8',
         ACTIVITY_BAR_STYLE = 'rgba(170,170,255, 0.9)',
         OUTSIDE_EXPORT_RANGE_STYLE = 'rgba(100, 100, 100, 0.5)',
+        DAMAGE_BACKGROUND_STYLE = 'rgba(255, 220, 0, 0.3)',
+        DAMAGE_HATCH_STYLE = 'rgba(0, 0, 0, 0.6)',
+        DAMAGE_HATCH_SPACING = 6,
         
         // Suggested to be the same as that used by the graph's center mark in order to tie them together
         CURSOR_STYLE        = 'rgba(255, 64, 64, 0.75)',
@@ -131,6 +140,26 @@ function SeekBar(canvas) {
         invalidateBackground();
     };
     
+    /**
+     * Set the periods of the log to highlight with a coloured band along the top of the bar, an array of objects with
+     * fields {startTime, endTime, color}.
+     */
+    this.setBands = function(newBands) {
+        bands = newBands;
+        
+        invalidateBackground();
+    };
+    
+    /**
+     * Set the damaged regions of the log to hatch out, an array of objects with fields {startTime, endTime}, where
+     * either can be null for a region that runs off the beginning or end of the log.
+     */
+    this.setDamage = function(newDamage) {
+        damage = newDamage;
+        
+        invalidateBackground();
+    };
+    
     this.setCurrentTime = function(newTime) {
         current = newTime;
     };
@@ -206,6 +235,46 @@ function SeekBar(canvas) {
                 backgroundContext.stroke();
             }
             
+            // Paint highlighted periods, at least a pixel wide so that short ones can still be seen
+            for (var i = 0; i < bands.length; i++) {
+                var
+                    bandStartX = (bands[i].startTime - min) / pixelTimeStep + BAR_INSET,
+                    bandWidth = Math.max((bands[i].endTime - bands[i].startTime) / pixelTimeStep, 1);
+                
+                backgroundContext.fillStyle = bands[i].color;
+                backgroundContext.fillRect(bandStartX, 0, bandWidth, canvas.height / 3);
+            }
+            
+            // Hatch out damaged regions, wide enough that short ones can still be seen
+            for (i = 0; i < damage.length; i++) {
+                var
+                    damageStartX = ((damage[i].startTime === null ? min : damage[i].startTime) - min) / pixelTimeStep + BAR_INSET,
+                    damageWidth = Math.max(((damage[i].endTime === null ? max : damage[i].endTime) - min) / pixelTimeStep + BAR_INSET - damageStartX, 3),
+                    hatchX;
+                
+                backgroundContext.save();
+                
+                backgroundContext.beginPath();
+                backgroundContext.rect(damageStartX, 0, damageWidth, canvas.height);
+                backgroundContext.clip();
+                
+                backgroundContext.fillStyle = DAMAGE_BACKGROUND_STYLE;
+                backgroundContext.fillRect(damageStartX, 0, damageWidth, canvas.height);
+                
+                backgroundContext.strokeStyle = DAMAGE_HATCH_STYLE;
+                backgroundContext.lineWidth = 1;
+                backgroundContext.beginPath();
+                
+                for (hatchX = damageStartX - canvas.height; hatchX < damageStartX + damageWidth; hatchX += DAMAGE_HATCH_SPACING) {
+                    backgroundContext.moveTo(hatchX, canvas.height);
+                    backgroundContext.lineTo(hatchX + canvas.height, 0);
+                }
+                
+                backgroundContext.stroke();
+                
+                backgroundContext.restore();
+            }
+            
             // Paint in/out region
             if (inTime !== false || outTime !== false) {
                 backgroundContext.fillStyle = OUTSIDE_EXPORT_RANGE_STYLE;
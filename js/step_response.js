@@ -0,0 +1,446 @@
+"use strict";
+
+/**
+ * Estimates the step response of the rate controller on each axis for a region of a log.
+ *
+ * The setpoint (the scaled rcCommand in deg/s) is the input to the controller and the gyro rate is its output, so
+ * deconvolving the gyro by the setpoint gives the impulse response of the whole loop, and integrating that gives the
+ * response to a unit step in setpoint. The log is cut into overlapping windows which are deconvolved separately
+ * (using Wiener deconvolution, which keeps the noise at frequencies with little stick input from swamping the result)
+ * and the responses from windows that had some stick input are averaged.
+ *
+ * This is the same approach used by Plasmatree's PID-Analyzer, so results can be compared to that tool.
+ */
+function FlightLogStepResponse(flightLog) {
+    var
+        // Everything is resampled to this rate (Hz) first, which leaves plenty of detail for a response of a few ms
+        SAMPLE_RATE = 1000,
+
+        // Don't try to analyse more than this length of log at once
+        MAX_ANALYSIS_LENGTH = 300 * 1000000,
+
+        // Read this much of the log (microseconds) at a time, yielding to the browser in between
+        READ_SLICE_LENGTH = 5 * 1000000,
+
+        AXIS_NAMES = ["Roll", "Pitch", "Yaw"],
+
+        cancel = false;
+
+    /**
+     * Resample the values (logged at the given times) to a regular rate, beginning at startTime.
+     *
+     * When the log rate is higher than the new rate, all of the logged values which fall into each new sample period
+     * are averaged together (so that high frequency noise doesn't alias), otherwise we interpolate between the logged
+     * values either side of the new sample.
+     */
+    function resample(times, values, startTime, sampleCount) {
+        var
+            result = new Float64Array(sampleCount),
+            period = 1000000 / SAMPLE_RATE,
+            j = 0;
+
+        for (var i = 0; i < sampleCount; i++) {
+            var
+                sampleTime = startTime + i * period,
+                binEnd = sampleTime + period / 2,
+                sum = 0, count = 0, k;
+
+            while (j < times.length && times[j] < sampleTime - period / 2) {
+                j++;
+            }
+
+            for (k = j; k < times.length && times[k] < binEnd; k++) {
+                sum += values[k];
+                count++;
+            }
+
+            if (count > 0) {
+                result[i] = sum / count;
+            } else if (j == 0) {
+                result[i] = values[0];
+            } else if (j >= times.length) {
+                result[i] = values[times.length - 1];
+            } else {
+                result[i] = values[j - 1] + (values[j] - values[j - 1]) * (sampleTime - times[j - 1]) / (times[j] - times[j - 1]);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Estimate the step response of each axis between the given Blackbox times. This is done a piece at a time so the
+     * page stays responsive, calling onProgress(timeDone, timeTotal) as the log is read (optional) and then
+     * onComplete(results) when it's finished, unless it's cancelled first.
+     *
+     * The results are an array with an entry for each of roll, pitch and yaw, each an object with these fields:
+     *     name        - Name of the axis
+     *     sampleRate  - The rate (Hz) of the samples in the response
+     *     response    - The averaged step response as a Float64Array, or false if the region had no usable windows
+     *     windowCount - The number of windows that were averaged to get the response
+     * Along with the fields returned by FlightLogStepResponse.measure() for the response (which are null if there was
+     * no response).
+     */
+    this.calculate = function(startTime, endTime, onComplete, onProgress) {
+        var
+            setpointFieldIndexes = [], gyroFieldIndexes = [],
+            timeFieldIndex = FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME,
+
+            times = [],
+            setpoints = [[], [], []], gyros = [[], [], []],
+
+            results = [],
+            sliceStartTime = startTime,
+            sampleCount, axis;
+
+        // Collect the setpoint and gyro of the frames in the next slice of the log
+        function readSlice() {
+            var
+                sliceEndTime = Math.min(sliceStartTime + READ_SLICE_LENGTH, endTime),
+                isLastSlice = sliceEndTime >= endTime;
+
+            if (cancel) {
+                return;
+            }
+
+            flightLog.forEachChunkInTimeRange(sliceStartTime, sliceEndTime, function(chunk) {
+                for (var i = 0; i < chunk.frames.length; i++) {
+                    var
+                        frame = chunk.frames[i],
+                        frameTime = frame[timeFieldIndex];
+
+                    // Chunks can straddle slices, so only take the frames that belong to this one
+                    if (frameTime < sliceStartTime || frameTime > sliceEndTime || frameTime == sliceEndTime && !isLastSlice) {
+                        continue;
+                    }
+
+                    times.push(frameTime);
+
+                    for (var axis = 0; axis < 3; axis++) {
+                        setpoints[axis].push(frame[setpointFieldIndexes[axis]]);
+                        gyros[axis].push(frame[gyroFieldIndexes[axis]]);
+                    }
+                }
+            });
+
+            if (onProgress) {
+                onProgress(sliceEndTime - startTime, endTime - startTime);
+            }
+
+            if (isLastSlice) {
+                sampleCount = times.length > 1 ? Math.floor((times[times.length - 1] - times[0]) * SAMPLE_RATE / 1000000) + 1 : 0;
+                axis = 0;
+
+                setTimeout(estimateAxis, 0);
+            } else {
+                sliceStartTime = sliceEndTime;
+
+                setTimeout(readSlice, 0);
+            }
+        }
+
+        function estimateAxis() {
+            var
+                estimate, result, metrics;
+
+            if (cancel) {
+                return;
+            }
+
+            estimate = sampleCount > 0 ? FlightLogStepResponse.estimate(
+                resample(times, setpoints[axis], times[0], sampleCount),
+                resample(times, gyros[axis], times[0], sampleCount),
+                SAMPLE_RATE
+            ) : false;
+
+            result = {
+                name: AXIS_NAMES[axis],
+                sampleRate: SAMPLE_RATE,
+                response: estimate ? estimate.response : false,
+                windowCount: estimate ? estimate.windowCount : 0
+            };
+
+            metrics = FlightLogStepResponse.measure(result.response || [], SAMPLE_RATE);
+
+            for (var key in metrics) {
+                result[key] = metrics[key];
+            }
+
+            results.push(result);
+            axis++;
+
+            if (axis < 3) {
+                setTimeout(estimateAxis, 0);
+            } else {
+                onComplete(results);
+            }
+        }
+
+        cancel = false;
+        endTime = Math.min(endTime, startTime + MAX_ANALYSIS_LENGTH);
+
+        for (axis = 0; axis < 3; axis++) {
+            setpointFieldIndexes.push(flightLog.getMainFieldIndexByName("rcCommands[" + axis + "]"));
+            gyroFieldIndexes.push(flightLog.getMainFieldIndexByName("gyroADCs[" + axis + "]"));
+        }
+
+        setTimeout(readSlice, 0);
+    };
+
+    /**
+     * Stop the calculation that's in progress, if any. Its onComplete won't be called.
+     */
+    this.cancel = function() {
+        cancel = true;
+    };
+}
+
+/**
+ * Estimate the step response of a system given its input and output signals, which are arrays sampled at sampleRate
+ * (Hz).
+ *
+ * Returns an object with the averaged step response as a Float64Array in "response" and the number of windows which
+ * went into it in "windowCount", or false if the signals didn't contain any windows with enough input to use.
+ */
+FlightLogStepResponse.estimate = function(input, output, sampleRate) {
+    var
+        // Length of each window of the log that's deconvolved (seconds)
+        WINDOW_LENGTH = 1.0,
+        // Windows begin at this fraction of the window length apart
+        WINDOW_STEP = 1 / 4,
+        // Length of the step response that's kept (seconds)
+        RESPONSE_LENGTH = 0.5,
+        // Windows where the input never exceeds this are skipped, since there's no step in them to respond to
+        MIN_INPUT = 20,
+        // Frequencies above this (Hz) are considered to be noise rather than part of the response
+        CUTOFF_FREQUENCY = 25,
+
+        windowLength = Math.round(WINDOW_LENGTH * sampleRate),
+        windowStep = Math.max(Math.round(windowLength * WINDOW_STEP), 1),
+        responseLength = Math.min(Math.round(RESPONSE_LENGTH * sampleRate), windowLength),
+
+        fftLength = 1,
+
+        fft, inverseFFT,
+        windowFunction, noise,
+        inputBuffer, outputBuffer, inputSpectrum, outputSpectrum, impulse,
+
+        response = new Float64Array(responseLength),
+        windowCount = 0,
+
+        i;
+
+    if (input.length < windowLength) {
+        return false;
+    }
+
+    while (fftLength < windowLength) {
+        fftLength *= 2;
+    }
+
+    fft = new FFT.complex(fftLength, false);
+    inverseFFT = new FFT.complex(fftLength, true);
+
+    inputBuffer = new Float64Array(fftLength);
+    outputBuffer = new Float64Array(fftLength);
+    inputSpectrum = new Float64Array(fftLength * 2);
+    outputSpectrum = new Float64Array(fftLength * 2);
+    impulse = new Float64Array(fftLength * 2);
+
+    // Hann window to taper the ends of each window of the log
+    windowFunction = new Float64Array(windowLength);
+    for (i = 0; i < windowLength; i++) {
+        windowFunction[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (windowLength - 1)));
+    }
+
+    /*
+     * The Wiener filter's noise term for each frequency bin. This is small below the cutoff frequency and huge above it
+     * (with a smooth transition in between), so the deconvolution only recovers the low frequency part of the response.
+     */
+    noise = (function() {
+        var
+            halfLength = fftLength / 2 + 1,
+            mask = new Float64Array(halfLength),
+            smoothed = new Float64Array(halfLength),
+            result = new Float64Array(fftLength),
+            passBins = 0,
+            sigma, kernelRadius, minMask = Infinity, maxMask = -Infinity,
+            i, j;
+
+        for (i = 0; i < halfLength; i++) {
+            if (i * sampleRate / fftLength >= CUTOFF_FREQUENCY) {
+                mask[i] = 1;
+            } else {
+                passBins += 2; // The negative frequency bins pass too
+            }
+        }
+
+        sigma = Math.max(passBins / 6, 1);
+        kernelRadius = Math.ceil(sigma * 4);
+
+        for (i = 0; i < halfLength; i++) {
+            var
+                sum = 0, weightSum = 0;
+
+            for (j = -kernelRadius; j <= kernelRadius; j++) {
+                var
+                    weight = Math.exp(-j * j / (2 * sigma * sigma));
+
+                sum += weight * mask[Math.min(Math.max(i + j, 0), halfLength - 1)];
+                weightSum += weight;
+            }
+
+            smoothed[i] = sum / weightSum;
+            minMask = Math.min(minMask, smoothed[i]);
+            maxMask = Math.max(maxMask, smoothed[i]);
+        }
+
+        for (i = 0; i < fftLength; i++) {
+            var
+                bin = Math.min(i, fftLength - i),
+                level = maxMask > minMask ? (smoothed[bin] - minMask) / (maxMask - minMask) : 0;
+
+            result[i] = 1 / (10 * (1 - level + 1e-9));
+        }
+
+        return result;
+    })();
+
+    for (var start = 0; start + windowLength <= input.length; start += windowStep) {
+        var
+            maxInput = 0,
+            sum;
+
+        for (i = 0; i < windowLength; i++) {
+            maxInput = Math.max(maxInput, Math.abs(input[start + i]));
+        }
+
+        if (maxInput < MIN_INPUT) {
+            continue;
+        }
+
+        for (i = 0; i < windowLength; i++) {
+            inputBuffer[i] = input[start + i] * windowFunction[i];
+            outputBuffer[i] = output[start + i] * windowFunction[i];
+        }
+
+        fft.simple(inputSpectrum, inputBuffer, 'real');
+        fft.simple(outputSpectrum, outputBuffer, 'real');
+
+        // Divide the output spectrum by the input spectrum, regularised by the noise term
+        for (i = 0; i < fftLength; i++) {
+            var
+                inputRe = inputSpectrum[i * 2], inputIm = inputSpectrum[i * 2 + 1],
+                outputRe = outputSpectrum[i * 2], outputIm = outputSpectrum[i * 2 + 1],
+                denominator = inputRe * inputRe + inputIm * inputIm + noise[i];
+
+            impulse[i * 2] = (outputRe * inputRe + outputIm * inputIm) / denominator;
+            impulse[i * 2 + 1] = (outputIm * inputRe - outputRe * inputIm) / denominator;
+        }
+
+        inverseFFT.simple(impulse, impulse, 'complex');
+
+        // Integrate the impulse response to get the step response
+        sum = 0;
+        for (i = 0; i < responseLength; i++) {
+            sum += impulse[i * 2] / fftLength;
+            response[i] += sum;
+        }
+
+        windowCount++;
+    }
+
+    if (windowCount == 0) {
+        return false;
+    }
+
+    for (i = 0; i < responseLength; i++) {
+        response[i] /= windowCount;
+    }
+
+    return {
+        response: response,
+        windowCount: windowCount
+    };
+};
+
+/**
+ * Measure the usual characteristics of a step response, sampled at sampleRate (Hz).
+ *
+ * Returns an object with these fields (which are null if the response was empty or never rose):
+ *     steadyState  - The value the response settles at (1.0 if the output tracks the input exactly)
+ *     riseTime     - Time in milliseconds for the response to rise from 10% to 90% of the steady state value
+ *     peakTime     - Time in milliseconds of the highest point of the response
+ *     overshoot    - Percentage by which the peak of the response exceeds the steady state value
+ *     settlingTime - Time in milliseconds after which the response stays within 5% of the steady state value
+ */
+FlightLogStepResponse.measure = function(response, sampleRate) {
+    var
+        // The steady state value is the average of this final portion of the response
+        STEADY_STATE_PORTION = 0.2,
+        SETTLING_BAND = 0.05,
+
+        result = {
+            steadyState: null,
+            riseTime: null,
+            peakTime: null,
+            overshoot: null,
+            settlingTime: null
+        },
+
+        steadyStateStart = Math.floor(response.length * (1 - STEADY_STATE_PORTION)),
+        steadyState = 0,
+        peakIndex = 0,
+        riseStart = null, riseEnd = null,
+        settledIndex = 0,
+        i;
+
+    if (response.length == 0) {
+        return result;
+    }
+
+    for (i = steadyStateStart; i < response.length; i++) {
+        steadyState += response[i];
+    }
+    steadyState /= response.length - steadyStateStart;
+
+    if (!(steadyState > 0)) {
+        return result;
+    }
+
+    /**
+     * Find the time (in samples) at which the response first reaches the given level, interpolating between samples.
+     */
+    function findCrossing(level) {
+        for (var i = 0; i < response.length; i++) {
+            if (response[i] >= level) {
+                if (i == 0) {
+                    return 0;
+                }
+                return i - 1 + (level - response[i - 1]) / (response[i] - response[i - 1]);
+            }
+        }
+        return null;
+    }
+
+    riseStart = findCrossing(0.1 * steadyState);
+    riseEnd = findCrossing(0.9 * steadyState);
+
+    for (i = 0; i < response.length; i++) {
+        if (response[i] > response[peakIndex]) {
+            peakIndex = i;
+        }
+
+        if (Math.abs(response[i] - steadyState) > SETTLING_BAND * steadyState) {
+            settledIndex = i + 1;
+        }
+    }
+
+    result.steadyState = steadyState;
+    result.riseTime = riseStart !== null && riseEnd !== null ? (riseEnd - riseStart) * 1000 / sampleRate : null;
+    result.peakTime = peakIndex * 1000 / sampleRate;
+    result.overshoot = Math.max(response[peakIndex] - steadyState, 0) / steadyState * 100;
+    result.settlingTime = settledIndex * 1000 / sampleRate;
+
+    return result;
+};
@@ -0,0 +1,188 @@
+"use strict";
+
+/**
+ * Plots the step responses estimated by FlightLogStepResponse on the given canvas, one curve per axis, along with
+ * the rise time, overshoot and settling time of each.
+ */
+function StepResponsePlot(canvas) {
+    var
+        that = this,
+
+        // Results from FlightLogStepResponse.calculate(), or false if there's nothing to draw
+        responses = false,
+
+        // A message to show in place of the plot (e.g. while there's no data)
+        message = false,
+
+        canvasContext = canvas.getContext("2d"),
+
+        DEFAULT_FONT_FACE = "Verdana, Arial, sans-serif",
+
+        BACKGROUND_STYLE = 'rgba(0, 0, 0, 0.7)',
+        GRID_STYLE = 'rgba(255, 255, 255, 0.25)',
+        TARGET_STYLE = 'rgba(255, 255, 255, 0.6)',
+        LABEL_STYLE = 'rgba(255, 255, 255, 0.9)',
+
+        // Roll, pitch, yaw, the same colours the example graphs use for those axes
+        AXIS_STYLES = [GraphConfig.PALETTE[0].color, GraphConfig.PALETTE[1].color, GraphConfig.PALETTE[2].color],
+
+        // The response axis always shows at least this range, but will grow to fit a larger overshoot
+        MIN_RESPONSE_SCALE = 1.5,
+
+        MARGIN = 10,
+        LINE_HEIGHT = 14;
+
+    function drawLabel(text, x, y, align, style) {
+        canvasContext.fillStyle = style || LABEL_STYLE;
+        canvasContext.textAlign = align || 'left';
+        canvasContext.fillText(text, x, y);
+    }
+
+    function describeResponse(response) {
+        if (!response.response) {
+            return response.name + ": not enough stick input";
+        }
+
+        return response.name
+            + ": rise " + (response.riseTime !== null ? response.riseTime.toFixed(0) + "ms" : "-")
+            + ", overshoot " + (response.overshoot !== null ? response.overshoot.toFixed(0) + "%" : "-")
+            + ", settling " + (response.settlingTime !== null ? response.settlingTime.toFixed(0) + "ms" : "-")
+            + ", gain " + (response.steadyState !== null ? response.steadyState.toFixed(2) : "-");
+    }
+
+    this.resize = function(width, height) {
+        var ratio = window.devicePixelRatio ? window.devicePixelRatio : 1;
+
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+
+        // The backing store is scaled up for HiDPI displays, but the canvas still takes up width x height on the page
+        canvas.style.width = width + "px";
+        canvas.style.height = height + "px";
+
+        that.repaint();
+    };
+
+    /**
+     * Set the results of FlightLogStepResponse.calculate() to plot.
+     */
+    this.setResponses = function(newResponses) {
+        responses = newResponses;
+        message = false;
+
+        that.repaint();
+    };
+
+    /**
+     * Show the given message instead of a plot.
+     */
+    this.setMessage = function(newMessage) {
+        responses = false;
+        message = newMessage;
+
+        that.repaint();
+    };
+
+    this.repaint = function() {
+        var
+            ratio = window.devicePixelRatio ? window.devicePixelRatio : 1,
+            margin = MARGIN * ratio,
+            lineHeight = LINE_HEIGHT * ratio,
+            plotLeft, plotTop, plotWidth, plotHeight,
+            responseLength = 0, sampleRate = 1000, responseScale = MIN_RESPONSE_SCALE,
+            i, j;
+
+        if (canvas.width == 0 || canvas.height == 0)
+            return;
+
+        canvasContext.clearRect(0, 0, canvas.width, canvas.height);
+
+        canvasContext.fillStyle = BACKGROUND_STYLE;
+        canvasContext.fillRect(0, 0, canvas.width, canvas.height);
+
+        canvasContext.font = (8 * ratio) + "pt " + DEFAULT_FONT_FACE;
+
+        drawLabel("Step response", margin, margin + lineHeight / 2);
+
+        if (!responses) {
+            if (message) {
+                drawLabel(message, canvas.width / 2, canvas.height / 2, 'center');
+            }
+            return;
+        }
+
+        // Leave room for the title at the top and the results of each axis below the plot
+        plotLeft = margin;
+        plotTop = margin + lineHeight;
+        plotWidth = canvas.width - margin * 2;
+        plotHeight = canvas.height - plotTop - margin - lineHeight * (responses.length + 1);
+
+        for (i = 0; i < responses.length; i++) {
+            if (responses[i].response) {
+                responseLength = Math.max(responseLength, responses[i].response.length);
+                sampleRate = responses[i].sampleRate;
+
+                for (j = 0; j < responses[i].response.length; j++) {
+                    responseScale = Math.max(responseScale, responses[i].response[j] * 1.1);
+                }
+            }
+        }
+
+        // Grid lines every 100ms, with the time axis labelled underneath
+        canvasContext.lineWidth = 1;
+        canvasContext.strokeStyle = GRID_STYLE;
+        canvasContext.beginPath();
+
+        for (var time = 0; responseLength > 0 && time <= responseLength * 1000 / sampleRate; time += 100) {
+            var
+                x = plotLeft + time / (responseLength * 1000 / sampleRate) * plotWidth;
+
+            canvasContext.moveTo(x, plotTop);
+            canvasContext.lineTo(x, plotTop + plotHeight);
+
+            drawLabel(time + "ms", x, plotTop + plotHeight + lineHeight * 0.8, time == 0 ? 'left' : 'center');
+        }
+
+        canvasContext.moveTo(plotLeft, plotTop + plotHeight);
+        canvasContext.lineTo(plotLeft + plotWidth, plotTop + plotHeight);
+        canvasContext.stroke();
+
+        // The ideal response, which tracks the setpoint exactly
+        canvasContext.strokeStyle = TARGET_STYLE;
+        canvasContext.setLineDash([4 * ratio, 4 * ratio]);
+        canvasContext.beginPath();
+        canvasContext.moveTo(plotLeft, plotTop + plotHeight * (1 - 1 / responseScale));
+        canvasContext.lineTo(plotLeft + plotWidth, plotTop + plotHeight * (1 - 1 / responseScale));
+        canvasContext.stroke();
+        canvasContext.setLineDash([]);
+
+        canvasContext.lineWidth = 1.5 * ratio;
+
+        for (i = 0; i < responses.length; i++) {
+            var
+                response = responses[i].response;
+
+            if (response) {
+                canvasContext.strokeStyle = AXIS_STYLES[i % AXIS_STYLES.length];
+                canvasContext.beginPath();
+
+                for (j = 0; j < response.length; j++) {
+                    var
+                        pointX = plotLeft + j / (responseLength - 1) * plotWidth,
+                        pointY = plotTop + plotHeight * (1 - constrain(response[j], 0, responseScale) / responseScale);
+
+                    if (j == 0) {
+                        canvasContext.moveTo(pointX, pointY);
+                    } else {
+                        canvasContext.lineTo(pointX, pointY);
+                    }
+                }
+
+                canvasContext.stroke();
+            }
+
+            drawLabel(describeResponse(responses[i]), margin, plotTop + plotHeight + lineHeight * (i + 2),
+                'left', AXIS_STYLES[i % AXIS_STYLES.length]);
+        }
+    };
+}
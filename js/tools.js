@@ -32,6 +32,21 @@ function asciiStringToByteArray(s) {
     return bytes;
 }
 
+/**
+ * Decode the Base64 data of the given data URL (e.g. from canvas.toDataURL()) into a Uint8Array.
+ */
+function dataURLToBytes(url) {
+    var
+        binary = atob(url.substring(url.indexOf(",") + 1)),
+        result = new Uint8Array(binary.length);
+
+    for (var i = 0; i < binary.length; i++) {
+        result[i] = binary.charCodeAt(i);
+    }
+
+    return result;
+}
+
 function signExtend24Bit(u) {
     //If sign bit is set, fill the top bits with 1s to sign-extend
     return (u & 0x800000) ? (u | 0xFF000000) : u;
@@ -249,6 +264,16 @@ function formatTime(msec, displayMsec) {
         + (displayMsec ? "." + leftPad(ms, "0", 3) : "");
 }
 
+/**
+ * Describe the part of a log between startTime and endTime (Blackbox times), as its start and end relative to the
+ * logStartTime followed by its length.
+ */
+function formatTimeRange(logStartTime, startTime, endTime) {
+    return formatTime((startTime - logStartTime) / 1000, false)
+        + " - " + formatTime((endTime - logStartTime) / 1000, false)
+        + " [" + formatTime(Math.ceil((endTime - startTime) / 1000), false) + "]";
+}
+
 function stringLoopTime(loopTime, pid_process_denom, unsynced_fast_pwm, motor_pwm_rate) {
     var returnString = '';
     if(loopTime!=null) {
@@ -280,6 +305,57 @@ function stringTimetoMsec(input) {
         }
 }
 
+/**
+ * List the header settings (sysConfig values) which differ between two logs, sorted by name, as an array of
+ * {name, a, b, unknown} where a or b is undefined if that log doesn't have the setting at all.
+ *
+ * The headers the parser didn't recognise (unknownHeaders) are compared by name too, and flagged with unknown: true.
+ */
+function diffSysConfig(sysConfigA, sysConfigB) {
+    var
+        differences = [];
+    
+    function compareValues(valuesA, valuesB, unknown) {
+        var
+            names = {},
+            name;
+        
+        for (name in valuesA) {
+            names[name] = true;
+        }
+        for (name in valuesB) {
+            names[name] = true;
+        }
+        
+        for (name in names) {
+            if ((unknown || name != "unknownHeaders") && JSON.stringify(valuesA[name]) !== JSON.stringify(valuesB[name])) {
+                differences.push({name: name, a: valuesA[name], b: valuesB[name], unknown: unknown});
+            }
+        }
+    }
+    
+    function unknownHeaderValues(sysConfig) {
+        var
+            values = {},
+            headers = sysConfig.unknownHeaders || [];
+        
+        for (var i = 0; i < headers.length; i++) {
+            values[headers[i].name] = headers[i].value;
+        }
+        
+        return values;
+    }
+    
+    compareValues(sysConfigA, sysConfigB, false);
+    compareValues(unknownHeaderValues(sysConfigA), unknownHeaderValues(sysConfigB), true);
+    
+    differences.sort(function(x, y) {
+        return x.name.localeCompare(y.name);
+    });
+    
+    return differences;
+}
+
 function constrain(value, min, max) {
     return Math.max(min, Math.min(value, max));
 }
@@ -324,7 +400,7 @@ function roundRect(ctx, x, y, width, height, radius, fill, stroke) {
 
 var mouseNotification = {
     enabled: true,
-    elem: $('.mouseNotification'),
+    elem: null, // Looked up on first use so that this file can be loaded without a DOM
     timeout: null,
     show: function(target, x, y, message, delay, messageClass, align, margin) {
 
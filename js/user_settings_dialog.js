@@ -44,6 +44,7 @@ function UserSettingsDialog(dialog, onLoad, onSave) {
 		stickTrails			: false,			// Show stick trails?
 		stickInvertYaw		: false,			// Invert yaw in stick display?
         legendUnits			: true,	            // Show units on legend?
+		recoveryMode		: false,			// Open logs with the parser in recovery mode (see FlightLogParser.recoveryMode)
 		gapless				: false,
 		drawCraft			: "3D", 
 		drawPidTable		: true, 
@@ -58,6 +59,9 @@ function UserSettingsDialog(dialog, onLoad, onSave) {
         graphGridOverride   : false, 			// Ability to toggle Expo off=normal/ on=force 100%
 		analyserSampleRate	: 2000/*Hz*/,  		// the loop time for the log
 		analyserHanning	    : false,  			// use a hanning window on the analyser sample data
+		analyserWindow		: 'hann',			// window function for the analyser PSD (hann, blackman-harris or flattop)
+		analyserAmplitudeScale : 'linear',		// amplitude axis of the analyser PSD (linear or db)
+		analyserLogFrequency : false,			// use a logarithmic frequency axis for the analyser PSD
 		eraseBackground		: true,           	// Set to false if you want the graph to draw on top of an existing canvas image
 		craft				: {
 									left  : '15%',	// position from left (as a percentage of width)
@@ -291,10 +295,26 @@ function UserSettingsDialog(dialog, onLoad, onSave) {
 		currentSettings.analyserHanning = $(this).is(":checked");
 	});
 
+	$(".analyser-log-frequency").click(function() {
+		currentSettings.analyserLogFrequency = $(this).is(":checked");
+	});
+
+	$(".analyser-window").change(function() {
+		currentSettings.analyserWindow = $(this).val();
+	});
+
+	$(".analyser-amplitude-scale").change(function() {
+		currentSettings.analyserAmplitudeScale = $(this).val();
+	});
+
     $(".legend-units").click(function() {
         currentSettings.legendUnits = $(this).is(":checked");
     });
 
+    $(".recovery-mode").click(function() {
+        currentSettings.recoveryMode = $(this).is(":checked");
+    });
+
     // Load Custom Logo
     function readURL(input) {
         if (input.files && input.files[0]) {
@@ -361,11 +381,24 @@ function UserSettingsDialog(dialog, onLoad, onSave) {
 				$(".analyser-hanning").prop('checked', currentSettings.analyserHanning);
 			}
 
+			if(currentSettings.analyserLogFrequency!=null) {
+				// set the toggle switch
+				$(".analyser-log-frequency").prop('checked', currentSettings.analyserLogFrequency);
+			}
+
+			$(".analyser-window").val(currentSettings.analyserWindow || 'hann');
+			$(".analyser-amplitude-scale").val(currentSettings.analyserAmplitudeScale || 'linear');
+
 			if(currentSettings.legendUnits!=null) {
 				// set the toggle switch
 				$(".legend-units").prop('checked', currentSettings.legendUnits);
 			}
 
+			if(currentSettings.recoveryMode!=null) {
+				// set the toggle switch
+				$(".recovery-mode").prop('checked', currentSettings.recoveryMode);
+			}
+
 
         mixerListSelection(currentSettings.mixerConfiguration); // select current mixer configuration
     		stickModeSelection(currentSettings.stickMode);
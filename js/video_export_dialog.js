@@ -1,16 +1,34 @@
 "use strict";
 
-function VideoExportDialog(dialog, onSave) {
+/**
+ * Dialog for exporting the log as a video using FlightLogVideoRenderer.
+ *
+ * onSave is called with the chosen video options so the host can remember them for next time. The progress of the
+ * export is kept in prefs (a PrefStorage) so that an export which was interrupted can be resumed, along with the OSD
+ * overlay layouts the user has saved as presets.
+ */
+function VideoExportDialog(dialog, onSave, prefs) {
     var
         DIALOG_MODE_SETTINGS = 0,
         DIALOG_MODE_IN_PROGRESS = 1,
         DIALOG_MODE_COMPLETE = 2,
+
+        EXPORT_STATE_PREF = 'videoExportState',
+        OSD_PRESETS_PREF = 'osdLayoutPresets',
         
         currentGraphConfig,
         flightLogDataArray,
         dialogMode,
         
         videoRenderer = false,
+
+        // Saved renderer state of an interrupted export of the current log which can be resumed, or null
+        resumeState = null,
+
+        // The user's own OSD layouts ({name, layout}), in addition to FlightLogOSD.PRESETS
+        osdPresets = [],
+        osdPresetPicker = $(".video-osd-preset", dialog),
+        osdWidgetsTable = $(".video-osd-widgets", dialog),
         
         videoDuration = $(".video-duration", dialog),
         progressBar = $("progress", dialog),
@@ -73,6 +91,8 @@ function VideoExportDialog(dialog, onSave) {
             .addClass(settingClasses[mode]);
         
         $(".video-export-dialog-start").toggle(mode == DIALOG_MODE_SETTINGS);
+        $(".video-export-dialog-resume").toggle(mode == DIALOG_MODE_SETTINGS && !!resumeState);
+        $(".video-export-resume-note", dialog).toggle(mode == DIALOG_MODE_SETTINGS && !!resumeState);
         $(".video-export-dialog-cancel").toggle(mode != DIALOG_MODE_COMPLETE);
         $(".video-export-dialog-close").toggle(mode == DIALOG_MODE_COMPLETE);
         
@@ -91,7 +111,83 @@ function VideoExportDialog(dialog, onSave) {
         $(".modal-title", dialog).text(title);
     }
 
+    /**
+     * The flight video isn't drawn behind a PNG sequence, so hide the settings for it.
+     */
+    function updateFormatControls() {
+        var
+            isPNG = $(".video-format", dialog).val() == 'png';
+
+        $(".video-dim-section", dialog).toggle(!isPNG);
+        $(".jumpy-video-note", dialog).toggle(!isPNG && !!that.logParameters.flightVideo);
+        $(".video-format-png-note", dialog).toggle(isPNG);
+    }
+
+    function renderOSDPresets(selectedValue) {
+        var
+            i;
+
+        osdPresetPicker.empty();
+        osdPresetPicker.append($('<option value="">Choose a layout...</option>'));
+
+        for (i = 0; i < FlightLogOSD.PRESETS.length; i++) {
+            osdPresetPicker.append($("<option>").text(FlightLogOSD.PRESETS[i].name).attr("value", "builtin:" + i));
+        }
+        for (i = 0; i < osdPresets.length; i++) {
+            osdPresetPicker.append($("<option>").text(osdPresets[i].name).attr("value", "saved:" + i));
+        }
+
+        osdPresetPicker.val(selectedValue || "");
+    }
+
+    function renderOSDWidgets() {
+        for (var i = 0; i < FlightLogOSD.WIDGETS.length; i++) {
+            var
+                widget = FlightLogOSD.WIDGETS[i],
+                row = $(
+                    '<tr>'
+                        + '<td><label><input type="checkbox" class="video-osd-widget-show"> <span></span></label></td>'
+                        + '<td><input type="number" class="form-control video-osd-widget-left" min="0" max="100"></td>'
+                        + '<td><input type="number" class="form-control video-osd-widget-top" min="0" max="100"></td>'
+                    + '</tr>'
+                );
+
+            row.attr("data-widget", widget.name);
+            $("label span", row).text(widget.label);
+
+            osdWidgetsTable.append(row);
+        }
+    }
+
+    function populateOSDLayout(layout) {
+        $("tr[data-widget]", osdWidgetsTable).each(function() {
+            var
+                widget = (layout || {})[$(this).attr("data-widget")] || {show: false, left: 0, top: 0};
+
+            $(".video-osd-widget-show", this).prop("checked", !!widget.show);
+            $(".video-osd-widget-left", this).val(widget.left);
+            $(".video-osd-widget-top", this).val(widget.top);
+        });
+    }
+
+    function convertUIToOSDLayout() {
+        var
+            layout = {};
+
+        $("tr[data-widget]", osdWidgetsTable).each(function() {
+            layout[$(this).attr("data-widget")] = {
+                show: $(".video-osd-widget-show", this).is(":checked"),
+                left: Math.min(Math.max(parseFloat($(".video-osd-widget-left", this).val()) || 0, 0), 100),
+                top: Math.min(Math.max(parseFloat($(".video-osd-widget-top", this).val()) || 0, 0), 100)
+            };
+        });
+
+        return layout;
+    }
+
     function populateConfig(videoConfig) {
+        $(".video-format", dialog).val(videoConfig.format || 'webm');
+
         if (videoConfig.frameRate) {
             $(".video-frame-rate").val(videoConfig.frameRate);
         }
@@ -109,21 +205,28 @@ function VideoExportDialog(dialog, onSave) {
         if (videoConfig.width) {
             $(".video-resolution").val(videoConfig.width + "x" + videoConfig.height);
         }
+
+        populateOSDLayout(videoConfig.osdLayout);
+        osdPresetPicker.val("");
     }
     
     function convertUIToVideoConfig() {
         var 
             videoConfig = {
                 frameRate: parseInt($(".video-frame-rate", dialog).val(), 10),
-                videoDim: parseFloat($(".video-dim", dialog).val())
+                videoDim: parseFloat($(".video-dim", dialog).val()),
+                format: $(".video-format", dialog).val()
             },
-            resolution;
+            resolution, osdLayout;
         
         resolution = $(".video-resolution", dialog).val();
         
         videoConfig.width = parseInt(resolution.split("x")[0], 10);
         videoConfig.height = parseInt(resolution.split("x")[1], 10);
 
+        osdLayout = convertUIToOSDLayout();
+        videoConfig.osdLayout = FlightLogOSD.isLayoutEmpty(osdLayout) ? false : osdLayout;
+
         return videoConfig;
     }
 
@@ -140,35 +243,58 @@ function VideoExportDialog(dialog, onSave) {
         
         videoDuration.text(formatTime(Math.round((logParameters.outTime - logParameters.inTime) / 1000000)));
         
-        $(".jumpy-video-note").toggle(!!logParameters.flightVideo);
-        
         dialog.modal('show');
         
         this.flightLog = flightLog;
         this.logParameters = logParameters;
         
         populateConfig(videoConfig);
+        updateFormatControls();
+
+        // Offer to resume an export of this log which didn't finish
+        prefs.get(EXPORT_STATE_PREF, function(state) {
+            if (state && state.key == FlightLogVideoRenderer.describeExport(logParameters, state.videoOptions)) {
+                resumeState = state;
+
+                $(".video-export-resume-progress", dialog).text(state.completedSegments + " of " + state.segmentCount);
+            } else {
+                resumeState = null;
+            }
+
+            if (dialogMode == DIALOG_MODE_SETTINGS) {
+                setDialogMode(DIALOG_MODE_SETTINGS);
+            }
+        });
     };
- 
-    $(".video-export-dialog-start").click(function(e) {
+
+    /**
+     * Begin the export with the given video options, or resume it from the given renderer state if it's not null.
+     */
+    function startExport(videoConfig, state) {
         var
-            lastWrittenBytes = 0,
-            videoConfig = convertUIToVideoConfig();
+            lastWrittenBytes = 0;
         
         // Send our video config to our host to be saved for next time:
         onSave(videoConfig);
         
         videoRenderer = new FlightLogVideoRenderer(that.flightLog, that.logParameters, videoConfig, {
             onProgress: function(frameIndex, frameCount) {
+                var
+                    // Only count the frames we've rendered since we started (not those rendered before we resumed)
+                    startFrameIndex = videoRenderer.getStartFrameIndex(),
+                    renderedFrames = frameIndex - startFrameIndex;
+
                 progressBar.prop('max', frameCount - 1);
                 progressBar.prop('value', frameIndex);
                 
                 progressRenderedFrames.text((frameIndex + 1) + " / " + frameCount + " (" + ((frameIndex + 1) / frameCount * 100).toFixed(1) + "%)");
                 
-                if (frameIndex > 0) {
+                if (frameIndex >= frameCount) {
+                    progressRemaining.text("Finishing the video file...");
+                } else if (renderedFrames > 0) {
                     var
                         elapsedTimeMsec = Date.now() - renderStartTime,
-                        estimatedTimeMsec = elapsedTimeMsec * frameCount / frameIndex;
+                        estimatedTimeMsec = elapsedTimeMsec * (frameCount - startFrameIndex) / renderedFrames;
                     
                     if (lastEstimatedTimeMsec === false) {
                         lastEstimatedTimeMsec = estimatedTimeMsec; 
@@ -183,7 +309,7 @@ function VideoExportDialog(dialog, onSave) {
                     
                     var
                         writtenBytes = videoRenderer.getWrittenSize(),
-                        estimatedBytes = Math.round(frameCount / frameIndex * writtenBytes);
+                        estimatedBytes = Math.round(frameCount / renderedFrames * writtenBytes);
                     
                     /* 
                      * Only update the filesize estimate when a block is written (avoids the estimated filesize slowly 
@@ -200,6 +326,9 @@ function VideoExportDialog(dialog, onSave) {
                     }
                 }
             },
+            onStateChange: function(state) {
+                prefs.set(EXPORT_STATE_PREF, state);
+            },
             onComplete: function(success, frameCount) {
                 if (success) {
                     $(".video-export-result").text("Rendered " + frameCount + " frames in " + formatTime(Math.round((Date.now() - renderStartTime) / 1000)));
@@ -224,10 +353,67 @@ function VideoExportDialog(dialog, onSave) {
         
         renderStartTime = Date.now();
         lastEstimatedTimeMsec = false;
-        videoRenderer.start();
+        videoRenderer.start(state);
+    }
+
+    $(".video-format", dialog).change(updateFormatControls);
+
+    osdPresetPicker.change(function() {
+        var
+            parts = $(this).val().split(":"),
+            preset = parts[0] == "builtin" ? FlightLogOSD.PRESETS[parts[1]] : osdPresets[parts[1]];
+
+        if (preset) {
+            populateOSDLayout(preset.layout);
+        }
+    });
+
+    // Changing the layout by hand means it's no longer the chosen preset
+    osdWidgetsTable.on("change", "input", function() {
+        osdPresetPicker.val("");
+    });
+
+    $(".video-osd-preset-save", dialog).click(function(e) {
+        var
+            name = $.trim($(".video-osd-preset-name", dialog).val()),
+            index;
+
+        e.preventDefault();
+
+        if (name.length == 0) {
+            alert("Please give the layout a name to save it as");
+            return;
+        }
+
+        // Saving with the name of an existing preset replaces it
+        for (index = 0; index < osdPresets.length; index++) {
+            if (osdPresets[index].name == name) {
+                break;
+            }
+        }
+
+        osdPresets[index] = {name: name, layout: convertUIToOSDLayout()};
+
+        prefs.set(OSD_PRESETS_PREF, osdPresets);
+
+        renderOSDPresets("saved:" + index);
+        $(".video-osd-preset-name", dialog).val("");
+    });
+ 
+    $(".video-export-dialog-start").click(function(e) {
+        startExport(convertUIToVideoConfig(), null);
         
         e.preventDefault();
     });
+
+    $(".video-export-dialog-resume").click(function(e) {
+        populateConfig(resumeState.videoOptions);
+        updateFormatControls();
+
+        startExport(resumeState.videoOptions, resumeState);
+
+        e.preventDefault();
+    });
     
     $(".video-export-dialog-cancel").click(function(e) {
         if (videoRenderer) {
@@ -239,4 +425,14 @@ function VideoExportDialog(dialog, onSave) {
         show: false,
         backdrop: "static" // Don't allow a click on the backdrop to close the dialog
     });
+
+    renderOSDWidgets();
+    renderOSDPresets();
+
+    prefs.get(OSD_PRESETS_PREF, function(item) {
+        if (item) {
+            osdPresets = item;
+            renderOSDPresets(osdPresetPicker.val());
+        }
+    });
 }
\ No newline at end of file
@@ -0,0 +1,213 @@
+"use strict";
+
+/**
+ * Storage for the segments of a video export, each an array of encoded frames (Uint8Arrays of WebP or PNG images), so
+ * that an export which was interrupted can be resumed from its last finished segment.
+ *
+ * Segments are kept in the browser's sandboxed file system so they survive the app being closed. If that isn't
+ * available then isPersistent() is false and the export should be written straight through to its file instead, since
+ * it couldn't be resumed anyway.
+ *
+ * fileSystem - File system to keep the segments in (optional, the browser's temporary file system is used by default)
+ */
+function VideoSegmentStore(fileSystem) {
+    var
+        DIRECTORY_NAME = "video-export-segments",
+
+        directory = null;   // Where the segments are kept in the file system, null if we don't have one
+
+    function segmentFileName(index) {
+        return "segment-" + leftPad(index, "0", 5) + ".bin";
+    }
+
+    function openDirectory() {
+        return new Promise(function(resolve, reject) {
+            fileSystem.root.getDirectory(DIRECTORY_NAME, {create: true}, function(entry) {
+                directory = entry;
+                resolve();
+            }, reject);
+        });
+    }
+
+    function getSegmentFile(index, create) {
+        return new Promise(function(resolve, reject) {
+            directory.getFile(segmentFileName(index), {create: create}, resolve, reject);
+        });
+    }
+
+    function requestFileSystem() {
+        if (fileSystem) {
+            return Promise.resolve();
+        }
+
+        var
+            request = window.requestFileSystem || window.webkitRequestFileSystem;
+
+        if (!request) {
+            return Promise.reject("The browser has no file system to store video segments in");
+        }
+
+        return new Promise(function(resolve, reject) {
+            request.call(window, window.TEMPORARY, 0, function(newFileSystem) {
+                fileSystem = newFileSystem;
+                resolve();
+            }, reject);
+        });
+    }
+
+    /**
+     * Open the storage, returning a Promise which resolves when it's ready for use.
+     */
+    this.open = function() {
+        return requestFileSystem().then(openDirectory).catch(function(error) {
+            // We can still manage without, we just won't be able to resume
+            console.error(error);
+        });
+    };
+
+    /**
+     * Were we able to open somewhere to keep the segments, where they'll still be if the app is closed?
+     */
+    this.isPersistent = function() {
+        return directory !== null;
+    };
+
+    /**
+     * Save the array of encoded frames as the segment with the given index, returning a Promise which resolves once it's
+     * stored.
+     */
+    this.writeSegment = function(index, frames) {
+        if (!directory) {
+            return Promise.reject("Video segments can't be stored");
+        }
+
+        return getSegmentFile(index, true).then(function(fileEntry) {
+            return new Promise(function(resolve, reject) {
+                fileEntry.createWriter(function(fileWriter) {
+                    fileWriter.onerror = reject;
+
+                    fileWriter.onwriteend = function() {
+                        fileWriter.onwriteend = resolve;
+
+                        fileWriter.write(new Blob(VideoSegmentStore.encodeFrames(frames), {type: 'application/octet-stream'}));
+                    };
+
+                    // If the segment was partly written before then we need to truncate it to avoid a partial rewrite
+                    fileWriter.truncate(0);
+                }, reject);
+            });
+        });
+    };
+
+    /**
+     * Read the segment with the given index, returning a Promise which resolves with its array of encoded frames.
+     */
+    this.readSegment = function(index) {
+        if (!directory) {
+            return Promise.reject("Video segments can't be stored");
+        }
+
+        return getSegmentFile(index, false).then(function(fileEntry) {
+            return new Promise(function(resolve, reject) {
+                fileEntry.file(function(file) {
+                    var
+                        reader = new FileReader();
+
+                    reader.onload = function() {
+                        resolve(VideoSegmentStore.decodeFrames(reader.result));
+                    };
+                    reader.onerror = reject;
+
+                    reader.readAsArrayBuffer(file);
+                }, reject);
+            });
+        });
+    };
+
+    /**
+     * Returns a Promise which resolves with true if the segments with indexes [0...count) are all stored (they might not
+     * be if the browser has cleared out its temporary storage).
+     */
+    this.hasSegments = function(count) {
+        var
+            result = Promise.resolve(true);
+
+        if (!directory) {
+            return Promise.resolve(count == 0);
+        }
+
+        for (var i = 0; i < count; i++) {
+            (function(index) {
+                result = result.then(function(found) {
+                    return found && getSegmentFile(index, false).then(function() {
+                        return true;
+                    }, function() {
+                        return false;
+                    });
+                });
+            })(i);
+        }
+
+        return result;
+    };
+
+    /**
+     * Throw away all the stored segments, returning a Promise which resolves when that's done.
+     */
+    this.clear = function() {
+        if (!directory) {
+            return Promise.resolve();
+        }
+
+        return new Promise(function(resolve, reject) {
+            directory.removeRecursively(resolve, reject);
+        }).then(openDirectory);
+    };
+}
+
+/**
+ * Get the contents of a segment file holding the given array of encoded frames (Uint8Arrays), as an array of parts for
+ * a Blob. Each frame is preceded by its length as a 32-bit little-endian integer.
+ */
+VideoSegmentStore.encodeFrames = function(frames) {
+    var
+        parts = [];
+
+    for (var i = 0; i < frames.length; i++) {
+        var
+            length = new Uint8Array(4);
+
+        new DataView(length.buffer).setUint32(0, frames[i].length, true);
+
+        parts.push(length, frames[i]);
+    }
+
+    return parts;
+};
+
+/**
+ * Get the array of encoded frames (Uint8Arrays) from the ArrayBuffer contents of a segment file.
+ */
+VideoSegmentStore.decodeFrames = function(buffer) {
+    var
+        view = new DataView(buffer),
+        frames = [],
+        offset = 0;
+
+    while (offset + 4 <= buffer.byteLength) {
+        var
+            length = view.getUint32(offset, true);
+
+        offset += 4;
+
+        if (offset + length > buffer.byteLength) {
+            throw "Video segment is truncated";
+        }
+
+        frames.push(new Uint8Array(buffer, offset, length));
+
+        offset += length;
+    }
+
+    return frames;
+};
@@ -0,0 +1,145 @@
+"use strict";
+
+/**
+ * Dialog for syncing the flight video to the log automatically using FlightLogVideoSync, which matches the motion of
+ * a clip of the video (beginning at the current video position) against the log's gyro.
+ *
+ * onSave is called with the video offset (seconds) that was found, if the user chooses to use it.
+ */
+function VideoSyncDialog(dialog, onSave) {
+    var
+        DIALOG_MODE_SETTINGS = 0,
+        DIALOG_MODE_IN_PROGRESS = 1,
+        DIALOG_MODE_COMPLETE = 2,
+
+        // Below this the motion of the video didn't really look like the gyro, so the offset might well be wrong
+        GOOD_CORRELATION = 0.5,
+
+        clipStart, clipDuration,
+        videoSync = false,
+
+        // The offset found by the last sync, or false if it failed
+        foundOffset = false,
+
+        progressBar = $("progress", dialog),
+        result = $(".video-sync-result", dialog),
+
+        that = this;
+
+    function setDialogMode(mode) {
+        var
+            settingClasses = [
+                "video-sync-mode-settings",
+                "video-sync-mode-progress",
+                "video-sync-mode-complete"
+            ],
+            title = "Auto sync video";
+
+        dialog
+            .removeClass(settingClasses.join(" "))
+            .addClass(settingClasses[mode]);
+
+        $(".video-sync-dialog-start", dialog).toggle(mode == DIALOG_MODE_SETTINGS);
+        $(".video-sync-dialog-apply", dialog).toggle(mode == DIALOG_MODE_COMPLETE && foundOffset !== false);
+
+        switch (mode) {
+            case DIALOG_MODE_IN_PROGRESS:
+                title = "Matching the video to the gyro...";
+            break;
+            case DIALOG_MODE_COMPLETE:
+                title = "Auto sync complete";
+            break;
+        }
+
+        $(".modal-title", dialog).text(title);
+    }
+
+    function formatOffset(offset) {
+        return (offset >= 0 ? "+" : "") + offset.toFixed(3) + "s";
+    }
+
+    function onComplete(success, syncResult) {
+        videoSync = false;
+
+        if (success) {
+            foundOffset = syncResult.offset;
+
+            result.text("The video matches the log best with an offset of " + formatOffset(syncResult.offset)
+                + " (was " + formatOffset(that.currentOffset) + "), with a correlation of "
+                + syncResult.correlation.toFixed(2) + "."
+                + (syncResult.correlation < GOOD_CORRELATION ? " That's not a close match, so this offset might be "
+                    + "wrong. Try again with a part of the video that has more movement." : ""));
+        } else if (syncResult) {
+            foundOffset = false;
+
+            result.text("Sorry, the video couldn't be synced: " + syncResult);
+        } else {
+            // Cancelled
+            return;
+        }
+
+        setDialogMode(DIALOG_MODE_COMPLETE);
+    }
+
+    /**
+     * Show the dialog.
+     *
+     * flightLog     - The log to sync the video with
+     * video         - A copy of the flight video element (it will be seeked around while syncing)
+     * videoTime     - The current position in the flight video, where the clip to match begins (seconds)
+     * currentOffset - The video offset in use at the moment (seconds)
+     */
+    this.show = function(flightLog, video, videoTime, currentOffset) {
+        this.flightLog = flightLog;
+        this.video = video;
+        this.currentOffset = currentOffset;
+
+        clipStart = videoTime;
+
+        $(".video-sync-clip-start", dialog).text(formatTime(clipStart * 1000, true));
+
+        setDialogMode(DIALOG_MODE_SETTINGS);
+
+        dialog.modal('show');
+    };
+
+    $(".video-sync-dialog-start", dialog).click(function(e) {
+        e.preventDefault();
+
+        clipDuration = parseInt($(".video-sync-clip-duration", dialog).val(), 10);
+
+        progressBar.prop('max', 1);
+        progressBar.prop('value', 0);
+
+        setDialogMode(DIALOG_MODE_IN_PROGRESS);
+
+        videoSync = new FlightLogVideoSync(that.flightLog, that.video, {
+            onProgress: function(samplesDone, sampleCount) {
+                progressBar.prop('max', sampleCount);
+                progressBar.prop('value', samplesDone);
+            },
+            onComplete: onComplete
+        });
+
+        videoSync.start(clipStart, clipDuration);
+    });
+
+    $(".video-sync-dialog-apply", dialog).click(function(e) {
+        e.preventDefault();
+
+        onSave(foundOffset);
+
+        dialog.modal('hide');
+    });
+
+    dialog.on('hide.bs.modal', function() {
+        if (videoSync) {
+            videoSync.cancel();
+            videoSync = false;
+        }
+    });
+
+    dialog.modal({
+        show: false
+    });
+}
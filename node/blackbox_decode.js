@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Command line decoder for Blackbox logs, built on the same parser the viewer uses.
+ *
+ * For each log inside each file given, writes a CSV of every frame (including the computed fields the viewer adds)
+ * and a second CSV of the log's events, next to the original file (or into --output-dir).
+ *
+ * Run with --help for usage.
+ */
+
+var
+    fs = require('fs'),
+    path = require('path'),
+    core = require('./flightlog_core.js'),
+
+    USAGE = [
+        "Usage: node blackbox_decode.js [options] <logfile> [<logfile> ...]",
+        "",
+        "Options:",
+        "   --help                 This page",
+        "   --list                 List the logs in each file along with their durations, then exit",
+        "   --index <num>          Only decode the log with this index (beginning at 1), default is all of them",
+        "   --start <seconds>      Only decode frames from this many seconds after the start of the log",
+        "   --end <seconds>        Only decode frames up to this many seconds after the start of the log",
+        "   --unit-conversion      Write values converted to human-readable units (deg/s, volts, %...) where possible",
+        "   --output-dir <dir>     Write the CSV files into this directory instead of next to the log",
+        "   --stdout               Write the frames CSV to stdout instead of to files (requires a single log)",
+        "   --debug                Show the parser's diagnostic messages",
+        ""
+    ].join("\n");
+
+function parseArguments(argv) {
+    var
+        options = {
+            files: [],
+            list: false,
+            index: false,
+            start: false,
+            end: false,
+            friendly: false,
+            outputDir: false,
+            toStdout: false,
+            debug: false
+        },
+        i;
+
+    function numberArgument(name) {
+        var
+            value = parseFloat(argv[++i]);
+
+        if (isNaN(value)) {
+            throw "Expected a number after " + name;
+        }
+
+        return value;
+    }
+
+    for (i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case "--help":
+            case "-h":
+                options.help = true;
+            break;
+            case "--list":
+                options.list = true;
+            break;
+            case "--index":
+                options.index = numberArgument("--index");
+            break;
+            case "--start":
+                options.start = numberArgument("--start");
+            break;
+            case "--end":
+                options.end = numberArgument("--end");
+            break;
+            case "--unit-conversion":
+                options.friendly = true;
+            break;
+            case "--output-dir":
+                if (i + 1 >= argv.length) {
+                    throw "Expected a directory after --output-dir";
+                }
+                options.outputDir = argv[++i];
+            break;
+            case "--stdout":
+                options.toStdout = true;
+            break;
+            case "--debug":
+                options.debug = true;
+            break;
+            default:
+                if (argv[i].match(/^--/)) {
+                    throw "Unknown option " + argv[i];
+                }
+                options.files.push(argv[i]);
+        }
+    }
+
+    return options;
+}
+
+function logDurationLabel(flightLog, logIndex) {
+    var
+        error = flightLog.getLogError(logIndex);
+
+    if (error) {
+        return error;
+    }
+
+    return core.formatTime(flightLog.getMinTime(logIndex) / 1000, false)
+        + " - " + core.formatTime(flightLog.getMaxTime(logIndex) / 1000, false)
+        + " [" + core.formatTime(Math.ceil((flightLog.getMaxTime(logIndex) - flightLog.getMinTime(logIndex)) / 1000), false) + "]";
+}
+
+function listLogs(filename, flightLog) {
+    console.log(filename + ": " + flightLog.getLogCount() + " log" + (flightLog.getLogCount() == 1 ? "" : "s"));
+
+    for (var i = 0; i < flightLog.getLogCount(); i++) {
+        console.log("  " + (i + 1) + ": " + logDurationLabel(flightLog, i));
+    }
+}
+
+/**
+ * Write the CSV produced by the given dump function of an exporter to a file.
+ */
+function dumpToFile(filename, dump) {
+    var
+        fd = fs.openSync(filename, 'w');
+
+    try {
+        dump(function(text) {
+            fs.writeSync(fd, text);
+        });
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function decodeLog(filename, flightLog, logIndex, options) {
+    var
+        exporter,
+        exportOptions = {friendly: options.friendly},
+        baseName;
+
+    if (!flightLog.openLog(logIndex)) {
+        console.error(filename + ": skipping log " + (logIndex + 1) + ", " + flightLog.getLogError(logIndex));
+        return false;
+    }
+
+    if (options.start !== false) {
+        exportOptions.startTime = flightLog.getMinTime() + options.start * 1000000;
+    }
+    if (options.end !== false) {
+        exportOptions.endTime = flightLog.getMinTime() + options.end * 1000000;
+    }
+
+    exporter = new core.FlightLogCSVExporter(flightLog, exportOptions);
+
+    if (options.toStdout) {
+        exporter.dumpFrames(function(text) {
+            process.stdout.write(text);
+        });
+
+        return true;
+    }
+
+    // Name the output the same way blackbox_decode does, e.g. LOG00001.01.csv
+    baseName = path.join(options.outputDir || path.dirname(filename), path.basename(filename, path.extname(filename)))
+        + "." + (logIndex + 1 < 10 ? "0" : "") + (logIndex + 1);
+
+    console.error("Decoding log " + (logIndex + 1) + " of " + filename + " to " + baseName + ".csv");
+
+    dumpToFile(baseName + ".csv", exporter.dumpFrames);
+    dumpToFile(baseName + ".events.csv", exporter.dumpEvents);
+
+    return true;
+}
+
+function main() {
+    var
+        options,
+        success = true;
+
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (e) {
+        console.error(e + "\n\n" + USAGE);
+        return 1;
+    }
+
+    if (options.help || options.files.length == 0) {
+        console.error(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    // The parser is chatty about headers it doesn't recognise, which isn't interesting to most users
+    if (!options.debug) {
+        core.context.console = {
+            log: function() {},
+            warn: function() {},
+            error: console.error
+        };
+    }
+
+    for (var i = 0; i < options.files.length; i++) {
+        var
+            filename = options.files[i],
+            flightLog, logIndex;
+
+        try {
+            flightLog = new core.FlightLog(new Uint8Array(fs.readFileSync(filename)));
+
+            if (options.list) {
+                listLogs(filename, flightLog);
+                continue;
+            }
+
+            if (options.toStdout && (options.files.length > 1 || (options.index === false && flightLog.getLogCount() > 1))) {
+                throw "--stdout needs a single log, choose one with --index";
+            }
+
+            if (options.index !== false) {
+                if (options.index < 1 || options.index > flightLog.getLogCount()) {
+                    throw "there is no log " + options.index + " (the file has " + flightLog.getLogCount() + ")";
+                }
+
+                success = decodeLog(filename, flightLog, options.index - 1, options) && success;
+            } else {
+                for (logIndex = 0; logIndex < flightLog.getLogCount(); logIndex++) {
+                    success = decodeLog(filename, flightLog, logIndex, options) && success;
+                }
+            }
+        } catch (e) {
+            console.error(filename + ": " + e);
+            success = false;
+        }
+    }
+
+    return success ? 0 : 1;
+}
+
+process.exitCode = main();
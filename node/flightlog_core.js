@@ -0,0 +1,68 @@
+"use strict";
+
+/**
+ * Loads the log parsing core (FlightLogParser, ArrayDataStream and its decoders, FlightLogIndex and FlightLog) for use
+ * from Node.
+ *
+ * The core is written as plain browser scripts that share globals, so rather than duplicating it we evaluate the same
+ * files in one shared context, just like the <script> tags in index.html do. None of these files touch the DOM.
+ *
+ * Usage:
+ *     var core = require('./node/flightlog_core.js'),
+ *         flightLog = new core.FlightLog(new Uint8Array(fs.readFileSync("LOG00001.TXT")));
+ */
+
+var
+    fs = require('fs'),
+    path = require('path'),
+    vm = require('vm'),
+
+    JS_DIR = path.join(__dirname, '..', 'js'),
+
+    // In dependency order, the same as the order these are included by index.html
+    CORE_SCRIPTS = [
+        'vendor/semver.js',
+        'tools.js',
+        'cache.js',
+        'datastream.js',
+        'decoders.js',
+        'imu.js',
+        'flightlog_fielddefs.js',
+        'flightlog_fields_presenter.js',
+        'flightlog_parser.js',
+        'flightlog_index.js',
+        'flightlog_expression.js',
+        'flightlog.js',
+        'flightlog_csv_exporter.js'
+    ],
+
+    // The names the core defines which are useful to callers
+    EXPORTED_NAMES = [
+        'FlightLog', 'FlightLogIndex', 'FlightLogParser', 'FlightLogExpression', 'FlightLogFieldPresenter', 'FlightLogCSVExporter', 'ArrayDataStream',
+        'FlightLogEvent', 'FLIGHT_LOG_FLIGHT_MODE_NAME', 'FLIGHT_LOG_FLIGHT_STATE_NAME', 'FLIGHT_LOG_FAILSAFE_PHASE_NAME',
+        'FIRMWARE_TYPE_UNKNOWN', 'FIRMWARE_TYPE_BASEFLIGHT', 'FIRMWARE_TYPE_CLEANFLIGHT', 'FIRMWARE_TYPE_BETAFLIGHT',
+        'FIRMWARE_TYPE_INAV',
+        'formatTime', 'binarySearchOrPrevious', 'binarySearchOrNext'
+    ],
+
+    context = vm.createContext({
+        console: console
+    }),
+
+    i;
+
+for (i = 0; i < CORE_SCRIPTS.length; i++) {
+    var
+        filename = path.join(JS_DIR, CORE_SCRIPTS[i]);
+
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, {filename: filename});
+}
+
+for (i = 0; i < EXPORTED_NAMES.length; i++) {
+    module.exports[EXPORTED_NAMES[i]] = vm.runInContext(EXPORTED_NAMES[i], context);
+}
+
+/**
+ * Every global the core scripts defined, for callers which need something not listed above.
+ */
+module.exports.context = context;
@@ -26,6 +26,1031 @@ function testExpoStraightLine() {
     assert(curve.lookup(250) == 0.5);
 }
 
+function testStepResponseMeasure() {
+    var
+        sampleRate = 1000,
+        response = new Float64Array(500),
+        metrics, i;
+    
+    // First order response with a 20ms time constant, which rises from 10% to 90% in 20 * ln(9) = 43.9ms
+    for (i = 0; i < response.length; i++) {
+        response[i] = 1 - Math.exp(-i / 20);
+    }
+    
+    metrics = FlightLogStepResponse.measure(response, sampleRate);
+    
+    assert(Math.abs(metrics.steadyState - 1.0) < 0.001);
+    assert(Math.abs(metrics.riseTime - 43.9) < 0.5);
+    assert(metrics.overshoot < 0.001);
+    assert(metrics.settlingTime == 60); // Within 5% after 3 time constants
+}
+
+function testStepResponseEstimate() {
+    var
+        sampleRate = 1000,
+        input = new Float64Array(10000),
+        output = new Float64Array(10000),
+        estimate, i;
+    
+    // Output delayed from a square wave input by 10ms should give a unit step 10ms late
+    for (i = 0; i < input.length; i++) {
+        input[i] = Math.floor(i / 300) % 2 ? 200 : -200;
+        output[i] = i >= 10 ? input[i - 10] : input[0];
+    }
+    
+    estimate = FlightLogStepResponse.estimate(input, output, sampleRate);
+    
+    assert(estimate.windowCount > 0);
+    assert(Math.abs(estimate.response[0]) < 0.1);
+    assert(Math.abs(estimate.response[200] - 1.0) < 0.05);
+    
+    assert(!FlightLogStepResponse.estimate(new Float64Array(10000), output, sampleRate)); // No input to respond to
+}
+
+function testWelchPSD() {
+    var
+        sampleRate = 2000,
+        samples = new Float64Array(8192),
+        windowNames = ['hann', 'blackman-harris', 'flattop'],
+        i, j;
+    
+    // A sine wave with amplitude 2 has a variance of 2, all of it at 250Hz
+    for (i = 0; i < samples.length; i++) {
+        samples[i] = 10 + 2 * Math.sin(2 * Math.PI * 250 * i / sampleRate);
+    }
+    
+    for (i = 0; i < windowNames.length; i++) {
+        var
+            result = FlightLogAnalyser.welch(samples, samples.length, sampleRate, 512, windowNames[i]),
+            power = 0,
+            peaks;
+        
+        for (j = 0; j < result.psd.length; j++) {
+            power += result.psd[j] * result.frequencyResolution;
+        }
+        
+        peaks = FlightLogAnalyser.findPeaks(result.psd, result.psd.length, result.frequencyResolution);
+        
+        assert(result.segmentCount == 31);
+        assert(Math.abs(power - 2) < 0.05);
+        assert(peaks.length == 1 && peaks[0].frequency == 250);
+    }
+    
+    assert(!FlightLogAnalyser.welch(samples, 100, sampleRate, 512, 'hann')); // Shorter than one segment
+}
+
+function testFindPeaks() {
+    var
+        values = new Float64Array(200),
+        peaks, i;
+    
+    for (i = 0; i < values.length; i++) {
+        values[i] = 1;
+    }
+    values[50] = 10; values[51] = 8;   // Two bins of the same peak
+    values[58] = 9;                    // Too close to the peak at 50 to count separately
+    values[120] = 20;
+    values[10] = 30;                   // Below minFrequency
+    values[150] = 3;                   // Not loud enough
+    
+    peaks = FlightLogAnalyser.findPeaks(values, values.length, 2, {minFrequency: 40, minSeparation: 20});
+    
+    assert(peaks.length == 2);
+    assert(peaks[0].frequency == 240 && peaks[0].value == 20);
+    assert(peaks[1].frequency == 100 && peaks[1].value == 10);
+}
+
+function testExpressionFields() {
+    var
+        fieldNames = ["motor[0]", "motor[1]", "motor[2]", "motor[3]", "gyroADC[0]"],
+        chunk = {frames: [[1000, 1200, 1400, 1800, -50]], gapStartsHere: {}},
+        compiled;
+    
+    function evaluate(expression) {
+        return new FlightLogExpression(expression).compile(fieldNames)(chunk, 0);
+    }
+    
+    function throws(func) {
+        try {
+            func();
+        } catch (e) {
+            return typeof e == "string";
+        }
+        return false;
+    }
+    
+    assert(evaluate("motor[0] - motor[2]") == -400);
+    assert(evaluate("abs(gyroADC[0]) * 2 + 1") == 101);
+    assert(evaluate("-2 ^ 2") == -4 && evaluate("(1 + 2) * 3 / 4") == 2.25);
+    assert(evaluate("avg(motor[*])") == 1350 && evaluate("max(motor[*], 2000)") == 2000);
+    assert(evaluate("motor[0] / 0") === null);
+    
+    assert(throws(function() { new FlightLogExpression("motor[0] +"); }));
+    assert(throws(function() { new FlightLogExpression("abs(motor[*])"); }));
+    assert(throws(function() { new FlightLogExpression("avg(motor[*] * 2)"); }));
+    assert(throws(function() { new FlightLogExpression("nope(1)"); }));
+    assert(throws(function() { evaluate("servo[5]"); }));
+    
+    // Later fields can use earlier ones, but not the other way around
+    compiled = FlightLogExpression.compileFields([
+        {name: "diff", expression: "motor[0] - motor[2]"},
+        {name: "absDiff", expression: "abs(diff)"},
+        {name: "early", expression: "later"},
+        {name: "later", expression: "1"},
+        {name: "motor[0]", expression: "1"},
+        {name: "bad name", expression: "1"}
+    ], fieldNames);
+    
+    assert(compiled.fields.length == 3 && compiled.fields[1].name == "absDiff");
+    assert(compiled.errors.length == 3 && compiled.errors[0].name == "early");
+}
+
+function testVideoSyncMotion() {
+    var
+        width = 64, height = 36,
+        previous = new Float32Array(width * height),
+        current = new Float32Array(width * height),
+        motion, x, y;
+    
+    function pattern(x, y) {
+        return Math.sin(x * 0.3 + Math.cos(y * 0.2)) * 50 + Math.cos(y * 0.25 - x * 0.1) * 40;
+    }
+    
+    // Shift the image 3 pixels right and 2 up while rolling it 0.2 radians clockwise about its center
+    for (y = 0; y < height; y++) {
+        for (x = 0; x < width; x++) {
+            var
+                fromX = x - 3 - (width - 1) / 2, fromY = y + 2 - (height - 1) / 2;
+            
+            previous[y * width + x] = pattern(x, y);
+            current[y * width + x] = pattern(
+                Math.cos(0.2) * fromX + Math.sin(0.2) * fromY + (width - 1) / 2,
+                -Math.sin(0.2) * fromX + Math.cos(0.2) * fromY + (height - 1) / 2
+            );
+        }
+    }
+    
+    motion = FlightLogVideoSync.estimateMotion(previous, current, width, height);
+    
+    assert(Math.abs(motion.x * width - 3) < 0.1);
+    assert(Math.abs(motion.y * width + 2) < 0.1);
+    assert(Math.abs(motion.roll - 0.2) < 0.01);
+}
+
+function testVideoSyncLag() {
+    var
+        gyroRates = [new Float64Array(1000), new Float64Array(1000), new Float64Array(1000)],
+        cameraRates = [new Float64Array(100), new Float64Array(100), new Float64Array(100)],
+        match, axis, i;
+    
+    for (axis = 0; axis < 3; axis++) {
+        for (i = 0; i < gyroRates[axis].length; i++) {
+            gyroRates[axis][i] = Math.sin(i * (0.05 + axis * 0.02)) * 100 + Math.sin(i * i * 0.001) * 50;
+        }
+        
+        // The camera sees the gyro from sample 321 onwards, but upside down on the yaw axis and with no pitch at all
+        for (i = 0; i < cameraRates[axis].length; i++) {
+            cameraRates[axis][i] = axis == 1 ? 0 : gyroRates[axis][321 + i] * (axis == 2 ? -0.01 : 0.01);
+        }
+    }
+    
+    match = FlightLogVideoSync.findLag(cameraRates, gyroRates);
+    
+    assert(Math.abs(match.lag - 321) < 0.1);
+    assert(match.correlation > 0.99);
+    
+    assert(!FlightLogVideoSync.findLag([new Float64Array(100), new Float64Array(100), new Float64Array(100)], gyroRates)); // No motion
+}
+
+function testOSDFlightMode() {
+    assert(FlightLogOSD.describeFlightMode({Arm: true, Angle: true, Airmode: true}) == "ANGLE AIR");
+    assert(FlightLogOSD.describeFlightMode({Arm: true}) == "ACRO");
+    assert(FlightLogOSD.describeFlightMode({Arm: false, Horizon: true}) == "DISARMED");
+    assert(FlightLogOSD.describeFlightMode({Arm: true, Failsafe: true}) == "FAILSAFE");
+    
+    assert(FlightLogOSD.isLayoutEmpty(false));
+    assert(FlightLogOSD.isLayoutEmpty({battery: {show: false, left: 0, top: 0}}));
+    assert(!FlightLogOSD.isLayoutEmpty(FlightLogOSD.PRESETS[0].layout));
+}
+
+function testPowerAnalysis() {
+    var
+        times = [], currents = [],
+        voltages = new Float64Array(200), steppedCurrents = new Float64Array(200),
+        i;
+    
+    // 30A for an hour at 10 samples per second is 30000mAh
+    for (i = 0; i <= 36000; i++) {
+        times.push(i * 100000);
+        currents.push(30);
+    }
+    
+    assert(Math.abs(FlightLogPowerAnalysis.integrateMah(times, currents) - 30000) < 0.001);
+    
+    // A 16V pack with 20 milliohms of resistance which is punched from 5A to 45A and back again
+    for (i = 0; i < 200; i++) {
+        steppedCurrents[i] = i >= 80 && i < 140 ? 45 : 5;
+        voltages[i] = 16 - 0.001 * i / 20 - steppedCurrents[i] * 0.02;
+    }
+    
+    assert(Math.abs(FlightLogPowerAnalysis.estimateResistance(voltages, steppedCurrents, 20) - 0.02) < 0.001);
+    
+    assert(FlightLogPowerAnalysis.estimateResistance(voltages, new Float64Array(200), 20) === null); // No load steps
+}
+
+function testFlightSummaryRuns() {
+    var
+        runs = FlightLogSummary.findRuns([0, 10, 20, 30, 40], [1, 1, 3, 3, 1], 50);
+    
+    assert(runs.length == 3);
+    assert(runs[0].startTime == 0 && runs[0].endTime == 20 && runs[0].value == 1);
+    assert(runs[1].startTime == 20 && runs[1].endTime == 40 && runs[1].value == 3);
+    assert(runs[2].startTime == 40 && runs[2].endTime == 50 && runs[2].value == 1);
+    
+    assert(FlightLogSummary.findRuns([], [], 50).length == 0);
+}
+
+function testMotorDetectorPeriods() {
+    var
+        finder = new FlightLogMotorDetector.PeriodFinder(100, 20),
+        flags = [true, true, false, true, true, false, false, false, true, true, true],
+        periods, i;
+    
+    // Samples every 10us: the gap at 20us is short enough to be joined over, the one from 50-70us isn't
+    for (i = 0; i < flags.length; i++) {
+        finder.add(i * 10, flags[i]);
+    }
+    
+    periods = finder.getPeriods();
+    
+    assert(periods.length == 0); // Both are shorter than 100us
+    
+    finder = new FlightLogMotorDetector.PeriodFinder(20, 20);
+    
+    for (i = 0; i < flags.length; i++) {
+        finder.add(i * 10, flags[i]);
+    }
+    
+    periods = finder.getPeriods();
+    
+    assert(periods.length == 2);
+    assert(periods[0].startTime == 0 && periods[0].endTime == 40);
+    assert(periods[1].startTime == 80 && periods[1].endTime == 100);
+}
+
+var
+    TEST_GPS_HOME = [-368484000, 1747633000]; // In units of 1/10000000 degree
+
+/**
+ * The fields of the GPS frame makeTestLog() writes after main frame i, less its time: numSat, lat, lon, altitude, speed
+ * and ground course.
+ */
+function testGPSFrame(i) {
+    return [6 + i % 3, TEST_GPS_HOME[0] + i * 50, TEST_GPS_HOME[1] - i * 30, 100 + i, 250 + i, 900 + i];
+}
+
+/**
+ * Build a small log in memory for the tests to index: frameCount main frames of a craft slowly rolling, with a slow
+ * frame at the start. Returns {data, frameOffsets} where frameOffsets is where each main frame starts in data.
+ *
+ * With withGPS, there's also a GPS home frame at the start and a GPS frame after every tenth main frame (from the
+ * fifth on), see testGPSFrame().
+ */
+function makeTestLog(frameCount, withGPS) {
+    var
+        bytes = [],
+        frameOffsets = [],
+        previous = null,
+        i, j;
+
+    function writeText(text) {
+        for (var k = 0; k < text.length; k++) {
+            bytes.push(text.charCodeAt(k));
+        }
+    }
+
+    function writeUnsignedVB(value) {
+        while (value > 127) {
+            bytes.push((value & 0x7F) | 0x80);
+            value = Math.floor(value / 128);
+        }
+        bytes.push(value);
+    }
+
+    function writeSignedVB(value) {
+        writeUnsignedVB(((value << 1) ^ (value >> 31)) >>> 0);
+    }
+
+    writeText(
+        "H Product:Blackbox flight data recorder by Nicholas Sherlock\n" +
+        "H Data version:2\n" +
+        "H I interval:32\n" +
+        "H P interval:1/1\n" +
+        "H Field I name:loopIteration,time,gyroADC[0],gyroADC[1],gyroADC[2],accSmooth[0],accSmooth[1],accSmooth[2]\n" +
+        "H Field I signed:0,0,1,1,1,1,1,1\n" +
+        "H Field I predictor:0,0,0,0,0,0,0,0\n" +
+        "H Field I encoding:1,1,0,0,0,0,0,0\n" +
+        "H Field P predictor:1,1,1,1,1,1,1,1\n" +
+        "H Field P encoding:0,0,0,0,0,0,0,0\n" +
+        "H Field S name:flightModeFlags,stateFlags\n" +
+        "H Field S signed:0,0\n" +
+        "H Field S predictor:0,0\n" +
+        "H Field S encoding:1,1\n" +
+        "H Firmware type:Cleanflight\n" +
+        "H Firmware revision:Betaflight 3.1.7 (e30a9bb) OMNIBUSF4\n" +
+        "H acc_1G:2048\n" +
+        "H gyro_scale:0x3f800000\n"
+    );
+
+    if (withGPS) {
+        writeText(
+            "H Field H name:GPS_home[0],GPS_home[1]\n" +
+            "H Field H signed:1,1\n" +
+            "H Field H predictor:0,0\n" +
+            "H Field H encoding:0,0\n" +
+            "H Field G name:time,GPS_numSat,GPS_coord[0],GPS_coord[1],GPS_altitude,GPS_speed,GPS_ground_course\n" +
+            "H Field G signed:0,0,1,1,0,0,0\n" +
+            "H Field G predictor:10,0,7,7,0,0,0\n" +
+            "H Field G encoding:1,1,0,0,1,1,1\n"
+        );
+    }
+
+    writeText("S");
+    writeUnsignedVB(1);
+    writeUnsignedVB(0);
+
+    if (withGPS) {
+        writeText("H");
+        writeSignedVB(TEST_GPS_HOME[0]);
+        writeSignedVB(TEST_GPS_HOME[1]);
+    }
+
+    for (i = 0; i < frameCount; i++) {
+        var
+            frame = [i, 1000000 + i * 1000, 100 + (i % 7), -(i % 5), 0, 0, 0, 2048];
+
+        frameOffsets.push(bytes.length);
+
+        if (i % 32 == 0) {
+            writeText("I");
+            writeUnsignedVB(frame[0]);
+            writeUnsignedVB(frame[1]);
+            for (j = 2; j < frame.length; j++) {
+                writeSignedVB(frame[j]);
+            }
+        } else {
+            writeText("P");
+            for (j = 0; j < frame.length; j++) {
+                writeSignedVB(frame[j] - previous[j]);
+            }
+        }
+
+        previous = frame;
+
+        if (withGPS && i % 10 == 5) {
+            var
+                gps = testGPSFrame(i);
+
+            // The time, and the co-ordinates relative to home
+            writeText("G");
+            writeUnsignedVB(0);
+            writeUnsignedVB(gps[0]);
+            writeSignedVB(gps[1] - TEST_GPS_HOME[0]);
+            writeSignedVB(gps[2] - TEST_GPS_HOME[1]);
+            for (j = 3; j < gps.length; j++) {
+                writeUnsignedVB(gps[j]);
+            }
+        }
+    }
+
+    writeText("E");
+    bytes.push(0xFF);
+    writeText("End of log\0");
+
+    return {
+        data: new Uint8Array(bytes),
+        frameOffsets: frameOffsets
+    };
+}
+
+/**
+ * Index the log in data and count the frames the parser delivers by type ("I", "P", "S" etc. for valid frames, "Px"
+ * and so on for frames it had to throw away), with the parser's recovery mode on or off.
+ */
+function scanTestLog(data, recoveryMode) {
+    var
+        logIndex = new FlightLogIndex(data),
+        parser = new FlightLogParser(data),
+        frameCounts = {};
+
+    logIndex.setRecoveryMode(recoveryMode);
+    parser.recoveryMode = recoveryMode;
+
+    parser.onFrameReady = function(frameValid, frame, frameType) {
+        var
+            key = frameType + (frameValid ? "" : "x");
+
+        frameCounts[key] = (frameCounts[key] || 0) + 1;
+    };
+
+    parser.parseHeader(logIndex.getLogBeginOffset(0), logIndex.getLogBeginOffset(1));
+    parser.parseLogData(false);
+
+    return {
+        damage: logIndex.getIntraframeDirectory(0).damage,
+        frameCounts: frameCounts
+    };
+}
+
+function testDiffSysConfig() {
+    var
+        a = {
+            looptime: 125,
+            rollPID: [45, 40, 20],
+            yawPID: [70, 45, 0],
+            vbatref: 420,
+            gyro_lowpass_hz: 90,
+            unknownHeaders: [{name: "dterm_notch_hz", value: "260"}, {name: "rc_smoothing", value: "1"}]
+        },
+        b = {
+            looptime: 125,
+            rollPID: [45, 40, 25],
+            yawPID: [70, 45, 0],
+            vbatref: 420,
+            motor_pwm_rate: 480,
+            unknownHeaders: [{name: "dterm_notch_hz", value: "200"}, {name: "rc_smoothing", value: "1"}]
+        },
+        differences = diffSysConfig(a, b),
+        names = differences.map(function(difference) {
+            return difference.name;
+        });
+
+    // Sorted by name, and only the settings which differ
+    assert(names.join(",") == "dterm_notch_hz,gyro_lowpass_hz,motor_pwm_rate,rollPID");
+
+    // An unknown header which changed
+    assert(differences[0].a == "260" && differences[0].b == "200" && differences[0].unknown);
+
+    // Removed from the second log, and added to it
+    assert(differences[1].a == 90 && differences[1].b === undefined && !differences[1].unknown);
+    assert(differences[2].a === undefined && differences[2].b == 480);
+
+    // Arrays are compared by their contents
+    assert(differences[3].a[2] == 20 && differences[3].b[2] == 25);
+
+    assert(diffSysConfig(a, a).length == 0);
+    assert(diffSysConfig({}, {}).length == 0);
+}
+
+function testCSVExportWholeLog() {
+    var
+        log = makeTestLog(500),
+        flightLog = new FlightLog(log.data),
+        frameCounts = scanTestLog(log.data, false).frameCounts,
+        exporter, rows, events;
+
+    assert(flightLog.openLog(0));
+
+    // The last 19 frames are P frames after the final I frame (which getMaxTime() reports)
+    assert(flightLog.getMaxTime() == 1480000);
+
+    exporter = new FlightLogCSVExporter(flightLog);
+
+    rows = exporter.framesToParts().join("").split("\n");
+    rows.pop(); // After the final line break
+
+    // The header row, then every frame the parser delivers
+    assert(rows.length - 1 == frameCounts.I + frameCounts.P);
+    assert(rows[rows.length - 1].split(",")[1] == "1499000");
+
+    // The end of log event is placed at the last frame
+    events = exporter.eventsToParts().join("").split("\n");
+    assert(events[1] == "1499000,LOG_END,");
+
+    // But an explicit end time still limits the export
+    rows = new FlightLogCSVExporter(flightLog, {endTime: 1480000}).framesToParts().join("").split("\n");
+    assert(rows.length - 2 == 481);
+}
+
+function testGPSTrack() {
+    var
+        flightLog = new FlightLog(makeTestLog(300, true).data),
+        track, home, gpsFields, chunk, expected, i;
+
+    assert(flightLog.openLog(0));
+
+    home = flightLog.getGPSHome();
+    assert(home.lat == TEST_GPS_HOME[0] / 10000000 && home.lon == TEST_GPS_HOME[1] / 10000000);
+
+    // A GPS frame is logged after main frames 5, 15, ... 295, and takes its time from the main frame before it
+    track = flightLog.getGPSTrack(1000000, 1299000);
+    assert(track.length == 30);
+
+    for (i = 0; i < track.length; i++) {
+        expected = testGPSFrame(i * 10 + 5);
+
+        assert(track[i].time == 1000000 + (i * 10 + 5) * 1000);
+        assert(track[i].numSat == expected[0]);
+        assert(track[i].lat == expected[1] / 10000000);
+        assert(track[i].lon == expected[2] / 10000000);
+        assert(track[i].altitude == expected[3]);
+        assert(track[i].speed == expected[4] / 100);
+        assert(track[i].course == expected[5] / 10);
+    }
+
+    assert(flightLog.getGPSTrack(1006000, 1025000).length == 2);
+
+    gpsFields = ["GPS_numSat", "GPS_coord[0]", "GPS_coord[1]", "GPS_altitude", "GPS_speed", "GPS_ground_course"].map(
+        function(name) {
+            return flightLog.getMainFieldIndexByName(name);
+        }
+    );
+
+    // The main frames carry the last GPS frame before them. The chunk which begins at frame 128 starts with the GPS frame
+    // from the chunk before, which the index supplies since the chunk is decoded on its own
+    chunk = flightLog.getChunksInTimeRange(1130000, 1130000)[0];
+    assert(chunk.frames[0][FlightLogParser.prototype.FLIGHT_LOG_FIELD_INDEX_TIME] == 1128000);
+
+    expected = testGPSFrame(125);
+    for (i = 0; i < gpsFields.length; i++) {
+        assert(chunk.frames[0][gpsFields[i]] == expected[i]);
+    }
+    assert(chunk.frames[8][gpsFields[1]] == testGPSFrame(135)[1]);
+
+    // Before the first GPS frame there's nothing to merge
+    chunk = flightLog.getChunksInTimeRange(1000000, 1000000)[0];
+    assert(chunk.frames[3][gpsFields[0]] === null);
+}
+
+function testLogDamage() {
+    var
+        log = makeTestLog(200),
+        corrupt = log.data.slice(),
+        fakeSlowFrame = log.frameOffsets[56] - 3,
+        normal, recovered, i;
+
+    assert(scanTestLog(log.data, false).damage.length == 0);
+
+    // Wipe out frames 50 to 55, leaving a slow frame's worth of garbage just before frame 56
+    for (i = log.frameOffsets[50]; i < log.frameOffsets[56]; i++) {
+        corrupt[i] = 0;
+    }
+    corrupt[fakeSlowFrame] = "S".charCodeAt(0);
+    corrupt[fakeSlowFrame + 1] = 5;
+
+    normal = scanTestLog(corrupt, false);
+    recovered = scanTestLog(corrupt, true);
+
+    [normal, recovered].forEach(function(result) {
+        var
+            region = result.damage[0];
+
+        assert(result.damage.length == 1);
+
+        // Frame 49 is lost too, since it isn't followed by a valid frame. The stream is back with the I frame at 64
+        assert(region.startOffset == log.frameOffsets[49]);
+        assert(region.startTime == 1048000);
+        assert(region.endOffset == log.frameOffsets[64]);
+        assert(region.endTime == 1064000);
+        assert(region.corruptFrames > 0);
+
+        assert(result.frameCounts.I + result.frameCounts.P == 200 - 15);
+    });
+
+    // Normally the P frames before the next I frame are decoded then thrown away, and the garbage slow frame is taken
+    assert(normal.damage[0].droppedFrames > 0);
+    assert(normal.frameCounts.S == 2);
+
+    // ...but recovery mode skips everything until it finds that I frame
+    assert(recovered.damage[0].droppedFrames == 0);
+    assert(recovered.frameCounts.S == 1);
+}
+
+function testLogIndexHash() {
+    // Standard FNV-1a test vectors
+    assert(FlightLogIndex.hashLogData(new Uint8Array(0)) == "811c9dc5");
+    assert(FlightLogIndex.hashLogData(new Uint8Array([97])) == "e40c292c"); // "a"
+    assert(FlightLogIndex.hashLogData(new Uint8Array([102, 111, 111, 98, 97, 114])) == "bf9cf968"); // "foobar"
+}
+
+/**
+ * Check that an index of the test log loaded from its saved JSON is the same as the one that was built by scanning it.
+ */
+function testLogIndexJSON() {
+    var
+        log = makeTestLog(300),
+        scanned = new FlightLogIndex(log.data),
+        json = scanned.saveToJSON(),
+        loaded = new FlightLogIndex(log.data),
+        scannedDirectory, loadedDirectory;
+
+    loaded.loadFromJSON(json);
+
+    scannedDirectory = scanned.getIntraframeDirectory(0);
+    loadedDirectory = loaded.getIntraframeDirectory(0);
+
+    assert(loaded.getLogCount() == 1);
+    assert(scannedDirectory.times.length == 3);
+
+    ["times", "offsets", "minTime", "maxTime", "avgThrottle", "initialIMU", "initialSlow", "damage"].forEach(function(name) {
+        assert(JSON.stringify(loadedDirectory[name]) == JSON.stringify(scannedDirectory[name]));
+    });
+    for (var i = 0; i < scannedDirectory.times.length; i++) {
+        assert(!!loadedDirectory.hasEvent[i] == !!scannedDirectory.hasEvent[i]);
+    }
+    assert(loadedDirectory.error === scannedDirectory.error);
+    assert(loadedDirectory.stats.frame.I.validCount == scannedDirectory.stats.frame.I.validCount);
+
+    // Saving it again gives the same JSON
+    assert(loaded.saveToJSON() == json);
+}
+
+/**
+ * The index worker sends the part of the index it's built so far (see FlightLogIndexer). Check that logs can be read up
+ * to where those partial indexes end, and that the finished index is the same as one built in one go.
+ */
+function testPartialLogIndex() {
+    var
+        logs = [makeTestLog(300), makeTestLog(200)],
+        data = new Uint8Array(logs[0].data.length + logs[1].data.length),
+        logIndex = new FlightLogIndex(data),
+        progressCount = 0,
+        partialIndexes = [],
+        finalIndex, finalDirectories, flightLog,
+        sawUnindexedLog = false, sawPartialLog = [false, false];
+
+    data.set(logs[0].data);
+    data.set(logs[1].data, logs[0].data.length);
+
+    logIndex.onProgress = function() {
+        if (++progressCount % 100 == 0) {
+            partialIndexes.push(logIndex.saveToJSON());
+        }
+    };
+    logIndex.getIntraframeDirectories();
+
+    finalIndex = logIndex.saveToJSON();
+    finalDirectories = JSON.parse(finalIndex);
+
+    assert(finalIndex == new FlightLogIndex(data).saveToJSON());
+
+    partialIndexes.forEach(function(json) {
+        var
+            directories = JSON.parse(json),
+            flightLog = new FlightLog(data);
+
+        flightLog.loadIndexFromJSON(json);
+
+        for (var i = 0; i < directories.length; i++) {
+            var
+                directory = directories[i],
+                logStart = i == 0 ? 0 : logs[0].data.length,
+                expectedFrames, frameCount = 0;
+
+            if (directory.error == FlightLogIndex.NOT_INDEXED) {
+                sawUnindexedLog = true;
+                assert(flightLog.getLogError(i) == FlightLogIndex.NOT_INDEXED);
+                continue;
+            }
+
+            // The chunks found so far are the start of the finished index's
+            assert(directory.offsets.length > 0 && directory.offsets.length <= finalDirectories[i].offsets.length);
+            assert(directory.offsets[0] == finalDirectories[i].offsets[0]);
+            assert(directory.times[0] == finalDirectories[i].times[0]);
+
+            if (directory.endOffset === undefined) {
+                expectedFrames = logs[i].frameOffsets.length;
+            } else {
+                sawPartialLog[i] = true;
+
+                // Each frame is indexed once the marker of the next one is read
+                expectedFrames = logs[i].frameOffsets.filter(function(offset) {
+                    return logStart + offset < directory.endOffset;
+                }).length - 1;
+            }
+
+            assert(flightLog.openLog(i));
+            flightLog.getChunksInTimeRange(flightLog.getMinTime(), flightLog.getMaxTime()).forEach(function(chunk) {
+                frameCount += chunk.frames.length;
+            });
+            assert(frameCount == expectedFrames);
+        }
+    });
+
+    assert(sawUnindexedLog && sawPartialLog[0] && sawPartialLog[1]);
+
+    // If the worker fails, the page finishes the index itself
+    flightLog = new FlightLog(data);
+    flightLog.loadIndexFromJSON(partialIndexes[0]);
+    assert(flightLog.openLog(0));
+    flightLog.buildIndex();
+    assert(flightLog.saveIndexToJSON() == finalIndex);
+}
+
+/**
+ * Check that chunks decoded by another FlightLog of the same file (as FlightLogDecoder's worker does) and added to the
+ * chunk cache give the same frames as parsing them on the page.
+ */
+function testDecodedChunks() {
+    var
+        data = makeTestLog(500, true).data,
+        expressionFields = [{name: "gyroSum", expression: "gyroADC[0] + gyroADC[1]"}],
+        flightLog = new FlightLog(data),
+        workerLog = new FlightLog(data),
+        parsedLog = new FlightLog(data),
+        chunkIndexes, decodedChunks, parsedChunks;
+
+    flightLog.setExpressionFields(expressionFields);
+    parsedLog.setExpressionFields(expressionFields);
+    assert(flightLog.openLog(0) && parsedLog.openLog(0));
+
+    workerLog.loadIndexFromJSON(flightLog.saveIndexToJSON());
+    assert(workerLog.openLog(0));
+
+    // Decode the middle of the log in the "worker", leaving the chunks either side of it to be parsed on the page
+    chunkIndexes = flightLog.getUncachedChunkIndexes(1128000, 1300000);
+    assert(chunkIndexes.join(",") == "1,2");
+
+    chunkIndexes.forEach(function(chunkIndex) {
+        // The chunk is copied on its way back from the worker
+        var
+            chunk = JSON.parse(JSON.stringify(workerLog.decodeChunk(chunkIndex)));
+
+        // Chunks for a log that isn't open are dropped
+        flightLog.addDecodedChunk(1, chunk);
+        assert(flightLog.getUncachedChunkIndexes(1128000, 1300000)[0] == chunkIndex);
+
+        flightLog.addDecodedChunk(0, chunk);
+    });
+
+    assert(flightLog.getUncachedChunkIndexes(1128000, 1300000).length == 0);
+    assert(flightLog.getUncachedChunkIndexes(flightLog.getMinTime(), flightLog.getMaxTime()).join(",") == "0,3");
+
+    decodedChunks = flightLog.getChunksInTimeRange(flightLog.getMinTime(), flightLog.getMaxTime());
+    parsedChunks = parsedLog.getChunksInTimeRange(parsedLog.getMinTime(), parsedLog.getMaxTime());
+
+    assert(decodedChunks.length == 4 && parsedChunks.length == 4);
+
+    for (var i = 0; i < decodedChunks.length; i++) {
+        assert(JSON.stringify(decodedChunks[i].frames) == JSON.stringify(parsedChunks[i].frames));
+        assert(JSON.stringify(decodedChunks[i].gpsFrames) == JSON.stringify(parsedChunks[i].gpsFrames));
+        assert(decodedChunks[i].events.length == parsedChunks[i].events.length);
+    }
+}
+
+function testCLICommands() {
+    var
+        sysConfig = {
+            firmwareType: FIRMWARE_TYPE_BETAFLIGHT,
+            firmwareVersion: "3.2.0",
+            rollPID: [45, 40, 20],
+            rcYawExpo: 10,
+            gyro_notch_hz: [200, 0],
+            digitalIdleOffset: 450,
+            dterm_filter_type: 1,
+            features: (1 << 3) | (1 << 22)
+        },
+        commands = FlightLogCLI.getCommands(sysConfig),
+        edited = JSON.parse(JSON.stringify(sysConfig));
+
+    assert(commands.indexOf("set p_roll = 45") != -1);
+    assert(commands.indexOf("set rc_expo_yaw = 10") != -1); // Renamed from rc_yaw_expo in 3.2
+    assert(commands.indexOf("set gyro_notch1_hz = 200") != -1);
+    assert(commands.indexOf("set dshot_idle_value = 450") != -1);
+    assert(commands.indexOf("set dterm_lowpass_type = BIQUAD") != -1);
+    assert(commands.indexOf("feature RX_SERIAL") != -1);
+    assert(commands.indexOf("feature -RX_PPM") != -1);
+    assert(commands.indexOf("feature AIRMODE") != -1);
+
+    sysConfig.firmwareVersion = "3.1.7";
+    commands = FlightLogCLI.getCommands(sysConfig);
+    assert(commands.indexOf("set rc_yaw_expo = 10") != -1);
+    assert(commands.indexOf("set digital_idle_percent = 4.5") != -1);
+
+    edited.firmwareVersion = "3.1.7";
+    edited.rollPID[0] = 50;
+    edited.features |= 1 << 4;
+    commands = FlightLogCLI.getCommands(edited, sysConfig);
+    assert(commands.length == 2);
+    assert(commands[0] == "set p_roll = 50");
+    assert(commands[1] == "feature MOTOR_STOP");
+}
+
+function testPIDSimulatorFilters() {
+    var
+        sampleRate = 1000,
+        lowpass = FlightLogPIDSimulator.BiquadFilter.lowpass(100, sampleRate),
+        notch = FlightLogPIDSimulator.BiquadFilter.notch(200, 150, sampleRate),
+        pt1 = new FlightLogPIDSimulator.PT1Filter(100, sampleRate),
+        peak = 0, output, i;
+
+    // A constant passes through the low passes unchanged
+    for (i = 0; i < 100; i++) {
+        output = lowpass.apply(10);
+        assert(Math.abs(output - 10) < 1e-6);
+
+        output = pt1.apply(10);
+        assert(Math.abs(output - 10) < 1e-6);
+    }
+
+    // ...and a sine at the notch's center is removed once the filter settles
+    for (i = 0; i < 1000; i++) {
+        output = notch.apply(Math.sin(2 * Math.PI * 200 * i / sampleRate));
+
+        if (i >= 500) {
+            peak = Math.max(peak, Math.abs(output));
+        }
+    }
+    assert(peak < 0.01);
+}
+
+/**
+ * A stand-in for the browser's sandboxed file system (just the parts VideoSegmentStore uses), which keeps its files as
+ * Blobs in memory. Pass failOpen to have it refuse to open any directory.
+ */
+function makeTestFileSystem(failOpen) {
+    var
+        files = {};
+
+    function makeFileEntry(path) {
+        return {
+            createWriter: function(success) {
+                var
+                    writer = {};
+
+                writer.truncate = function(length) {
+                    files[path] = files[path].slice(0, length);
+                    setTimeout(function() {
+                        writer.onwriteend();
+                    }, 0);
+                };
+
+                writer.write = function(blob) {
+                    files[path] = new Blob([files[path], blob]);
+                    setTimeout(function() {
+                        writer.onwriteend();
+                    }, 0);
+                };
+
+                setTimeout(function() {
+                    success(writer);
+                }, 0);
+            },
+            file: function(success) {
+                setTimeout(function() {
+                    success(files[path]);
+                }, 0);
+            }
+        };
+    }
+
+    function makeDirectoryEntry(path) {
+        return {
+            getDirectory: function(name, options, success, failure) {
+                setTimeout(function() {
+                    if (failOpen) {
+                        failure("Test file system can't be opened");
+                    } else {
+                        success(makeDirectoryEntry(path + name + "/"));
+                    }
+                }, 0);
+            },
+            getFile: function(name, options, success, failure) {
+                setTimeout(function() {
+                    if (!(path + name in files)) {
+                        if (!options.create) {
+                            failure("NotFoundError");
+                            return;
+                        }
+                        files[path + name] = new Blob([]);
+                    }
+                    success(makeFileEntry(path + name));
+                }, 0);
+            },
+            removeRecursively: function(success) {
+                for (var name in files) {
+                    if (name.indexOf(path) == 0) {
+                        delete files[name];
+                    }
+                }
+                setTimeout(success, 0);
+            }
+        };
+    }
+
+    return {
+        root: makeDirectoryEntry("/")
+    };
+}
+
+function assertFramesEqual(frames, expected) {
+    assert(frames.length == expected.length);
+
+    for (var i = 0; i < frames.length; i++) {
+        assert(frames[i].length == expected[i].length);
+
+        for (var j = 0; j < frames[i].length; j++) {
+            assert(frames[i][j] == expected[i][j]);
+        }
+    }
+}
+
+function testVideoSegmentEncoding() {
+    var
+        frames = [new Uint8Array([1, 2, 3]), new Uint8Array(0), new Uint8Array([255, 0])],
+        parts = VideoSegmentStore.encodeFrames(frames),
+        encoded = new Uint8Array(4 + 3 + 4 + 0 + 4 + 2),
+        offset = 0,
+        truncated = false;
+
+    parts.forEach(function(part) {
+        encoded.set(part, offset);
+        offset += part.length;
+    });
+    assert(offset == encoded.length);
+
+    assertFramesEqual(VideoSegmentStore.decodeFrames(encoded.buffer), frames);
+    assert(VideoSegmentStore.decodeFrames(new ArrayBuffer(0)).length == 0);
+
+    try {
+        VideoSegmentStore.decodeFrames(encoded.buffer.slice(0, encoded.length - 1));
+    } catch (e) {
+        truncated = true;
+    }
+    assert(truncated);
+}
+
+/**
+ * Returns a Promise which resolves once the test has passed.
+ */
+function testVideoSegmentStore() {
+    var
+        fileSystem = makeTestFileSystem(false),
+        store = new VideoSegmentStore(fileSystem),
+        resumed = new VideoSegmentStore(fileSystem),
+        unavailable = new VideoSegmentStore(makeTestFileSystem(true)),
+        first = [new Uint8Array([1, 2, 3, 4]), new Uint8Array([5])],
+        second = [new Uint8Array([6, 7, 8])],
+        secondRewritten = [new Uint8Array([9])];
+
+    return store.open().then(function() {
+        assert(store.isPersistent());
+
+        return store.clear();
+    }).then(function() {
+        return store.writeSegment(0, first);
+    }).then(function() {
+        return store.writeSegment(1, second);
+    }).then(function() {
+        // Rewriting a segment with something shorter replaces it completely
+        return store.writeSegment(1, secondRewritten);
+    }).then(function() {
+        // As if the app was closed and reopened to resume the export
+        return resumed.open();
+    }).then(function() {
+        return resumed.hasSegments(2);
+    }).then(function(found) {
+        assert(found);
+
+        return resumed.hasSegments(3);
+    }).then(function(found) {
+        assert(!found);
+
+        return resumed.readSegment(0);
+    }).then(function(frames) {
+        assertFramesEqual(frames, first);
+
+        return resumed.readSegment(1);
+    }).then(function(frames) {
+        assertFramesEqual(frames, secondRewritten);
+
+        return resumed.clear();
+    }).then(function() {
+        return resumed.hasSegments(1);
+    }).then(function(found) {
+        assert(!found);
+
+        // The store can still be used after it's cleared
+        return resumed.writeSegment(0, second);
+    }).then(function() {
+        return resumed.readSegment(0);
+    }).then(function(frames) {
+        assertFramesEqual(frames, second);
+
+        return unavailable.open();
+    }).then(function() {
+        // With nowhere to keep segments, the renderer writes the frames straight to the file instead
+        assert(!unavailable.isPersistent());
+
+        return unavailable.clear();
+    }).then(function() {
+        return unavailable.writeSegment(0, first).then(function() {
+            throw "Segment was written without storage";
+        }, function() {
+        });
+    });
+}
+
 function benchExpoCurve() {
     var 
         trial, i,
@@ -53,10 +1078,36 @@ function benchExpoCurve() {
 try {
     testExpoCurve();
     testExpoStraightLine();
+    testStepResponseMeasure();
+    testStepResponseEstimate();
+    testWelchPSD();
+    testFindPeaks();
+    testExpressionFields();
+    testVideoSyncMotion();
+    testVideoSyncLag();
+    testOSDFlightMode();
+    testPowerAnalysis();
+    testFlightSummaryRuns();
+    testMotorDetectorPeriods();
+    testLogIndexHash();
+    testLogIndexJSON();
+    testPartialLogIndex();
+    testDecodedChunks();
+    testLogDamage();
+    testGPSTrack();
+    testCSVExportWholeLog();
+    testDiffSysConfig();
+    testCLICommands();
+    testPIDSimulatorFilters();
+    testVideoSegmentEncoding();
     
     //benchExpoCurve();
     
-    alert("All tests pass");
+    testVideoSegmentStore().then(function() {
+        alert("All tests pass");
+    }, function(e) {
+        alert(e);
+    });
 } catch (e) {
     alert(e);
 }
\ No newline at end of file